@@ -12,6 +12,7 @@ import { NewDispute } from "@/pages/NewDispute";
 import { LandlordDispute } from "@/pages/LandlordDispute";
 import { JuryDashboard } from "@/pages/JuryDashboard";
 import { JuryCase } from "@/pages/JuryCase";
+import { Admin } from "@/pages/Admin";
 import Clarity from "@microsoft/clarity";
 
 function App() {
@@ -45,6 +46,7 @@ function App() {
                     <Route path="/disputes/new" element={<NewDispute />} />
                     <Route path="/jury" element={<JuryDashboard />} />
                     <Route path="/jury/case/:id" element={<JuryCase />} />
+                    <Route path="/admin" element={<Admin />} />
                 </Routes>
             </Layout>
             <Toaster
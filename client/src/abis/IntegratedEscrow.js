@@ -4,6 +4,41 @@ export const EscrowABI = [
       "stateMutability": "nonpayable",
       "type": "constructor"
     },
+    {
+      "inputs": [],
+      "name": "AlreadyCommitted",
+      "type": "error"
+    },
+    {
+      "inputs": [],
+      "name": "AlreadyRevealed",
+      "type": "error"
+    },
+    {
+      "inputs": [],
+      "name": "BondLocked",
+      "type": "error"
+    },
+    {
+      "inputs": [],
+      "name": "BondTokenMismatch",
+      "type": "error"
+    },
+    {
+      "inputs": [],
+      "name": "BondTokenNotAllowed",
+      "type": "error"
+    },
+    {
+      "inputs": [],
+      "name": "CommitPeriodEnded",
+      "type": "error"
+    },
+    {
+      "inputs": [],
+      "name": "CommitmentMismatch",
+      "type": "error"
+    },
     {
       "inputs": [],
       "name": "EnforcedPause",
@@ -14,6 +49,51 @@ export const EscrowABI = [
       "name": "ExpectedPause",
       "type": "error"
     },
+    {
+      "inputs": [],
+      "name": "InvalidAward",
+      "type": "error"
+    },
+    {
+      "inputs": [],
+      "name": "InvalidBond",
+      "type": "error"
+    },
+    {
+      "inputs": [],
+      "name": "InvalidCommitment",
+      "type": "error"
+    },
+    {
+      "inputs": [],
+      "name": "InvalidInitialization",
+      "type": "error"
+    },
+    {
+      "inputs": [],
+      "name": "NoBond",
+      "type": "error"
+    },
+    {
+      "inputs": [],
+      "name": "NoCommitment",
+      "type": "error"
+    },
+    {
+      "inputs": [],
+      "name": "NotAssignedJuror",
+      "type": "error"
+    },
+    {
+      "inputs": [],
+      "name": "NotInitializing",
+      "type": "error"
+    },
+    {
+      "inputs": [],
+      "name": "NotPropertyOwner",
+      "type": "error"
+    },
     {
       "inputs": [
         {
@@ -41,6 +121,46 @@ export const EscrowABI = [
       "name": "ReentrancyGuardReentrantCall",
       "type": "error"
     },
+    {
+      "inputs": [],
+      "name": "RevealPeriodNotStarted",
+      "type": "error"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "address",
+          "name": "token",
+          "type": "address"
+        }
+      ],
+      "name": "SafeERC20FailedOperation",
+      "type": "error"
+    },
+    {
+      "inputs": [],
+      "name": "VotingPeriodEnded",
+      "type": "error"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        {
+          "indexed": true,
+          "internalType": "uint256",
+          "name": "agreementId",
+          "type": "uint256"
+        },
+        {
+          "indexed": true,
+          "internalType": "address",
+          "name": "landlord",
+          "type": "address"
+        }
+      ],
+      "name": "AgreementAccepted",
+      "type": "event"
+    },
     {
       "anonymous": false,
       "inputs": [
@@ -99,6 +219,12 @@ export const EscrowABI = [
           "internalType": "uint256",
           "name": "totalLocked",
           "type": "uint256"
+        },
+        {
+          "indexed": false,
+          "internalType": "address",
+          "name": "paymentToken",
+          "type": "address"
         }
       ],
       "name": "AgreementCreated",
@@ -114,50 +240,38 @@ export const EscrowABI = [
           "type": "uint256"
         },
         {
-          "indexed": true,
-          "internalType": "address",
-          "name": "tenant",
-          "type": "address"
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "amountToLandlord",
+          "type": "uint256"
         },
         {
           "indexed": false,
           "internalType": "uint256",
-          "name": "amount",
+          "name": "amountToTenant",
           "type": "uint256"
         }
       ],
-      "name": "DepositReturned",
+      "name": "AgreementDefaulted",
       "type": "event"
     },
     {
       "anonymous": false,
       "inputs": [
-        {
-          "indexed": true,
-          "internalType": "uint256",
-          "name": "disputeId",
-          "type": "uint256"
-        },
         {
           "indexed": true,
           "internalType": "uint256",
           "name": "agreementId",
           "type": "uint256"
         },
-        {
-          "indexed": true,
-          "internalType": "address",
-          "name": "raisedBy",
-          "type": "address"
-        },
         {
           "indexed": false,
-          "internalType": "address[3]",
-          "name": "assignedJurors",
-          "type": "address[3]"
+          "internalType": "uint256",
+          "name": "newDurationMonths",
+          "type": "uint256"
         }
       ],
-      "name": "DisputeCreated",
+      "name": "AgreementExtended",
       "type": "event"
     },
     {
@@ -166,7 +280,7 @@ export const EscrowABI = [
         {
           "indexed": true,
           "internalType": "uint256",
-          "name": "agreementId",
+          "name": "tokenId",
           "type": "uint256"
         },
         {
@@ -176,19 +290,19 @@ export const EscrowABI = [
           "type": "uint256"
         },
         {
-          "indexed": false,
+          "indexed": true,
           "internalType": "address",
-          "name": "raisedBy",
+          "name": "tenant",
           "type": "address"
         },
         {
           "indexed": false,
-          "internalType": "string",
-          "name": "reason",
-          "type": "string"
+          "internalType": "uint256",
+          "name": "amount",
+          "type": "uint256"
         }
       ],
-      "name": "DisputeRaised",
+      "name": "BondAwarded",
       "type": "event"
     },
     {
@@ -197,23 +311,29 @@ export const EscrowABI = [
         {
           "indexed": true,
           "internalType": "uint256",
-          "name": "disputeId",
+          "name": "tokenId",
           "type": "uint256"
         },
+        {
+          "indexed": true,
+          "internalType": "address",
+          "name": "landlord",
+          "type": "address"
+        },
         {
           "indexed": false,
-          "internalType": "bool",
-          "name": "tenantWins",
-          "type": "bool"
+          "internalType": "address",
+          "name": "token",
+          "type": "address"
         },
         {
           "indexed": false,
           "internalType": "uint256",
-          "name": "jurorRewards",
+          "name": "amount",
           "type": "uint256"
         }
       ],
-      "name": "DisputeResolved",
+      "name": "BondPosted",
       "type": "event"
     },
     {
@@ -222,32 +342,38 @@ export const EscrowABI = [
         {
           "indexed": true,
           "internalType": "uint256",
-          "name": "disputeId",
+          "name": "tokenId",
           "type": "uint256"
         },
         {
           "indexed": true,
           "internalType": "address",
-          "name": "submitter",
+          "name": "landlord",
           "type": "address"
         },
         {
           "indexed": false,
-          "internalType": "string",
-          "name": "evidenceURI",
-          "type": "string"
+          "internalType": "uint256",
+          "name": "amount",
+          "type": "uint256"
         }
       ],
-      "name": "EvidenceSubmitted",
+      "name": "BondWithdrawn",
       "type": "event"
     },
     {
       "anonymous": false,
       "inputs": [
+        {
+          "indexed": true,
+          "internalType": "uint256",
+          "name": "agreementId",
+          "type": "uint256"
+        },
         {
           "indexed": true,
           "internalType": "address",
-          "name": "to",
+          "name": "tenant",
           "type": "address"
         },
         {
@@ -257,51 +383,69 @@ export const EscrowABI = [
           "type": "uint256"
         }
       ],
-      "name": "FeesWithdrawn",
+      "name": "DepositReturned",
       "type": "event"
     },
     {
       "anonymous": false,
       "inputs": [
+        {
+          "indexed": true,
+          "internalType": "uint256",
+          "name": "disputeId",
+          "type": "uint256"
+        },
         {
           "indexed": true,
           "internalType": "address",
-          "name": "juror",
+          "name": "appellant",
           "type": "address"
         },
         {
-          "indexed": true,
+          "indexed": false,
           "internalType": "uint256",
-          "name": "disputeId",
+          "name": "round",
           "type": "uint256"
         },
         {
           "indexed": false,
           "internalType": "uint256",
-          "name": "amount",
+          "name": "fee",
           "type": "uint256"
         }
       ],
-      "name": "JurorRewarded",
+      "name": "DisputeAppealed",
       "type": "event"
     },
     {
       "anonymous": false,
       "inputs": [
+        {
+          "indexed": true,
+          "internalType": "uint256",
+          "name": "disputeId",
+          "type": "uint256"
+        },
+        {
+          "indexed": true,
+          "internalType": "uint256",
+          "name": "agreementId",
+          "type": "uint256"
+        },
         {
           "indexed": true,
           "internalType": "address",
-          "name": "juror",
+          "name": "raisedBy",
           "type": "address"
         },
         {
           "indexed": false,
-          "internalType": "uint256",
-          "name": "amount",
-          "type": "uint256"
+          "internalType": "address[]",
+          "name": "assignedJurors",
+          "type": "address[]"
         }
       ],
-      "name": "JurorStaked",
+      "name": "DisputeCreated",
       "type": "event"
     },
     {
@@ -309,18 +453,24 @@ export const EscrowABI = [
       "inputs": [
         {
           "indexed": true,
-          "internalType": "address",
-          "name": "juror",
-          "type": "address"
+          "internalType": "uint256",
+          "name": "disputeId",
+          "type": "uint256"
         },
         {
           "indexed": false,
           "internalType": "uint256",
-          "name": "amount",
+          "name": "round",
+          "type": "uint256"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "panelSize",
           "type": "uint256"
         }
       ],
-      "name": "JurorUnstaked",
+      "name": "DisputeEscalated",
       "type": "event"
     },
     {
@@ -333,19 +483,19 @@ export const EscrowABI = [
           "type": "uint256"
         },
         {
-          "indexed": true,
-          "internalType": "address",
-          "name": "juror",
-          "type": "address"
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "amountToLandlord",
+          "type": "uint256"
         },
         {
           "indexed": false,
-          "internalType": "enum IntegratedEscrow.Vote",
-          "name": "vote",
-          "type": "uint8"
+          "internalType": "uint256",
+          "name": "amountToTenant",
+          "type": "uint256"
         }
       ],
-      "name": "JurorVoted",
+      "name": "DisputeFallback",
       "type": "event"
     },
     {
@@ -353,18 +503,381 @@ export const EscrowABI = [
       "inputs": [
         {
           "indexed": true,
-          "internalType": "address",
-          "name": "previousOwner",
-          "type": "address"
+          "internalType": "uint256",
+          "name": "agreementId",
+          "type": "uint256"
         },
         {
           "indexed": true,
+          "internalType": "uint256",
+          "name": "disputeId",
+          "type": "uint256"
+        },
+        {
+          "indexed": false,
           "internalType": "address",
-          "name": "newOwner",
+          "name": "raisedBy",
           "type": "address"
+        },
+        {
+          "indexed": false,
+          "internalType": "string",
+          "name": "reason",
+          "type": "string"
         }
       ],
-      "name": "OwnershipTransferred",
+      "name": "DisputeRaised",
+      "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        {
+          "indexed": true,
+          "internalType": "uint256",
+          "name": "disputeId",
+          "type": "uint256"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "tenantShare",
+          "type": "uint256"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "amountToTenant",
+          "type": "uint256"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "amountToLandlord",
+          "type": "uint256"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "jurorRewards",
+          "type": "uint256"
+        }
+      ],
+      "name": "DisputeResolved",
+      "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        {
+          "indexed": true,
+          "internalType": "uint256",
+          "name": "disputeId",
+          "type": "uint256"
+        },
+        {
+          "indexed": true,
+          "internalType": "address",
+          "name": "submitter",
+          "type": "address"
+        },
+        {
+          "indexed": false,
+          "internalType": "string",
+          "name": "evidenceURI",
+          "type": "string"
+        }
+      ],
+      "name": "EvidenceSubmitted",
+      "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        {
+          "indexed": true,
+          "internalType": "uint256",
+          "name": "agreementId",
+          "type": "uint256"
+        },
+        {
+          "indexed": true,
+          "internalType": "address",
+          "name": "proposedBy",
+          "type": "address"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "extraMonths",
+          "type": "uint256"
+        }
+      ],
+      "name": "ExtensionProposed",
+      "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        {
+          "indexed": true,
+          "internalType": "address",
+          "name": "to",
+          "type": "address"
+        },
+        {
+          "indexed": true,
+          "internalType": "address",
+          "name": "token",
+          "type": "address"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "amount",
+          "type": "uint256"
+        }
+      ],
+      "name": "FeesWithdrawn",
+      "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        {
+          "indexed": false,
+          "internalType": "uint64",
+          "name": "version",
+          "type": "uint64"
+        }
+      ],
+      "name": "Initialized",
+      "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        {
+          "indexed": true,
+          "internalType": "uint256",
+          "name": "disputeId",
+          "type": "uint256"
+        },
+        {
+          "indexed": true,
+          "internalType": "uint256",
+          "name": "requestId",
+          "type": "uint256"
+        }
+      ],
+      "name": "JurorDrawFailed",
+      "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        {
+          "indexed": true,
+          "internalType": "uint256",
+          "name": "disputeId",
+          "type": "uint256"
+        },
+        {
+          "indexed": true,
+          "internalType": "uint256",
+          "name": "requestId",
+          "type": "uint256"
+        }
+      ],
+      "name": "JurorDrawRequested",
+      "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        {
+          "indexed": true,
+          "internalType": "address",
+          "name": "juror",
+          "type": "address"
+        },
+        {
+          "indexed": true,
+          "internalType": "uint256",
+          "name": "disputeId",
+          "type": "uint256"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "feeReward",
+          "type": "uint256"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "penaltyReward",
+          "type": "uint256"
+        }
+      ],
+      "name": "JurorRewarded",
+      "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        {
+          "indexed": true,
+          "internalType": "address",
+          "name": "juror",
+          "type": "address"
+        },
+        {
+          "indexed": true,
+          "internalType": "uint256",
+          "name": "disputeId",
+          "type": "uint256"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "amount",
+          "type": "uint256"
+        }
+      ],
+      "name": "JurorSlashed",
+      "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        {
+          "indexed": true,
+          "internalType": "address",
+          "name": "juror",
+          "type": "address"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "amount",
+          "type": "uint256"
+        }
+      ],
+      "name": "JurorStaked",
+      "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        {
+          "indexed": true,
+          "internalType": "address",
+          "name": "juror",
+          "type": "address"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "amount",
+          "type": "uint256"
+        }
+      ],
+      "name": "JurorUnstaked",
+      "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        {
+          "indexed": true,
+          "internalType": "uint256",
+          "name": "disputeId",
+          "type": "uint256"
+        },
+        {
+          "indexed": true,
+          "internalType": "address",
+          "name": "juror",
+          "type": "address"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "tenantShare",
+          "type": "uint256"
+        }
+      ],
+      "name": "JurorVoted",
+      "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        {
+          "indexed": true,
+          "internalType": "uint256",
+          "name": "disputeId",
+          "type": "uint256"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "round",
+          "type": "uint256"
+        },
+        {
+          "indexed": false,
+          "internalType": "address[]",
+          "name": "jurors",
+          "type": "address[]"
+        }
+      ],
+      "name": "JurorsDrawn",
+      "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        {
+          "indexed": true,
+          "internalType": "address",
+          "name": "previousOwner",
+          "type": "address"
+        },
+        {
+          "indexed": true,
+          "internalType": "address",
+          "name": "newOwner",
+          "type": "address"
+        }
+      ],
+      "name": "OwnershipTransferred",
+      "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        {
+          "indexed": true,
+          "internalType": "enum IntegratedEscrowBase.Parameter",
+          "name": "parameter",
+          "type": "uint8"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "oldValue",
+          "type": "uint256"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "newValue",
+          "type": "uint256"
+        }
+      ],
+      "name": "ParameterUpdated",
       "type": "event"
     },
     {
@@ -380,6 +893,50 @@ export const EscrowABI = [
       "name": "Paused",
       "type": "event"
     },
+    {
+      "anonymous": false,
+      "inputs": [
+        {
+          "indexed": true,
+          "internalType": "address",
+          "name": "payee",
+          "type": "address"
+        },
+        {
+          "indexed": true,
+          "internalType": "address",
+          "name": "token",
+          "type": "address"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "amount",
+          "type": "uint256"
+        }
+      ],
+      "name": "PaymentCredited",
+      "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        {
+          "indexed": true,
+          "internalType": "address",
+          "name": "token",
+          "type": "address"
+        },
+        {
+          "indexed": false,
+          "internalType": "bool",
+          "name": "allowed",
+          "type": "bool"
+        }
+      ],
+      "name": "PaymentTokenUpdated",
+      "type": "event"
+    },
     {
       "anonymous": false,
       "inputs": [
@@ -399,6 +956,50 @@ export const EscrowABI = [
       "name": "PlatformFeeUpdated",
       "type": "event"
     },
+    {
+      "anonymous": false,
+      "inputs": [
+        {
+          "indexed": true,
+          "internalType": "address",
+          "name": "newAddress",
+          "type": "address"
+        }
+      ],
+      "name": "RandomnessCoordinatorUpdated",
+      "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        {
+          "indexed": true,
+          "internalType": "uint256",
+          "name": "agreementId",
+          "type": "uint256"
+        },
+        {
+          "indexed": true,
+          "internalType": "address",
+          "name": "tenant",
+          "type": "address"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "months",
+          "type": "uint256"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "amount",
+          "type": "uint256"
+        }
+      ],
+      "name": "RentPaid",
+      "type": "event"
+    },
     {
       "anonymous": false,
       "inputs": [
@@ -437,6 +1038,25 @@ export const EscrowABI = [
       "name": "RentalNFTUpdated",
       "type": "event"
     },
+    {
+      "anonymous": false,
+      "inputs": [
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "oldPercent",
+          "type": "uint256"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "newPercent",
+          "type": "uint256"
+        }
+      ],
+      "name": "SlashPercentUpdated",
+      "type": "event"
+    },
     {
       "anonymous": false,
       "inputs": [
@@ -450,9 +1070,136 @@ export const EscrowABI = [
       "name": "Unpaused",
       "type": "event"
     },
+    {
+      "anonymous": false,
+      "inputs": [
+        {
+          "indexed": true,
+          "internalType": "uint256",
+          "name": "disputeId",
+          "type": "uint256"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "round",
+          "type": "uint256"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "tenantShare",
+          "type": "uint256"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "appealDeadline",
+          "type": "uint256"
+        }
+      ],
+      "name": "VerdictReached",
+      "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        {
+          "indexed": true,
+          "internalType": "uint256",
+          "name": "disputeId",
+          "type": "uint256"
+        },
+        {
+          "indexed": true,
+          "internalType": "address",
+          "name": "juror",
+          "type": "address"
+        }
+      ],
+      "name": "VoteCommitted",
+      "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        {
+          "indexed": true,
+          "internalType": "address",
+          "name": "payee",
+          "type": "address"
+        },
+        {
+          "indexed": true,
+          "internalType": "address",
+          "name": "token",
+          "type": "address"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "amount",
+          "type": "uint256"
+        }
+      ],
+      "name": "Withdrawn",
+      "type": "event"
+    },
+    {
+      "inputs": [],
+      "name": "APPEAL_FEE_MULTIPLIER",
+      "outputs": [
+        {
+          "internalType": "uint256",
+          "name": "",
+          "type": "uint256"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [],
+      "name": "APPEAL_PERIOD",
+      "outputs": [
+        {
+          "internalType": "uint256",
+          "name": "",
+          "type": "uint256"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [],
+      "name": "COMMIT_PERIOD",
+      "outputs": [
+        {
+          "internalType": "uint256",
+          "name": "",
+          "type": "uint256"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [],
+      "name": "GRACE_PERIOD",
+      "outputs": [
+        {
+          "internalType": "uint256",
+          "name": "",
+          "type": "uint256"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
     {
       "inputs": [],
-      "name": "MAX_FEE",
+      "name": "JUROR_DRAW_TIMEOUT",
       "outputs": [
         {
           "internalType": "uint256",
@@ -465,7 +1212,7 @@ export const EscrowABI = [
     },
     {
       "inputs": [],
-      "name": "MAX_STAKE",
+      "name": "MAX_DURATION_MONTHS",
       "outputs": [
         {
           "internalType": "uint256",
@@ -478,7 +1225,7 @@ export const EscrowABI = [
     },
     {
       "inputs": [],
-      "name": "MIN_JURORS",
+      "name": "MAX_FEE",
       "outputs": [
         {
           "internalType": "uint256",
@@ -491,7 +1238,7 @@ export const EscrowABI = [
     },
     {
       "inputs": [],
-      "name": "MIN_STAKE",
+      "name": "MAX_PANEL_SIZE",
       "outputs": [
         {
           "internalType": "uint256",
@@ -504,7 +1251,7 @@ export const EscrowABI = [
     },
     {
       "inputs": [],
-      "name": "UNSTAKE_DELAY",
+      "name": "MAX_REPUTATION",
       "outputs": [
         {
           "internalType": "uint256",
@@ -517,7 +1264,7 @@ export const EscrowABI = [
     },
     {
       "inputs": [],
-      "name": "VOTING_PERIOD",
+      "name": "MAX_SLASH_PERCENT",
       "outputs": [
         {
           "internalType": "uint256",
@@ -530,7 +1277,7 @@ export const EscrowABI = [
     },
     {
       "inputs": [],
-      "name": "accumulatedFees",
+      "name": "MAX_UNSTAKE_DELAY",
       "outputs": [
         {
           "internalType": "uint256",
@@ -543,26 +1290,33 @@ export const EscrowABI = [
     },
     {
       "inputs": [],
-      "name": "activeJurorCount",
+      "name": "NATIVE_TOKEN",
       "outputs": [
         {
-          "internalType": "uint256",
+          "internalType": "address",
           "name": "",
-          "type": "uint256"
+          "type": "address"
         }
       ],
       "stateMutability": "view",
       "type": "function"
     },
     {
-      "inputs": [
+      "inputs": [],
+      "name": "PANEL_GROWTH",
+      "outputs": [
         {
           "internalType": "uint256",
           "name": "",
           "type": "uint256"
         }
       ],
-      "name": "agreementToDispute",
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [],
+      "name": "RENT_PERIOD",
       "outputs": [
         {
           "internalType": "uint256",
@@ -577,89 +1331,109 @@ export const EscrowABI = [
       "inputs": [
         {
           "internalType": "uint256",
-          "name": "",
+          "name": "agreementId",
           "type": "uint256"
         }
       ],
-      "name": "agreements",
-      "outputs": [
-        {
-          "internalType": "address",
-          "name": "landlord",
-          "type": "address"
-        },
-        {
-          "internalType": "address",
-          "name": "tenant",
-          "type": "address"
-        },
-        {
-          "internalType": "address",
-          "name": "nftContract",
-          "type": "address"
-        },
-        {
-          "internalType": "uint256",
-          "name": "tokenId",
-          "type": "uint256"
-        },
-        {
-          "internalType": "uint256",
-          "name": "rentAmount",
-          "type": "uint256"
-        },
+      "name": "acceptAgreement",
+      "outputs": [],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
+    {
+      "inputs": [
         {
           "internalType": "uint256",
-          "name": "depositAmount",
+          "name": "agreementId",
           "type": "uint256"
-        },
+        }
+      ],
+      "name": "acceptExtension",
+      "outputs": [],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
+    {
+      "inputs": [
         {
-          "internalType": "uint256",
-          "name": "disputeFee",
-          "type": "uint256"
-        },
+          "internalType": "address",
+          "name": "",
+          "type": "address"
+        }
+      ],
+      "name": "accumulatedFees",
+      "outputs": [
         {
           "internalType": "uint256",
-          "name": "totalLocked",
+          "name": "",
           "type": "uint256"
-        },
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [],
+      "name": "activeJurorCount",
+      "outputs": [
         {
           "internalType": "uint256",
-          "name": "startTimestamp",
+          "name": "",
           "type": "uint256"
-        },
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
         {
           "internalType": "uint256",
-          "name": "durationMonths",
+          "name": "",
           "type": "uint256"
-        },
+        }
+      ],
+      "name": "agreementToDispute",
+      "outputs": [
         {
           "internalType": "uint256",
-          "name": "lastRentPaid",
+          "name": "",
           "type": "uint256"
-        },
-        {
-          "internalType": "enum IntegratedEscrow.AgreementStatus",
-          "name": "status",
-          "type": "uint8"
-        },
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
         {
-          "internalType": "bool",
-          "name": "landlordWithdrawn",
-          "type": "bool"
-        },
+          "internalType": "address",
+          "name": "",
+          "type": "address"
+        }
+      ],
+      "name": "allowedTokens",
+      "outputs": [
         {
           "internalType": "bool",
-          "name": "tenantWithdrawn",
+          "name": "",
           "type": "bool"
-        },
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
         {
           "internalType": "uint256",
           "name": "disputeId",
           "type": "uint256"
         }
       ],
-      "stateMutability": "view",
+      "name": "appeal",
+      "outputs": [],
+      "stateMutability": "payable",
       "type": "function"
     },
     {
@@ -683,12 +1457,12 @@ export const EscrowABI = [
           "type": "uint256"
         },
         {
-          "internalType": "enum IntegratedEscrow.Vote",
-          "name": "vote",
-          "type": "uint8"
+          "internalType": "bytes32",
+          "name": "commitment",
+          "type": "bytes32"
         }
       ],
-      "name": "castVote",
+      "name": "commitVote",
       "outputs": [],
       "stateMutability": "nonpayable",
       "type": "function"
@@ -731,9 +1505,19 @@ export const EscrowABI = [
               "internalType": "uint256",
               "name": "durationMonths",
               "type": "uint256"
+            },
+            {
+              "internalType": "uint256",
+              "name": "prepaidMonths",
+              "type": "uint256"
+            },
+            {
+              "internalType": "address",
+              "name": "paymentToken",
+              "type": "address"
             }
           ],
-          "internalType": "struct IntegratedEscrow.RentalParams",
+          "internalType": "struct IntegratedEscrowBase.RentalParams",
           "name": "params",
           "type": "tuple"
         }
@@ -751,70 +1535,33 @@ export const EscrowABI = [
           "type": "uint256"
         }
       ],
-      "name": "disputes",
+      "name": "extensionProposals",
       "outputs": [
         {
           "internalType": "uint256",
-          "name": "agreementId",
+          "name": "extraMonths",
           "type": "uint256"
         },
         {
           "internalType": "address",
-          "name": "raisedBy",
-          "type": "address"
-        },
-        {
-          "internalType": "address",
-          "name": "landlord",
-          "type": "address"
-        },
-        {
-          "internalType": "address",
-          "name": "tenant",
+          "name": "proposedBy",
           "type": "address"
-        },
-        {
-          "internalType": "string",
-          "name": "evidenceURI",
-          "type": "string"
-        },
-        {
-          "internalType": "uint256",
-          "name": "createdAt",
-          "type": "uint256"
-        },
-        {
-          "internalType": "uint256",
-          "name": "votingEndTime",
-          "type": "uint256"
-        },
-        {
-          "internalType": "enum IntegratedEscrow.DisputeStatus",
-          "name": "status",
-          "type": "uint8"
-        },
-        {
-          "internalType": "uint256",
-          "name": "tenantVotes",
-          "type": "uint256"
-        },
-        {
-          "internalType": "uint256",
-          "name": "landlordVotes",
-          "type": "uint256"
-        },
-        {
-          "internalType": "bool",
-          "name": "tenantWins",
-          "type": "bool"
-        },
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
         {
           "internalType": "uint256",
-          "name": "jurorRewardPool",
+          "name": "disputeId",
           "type": "uint256"
         }
       ],
-      "stateMutability": "view",
+      "name": "finalizeDispute",
+      "outputs": [],
+      "stateMutability": "nonpayable",
       "type": "function"
     },
     {
@@ -904,7 +1651,17 @@ export const EscrowABI = [
               "type": "uint256"
             },
             {
-              "internalType": "enum IntegratedEscrow.AgreementStatus",
+              "internalType": "uint256",
+              "name": "monthsPaid",
+              "type": "uint256"
+            },
+            {
+              "internalType": "uint256",
+              "name": "monthsReleased",
+              "type": "uint256"
+            },
+            {
+              "internalType": "enum IntegratedEscrowBase.AgreementStatus",
               "name": "status",
               "type": "uint8"
             },
@@ -922,9 +1679,14 @@ export const EscrowABI = [
               "internalType": "uint256",
               "name": "disputeId",
               "type": "uint256"
+            },
+            {
+              "internalType": "address",
+              "name": "paymentToken",
+              "type": "address"
             }
           ],
-          "internalType": "struct IntegratedEscrow.Agreement",
+          "internalType": "struct IntegratedEscrowBase.Agreement",
           "name": "",
           "type": "tuple"
         }
@@ -932,6 +1694,25 @@ export const EscrowABI = [
       "stateMutability": "view",
       "type": "function"
     },
+    {
+      "inputs": [
+        {
+          "internalType": "uint256",
+          "name": "disputeId",
+          "type": "uint256"
+        }
+      ],
+      "name": "getAppealFee",
+      "outputs": [
+        {
+          "internalType": "uint256",
+          "name": "",
+          "type": "uint256"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
     {
       "inputs": [
         {
@@ -943,9 +1724,9 @@ export const EscrowABI = [
       "name": "getAssignedJurors",
       "outputs": [
         {
-          "internalType": "address[3]",
+          "internalType": "address[]",
           "name": "",
-          "type": "address[3]"
+          "type": "address[]"
         }
       ],
       "stateMutability": "view",
@@ -1010,24 +1791,80 @@ export const EscrowABI = [
           "type": "uint256"
         },
         {
-          "internalType": "enum IntegratedEscrow.DisputeStatus",
+          "internalType": "enum DisputeStatus",
           "name": "status",
           "type": "uint8"
         },
         {
           "internalType": "uint256",
-          "name": "tenantVotes",
+          "name": "revealCount",
           "type": "uint256"
         },
+        {
+          "internalType": "bool",
+          "name": "hasVerdict",
+          "type": "bool"
+        },
         {
           "internalType": "uint256",
-          "name": "landlordVotes",
+          "name": "tenantShare",
           "type": "uint256"
         },
         {
-          "internalType": "bool",
-          "name": "tenantWins",
-          "type": "bool"
+          "internalType": "uint256",
+          "name": "appealDeadline",
+          "type": "uint256"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "uint256",
+          "name": "disputeId",
+          "type": "uint256"
+        }
+      ],
+      "name": "getDisputeRounds",
+      "outputs": [
+        {
+          "components": [
+            {
+              "internalType": "address[]",
+              "name": "jurors",
+              "type": "address[]"
+            },
+            {
+              "internalType": "uint256",
+              "name": "revealCount",
+              "type": "uint256"
+            },
+            {
+              "internalType": "uint256[11]",
+              "name": "tally",
+              "type": "uint256[11]"
+            },
+            {
+              "internalType": "bool",
+              "name": "verdictReached",
+              "type": "bool"
+            },
+            {
+              "internalType": "uint256",
+              "name": "tenantShare",
+              "type": "uint256"
+            },
+            {
+              "internalType": "address",
+              "name": "appealedBy",
+              "type": "address"
+            }
+          ],
+          "internalType": "struct RoundResult[]",
+          "name": "",
+          "type": "tuple[]"
         }
       ],
       "stateMutability": "view",
@@ -1104,6 +1941,21 @@ export const EscrowABI = [
           "internalType": "bool",
           "name": "isActive",
           "type": "bool"
+        },
+        {
+          "internalType": "uint256",
+          "name": "disputesCompleted",
+          "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "totalSlashed",
+          "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "reputation",
+          "type": "uint256"
         }
       ],
       "stateMutability": "view",
@@ -1125,9 +1977,14 @@ export const EscrowABI = [
       "name": "getJurorVote",
       "outputs": [
         {
-          "internalType": "enum IntegratedEscrow.Vote",
-          "name": "",
-          "type": "uint8"
+          "internalType": "bool",
+          "name": "revealed",
+          "type": "bool"
+        },
+        {
+          "internalType": "uint256",
+          "name": "tenantShare",
+          "type": "uint256"
         }
       ],
       "stateMutability": "view",
@@ -1152,6 +2009,108 @@ export const EscrowABI = [
       "stateMutability": "view",
       "type": "function"
     },
+    {
+      "inputs": [
+        {
+          "internalType": "address",
+          "name": "landlord",
+          "type": "address"
+        }
+      ],
+      "name": "getLandlordReputation",
+      "outputs": [
+        {
+          "internalType": "uint256",
+          "name": "rentals",
+          "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "completedRentals",
+          "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "disputesLost",
+          "type": "uint256"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "address",
+          "name": "account",
+          "type": "address"
+        },
+        {
+          "internalType": "address",
+          "name": "token",
+          "type": "address"
+        }
+      ],
+      "name": "getPendingBalance",
+      "outputs": [
+        {
+          "internalType": "uint256",
+          "name": "",
+          "type": "uint256"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "uint256",
+          "name": "agreementId",
+          "type": "uint256"
+        }
+      ],
+      "name": "getRentSchedule",
+      "outputs": [
+        {
+          "internalType": "uint256",
+          "name": "monthsPaid",
+          "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "monthsReleased",
+          "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "monthsElapsed",
+          "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "releasableMonths",
+          "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "nextDueDate",
+          "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "graceEndsAt",
+          "type": "uint256"
+        },
+        {
+          "internalType": "bool",
+          "name": "inDefault",
+          "type": "bool"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
     {
       "inputs": [
         {
@@ -1199,18 +2158,23 @@ export const EscrowABI = [
     },
     {
       "inputs": [
+        {
+          "internalType": "uint256",
+          "name": "disputeId",
+          "type": "uint256"
+        },
         {
           "internalType": "address",
-          "name": "account",
+          "name": "juror",
           "type": "address"
         }
       ],
-      "name": "isActiveJuror",
+      "name": "getVoteCommitment",
       "outputs": [
         {
-          "internalType": "bool",
+          "internalType": "bytes32",
           "name": "",
-          "type": "bool"
+          "type": "bytes32"
         }
       ],
       "stateMutability": "view",
@@ -1218,22 +2182,42 @@ export const EscrowABI = [
     },
     {
       "inputs": [
-        {
-          "internalType": "address",
-          "name": "",
-          "type": "address"
-        },
         {
           "internalType": "uint256",
-          "name": "",
+          "name": "disputeId",
           "type": "uint256"
         }
       ],
-      "name": "jurorActiveDisputes",
+      "name": "getVotingSchedule",
       "outputs": [
         {
           "internalType": "uint256",
-          "name": "",
+          "name": "commitEndTime",
+          "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "votingEndTime",
+          "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "commitCount",
+          "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "revealCount",
+          "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "panelSize",
+          "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "round",
           "type": "uint256"
         }
       ],
@@ -1243,17 +2227,17 @@ export const EscrowABI = [
     {
       "inputs": [
         {
-          "internalType": "uint256",
-          "name": "",
-          "type": "uint256"
+          "internalType": "address",
+          "name": "account",
+          "type": "address"
         }
       ],
-      "name": "jurorPool",
+      "name": "isActiveJuror",
       "outputs": [
         {
-          "internalType": "address",
+          "internalType": "bool",
           "name": "",
-          "type": "address"
+          "type": "bool"
         }
       ],
       "stateMutability": "view",
@@ -1262,16 +2246,26 @@ export const EscrowABI = [
     {
       "inputs": [
         {
-          "internalType": "address",
+          "internalType": "uint256",
           "name": "",
-          "type": "address"
+          "type": "uint256"
         }
       ],
-      "name": "jurorPoolIndex",
+      "name": "listingBonds",
       "outputs": [
+        {
+          "internalType": "address",
+          "name": "landlord",
+          "type": "address"
+        },
+        {
+          "internalType": "address",
+          "name": "token",
+          "type": "address"
+        },
         {
           "internalType": "uint256",
-          "name": "",
+          "name": "amount",
           "type": "uint256"
         }
       ],
@@ -1281,50 +2275,104 @@ export const EscrowABI = [
     {
       "inputs": [
         {
-          "internalType": "address",
-          "name": "",
-          "type": "address"
+          "internalType": "uint256",
+          "name": "agreementId",
+          "type": "uint256"
         }
       ],
-      "name": "jurors",
+      "name": "markDefault",
+      "outputs": [],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
+    {
+      "inputs": [],
+      "name": "maxStake",
       "outputs": [
         {
           "internalType": "uint256",
-          "name": "stakedAmount",
+          "name": "",
           "type": "uint256"
-        },
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [],
+      "name": "minJurors",
+      "outputs": [
         {
           "internalType": "uint256",
-          "name": "stakedAt",
+          "name": "",
           "type": "uint256"
-        },
-        {
-          "internalType": "bool",
-          "name": "isActive",
-          "type": "bool"
-        },
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [],
+      "name": "minStake",
+      "outputs": [
         {
           "internalType": "uint256",
-          "name": "disputesAssigned",
+          "name": "",
           "type": "uint256"
-        },
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [],
+      "name": "owner",
+      "outputs": [
+        {
+          "internalType": "address",
+          "name": "",
+          "type": "address"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [],
+      "name": "pause",
+      "outputs": [],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
+    {
+      "inputs": [],
+      "name": "paused",
+      "outputs": [
         {
-          "internalType": "uint256",
-          "name": "disputesVoted",
-          "type": "uint256"
-        },
+          "internalType": "bool",
+          "name": "",
+          "type": "bool"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
         {
           "internalType": "uint256",
-          "name": "correctVotes",
+          "name": "agreementId",
           "type": "uint256"
         },
         {
           "internalType": "uint256",
-          "name": "totalEarned",
+          "name": "months",
           "type": "uint256"
         }
       ],
-      "stateMutability": "view",
+      "name": "payRent",
+      "outputs": [],
+      "stateMutability": "payable",
       "type": "function"
     },
     {
@@ -1334,13 +2382,26 @@ export const EscrowABI = [
           "name": "",
           "type": "address"
         },
+        {
+          "internalType": "address",
+          "name": "",
+          "type": "address"
+        }
+      ],
+      "name": "pendingWithdrawals",
+      "outputs": [
         {
           "internalType": "uint256",
           "name": "",
           "type": "uint256"
         }
       ],
-      "name": "landlordAgreements",
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [],
+      "name": "platformFeePercent",
       "outputs": [
         {
           "internalType": "uint256",
@@ -1354,78 +2415,70 @@ export const EscrowABI = [
     {
       "inputs": [
         {
-          "internalType": "address",
-          "name": "",
-          "type": "address"
+          "internalType": "uint256",
+          "name": "tokenId",
+          "type": "uint256"
         },
         {
           "internalType": "address",
-          "name": "",
+          "name": "token",
           "type": "address"
         },
         {
           "internalType": "uint256",
-          "name": "",
+          "name": "amount",
           "type": "uint256"
-        },
-        {
-          "internalType": "bytes",
-          "name": "",
-          "type": "bytes"
-        }
-      ],
-      "name": "onERC721Received",
-      "outputs": [
-        {
-          "internalType": "bytes4",
-          "name": "",
-          "type": "bytes4"
         }
       ],
-      "stateMutability": "pure",
+      "name": "postBond",
+      "outputs": [],
+      "stateMutability": "payable",
       "type": "function"
     },
     {
-      "inputs": [],
-      "name": "owner",
-      "outputs": [
+      "inputs": [
         {
-          "internalType": "address",
-          "name": "",
-          "type": "address"
+          "internalType": "uint256",
+          "name": "agreementId",
+          "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "extraMonths",
+          "type": "uint256"
         }
       ],
-      "stateMutability": "view",
-      "type": "function"
-    },
-    {
-      "inputs": [],
-      "name": "pause",
+      "name": "proposeExtension",
       "outputs": [],
       "stateMutability": "nonpayable",
       "type": "function"
     },
     {
-      "inputs": [],
-      "name": "paused",
-      "outputs": [
+      "inputs": [
         {
-          "internalType": "bool",
-          "name": "",
-          "type": "bool"
+          "internalType": "uint256",
+          "name": "agreementId",
+          "type": "uint256"
+        },
+        {
+          "internalType": "string",
+          "name": "evidenceURI",
+          "type": "string"
         }
       ],
-      "stateMutability": "view",
+      "name": "raiseDispute",
+      "outputs": [],
+      "stateMutability": "nonpayable",
       "type": "function"
     },
     {
       "inputs": [],
-      "name": "platformFeePercent",
+      "name": "randomnessCoordinator",
       "outputs": [
         {
-          "internalType": "uint256",
+          "internalType": "address",
           "name": "",
-          "type": "uint256"
+          "type": "address"
         }
       ],
       "stateMutability": "view",
@@ -1435,16 +2488,16 @@ export const EscrowABI = [
       "inputs": [
         {
           "internalType": "uint256",
-          "name": "agreementId",
+          "name": "requestId",
           "type": "uint256"
         },
         {
-          "internalType": "string",
-          "name": "evidenceURI",
-          "type": "string"
+          "internalType": "uint256",
+          "name": "randomWord",
+          "type": "uint256"
         }
       ],
-      "name": "raiseDispute",
+      "name": "rawFulfillRandomness",
       "outputs": [],
       "stateMutability": "nonpayable",
       "type": "function"
@@ -1495,6 +2548,19 @@ export const EscrowABI = [
       "stateMutability": "nonpayable",
       "type": "function"
     },
+    {
+      "inputs": [
+        {
+          "internalType": "uint256",
+          "name": "disputeId",
+          "type": "uint256"
+        }
+      ],
+      "name": "retryJurorDraw",
+      "outputs": [],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
     {
       "inputs": [
         {
@@ -1511,37 +2577,71 @@ export const EscrowABI = [
     {
       "inputs": [
         {
-          "internalType": "address",
-          "name": "_rentalNFT",
-          "type": "address"
+          "internalType": "uint256",
+          "name": "disputeId",
+          "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "tenantShare",
+          "type": "uint256"
+        },
+        {
+          "internalType": "bytes32",
+          "name": "salt",
+          "type": "bytes32"
         }
       ],
-      "name": "setRentalNFT",
+      "name": "revealVote",
       "outputs": [],
       "stateMutability": "nonpayable",
       "type": "function"
     },
     {
-      "inputs": [],
-      "name": "stakeAsJuror",
+      "inputs": [
+        {
+          "internalType": "address",
+          "name": "token",
+          "type": "address"
+        },
+        {
+          "internalType": "bool",
+          "name": "allowed",
+          "type": "bool"
+        }
+      ],
+      "name": "setAllowedToken",
       "outputs": [],
-      "stateMutability": "payable",
+      "stateMutability": "nonpayable",
       "type": "function"
     },
     {
       "inputs": [
+        {
+          "internalType": "enum IntegratedEscrowBase.Parameter",
+          "name": "parameter",
+          "type": "uint8"
+        },
         {
           "internalType": "uint256",
-          "name": "disputeId",
+          "name": "value",
           "type": "uint256"
-        },
+        }
+      ],
+      "name": "setParameter",
+      "outputs": [],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
+    {
+      "inputs": [
         {
-          "internalType": "string",
-          "name": "evidenceURI",
-          "type": "string"
+          "internalType": "address",
+          "name": "_coordinator",
+          "type": "address"
         }
       ],
-      "name": "submitEvidence",
+      "name": "setRandomnessCoordinator",
       "outputs": [],
       "stateMutability": "nonpayable",
       "type": "function"
@@ -1550,16 +2650,31 @@ export const EscrowABI = [
       "inputs": [
         {
           "internalType": "address",
-          "name": "",
+          "name": "_rentalNFT",
           "type": "address"
-        },
+        }
+      ],
+      "name": "setRentalNFT",
+      "outputs": [],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
+    {
+      "inputs": [
         {
           "internalType": "uint256",
-          "name": "",
+          "name": "newSlashPercent",
           "type": "uint256"
         }
       ],
-      "name": "tenantAgreements",
+      "name": "setSlashPercent",
+      "outputs": [],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
+    {
+      "inputs": [],
+      "name": "slashPercent",
       "outputs": [
         {
           "internalType": "uint256",
@@ -1570,23 +2685,29 @@ export const EscrowABI = [
       "stateMutability": "view",
       "type": "function"
     },
+    {
+      "inputs": [],
+      "name": "stakeAsJuror",
+      "outputs": [],
+      "stateMutability": "payable",
+      "type": "function"
+    },
     {
       "inputs": [
         {
           "internalType": "uint256",
-          "name": "",
+          "name": "disputeId",
           "type": "uint256"
-        }
-      ],
-      "name": "tokenToAgreement",
-      "outputs": [
+        },
         {
-          "internalType": "uint256",
-          "name": "",
-          "type": "uint256"
+          "internalType": "string",
+          "name": "evidenceURI",
+          "type": "string"
         }
       ],
-      "stateMutability": "view",
+      "name": "submitEvidence",
+      "outputs": [],
+      "stateMutability": "nonpayable",
       "type": "function"
     },
     {
@@ -1629,6 +2750,19 @@ export const EscrowABI = [
       "stateMutability": "nonpayable",
       "type": "function"
     },
+    {
+      "inputs": [],
+      "name": "unstakeDelay",
+      "outputs": [
+        {
+          "internalType": "uint256",
+          "name": "",
+          "type": "uint256"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
     {
       "inputs": [
         {
@@ -1642,8 +2776,52 @@ export const EscrowABI = [
       "stateMutability": "nonpayable",
       "type": "function"
     },
+    {
+      "inputs": [],
+      "name": "votingPeriod",
+      "outputs": [
+        {
+          "internalType": "uint256",
+          "name": "",
+          "type": "uint256"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "address",
+          "name": "token",
+          "type": "address"
+        }
+      ],
+      "name": "withdraw",
+      "outputs": [],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
     {
       "inputs": [
+        {
+          "internalType": "uint256",
+          "name": "tokenId",
+          "type": "uint256"
+        }
+      ],
+      "name": "withdrawBond",
+      "outputs": [],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "address",
+          "name": "token",
+          "type": "address"
+        },
         {
           "internalType": "address",
           "name": "to",
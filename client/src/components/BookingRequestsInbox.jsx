@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Landlord inbox of booking requests awaiting approval
+ */
+
+import { useState, useEffect } from 'react';
+import { toast } from 'sonner';
+import { NBCard } from './NBCard';
+import { NBButton } from './NBButton';
+import { web3Service } from '@/lib/services/web3Service';
+import { Calendar, Check, X, Clock, Inbox } from 'lucide-react';
+
+/**
+ * Time left to answer a request, or null once the deadline passed
+ */
+const timeLeft = (respondBy) => {
+  const hours = Math.floor((respondBy - Date.now()) / (60 * 60 * 1000));
+  if (hours < 0) return null;
+  return hours >= 24 ? `${Math.floor(hours / 24)}d ${hours % 24}h left` : `${hours}h left`;
+};
+
+/**
+ * Pending booking requests across the landlord's properties, with approve and decline actions.
+ * Requests past their deadline can only be refunded, and approved stays whose tenant never
+ * checked in can be released. Renders nothing on protocols without requests.
+ * @param {Object} props
+ * @param {Object[]} props.properties - The landlord's properties, with tokenId and title
+ * @param {string} [props.className] - Additional CSS classes
+ */
+export function BookingRequestsInbox({ properties, className }) {
+  const [requests, setRequests] = useState([]);
+  const [pendingKey, setPendingKey] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    if (!web3Service.supports('requests') || properties.length === 0) {
+      return;
+    }
+
+    Promise.all(properties.map(async (property) => {
+      const result = await web3Service.getBookingRequests(property.tokenId);
+      return result.success
+        ? result.requests.map(request => ({ ...request, title: property.title }))
+        : [];
+    })).then(results => {
+      setRequests(results.flat().sort((a, b) => a.respondBy - b.respondBy));
+    });
+  }, [properties, reloadKey]);
+
+  if (!web3Service.supports('requests')) {
+    return null;
+  }
+
+  const runAction = async (request, action, successMessage) => {
+    setPendingKey(`${request.tokenId}-${request.tenant}-${request.checkIn}`);
+    const result = await action();
+    setPendingKey(null);
+
+    if (!result.success) {
+      toast.error('Transaction failed. Please try again.');
+      return;
+    }
+    toast.success(successMessage, {
+      description: `Transaction: ${result.txnHash.slice(0, 10)}...`
+    });
+    setReloadKey(key => key + 1);
+  };
+
+  const handleApprove = (request) => runAction(
+    request,
+    () => web3Service.approveBooking(request.tokenId, request.tenant, request.checkIn),
+    'Booking approved'
+  );
+
+  const handleDecline = (request) => runAction(
+    request,
+    () => web3Service.declineBooking(request.tokenId, request.tenant, request.checkIn),
+    'Booking declined and refunded'
+  );
+
+  const handleRefundExpired = (request) => runAction(
+    request,
+    () => web3Service.expireRequests(request.tokenId),
+    'Expired requests refunded'
+  );
+
+  const handleReleaseNoShow = (request) => runAction(
+    request,
+    () => web3Service.expireBooking(request.tokenId, request.tenant, request.checkIn),
+    'Booking released and refunded'
+  );
+
+  return (
+    <NBCard className={className}>
+      <h2 className="font-display font-bold text-xl text-nb-ink mb-4">
+        Booking Requests ({requests.length})
+      </h2>
+
+      {requests.length === 0 ? (
+        <div className="flex items-center text-nb-ink/70">
+          <Inbox className="w-5 h-5 mr-2" />
+          No requests waiting for you.
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {requests.map(request => {
+            const key = `${request.tokenId}-${request.tenant}-${request.checkIn}`;
+            const remaining = timeLeft(request.respondBy);
+            const isPending = pendingKey === key;
+
+            return (
+              <div key={key} className="flex flex-wrap items-center justify-between gap-3 p-4 border-2 border-nb-ink rounded-nb">
+                <div>
+                  <p className="font-medium text-nb-ink">
+                    {request.title} <span className="text-nb-ink/50">• Token ID: {request.tokenId}</span>
+                  </p>
+                  <p className="text-sm text-nb-ink/70 flex items-center">
+                    <Calendar className="w-4 h-4 mr-1" />
+                    {request.checkIn} → {request.checkOut} • {request.tenant.slice(0, 6)}...{request.tenant.slice(-4)}
+                  </p>
+                  <p className={`text-xs flex items-center mt-1 ${remaining && !request.noShow ? 'text-nb-ink/50' : 'text-nb-error'}`}>
+                    <Clock className="w-3 h-3 mr-1" />
+                    {request.noShow ? 'Not checked in' : remaining || 'Expired'} • ₹{Number(request.totalPaid).toLocaleString()} held
+                  </p>
+                </div>
+                <div className="flex gap-2">
+                  {request.noShow ? (
+                    <NBButton
+                      size="sm"
+                      variant="secondary"
+                      onClick={() => handleReleaseNoShow(request)}
+                      disabled={isPending}
+                    >
+                      Release Dates
+                    </NBButton>
+                  ) : remaining ? (
+                    <>
+                      <NBButton
+                        size="sm"
+                        onClick={() => handleApprove(request)}
+                        disabled={isPending}
+                        icon={<Check className="w-4 h-4" />}
+                      >
+                        Approve
+                      </NBButton>
+                      <NBButton
+                        size="sm"
+                        variant="destructive"
+                        onClick={() => handleDecline(request)}
+                        disabled={isPending}
+                        icon={<X className="w-4 h-4" />}
+                      >
+                        Decline
+                      </NBButton>
+                    </>
+                  ) : (
+                    <NBButton
+                      size="sm"
+                      variant="secondary"
+                      onClick={() => handleRefundExpired(request)}
+                      disabled={isPending}
+                    >
+                      Refund Tenant
+                    </NBButton>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </NBCard>
+  );
+}
@@ -0,0 +1,116 @@
+/**
+ * @fileoverview Month calendar for picking a stay around dates that are already booked
+ */
+
+import { useState } from 'react';
+import { cn } from '@/lib/utils';
+import { toDayKey, addDays, overlapsBooked } from '@/lib/dates';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+
+const WEEKDAYS = ['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa'];
+
+/**
+ * Day keys shown for a month, padded with nulls up to its first weekday
+ */
+const monthDays = (year, month) => {
+  const first = new Date(Date.UTC(year, month, 1));
+  const count = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const days = Array(first.getUTCDay()).fill(null);
+  for (let i = 0; i < count; i++) {
+    days.push(addDays(toDayKey(first), i));
+  }
+  return days;
+};
+
+/**
+ * Calendar that picks a check-in and check-out day. Booked nights and the inspection windows
+ * that keep stays apart cannot be picked, and a stay cannot span them.
+ * @param {Object} props
+ * @param {{ checkIn: string, checkOut: string }} props.value - Selected days, empty strings when unset
+ * @param {Function} props.onChange - Called with the new { checkIn, checkOut }
+ * @param {import('@/lib/types').BookedRange[]} [props.bookedRanges] - Stays already taken
+ * @param {string} [props.minDate] - First selectable day, defaults to today
+ * @param {string} [props.className] - Additional CSS classes
+ */
+export function DateRangePicker({ value, onChange, bookedRanges = [], minDate, className }) {
+  const firstDay = minDate && minDate > toDayKey() ? minDate : toDayKey();
+  const [visibleMonth, setVisibleMonth] = useState(() => {
+    const start = new Date(`${value.checkIn || firstDay}T00:00:00Z`);
+    return { year: start.getUTCFullYear(), month: start.getUTCMonth() };
+  });
+
+  const isBooked = (day) => bookedRanges.some(range => range.blockedFrom <= day && day < range.blockedUntil);
+
+  const handleSelect = (day) => {
+    const { checkIn, checkOut } = value;
+
+    // A second click after check-in closes the stay if no booked night falls inside it
+    if (checkIn && !checkOut && day > checkIn && !overlapsBooked(checkIn, day, bookedRanges)) {
+      onChange({ checkIn, checkOut: day });
+      return;
+    }
+    if (!isBooked(day)) {
+      onChange({ checkIn: day, checkOut: '' });
+    }
+  };
+
+  const shiftMonth = (delta) => {
+    setVisibleMonth(({ year, month }) => {
+      const next = new Date(Date.UTC(year, month + delta, 1));
+      return { year: next.getUTCFullYear(), month: next.getUTCMonth() };
+    });
+  };
+
+  const monthLabel = new Date(Date.UTC(visibleMonth.year, visibleMonth.month, 1))
+    .toLocaleDateString(undefined, { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+  return (
+    <div className={cn('border-2 border-nb-ink rounded-nb bg-nb-bg p-3', className)}>
+      <div className="flex items-center justify-between mb-2">
+        <button type="button" onClick={() => shiftMonth(-1)} aria-label="Previous month" className="p-1 text-nb-ink hover:text-nb-accent">
+          <ChevronLeft className="w-4 h-4" />
+        </button>
+        <span className="text-sm font-medium text-nb-ink">{monthLabel}</span>
+        <button type="button" onClick={() => shiftMonth(1)} aria-label="Next month" className="p-1 text-nb-ink hover:text-nb-accent">
+          <ChevronRight className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-7 gap-1 text-center">
+        {WEEKDAYS.map(weekday => (
+          <span key={weekday} className="text-xs text-nb-ink/50">{weekday}</span>
+        ))}
+        {monthDays(visibleMonth.year, visibleMonth.month).map((day, index) => {
+          if (!day) {
+            return <span key={`pad-${index}`} />;
+          }
+
+          const booked = isBooked(day);
+          const isEndpoint = day === value.checkIn || day === value.checkOut;
+          const inStay = value.checkIn && value.checkOut && day > value.checkIn && day < value.checkOut;
+          // Booked nights stay clickable only as the check-out that ends a stay right before them
+          const canCheckOut = value.checkIn && !value.checkOut && day > value.checkIn
+            && !overlapsBooked(value.checkIn, day, bookedRanges);
+
+          return (
+            <button
+              key={day}
+              type="button"
+              onClick={() => handleSelect(day)}
+              disabled={day < firstDay || (booked && !canCheckOut)}
+              className={cn(
+                'py-1 text-sm rounded-nb border-2 border-transparent text-nb-ink',
+                'disabled:cursor-not-allowed disabled:text-nb-ink/30',
+                booked && 'line-through',
+                inStay && 'bg-nb-accent/30',
+                isEndpoint ? 'bg-nb-accent border-nb-ink font-bold' : 'hover:border-nb-ink'
+              )}
+            >
+              {Number(day.slice(8))}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -8,29 +8,38 @@ import { NBCard } from './NBCard';
 import { NBButton } from './NBButton';
 import { Search, Filter, X } from 'lucide-react';
 
+/**
+ * Whether a filter value narrows the results
+ */
+const isSet = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value) && value !== 'all');
+
 /**
  * Property filters component that syncs with URL search params
  * @param {Object} props
  * @param {string} props.query - Current search query
  * @param {Function} props.onChange - Filter change handler
- * @param {string[]} [props.cities] - Available cities for filter
- * @param {string[]} [props.propertyTypes] - Available property types
+ * @param {Partial<import('@/lib/types').ListingFacets>} [props.facets] - Cities, property types and amenities to offer, with counts
  * @param {string} [props.className] - Additional CSS classes
  */
 export function FilterBar({ 
   query = '', 
   onChange, 
-  cities = [], 
-  propertyTypes = [],
+  facets = {},
   className 
 }) {
+  const { cities = [], propertyTypes = [], amenities = [] } = facets;
   const [filters, setFilters] = useState({
     query: query || '',
     city: 'all',
     propertyType: 'all',
     minPrice: '',
     maxPrice: '',
-    minDuration: ''
+    minDeposit: '',
+    maxDeposit: '',
+    minDuration: '',
+    checkIn: '',
+    checkOut: '',
+    amenities: []
   });
 
   const [showAdvanced, setShowAdvanced] = useState(false);
@@ -44,7 +53,12 @@ export function FilterBar({
       propertyType: urlParams.get('propertyType') || 'all',
       minPrice: urlParams.get('minPrice') || '',
       maxPrice: urlParams.get('maxPrice') || '',
-      minDuration: urlParams.get('minDuration') || ''
+      minDeposit: urlParams.get('minDeposit') || '',
+      maxDeposit: urlParams.get('maxDeposit') || '',
+      minDuration: urlParams.get('minDuration') || '',
+      checkIn: urlParams.get('checkIn') || '',
+      checkOut: urlParams.get('checkOut') || '',
+      amenities: urlParams.get('amenities')?.split(',').filter(Boolean) || []
     };
     setFilters(newFilters);
   }, []);
@@ -53,11 +67,11 @@ export function FilterBar({
     const newFilters = { ...filters, [key]: value };
     setFilters(newFilters);
     
-    // Update URL params
+    // Update URL params, amenities as a comma-separated list
     const urlParams = new URLSearchParams();
     Object.entries(newFilters).forEach(([k, v]) => {
-      if (v && v !== 'all' && v !== '') {
-        urlParams.set(k, v);
+      if (isSet(v)) {
+        urlParams.set(k, Array.isArray(v) ? v.join(',') : v);
       }
     });
     
@@ -66,11 +80,17 @@ export function FilterBar({
     
     // Call onChange with clean filters (remove empty values)
     const cleanFilters = Object.fromEntries(
-      Object.entries(newFilters).filter(([_, v]) => v && v !== 'all' && v !== '')
+      Object.entries(newFilters).filter(([, v]) => isSet(v))
     );
     onChange(cleanFilters);
   };
 
+  const toggleAmenity = (amenity) => {
+    handleFilterChange('amenities', filters.amenities.includes(amenity)
+      ? filters.amenities.filter(item => item !== amenity)
+      : [...filters.amenities, amenity]);
+  };
+
   const clearFilters = () => {
     const clearedFilters = {
       query: '',
@@ -78,14 +98,19 @@ export function FilterBar({
       propertyType: 'all',
       minPrice: '',
       maxPrice: '',
-      minDuration: ''
+      minDeposit: '',
+      maxDeposit: '',
+      minDuration: '',
+      checkIn: '',
+      checkOut: '',
+      amenities: []
     };
     setFilters(clearedFilters);
     window.history.replaceState({}, '', window.location.pathname);
     onChange({});
   };
 
-  const hasActiveFilters = Object.values(filters).some(v => v && v !== 'all' && v !== '');
+  const hasActiveFilters = Object.values(filters).some(isSet);
 
   return (
     <NBCard className={cn('space-y-4', className)}>
@@ -112,7 +137,7 @@ export function FilterBar({
         >
           <option value="all">All Cities</option>
           {cities.map(city => (
-            <option key={city} value={city}>{city}</option>
+            <option key={city.value} value={city.value}>{city.value} ({city.count})</option>
           ))}
         </select>
 
@@ -124,7 +149,7 @@ export function FilterBar({
         >
           <option value="all">All Types</option>
           {propertyTypes.map(type => (
-            <option key={type} value={type}>{type}</option>
+            <option key={type.value} value={type.value}>{type.value} ({type.count})</option>
           ))}
         </select>
 
@@ -178,6 +203,32 @@ export function FilterBar({
             />
           </div>
           
+          <div>
+            <label className="block text-sm font-medium text-nb-ink mb-1">
+              Min Deposit (₹)
+            </label>
+            <input
+              type="number"
+              placeholder="20000"
+              value={filters.minDeposit}
+              onChange={(e) => handleFilterChange('minDeposit', e.target.value)}
+              className="w-full px-3 py-2 border-2 border-nb-ink rounded-nb bg-nb-bg text-nb-ink placeholder-nb-ink/50 focus:outline-none focus:ring-4 focus:ring-nb-accent"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-nb-ink mb-1">
+              Max Deposit (₹)
+            </label>
+            <input
+              type="number"
+              placeholder="100000"
+              value={filters.maxDeposit}
+              onChange={(e) => handleFilterChange('maxDeposit', e.target.value)}
+              className="w-full px-3 py-2 border-2 border-nb-ink rounded-nb bg-nb-bg text-nb-ink placeholder-nb-ink/50 focus:outline-none focus:ring-4 focus:ring-nb-accent"
+            />
+          </div>
+
           <div>
             <label className="block text-sm font-medium text-nb-ink mb-1">
               Min Duration (months)
@@ -190,6 +241,56 @@ export function FilterBar({
               className="w-full px-3 py-2 border-2 border-nb-ink rounded-nb bg-nb-bg text-nb-ink placeholder-nb-ink/50 focus:outline-none focus:ring-4 focus:ring-nb-accent"
             />
           </div>
+
+          <div>
+            <label className="block text-sm font-medium text-nb-ink mb-1">
+              Check-in
+            </label>
+            <input
+              type="date"
+              value={filters.checkIn}
+              onChange={(e) => handleFilterChange('checkIn', e.target.value)}
+              className="w-full px-3 py-2 border-2 border-nb-ink rounded-nb bg-nb-bg text-nb-ink focus:outline-none focus:ring-4 focus:ring-nb-accent"
+              data-testid="filter-check-in"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-nb-ink mb-1">
+              Check-out
+            </label>
+            <input
+              type="date"
+              min={filters.checkIn || undefined}
+              value={filters.checkOut}
+              onChange={(e) => handleFilterChange('checkOut', e.target.value)}
+              className="w-full px-3 py-2 border-2 border-nb-ink rounded-nb bg-nb-bg text-nb-ink focus:outline-none focus:ring-4 focus:ring-nb-accent"
+              data-testid="filter-check-out"
+            />
+          </div>
+
+          {amenities.length > 0 && (
+            <div className="md:col-span-3">
+              <label className="block text-sm font-medium text-nb-ink mb-1">
+                Amenities
+              </label>
+              <div className="flex flex-wrap gap-2">
+                {amenities.map(amenity => (
+                  <button
+                    key={amenity.value}
+                    type="button"
+                    onClick={() => toggleAmenity(amenity.value)}
+                    className={cn(
+                      'px-3 py-1 text-sm border-2 border-nb-ink rounded-nb text-nb-ink',
+                      filters.amenities.includes(amenity.value) ? 'bg-nb-accent font-medium' : 'bg-nb-bg hover:bg-nb-accent/30'
+                    )}
+                  >
+                    {amenity.value} ({amenity.count})
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
         </div>
       )}
 
@@ -197,12 +298,33 @@ export function FilterBar({
       {hasActiveFilters && (
         <div className="flex flex-wrap gap-2">
           {Object.entries(filters).map(([key, value]) => {
-            if (!value || value === 'all' || value === '') return null;
+            if (!isSet(value)) return null;
+
+            if (key === 'amenities') {
+              return value.map(amenity => (
+                <span
+                  key={`amenity-${amenity}`}
+                  className="inline-flex items-center px-2 py-1 bg-nb-accent text-nb-ink text-xs rounded border border-nb-ink"
+                >
+                  {amenity}
+                  <button
+                    onClick={() => toggleAmenity(amenity)}
+                    className="ml-1 hover:text-nb-error"
+                  >
+                    <X className="w-3 h-3" />
+                  </button>
+                </span>
+              ));
+            }
             
             const displayValue = key === 'query' ? `"${value}"` : 
                                key === 'minPrice' ? `₹${value}+` :
                                key === 'maxPrice' ? `₹${value}-` :
+                               key === 'minDeposit' ? `Deposit ₹${value}+` :
+                               key === 'maxDeposit' ? `Deposit ₹${value}-` :
                                key === 'minDuration' ? `${value}+ months` :
+                               key === 'checkIn' ? `From ${value}` :
+                               key === 'checkOut' ? `Until ${value}` :
                                value;
             
             return (
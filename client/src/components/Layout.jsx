@@ -6,7 +6,7 @@ import { Link, useLocation } from 'react-router-dom';
 import { cn } from '@/lib/utils';
 import { NBButton } from './NBButton';
 import { useAppStore } from '@/lib/stores/useAppStore';
-import { Home, Building, Search, Gavel, User, Menu, X, Wallet, LogOut } from 'lucide-react';
+import { Home, Building, Search, Gavel, Shield, User, Menu, X, Wallet, LogOut } from 'lucide-react';
 import { useState, useEffect } from 'react';
 import { toast } from 'sonner';
 
@@ -22,6 +22,8 @@ export function Layout({ children }) {
     switchRole, 
     web3, 
     initializeWeb3, 
+    connectWallet,
+    restoreSession,
     disconnectWeb3 
   } = useAppStore();
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
@@ -31,7 +33,8 @@ export function Layout({ children }) {
     { path: '/', label: 'Home', icon: Home, testId: 'nav-home' },
     { path: '/landlord', label: 'Landlord', icon: Building, testId: 'nav-landlord' },
     { path: '/tenant', label: 'Tenant', icon: Search, testId: 'nav-tenant' },
-    { path: '/jury', label: 'Jury', icon: Gavel, testId: 'nav-jury' }
+    { path: '/jury', label: 'Jury', icon: Gavel, testId: 'nav-jury' },
+    { path: '/admin', label: 'Admin', icon: Shield, testId: 'nav-admin' }
   ];
 
   const isActivePath = (path) => {
@@ -39,7 +42,7 @@ export function Layout({ children }) {
     return location.pathname.startsWith(path);
   };
 
-  // Check for existing wallet connection on mount
+  // Check for existing wallet connection on mount; the store is read directly so the check runs only once
   useEffect(() => {
     const checkExistingConnection = async () => {
       // Check if MetaMask is installed and has accounts
@@ -49,9 +52,11 @@ export function Layout({ children }) {
             method: 'eth_accounts' 
           });
           
+          const { web3, initializeWeb3, restoreSession } = useAppStore.getState();
           if (accounts.length > 0 && !web3.isConnected) {
-            // Auto-connect if account is available
+            // Auto-connect if account is available, keeping an earlier sign-in
             await initializeWeb3();
+            await restoreSession();
           }
         } catch (error) {
           console.log('No existing wallet connection');
@@ -71,8 +76,8 @@ export function Layout({ children }) {
           disconnectWeb3();
           toast.info('Wallet disconnected');
         } else if (accounts[0] !== web3.account) {
-          // Account changed
-          initializeWeb3();
+          // Account changed; the new account's session, if any, replaces the old one
+          initializeWeb3().then(restoreSession);
           toast.info('Wallet account changed');
         }
       };
@@ -90,7 +95,7 @@ export function Layout({ children }) {
         window.ethereum.removeListener('chainChanged', handleChainChanged);
       };
     }
-  }, [web3.account, initializeWeb3, disconnectWeb3]);
+  }, [web3.account, initializeWeb3, restoreSession, disconnectWeb3]);
 
   const handleConnectWallet = async () => {
     if (!window.ethereum) {
@@ -100,9 +105,11 @@ export function Layout({ children }) {
 
     setIsConnecting(true);
     try {
-      await initializeWeb3();
-      if (web3.isConnected) {
+      const result = await connectWallet();
+      if (result.success) {
         toast.success('Wallet connected successfully!');
+      } else {
+        toast.error('Failed to connect wallet: ' + result.error);
       }
     } catch (error) {
       toast.error('Failed to connect wallet: ' + error.message);
@@ -5,6 +5,7 @@
 import { cn } from '@/lib/utils';
 import { NBCard } from './NBCard';
 import { NBButton } from './NBButton';
+import { LandlordBadge } from './LandlordBadge';
 import { MapPin, IndianRupee } from 'lucide-react';
 
 /**
@@ -17,6 +18,7 @@ import { MapPin, IndianRupee } from 'lucide-react';
  * @param {number} props.deposit - Security deposit
  * @param {string} props.coverImage - Cover image URL
  * @param {string[]} [props.badges] - Property badges/tags
+ * @param {string} [props.landlord] - Landlord address, shows their escrow record and bond
  * @param {Function} props.onView - View handler function
  * @param {string} [props.className] - Additional CSS classes
  */
@@ -28,6 +30,7 @@ export function ListingCard({
   deposit,
   coverImage,
   badges = [],
+  landlord,
   onView,
   className
 }) {
@@ -67,6 +70,7 @@ export function ListingCard({
             <MapPin className="w-4 h-4 mr-1" />
             {city}
           </div>
+          {landlord && <LandlordBadge landlord={landlord} tokenId={id} className="mt-2" />}
         </div>
 
         {/* Pricing */}
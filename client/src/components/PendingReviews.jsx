@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Card for rating the other party of completed escrow agreements
+ */
+
+import { useState, useEffect } from 'react';
+import { toast } from 'sonner';
+import { NBCard } from './NBCard';
+import { NBButton } from './NBButton';
+import { reviewService } from '@/lib/services/reviewService';
+import { web3Service } from '@/lib/services/web3Service';
+import { Star, Send } from 'lucide-react';
+
+/**
+ * Review form for one completed agreement
+ */
+function PendingReviewForm({ item, onSubmitted }) {
+  const [rating, setRating] = useState(0);
+  const [text, setText] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    const result = await reviewService.submitReview(item.agreementId, rating, text.trim());
+    setSubmitting(false);
+
+    if (!result.success) {
+      toast.error('Failed to submit review');
+      return;
+    }
+    toast.success('Review submitted', {
+      description: `Transaction: ${result.txnHash.slice(0, 10)}...`
+    });
+    onSubmitted(item.agreementId);
+  };
+
+  return (
+    <div className="border-2 border-nb-ink rounded-nb p-4 space-y-3">
+      <div className="flex justify-between items-center">
+        <div>
+          <p className="font-medium text-nb-ink">
+            Rate your {item.role === 'tenant' ? 'landlord' : 'tenant'} {item.counterpartyName}
+          </p>
+          <p className="text-xs text-nb-ink/50">
+            Agreement #{item.agreementId} • Token ID: {item.tokenId}
+          </p>
+        </div>
+        <div className="flex items-center space-x-1">
+          {[1, 2, 3, 4, 5].map((star) => (
+            <button key={star} type="button" onClick={() => setRating(star)} aria-label={`${star} stars`}>
+              <Star className={`w-5 h-5 ${star <= rating ? 'fill-current text-nb-warn' : 'text-nb-ink/20'}`} />
+            </button>
+          ))}
+        </div>
+      </div>
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        rows={3}
+        className="w-full px-3 py-2 border-2 border-nb-ink rounded-nb bg-nb-bg text-nb-ink focus:outline-none focus:ring-4 focus:ring-nb-accent"
+        placeholder="How was the stay?"
+      />
+      <NBButton
+        size="sm"
+        onClick={handleSubmit}
+        disabled={submitting || rating === 0 || !text.trim()}
+        icon={<Send className="w-4 h-4" />}
+      >
+        {submitting ? 'Submitting...' : 'Submit Review'}
+      </NBButton>
+    </div>
+  );
+}
+
+/**
+ * Completed agreements the connected wallet can still review, as tenant or landlord.
+ * Renders nothing without a RentalReviews deployment or when nothing is left to review.
+ * @param {Object} props
+ * @param {string} [props.className] - Additional CSS classes
+ */
+export function PendingReviews({ className }) {
+  const [pending, setPending] = useState([]);
+
+  useEffect(() => {
+    if (!reviewService.isConfigured() || !web3Service.isWeb3Connected()) {
+      return;
+    }
+
+    reviewService.getPendingReviews().then((result) => {
+      if (result.success) {
+        setPending(result.pending);
+      }
+    });
+  }, []);
+
+  if (pending.length === 0) {
+    return null;
+  }
+
+  const handleSubmitted = (agreementId) => {
+    setPending(items => items.filter(item => item.agreementId !== agreementId));
+  };
+
+  return (
+    <NBCard className={className}>
+      <h3 className="font-display font-bold text-lg text-nb-ink mb-4">
+        Leave a Review ({pending.length})
+      </h3>
+      <div className="space-y-4">
+        {pending.map(item => (
+          <PendingReviewForm key={item.agreementId} item={item} onSubmitted={handleSubmitted} />
+        ))}
+      </div>
+    </NBCard>
+  );
+}
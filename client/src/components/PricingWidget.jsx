@@ -6,15 +6,21 @@ import { useState } from 'react';
 import { cn } from '@/lib/utils';
 import { NBCard } from './NBCard';
 import { NBButton } from './NBButton';
+import { DateRangePicker } from './DateRangePicker';
+import { nightsBetween } from '@/lib/dates';
 import { IndianRupee, Calendar, Shield, AlertTriangle } from 'lucide-react';
 
 /**
  * Shows pricing breakdown and booking CTA
  * @param {Object} props
- * @param {number} props.rentPerMonth - Monthly rent amount
+ * @param {number} props.rentPerMonth - Monthly rent amount, or nightly when stays are picked on a calendar
  * @param {number} props.deposit - Security deposit amount
  * @param {number} props.disputeFee - Dispute fee amount
  * @param {Function} props.onBook - Booking handler function
+ * @param {import('@/lib/types').BookedRange[]} [props.bookedRanges] - Taken stays; when given,
+ *   the stay is picked on a calendar and rent is paid for each night instead of choosing months
+ * @param {string} [props.availableFrom] - First day the calendar offers
+ * @param {boolean} [props.disabled] - Disable booking
  * @param {string} [props.className] - Additional CSS classes
  */
 export function PricingWidget({ 
@@ -22,12 +28,20 @@ export function PricingWidget({
   deposit, 
   disputeFee, 
   onBook, 
+  bookedRanges,
+  availableFrom,
+  disabled = false,
   className 
 }) {
   const [duration, setDuration] = useState(6);
+  const [stay, setStay] = useState({ checkIn: '', checkOut: '' });
   const [showModal, setShowModal] = useState(false);
 
-  const totalRent = rentPerMonth * duration;
+  const usesCalendar = Boolean(bookedRanges);
+  const hasStay = Boolean(stay.checkIn && stay.checkOut);
+  const nights = hasStay ? nightsBetween(stay.checkIn, stay.checkOut) : 0;
+
+  const totalRent = rentPerMonth * (usesCalendar ? nights : duration);
   const totalAmount = totalRent + deposit + disputeFee;
 
   const handleBooking = () => {
@@ -37,6 +51,7 @@ export function PricingWidget({
   const confirmBooking = () => {
     onBook({
       durationMonths: duration,
+      ...(usesCalendar && { checkIn: stay.checkIn, checkOut: stay.checkOut }),
       totalAmount,
       breakdown: {
         rent: totalRent,
@@ -57,34 +72,54 @@ export function PricingWidget({
               <IndianRupee className="w-6 h-6" />
               {rentPerMonth.toLocaleString()}
               <span className="text-base font-body font-normal text-nb-ink/70 ml-1">
-                /month
+                {usesCalendar ? '/night' : '/month'}
               </span>
             </div>
           </div>
 
+          {/* Stay Dates */}
+          {usesCalendar && (
+            <div>
+              <label className="block text-sm font-medium text-nb-ink mb-2">
+                <Calendar className="w-4 h-4 inline mr-1" />
+                {hasStay
+                  ? `${stay.checkIn} → ${stay.checkOut} (${nights} night${nights > 1 ? 's' : ''})`
+                  : stay.checkIn ? 'Select check-out' : 'Select check-in'}
+              </label>
+              <DateRangePicker
+                value={stay}
+                onChange={setStay}
+                bookedRanges={bookedRanges}
+                minDate={availableFrom}
+              />
+            </div>
+          )}
+
           {/* Duration Selector */}
-          <div>
-            <label className="block text-sm font-medium text-nb-ink mb-2">
-              <Calendar className="w-4 h-4 inline mr-1" />
-              Rental Duration
-            </label>
-            <select
-              value={duration}
-              onChange={(e) => setDuration(Number(e.target.value))}
-              className="w-full px-3 py-2 border-2 border-nb-ink rounded-nb bg-nb-bg text-nb-ink focus:outline-none focus:ring-4 focus:ring-nb-accent"
-            >
-              {Array.from({ length: 12 }, (_, i) => i + 3).map(months => (
-                <option key={months} value={months}>
-                  {months} month{months > 1 ? 's' : ''}
-                </option>
-              ))}
-            </select>
-          </div>
+          {!usesCalendar && (
+            <div>
+              <label className="block text-sm font-medium text-nb-ink mb-2">
+                <Calendar className="w-4 h-4 inline mr-1" />
+                Rental Duration
+              </label>
+              <select
+                value={duration}
+                onChange={(e) => setDuration(Number(e.target.value))}
+                className="w-full px-3 py-2 border-2 border-nb-ink rounded-nb bg-nb-bg text-nb-ink focus:outline-none focus:ring-4 focus:ring-nb-accent"
+              >
+                {Array.from({ length: 12 }, (_, i) => i + 3).map(months => (
+                  <option key={months} value={months}>
+                    {months} month{months > 1 ? 's' : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
 
           {/* Pricing Breakdown */}
           <div className="space-y-3 pt-4 border-t-2 border-nb-ink/20">
             <div className="flex justify-between items-center">
-              <span className="text-nb-ink">Rent ({duration} months)</span>
+              <span className="text-nb-ink">{usesCalendar ? `Rent (${nights} night${nights === 1 ? '' : 's'})` : `Rent (${duration} months)`}</span>
               <div className="flex items-center font-medium text-nb-ink">
                 <IndianRupee className="w-4 h-4" />
                 {totalRent.toLocaleString()}
@@ -136,6 +171,7 @@ export function PricingWidget({
           {/* Book Button */}
           <NBButton
             onClick={handleBooking}
+            disabled={disabled || (usesCalendar && !hasStay)}
             className="w-full"
             size="lg"
             data-testid="book-listing"
@@ -157,8 +193,10 @@ export function PricingWidget({
               
               <div className="space-y-2">
                 <div className="flex justify-between">
-                  <span>Duration:</span>
-                  <span className="font-medium">{duration} months</span>
+                  <span>{usesCalendar ? 'Stay:' : 'Duration:'}</span>
+                  <span className="font-medium">
+                    {usesCalendar ? `${stay.checkIn} → ${stay.checkOut}` : `${duration} months`}
+                  </span>
                 </div>
                 <div className="flex justify-between">
                   <span>Total Amount:</span>
@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Review list component
+ */
+
+import { cn } from '@/lib/utils';
+import { Star } from 'lucide-react';
+
+/**
+ * Star rating out of five
+ * @param {Object} props
+ * @param {number} props.rating - Stars to fill
+ * @param {string} [props.className] - Star size classes
+ */
+export function StarRating({ rating, className = 'w-3 h-3' }) {
+  return (
+    <div className="flex items-center space-x-1">
+      {[1, 2, 3, 4, 5].map((star) => (
+        <Star
+          key={star}
+          className={cn(className, star <= rating ? 'fill-current text-nb-warn' : 'text-nb-ink/20')}
+        />
+      ))}
+    </div>
+  );
+}
+
+/**
+ * List of reviews with reviewer, stars and text
+ * @param {Object} props
+ * @param {Object[]} props.reviews - Reviews with name, avatar, rating and text
+ * @param {string} [props.emptyMessage] - Shown when there are no reviews
+ * @param {string} [props.className] - Additional CSS classes
+ */
+export function ReviewList({ reviews, emptyMessage = 'No reviews yet.', className }) {
+  if (reviews.length === 0) {
+    return <p className={cn('text-nb-ink/70', className)}>{emptyMessage}</p>;
+  }
+
+  return (
+    <div className={cn('space-y-6', className)}>
+      {reviews.map((review, index) => (
+        <div key={review.uri || index} className="border-b border-nb-ink/20 pb-6 last:border-b-0">
+          <div className="flex items-center space-x-3 mb-3">
+            <div className="w-10 h-10 bg-nb-accent rounded-full flex items-center justify-center border-2 border-nb-ink">
+              <span className="text-sm font-bold text-nb-ink">{review.avatar}</span>
+            </div>
+            <div>
+              <h4 className="font-medium text-nb-ink">{review.name}</h4>
+              <StarRating rating={review.rating} />
+            </div>
+          </div>
+          <p className="text-nb-ink/80 leading-relaxed">
+            {review.text}
+          </p>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,64 @@
+/**
+ * @fileoverview Calendar-day helpers for stays. Days are 'YYYY-MM-DD' keys in UTC, the same
+ * days the FairBNB contract counts, and a stay's check-out day is not part of it.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Day key for a Date (defaults to today)
+ * @param {Date} [date]
+ * @returns {string}
+ */
+export function toDayKey(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Shift a day key by a number of days
+ * @param {string} day - 'YYYY-MM-DD'
+ * @param {number} days - May be negative
+ * @returns {string}
+ */
+export function addDays(day, days) {
+  return toDayKey(new Date(Date.parse(`${day}T00:00:00Z`) + days * DAY_MS));
+}
+
+/**
+ * Number of nights between check-in and check-out
+ * @param {string} checkIn
+ * @param {string} checkOut
+ * @returns {number}
+ */
+export function nightsBetween(checkIn, checkOut) {
+  return Math.round((Date.parse(`${checkOut}T00:00:00Z`) - Date.parse(`${checkIn}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * Days since the Unix epoch, as stored on-chain
+ * @param {string} day
+ * @returns {number}
+ */
+export function toEpochDay(day) {
+  return Date.parse(`${day}T00:00:00Z`) / DAY_MS;
+}
+
+/**
+ * Day key for a count of days since the Unix epoch
+ * @param {number|bigint} epochDay
+ * @returns {string}
+ */
+export function fromEpochDay(epochDay) {
+  return toDayKey(new Date(Number(epochDay) * DAY_MS));
+}
+
+/**
+ * Check whether a stay overlaps any booked range, inspection windows included
+ * @param {string} checkIn
+ * @param {string} checkOut
+ * @param {import('./types').BookedRange[]} ranges
+ * @returns {boolean}
+ */
+export function overlapsBooked(checkIn, checkOut, ranges) {
+  return ranges.some(range => checkIn < range.blockedUntil && range.blockedFrom < checkOut);
+}
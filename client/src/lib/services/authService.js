@@ -0,0 +1,206 @@
+/**
+ * @fileoverview Auth service for Sign-In With Ethereum (EIP-4361) sessions on the API server in server/
+ */
+
+import { ethers } from 'ethers';
+
+// Auth configuration; sessions live on the same server as the indexer
+const AUTH_CONFIG = {
+  url: (import.meta.env.VITE_INDEXER_URL || '').replace(/\/$/, ''),
+  storageKey: 'fairbnb_session',
+  statement: 'Sign in to FairBNB to upload files and use your account.',
+  // Sessions this close to expiry are renewed before use
+  renewBefore: 5 * 60 * 1000
+};
+
+/**
+ * @typedef {Object} Session
+ * @property {string} token - Bearer token for private endpoints
+ * @property {string} address - Checksummed address that signed in
+ * @property {('landlord'|'tenant'|'juror')[]} roles - Roles the contracts give the address
+ * @property {number} expiresAt - Milliseconds since the epoch
+ */
+
+/**
+ * EIP-4361 message for the page's own domain
+ */
+const buildMessage = ({ address, chainId, nonce }) => [
+  `${window.location.host} wants you to sign in with your Ethereum account:`,
+  address,
+  '',
+  AUTH_CONFIG.statement,
+  '',
+  `URI: ${window.location.origin}`,
+  'Version: 1',
+  `Chain ID: ${chainId}`,
+  `Nonce: ${nonce}`,
+  `Issued At: ${new Date().toISOString()}`
+].join('\n');
+
+class AuthService {
+  constructor() {
+    /** @type {Session|null} */
+    this.session = this.loadSession();
+  }
+
+  /**
+   * Check whether an API server URL is configured
+   */
+  isConfigured() {
+    return Boolean(AUTH_CONFIG.url);
+  }
+
+  /**
+   * Session kept from an earlier visit, if any
+   */
+  loadSession() {
+    try {
+      return JSON.parse(localStorage.getItem(AUTH_CONFIG.storageKey));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Keep the session across reloads, or forget it with null
+   */
+  saveSession(session) {
+    this.session = session;
+    if (session) {
+      localStorage.setItem(AUTH_CONFIG.storageKey, JSON.stringify(session));
+    } else {
+      localStorage.removeItem(AUTH_CONFIG.storageKey);
+    }
+  }
+
+  /**
+   * The stored session when it belongs to the address and is not about to expire
+   */
+  getSession(address) {
+    const { session } = this;
+    if (!session || !address || session.address.toLowerCase() !== address.toLowerCase()) {
+      return null;
+    }
+    return session.expiresAt - Date.now() > AUTH_CONFIG.renewBefore ? session : null;
+  }
+
+  /**
+   * Call an auth endpoint
+   */
+  async request(path, { method = 'GET', body, token } = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('API server not configured (VITE_INDEXER_URL)');
+    }
+
+    const response = await fetch(`${AUTH_CONFIG.url}/api/auth${path}`, {
+      method,
+      headers: {
+        ...(body && { 'Content-Type': 'application/json' }),
+        ...(token && { 'Authorization': `Bearer ${token}` })
+      },
+      body: body && JSON.stringify(body)
+    });
+    const result = await response.json();
+    if (!result.success) {
+      throw new Error(result.error || `Auth request failed: ${response.statusText}`);
+    }
+    return result;
+  }
+
+  /**
+   * Sign in with the wallet, reusing a live session for the same address instead of asking for a signature
+   * @param {import('ethers').Signer} signer
+   * @returns {Promise<{ success: boolean, session?: Session, error?: string }>}
+   */
+  async signIn(signer) {
+    try {
+      const address = ethers.getAddress(await signer.getAddress());
+      const existing = this.getSession(address);
+      if (existing) {
+        return {
+          success: true,
+          session: existing
+        };
+      }
+
+      const [{ nonce }, network] = await Promise.all([
+        this.request('/nonce'),
+        signer.provider.getNetwork()
+      ]);
+      const message = buildMessage({ address, chainId: network.chainId.toString(), nonce });
+      const signature = await signer.signMessage(message);
+
+      const result = await this.request('/verify', { method: 'POST', body: { message, signature } });
+      const session = {
+        token: result.token,
+        address: result.address,
+        roles: result.roles,
+        expiresAt: result.expiresAt * 1000
+      };
+      this.saveSession(session);
+
+      return {
+        success: true,
+        session
+      };
+    } catch (error) {
+      console.error('Failed to sign in:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Bring back the stored session for an address without a signature, with fresh roles
+   * @param {string} address - Connected wallet
+   * @returns {Promise<{ success: boolean, session?: Session|null, error?: string }>}
+   */
+  async restoreSession(address) {
+    try {
+      const stored = this.getSession(address);
+      if (!stored) {
+        return {
+          success: true,
+          session: null
+        };
+      }
+
+      const result = await this.request('/session', { token: stored.token });
+      const session = { ...stored, roles: result.roles };
+      this.saveSession(session);
+
+      return {
+        success: true,
+        session
+      };
+    } catch (error) {
+      // The server no longer knows the session; the next sign-in starts a new one
+      this.saveSession(null);
+      console.error('Failed to restore session:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * End the session on the server and forget it here
+   */
+  async signOut() {
+    const { session } = this;
+    this.saveSession(null);
+    if (!session) return;
+
+    try {
+      await this.request('/logout', { method: 'POST', token: session.token });
+    } catch (error) {
+      console.error('Failed to sign out:', error);
+    }
+  }
+}
+
+// Export singleton instance
+export const authService = new AuthService();
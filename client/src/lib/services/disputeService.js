@@ -2,9 +2,12 @@
  * @fileoverview Dispute service for handling case uploads and management
  */
 
+import { greenfieldService } from './greenfieldService.js';
+import { web3Service } from './web3Service.js';
+
 class DisputeService {
   /**
-   * Upload dispute case with evidence to IPFS
+   * Upload dispute case with evidence through the API server
    */
   async uploadDisputeCase(propertyId, role, caseData, evidenceFiles) {
     try {
@@ -12,7 +15,7 @@ class DisputeService {
       const evidenceUrls = [];
       
       for (const file of evidenceFiles) {
-        const uploadResult = await this.uploadToIPFSWithFolder(file, 'disputes');
+        const uploadResult = await web3Service.uploadFile(file, 'disputes');
         if (!uploadResult.success) {
           throw new Error(`Failed to upload evidence: ${uploadResult.error}`);
         }
@@ -32,15 +35,15 @@ class DisputeService {
         caseType: 'dispute'
       };
 
-      // Upload case metadata to IPFS in disputes folder
-      const metadataResult = await this.uploadMetadataWithFolder(caseMetadata, 'disputes');
+      // Upload case metadata in the disputes folder
+      const fileName = `${role}_case_${propertyId}_${Date.now()}.json`;
+      const metadataResult = await web3Service.uploadMetadata(caseMetadata, 'disputes', fileName);
       if (!metadataResult.success) {
         throw new Error(`Failed to upload case metadata: ${metadataResult.error}`);
       }
 
       return {
         success: true,
-        caseHash: metadataResult.hash,
         caseUrl: metadataResult.url,
         evidenceUrls: evidenceUrls
       };
@@ -54,109 +57,64 @@ class DisputeService {
   }
 
   /**
-   * Upload file to IPFS with folder structure
+   * Upload a case and anchor its URI on-chain, where every juror can find it
+   * @returns {Promise<{ success: boolean, caseUrl?: string, txnHash?: string, error?: string }>}
    */
-  async uploadToIPFSWithFolder(file, folderName) {
-    try {
-      const formData = new FormData();
-      formData.append('file', file);
-
-      // Add metadata to organize in folder
-      const metadata = JSON.stringify({
-        name: `${folderName}/${file.name}`,
-        keyvalues: {
-          folder: folderName,
-          type: 'evidence'
-        }
-      });
-      formData.append('pinataMetadata', metadata);
-
-      const response = await fetch('https://api.pinata.cloud/pinning/pinFileToIPFS', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${import.meta.env.VITE_PINATA_JWT}`
-        },
-        body: formData
-      });
-
-      if (!response.ok) {
-        throw new Error(`Failed to upload to IPFS: ${response.statusText}`);
-      }
+  async submitCase(propertyId, role, caseData, evidenceFiles) {
+    const upload = await this.uploadDisputeCase(propertyId, role, caseData, evidenceFiles);
+    if (!upload.success) {
+      return upload;
+    }
 
-      const result = await response.json();
-      return {
-        success: true,
-        hash: result.IpfsHash,
-        url: `ipfs://${result.IpfsHash}`
-      };
-    } catch (error) {
-      console.error('Failed to upload to IPFS with folder:', error);
-      return {
-        success: false,
-        error: error.message
-      };
+    const anchored = await web3Service.submitEvidence(propertyId, upload.caseUrl);
+    if (!anchored.success) {
+      return anchored;
     }
+
+    return {
+      success: true,
+      caseUrl: upload.caseUrl,
+      txnHash: anchored.txnHash
+    };
   }
 
   /**
-   * Upload metadata to IPFS with folder structure
+   * Load the latest case each party filed in a dispute
+   * @param {import('../types.js').DisputeRecord} dispute
+   * @returns {Promise<{ landlordCase: Object|null, tenantCase: Object|null }>}
    */
-  async uploadMetadataWithFolder(metadata, folderName) {
-    try {
-      const metadataBlob = new Blob([JSON.stringify(metadata, null, 2)], {
-        type: 'application/json'
-      });
-
-      const fileName = `${metadata.role}_case_${metadata.propertyId}_${Date.now()}.json`;
-      
-      const formData = new FormData();
-      formData.append('file', metadataBlob, fileName);
-
-      // Add metadata to organize in folder
-      const pinataMetadata = JSON.stringify({
-        name: `${folderName}/${fileName}`,
-        keyvalues: {
-          folder: folderName,
-          propertyId: metadata.propertyId,
-          role: metadata.role,
-          type: 'case_metadata'
-        }
-      });
-      formData.append('pinataMetadata', pinataMetadata);
-
-      const response = await fetch('https://api.pinata.cloud/pinning/pinFileToIPFS', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${import.meta.env.VITE_PINATA_JWT}`
-        },
-        body: formData
-      });
-
-      if (!response.ok) {
-        throw new Error(`Failed to upload metadata to IPFS: ${response.statusText}`);
+  async getCases(dispute) {
+    const latestCase = async (role) => {
+      const filing = dispute.evidence.filter(item => item.role === role).at(-1);
+      if (!filing) {
+        return null;
       }
+      const result = await this.getDisputeCase(filing.uri);
+      return result.success ? { ...result.case, txnHash: filing.txnHash } : null;
+    };
 
-      const result = await response.json();
-      return {
-        success: true,
-        hash: result.IpfsHash,
-        url: `ipfs://${result.IpfsHash}`
-      };
-    } catch (error) {
-      console.error('Failed to upload metadata to IPFS with folder:', error);
-      return {
-        success: false,
-        error: error.message
-      };
-    }
+    const [landlordCase, tenantCase] = await Promise.all([latestCase('landlord'), latestCase('tenant')]);
+    return { landlordCase, tenantCase };
   }
 
   /**
-   * Get dispute case from IPFS
+   * Get dispute case from IPFS, Greenfield or the upload server
    */
-  async getDisputeCase(ipfsUrl) {
+  async getDisputeCase(caseUrl) {
     try {
-      const gatewayUrl = ipfsUrl.replace('ipfs://', 'https://gateway.pinata.cloud/ipfs/');
+      if (caseUrl.startsWith('greenfield://')) {
+        const [bucketName, ...objectPath] = caseUrl.replace('greenfield://', '').split('/');
+        const result = await greenfieldService.getObject(bucketName, objectPath.join('/'));
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+        return {
+          success: true,
+          case: JSON.parse(await result.data.text())
+        };
+      }
+
+      const gatewayUrl = caseUrl.replace('ipfs://', 'https://gateway.pinata.cloud/ipfs/');
       
       const response = await fetch(gatewayUrl);
       if (!response.ok) {
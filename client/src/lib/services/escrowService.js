@@ -0,0 +1,597 @@
+/**
+ * @fileoverview Escrow service for agreements, juror voting and withdrawals on the IntegratedEscrow contract
+ */
+
+import { ethers } from 'ethers';
+import { EscrowABI } from '../../abis/IntegratedEscrow.js';
+import { web3Service } from './web3Service.js';
+
+// Contract configuration
+const ESCROW_CONFIG = {
+  address: import.meta.env.VITE_ESCROW_CONTRACT_ADDRESS || '',
+  // Allow-listed BEP-20 stablecoin offered alongside BNB
+  stablecoin: import.meta.env.VITE_STABLECOIN_ADDRESS || '',
+  network: 'BSC Testnet'
+};
+
+// Agreements with no payment token are paid in BNB
+const NATIVE_TOKEN = {
+  address: ethers.ZeroAddress,
+  symbol: 'BNB',
+  decimals: 18
+};
+
+// Jurors award the tenant a share of the held funds in basis points, in 10% steps
+const MAX_AWARD = 10000;
+const AWARD_STEP = 1000;
+
+/**
+ * Convert an on-chain award in basis points to a whole percentage
+ */
+const toPercent = (award) => Number(award) / (MAX_AWARD / 100);
+
+class EscrowService {
+  constructor() {
+    this.contract = null;
+    this.tokenInfo = new Map([[NATIVE_TOKEN.address, NATIVE_TOKEN]]);
+  }
+
+  /**
+   * Check whether an IntegratedEscrow deployment is configured
+   */
+  isConfigured() {
+    return Boolean(ESCROW_CONFIG.address);
+  }
+
+  /**
+   * Get the escrow contract bound to the connected wallet
+   */
+  getContract() {
+    if (!this.isConfigured()) {
+      throw new Error('IntegratedEscrow contract not configured');
+    }
+    if (!web3Service.signer) {
+      throw new Error('Wallet not connected');
+    }
+    if (!this.contract || this.contract.runner !== web3Service.signer) {
+      this.contract = new ethers.Contract(ESCROW_CONFIG.address, EscrowABI, web3Service.signer);
+    }
+    return this.contract;
+  }
+
+  /**
+   * Get the symbol and decimals of a payment token, cached per address
+   */
+  async getTokenInfo(tokenAddress) {
+    if (!this.tokenInfo.has(tokenAddress)) {
+      const token = web3Service.getTokenContract(tokenAddress);
+      const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+      this.tokenInfo.set(tokenAddress, { address: tokenAddress, symbol, decimals: Number(decimals) });
+    }
+    return this.tokenInfo.get(tokenAddress);
+  }
+
+  /**
+   * Tokens agreements can be paid in: BNB plus the configured stablecoin
+   */
+  async getPaymentTokens() {
+    const tokens = [NATIVE_TOKEN];
+    if (ESCROW_CONFIG.stablecoin) {
+      tokens.push(await this.getTokenInfo(ESCROW_CONFIG.stablecoin));
+    }
+    return tokens;
+  }
+
+  /**
+   * Send a payment to the escrow: BNB as value, tokens after an approval step
+   * @param {string} tokenAddress - Payment token, the zero address for BNB
+   * @param {bigint} amount - Amount in the token's smallest unit
+   * @param {Function} send - Sends the escrow transaction given its overrides
+   */
+  async sendPayment(tokenAddress, amount, send) {
+    if (tokenAddress === NATIVE_TOKEN.address) {
+      return send({ value: amount });
+    }
+
+    const approval = await web3Service.approveToken(tokenAddress, ESCROW_CONFIG.address, amount);
+    if (!approval.success) {
+      throw new Error(approval.error);
+    }
+    return send({});
+  }
+
+  /**
+   * localStorage key holding the salt for a sealed vote
+   */
+  getCommitKey(disputeId, account) {
+    return `jury_commit_${ESCROW_CONFIG.address.toLowerCase()}_${disputeId}_${account.toLowerCase()}`;
+  }
+
+  /**
+   * Get the award and salt stored on this device for a dispute
+   */
+  getStoredCommit(disputeId) {
+    const account = web3Service.getAccount();
+    if (!account) return null;
+
+    const stored = localStorage.getItem(this.getCommitKey(disputeId, account));
+    if (!stored) return null;
+
+    const commit = JSON.parse(stored);
+    return { ...commit, tenantPercent: toPercent(commit.tenantShare) };
+  }
+
+  /**
+   * Get the escrow dispute for a rental NFT, including the caller's voting state
+   */
+  async getDisputeForToken(tokenId) {
+    try {
+      const contract = this.getContract();
+      const account = web3Service.getAccount();
+
+      const agreementId = await contract.getAgreementByToken(tokenId);
+      const disputeId = agreementId === 0n ? 0n : await contract.agreementToDispute(agreementId);
+      if (disputeId === 0n) {
+        return { success: true, dispute: null };
+      }
+
+      const [agreement, details, rounds, schedule, assignedJurors, commitment, vote, slashPercent, appealFee] = await Promise.all([
+        contract.getAgreementDetails(agreementId),
+        contract.getDispute(disputeId),
+        contract.getDisputeRounds(disputeId),
+        contract.getVotingSchedule(disputeId),
+        contract.getAssignedJurors(disputeId),
+        contract.getVoteCommitment(disputeId, account),
+        contract.getJurorVote(disputeId, account),
+        contract.slashPercent(),
+        contract.getAppealFee(disputeId)
+      ]);
+      const token = await this.getTokenInfo(agreement.paymentToken);
+      const isTenant = details.tenant.toLowerCase() === account.toLowerCase();
+      const isLandlord = details.landlord.toLowerCase() === account.toLowerCase();
+
+      return {
+        success: true,
+        dispute: {
+          disputeId: disputeId.toString(),
+          agreementId: agreementId.toString(),
+          status: Number(details.status),
+          hasVerdict: details.hasVerdict,
+          tenantShare: toPercent(details.tenantShare),
+          commitEndTime: Number(schedule.commitEndTime),
+          votingEndTime: Number(schedule.votingEndTime),
+          commitCount: Number(schedule.commitCount),
+          revealCount: Number(schedule.revealCount),
+          panelSize: Number(schedule.panelSize),
+          round: Number(schedule.round),
+          isAssignedJuror: assignedJurors.some(juror => juror.toLowerCase() === account.toLowerCase()),
+          hasCommitted: commitment !== ethers.ZeroHash,
+          revealedShare: vote.revealed ? toPercent(vote.tenantShare) : null,
+          slashPercent: Number(slashPercent) / 100,
+          appealDeadline: Number(details.appealDeadline),
+          appealFee: ethers.formatUnits(appealFee, token.decimals),
+          paymentSymbol: token.symbol,
+          // Either side that did not get everything can appeal
+          isLosingParty: (isTenant && details.tenantShare < BigInt(MAX_AWARD)) || (isLandlord && details.tenantShare > 0n),
+          rounds: rounds.map((round, index) => ({
+            round: index + 1,
+            panelSize: round.jurors.length,
+            revealCount: Number(round.revealCount),
+            // Votes per award bucket: index i is a tenant share of i * 10%
+            tally: round.tally.map(Number),
+            verdictReached: round.verdictReached,
+            tenantShare: toPercent(round.tenantShare),
+            appealedBy: round.appealedBy === ethers.ZeroAddress ? null : round.appealedBy
+          }))
+        }
+      };
+    } catch (error) {
+      console.error('Failed to get escrow dispute:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Get the connected juror's stake, record and reputation
+   */
+  async getJurorStats() {
+    try {
+      const contract = this.getContract();
+      const stats = await contract.getJurorStats(web3Service.getAccount());
+
+      return {
+        success: true,
+        stats: {
+          stakedAmount: ethers.formatEther(stats.stakedAmount),
+          disputesAssigned: Number(stats.disputesAssigned),
+          disputesVoted: Number(stats.disputesVoted),
+          disputesCompleted: Number(stats.disputesCompleted),
+          correctVotes: Number(stats.correctVotes),
+          totalEarned: ethers.formatEther(stats.totalEarned),
+          totalSlashed: ethers.formatEther(stats.totalSlashed),
+          reputation: Number(stats.reputation) / 100,
+          isActive: stats.isActive
+        }
+      };
+    } catch (error) {
+      console.error('Failed to get juror stats:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Get a landlord's rental record computed from their agreement history
+   */
+  async getLandlordReputation(landlord) {
+    try {
+      const contract = this.getContract();
+      const record = await contract.getLandlordReputation(landlord);
+
+      return {
+        success: true,
+        reputation: {
+          rentals: Number(record.rentals),
+          completedRentals: Number(record.completedRentals),
+          disputesLost: Number(record.disputesLost)
+        }
+      };
+    } catch (error) {
+      console.error('Failed to get landlord reputation:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Get the bond posted on a listing, or null when it has none
+   */
+  async getListingBond(tokenId) {
+    try {
+      const contract = this.getContract();
+      const bond = await contract.listingBonds(tokenId);
+      if (bond.amount === 0n) {
+        return { success: true, bond: null };
+      }
+
+      const token = await this.getTokenInfo(bond.token);
+
+      return {
+        success: true,
+        bond: {
+          landlord: bond.landlord,
+          amount: ethers.formatUnits(bond.amount, token.decimals),
+          token
+        }
+      };
+    } catch (error) {
+      console.error('Failed to get listing bond:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Post or top up the connected landlord's bond on a listing. Top-ups must use the bond's token.
+   */
+  async postBond(tokenId, amount, tokenAddress = NATIVE_TOKEN.address) {
+    try {
+      const contract = this.getContract();
+      const { decimals } = await this.getTokenInfo(tokenAddress);
+      const bondAmount = ethers.parseUnits(amount, decimals);
+
+      const tx = await this.sendPayment(tokenAddress, bondAmount, (overrides) => contract.postBond(tokenId, tokenAddress, bondAmount, overrides));
+      const receipt = await tx.wait();
+
+      return {
+        success: true,
+        txnHash: receipt.hash
+      };
+    } catch (error) {
+      console.error('Failed to post bond:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Credit a listing's bond back to the landlord for withdraw(); locked while a rental is active or disputed
+   */
+  async withdrawBond(tokenId) {
+    try {
+      const contract = this.getContract();
+
+      const tx = await contract.withdrawBond(tokenId);
+      const receipt = await tx.wait();
+
+      return {
+        success: true,
+        txnHash: receipt.hash
+      };
+    } catch (error) {
+      console.error('Failed to withdraw bond:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Create an agreement for a rental NFT, paying the prepaid rent, deposit and dispute fee
+   * in BNB or an allow-listed token. Amounts are decimal strings in the token's units.
+   */
+  async createAgreement({ landlord, tokenId, rent, deposit, disputeFee, durationMonths, prepaidMonths, paymentToken = NATIVE_TOKEN.address }) {
+    try {
+      const contract = this.getContract();
+      const { decimals } = await this.getTokenInfo(paymentToken);
+      const rentAmount = ethers.parseUnits(rent, decimals);
+      const depositAmount = ethers.parseUnits(deposit, decimals);
+      const disputeFeeAmount = ethers.parseUnits(disputeFee, decimals);
+      const total = rentAmount * BigInt(prepaidMonths) + depositAmount + disputeFeeAmount;
+
+      const params = {
+        landlord,
+        nftContract: await contract.rentalNFT(),
+        tokenId,
+        rentAmount,
+        depositAmount,
+        disputeFee: disputeFeeAmount,
+        durationMonths,
+        prepaidMonths,
+        paymentToken
+      };
+      const tx = await this.sendPayment(paymentToken, total, (overrides) => contract.createAgreement(params, overrides));
+      const receipt = await tx.wait();
+
+      return {
+        success: true,
+        txnHash: receipt.hash
+      };
+    } catch (error) {
+      console.error('Failed to create escrow agreement:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Pay further months of rent in the agreement's token
+   */
+  async payRent(agreementId, months) {
+    try {
+      const contract = this.getContract();
+      const agreement = await contract.getAgreementDetails(agreementId);
+      const amount = agreement.rentAmount * BigInt(months);
+
+      const tx = await this.sendPayment(agreement.paymentToken, amount, (overrides) => contract.payRent(agreementId, months, overrides));
+      const receipt = await tx.wait();
+
+      return {
+        success: true,
+        txnHash: receipt.hash
+      };
+    } catch (error) {
+      console.error('Failed to pay rent:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Get what the connected wallet can claim with withdraw(), per payment token
+   */
+  async getPendingBalances() {
+    try {
+      const contract = this.getContract();
+      const account = web3Service.getAccount();
+      const tokens = await this.getPaymentTokens();
+      const balances = await Promise.all(tokens.map(token => contract.getPendingBalance(account, token.address)));
+
+      return {
+        success: true,
+        balances: tokens.map((token, index) => ({
+          ...token,
+          balance: ethers.formatUnits(balances[index], token.decimals)
+        }))
+      };
+    } catch (error) {
+      console.error('Failed to get pending balances:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Withdraw every payout of one token credited to the connected wallet
+   */
+  async withdraw(tokenAddress = NATIVE_TOKEN.address) {
+    try {
+      const contract = this.getContract();
+
+      const tx = await contract.withdraw(tokenAddress);
+      const receipt = await tx.wait();
+
+      return {
+        success: true,
+        txnHash: receipt.hash
+      };
+    } catch (error) {
+      console.error('Failed to withdraw from escrow:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Commit a sealed vote awarding the tenant a percentage of the held funds, in 10% steps.
+   * The award and salt are kept in localStorage until the vote is revealed.
+   */
+  async commitVote(disputeId, tenantPercent) {
+    const account = web3Service.getAccount();
+    const key = account && this.getCommitKey(disputeId, account);
+
+    try {
+      const contract = this.getContract();
+      const tenantShare = tenantPercent * (MAX_AWARD / 100);
+      if (tenantShare < 0 || tenantShare > MAX_AWARD || tenantShare % AWARD_STEP !== 0) {
+        throw new Error('Award must be a multiple of 10%');
+      }
+
+      const salt = ethers.hexlify(ethers.randomBytes(32));
+      const commitment = ethers.solidityPackedKeccak256(
+        ['uint256', 'address', 'uint256', 'bytes32'],
+        [disputeId, account, tenantShare, salt]
+      );
+
+      // Store before sending so the salt survives a reload while the tx is pending
+      localStorage.setItem(key, JSON.stringify({
+        tenantShare,
+        salt,
+        committedAt: new Date().toISOString()
+      }));
+
+      const tx = await contract.commitVote(disputeId, commitment);
+      const receipt = await tx.wait();
+
+      return {
+        success: true,
+        txnHash: receipt.hash
+      };
+    } catch (error) {
+      console.error('Failed to commit vote:', error);
+      if (key) {
+        localStorage.removeItem(key);
+      }
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Reveal the vote committed from this device
+   */
+  async revealVote(disputeId) {
+    try {
+      const contract = this.getContract();
+      const stored = this.getStoredCommit(disputeId);
+      if (!stored) {
+        throw new Error('No saved vote found on this device for this dispute');
+      }
+
+      const tx = await contract.revealVote(disputeId, stored.tenantShare, stored.salt);
+      const receipt = await tx.wait();
+
+      localStorage.setItem(
+        this.getCommitKey(disputeId, web3Service.getAccount()),
+        JSON.stringify({ ...stored, revealedAt: new Date().toISOString() })
+      );
+
+      return {
+        success: true,
+        txnHash: receipt.hash
+      };
+    } catch (error) {
+      console.error('Failed to reveal vote:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Resolve a dispute once voting has ended
+   */
+  async resolveDispute(disputeId) {
+    try {
+      const contract = this.getContract();
+
+      const tx = await contract.resolveDispute(disputeId);
+      const receipt = await tx.wait();
+
+      return {
+        success: true,
+        txnHash: receipt.hash
+      };
+    } catch (error) {
+      console.error('Failed to resolve escrow dispute:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Appeal the current verdict as the losing party, paying the appeal fee in the agreement's token
+   */
+  async appeal(disputeId) {
+    try {
+      const contract = this.getContract();
+      const [fee, details] = await Promise.all([contract.getAppealFee(disputeId), contract.getDispute(disputeId)]);
+      const agreement = await contract.getAgreementDetails(details.agreementId);
+
+      const tx = await this.sendPayment(agreement.paymentToken, fee, (overrides) => contract.appeal(disputeId, overrides));
+      const receipt = await tx.wait();
+
+      return {
+        success: true,
+        txnHash: receipt.hash
+      };
+    } catch (error) {
+      console.error('Failed to appeal dispute:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Execute the standing verdict once the appeal period has passed
+   */
+  async finalizeDispute(disputeId) {
+    try {
+      const contract = this.getContract();
+
+      const tx = await contract.finalizeDispute(disputeId);
+      const receipt = await tx.wait();
+
+      return {
+        success: true,
+        txnHash: receipt.hash
+      };
+    } catch (error) {
+      console.error('Failed to finalize escrow dispute:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+}
+
+// Export singleton instance
+export const escrowService = new EscrowService();
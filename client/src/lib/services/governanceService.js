@@ -0,0 +1,299 @@
+/**
+ * @fileoverview Governance service for timelocked admin actions through the ProtocolGovernor contract
+ */
+
+import { ethers } from 'ethers';
+import { ProtocolGovernorABI } from '../../abis/ProtocolGovernor.js';
+import { escrowService } from './escrowService.js';
+import { web3Service } from './web3Service.js';
+
+// Contract configuration
+const GOVERNOR_CONFIG = {
+  address: import.meta.env.VITE_GOVERNOR_CONTRACT_ADDRESS || '',
+  network: 'BSC Testnet'
+};
+
+const DAY = 24 * 60 * 60;
+
+/**
+ * IntegratedEscrow parameters in IntegratedEscrow.Parameter order, with how they are entered
+ * and shown: BNB amounts, periods in days, or plain counts
+ */
+export const ESCROW_PARAMETERS = [
+  { key: 'minStake', label: 'Minimum juror stake', unit: 'BNB' },
+  { key: 'maxStake', label: 'Maximum juror stake', unit: 'BNB' },
+  { key: 'votingPeriod', label: 'Voting period', unit: 'days' },
+  { key: 'unstakeDelay', label: 'Unstake delay', unit: 'days' },
+  { key: 'minJurors', label: 'Minimum jurors per panel', unit: 'jurors' }
+];
+
+/**
+ * Convert a parameter's on-chain value for display
+ */
+const formatParameter = (unit, value) => {
+  if (unit === 'BNB') return ethers.formatEther(value);
+  if (unit === 'days') return String(Number(value) / DAY);
+  return value.toString();
+};
+
+/**
+ * Convert a displayed parameter value to its on-chain value
+ */
+const parseParameter = (unit, value) => {
+  if (unit === 'BNB') return ethers.parseEther(String(value));
+  if (unit === 'days') return BigInt(Math.round(Number(value) * DAY));
+  return BigInt(value);
+};
+
+/**
+ * Get where an action stands; queued actions become ready once their timelock passes
+ */
+const getActionStatus = (action, now) => {
+  if (action.executed) return 'executed';
+  if (action.cancelled) return 'cancelled';
+  if (action.readyAt === 0n) return 'pending';
+  return Number(action.readyAt) <= now ? 'ready' : 'queued';
+};
+
+class GovernanceService {
+  constructor() {
+    this.contract = null;
+  }
+
+  /**
+   * Check whether a ProtocolGovernor deployment is configured
+   */
+  isConfigured() {
+    return Boolean(GOVERNOR_CONFIG.address);
+  }
+
+  /**
+   * Get the governor contract bound to the connected wallet
+   */
+  getContract() {
+    if (!this.isConfigured()) {
+      throw new Error('ProtocolGovernor contract not configured');
+    }
+    if (!web3Service.signer) {
+      throw new Error('Wallet not connected');
+    }
+    if (!this.contract || this.contract.runner !== web3Service.signer) {
+      this.contract = new ethers.Contract(GOVERNOR_CONFIG.address, ProtocolGovernorABI, web3Service.signer);
+    }
+    return this.contract;
+  }
+
+  /**
+   * Get the governor's approvers and timelock, and the escrow settings it controls
+   */
+  async getOverview() {
+    try {
+      const governor = this.getContract();
+      const escrow = escrowService.getContract();
+      const account = web3Service.getAccount();
+
+      const [approvers, threshold, minDelay, owner, paused, platformFee, accumulatedFees, ...parameters] = await Promise.all([
+        governor.getApprovers(),
+        governor.approvalThreshold(),
+        governor.minDelay(),
+        escrow.owner(),
+        escrow.paused(),
+        escrow.platformFeePercent(),
+        escrow.accumulatedFees(ethers.ZeroAddress),
+        ...ESCROW_PARAMETERS.map(parameter => escrow[parameter.key]())
+      ]);
+
+      return {
+        success: true,
+        overview: {
+          approvers,
+          threshold: Number(threshold),
+          minDelayDays: Number(minDelay) / DAY,
+          isApprover: approvers.some(approver => approver.toLowerCase() === account.toLowerCase()),
+          // The governor only has a say once it owns the escrow
+          ownsEscrow: owner.toLowerCase() === GOVERNOR_CONFIG.address.toLowerCase(),
+          paused,
+          platformFeePercent: Number(platformFee) / 100,
+          accumulatedFees: ethers.formatEther(accumulatedFees),
+          parameters: ESCROW_PARAMETERS.map((parameter, index) => ({
+            ...parameter,
+            value: formatParameter(parameter.unit, parameters[index])
+          }))
+        }
+      };
+    } catch (error) {
+      console.error('Failed to get governance overview:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Get every proposed action, newest first, with its decoded call and the caller's approval
+   */
+  async getActions() {
+    try {
+      const governor = this.getContract();
+      const escrowInterface = escrowService.getContract().interface;
+      const account = web3Service.getAccount();
+      const count = Number(await governor.getActionCount());
+      const now = Math.floor(Date.now() / 1000);
+
+      const ids = Array.from({ length: count }, (_, index) => count - index);
+      const actions = await Promise.all(ids.map(async (actionId) => {
+        const [action, approved] = await Promise.all([
+          governor.getAction(actionId),
+          governor.hasApproved(actionId, account)
+        ]);
+        const targetInterface = action.target.toLowerCase() === GOVERNOR_CONFIG.address.toLowerCase()
+          ? governor.interface
+          : escrowInterface;
+        const call = targetInterface.parseTransaction({ data: action.data });
+
+        return {
+          actionId: actionId.toString(),
+          target: action.target,
+          call: call ? `${call.name}(${call.args.map(String).join(', ')})` : action.data,
+          description: action.description,
+          proposer: action.proposer,
+          approvals: Number(action.approvals),
+          readyAt: Number(action.readyAt),
+          urgent: action.urgent,
+          status: getActionStatus(action, now),
+          hasApproved: approved
+        };
+      }));
+
+      return {
+        success: true,
+        actions
+      };
+    } catch (error) {
+      console.error('Failed to get governance actions:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Propose an IntegratedEscrow admin call, counting the caller's approval
+   * @param {string} functionName - Escrow function, e.g. updatePlatformFee
+   * @param {Array} args - Call arguments
+   * @param {string} description - Why the change is needed, shown to other approvers
+   */
+  async proposeEscrowCall(functionName, args, description) {
+    try {
+      const governor = this.getContract();
+      const escrow = escrowService.getContract();
+      const data = escrow.interface.encodeFunctionData(functionName, args);
+
+      const tx = await governor.propose(await escrow.getAddress(), data, description);
+      const receipt = await tx.wait();
+
+      const proposedEvent = receipt.logs
+        .map(log => {
+          try {
+            return governor.interface.parseLog(log);
+          } catch {
+            return null;
+          }
+        })
+        .find(parsed => parsed?.name === 'ActionProposed');
+
+      return {
+        success: true,
+        actionId: proposedEvent ? proposedEvent.args.actionId.toString() : null,
+        txnHash: receipt.hash
+      };
+    } catch (error) {
+      console.error('Failed to propose action:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Propose a new platform fee as a percentage of released rent
+   */
+  async proposePlatformFee(percent, description) {
+    return this.proposeEscrowCall('updatePlatformFee', [Math.round(Number(percent) * 100)], description);
+  }
+
+  /**
+   * Propose a new value for one of ESCROW_PARAMETERS, given in its display unit
+   */
+  async proposeParameter(key, value, description) {
+    const index = ESCROW_PARAMETERS.findIndex(parameter => parameter.key === key);
+    if (index === -1) {
+      return { success: false, error: `Unknown parameter ${key}` };
+    }
+    return this.proposeEscrowCall('setParameter', [index, parseParameter(ESCROW_PARAMETERS[index].unit, value)], description);
+  }
+
+  /**
+   * Propose sending the accumulated BNB fees to a recipient
+   */
+  async proposeFeeWithdrawal(recipient, description) {
+    return this.proposeEscrowCall('withdrawFees', [ethers.ZeroAddress, recipient], description);
+  }
+
+  /**
+   * Propose pausing the escrow, which runs as soon as it is approved, or unpausing it
+   */
+  async proposePause(pause, description) {
+    return this.proposeEscrowCall(pause ? 'pause' : 'unpause', [], description);
+  }
+
+  /**
+   * Send one governor transaction for an action
+   */
+  async sendActionTransaction(method, actionId) {
+    try {
+      const governor = this.getContract();
+
+      const tx = await governor[method](actionId);
+      const receipt = await tx.wait();
+
+      return {
+        success: true,
+        txnHash: receipt.hash
+      };
+    } catch (error) {
+      console.error(`Failed to ${method} action:`, error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Approve an action; the approval that meets the threshold starts its timelock
+   */
+  async approve(actionId) {
+    return this.sendActionTransaction('approve', actionId);
+  }
+
+  /**
+   * Run an action whose timelock has passed
+   */
+  async execute(actionId) {
+    return this.sendActionTransaction('execute', actionId);
+  }
+
+  /**
+   * Cancel an action that has not run yet
+   */
+  async cancel(actionId) {
+    return this.sendActionTransaction('cancel', actionId);
+  }
+}
+
+// Export singleton instance
+export const governanceService = new GovernanceService();
@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Indexer service for properties, bookings and escrow state served by the FairBNB indexer in server/
+ */
+
+import { fromEpochDay } from '../dates.js';
+
+// Indexer configuration; leave the URL unset to read everything from the chain
+const INDEXER_CONFIG = {
+  url: (import.meta.env.VITE_INDEXER_URL || '').replace(/\/$/, ''),
+  // Largest page the indexer serves
+  pageSize: 500
+};
+
+class IndexerService {
+  /**
+   * Check whether an indexer URL is configured
+   */
+  isConfigured() {
+    return Boolean(INDEXER_CONFIG.url);
+  }
+
+  /**
+   * GET an indexer endpoint, dropping unset query parameters
+   * @param {string} path - Endpoint path, e.g. '/api/properties'
+   * @param {Object} [params] - Query parameters
+   */
+  async request(path, params = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('Indexer not configured');
+    }
+
+    const query = new URLSearchParams(
+      Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    ).toString();
+    const response = await fetch(`${INDEXER_CONFIG.url}${path}${query ? `?${query}` : ''}`);
+    const body = await response.json();
+    if (!body.success) {
+      throw new Error(body.error || `Indexer request failed: ${response.statusText}`);
+    }
+    return body;
+  }
+
+  /**
+   * Get every indexed property matching the filters, described like the protocol adapters do
+   * plus their cached metadata (null until the indexer has fetched it)
+   * @param {Object} [filters]
+   * @param {string} [filters.owner] - Current token owner
+   * @param {boolean} [filters.listed] - Only listed (true) or unlisted (false) properties
+   * @param {boolean} [filters.rented] - Only properties with (true) or without (false) an active rental
+   */
+  async getProperties(filters = {}) {
+    try {
+      const properties = [];
+      for (let offset = 0; ; offset += INDEXER_CONFIG.pageSize) {
+        const page = await this.request('/api/properties', { ...filters, limit: INDEXER_CONFIG.pageSize, offset });
+        properties.push(...page.properties);
+        if (page.properties.length < INDEXER_CONFIG.pageSize) break;
+      }
+
+      return {
+        success: true,
+        properties
+      };
+    } catch (error) {
+      console.error('Failed to get indexed properties:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Get FairBNB jury disputes, newest first, with the evidence each party filed
+   * @param {Object} [filters]
+   * @param {string} [filters.tokenId] - Only disputes over this property
+   * @param {'open'|'resolved'} [filters.status]
+   */
+  async getRentalDisputes(filters = {}) {
+    try {
+      const { disputes } = await this.request('/api/rental-disputes', { ...filters, limit: INDEXER_CONFIG.pageSize });
+      return {
+        success: true,
+        disputes
+      };
+    } catch (error) {
+      console.error('Failed to get indexed rental disputes:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Get IntegratedEscrow disputes with their property, parties and evidence
+   * @param {Object} [filters]
+   * @param {string} [filters.tokenId] - Only disputes over this property
+   * @param {string} [filters.status] - 'drawing', 'voting', 'appealable', 'appealed', 'resolved' or 'fallback'
+   */
+  async getEscrowDisputes(filters = {}) {
+    try {
+      const { disputes } = await this.request('/api/disputes', { ...filters, limit: INDEXER_CONFIG.pageSize });
+      return {
+        success: true,
+        disputes
+      };
+    } catch (error) {
+      console.error('Failed to get indexed escrow disputes:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Search listed properties by text, facets, price and deposit ranges and free dates.
+   * Listings come described like getProperties, plus their booked ranges.
+   * @param {Partial<import('../types.js').FilterParams>} [filters]
+   * @param {Object} [options]
+   * @param {'relevance'|'newest'|'price-low'|'price-high'} [options.sort] - Relevance needs a query, newest otherwise
+   * @param {string} [options.cursor] - nextCursor of the previous page
+   * @param {number} [options.limit] - Page size, up to 100
+   * @returns {Promise<{ success: boolean, listings?: Object[], total?: number, nextCursor?: string|null, facets?: import('../types.js').ListingFacets, error?: string }>}
+   */
+  async searchListings(filters = {}, { sort, cursor, limit } = {}) {
+    try {
+      const page = await this.request('/api/listings', {
+        q: filters.query,
+        city: filters.city,
+        propertyType: filters.propertyType,
+        amenities: filters.amenities?.join(','),
+        minRent: filters.minPrice,
+        maxRent: filters.maxPrice,
+        minDeposit: filters.minDeposit,
+        maxDeposit: filters.maxDeposit,
+        minDuration: filters.minDuration,
+        checkIn: filters.checkIn,
+        checkOut: filters.checkOut,
+        sort,
+        cursor,
+        limit
+      });
+
+      return {
+        success: true,
+        listings: page.listings.map(listing => ({
+          ...listing,
+          bookedRanges: listing.bookedRanges.map(range => ({
+            ...range,
+            checkIn: fromEpochDay(range.checkIn),
+            checkOut: fromEpochDay(range.checkOut),
+            blockedFrom: fromEpochDay(range.blockedFrom),
+            blockedUntil: fromEpochDay(range.blockedUntil)
+          }))
+        })),
+        total: page.total,
+        nextCursor: page.nextCursor,
+        facets: page.facets
+      };
+    } catch (error) {
+      console.error('Failed to search listings:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+}
+
+// Export singleton instance
+export const indexerService = new IndexerService();
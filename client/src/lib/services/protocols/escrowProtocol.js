@@ -0,0 +1,591 @@
+/**
+ * @fileoverview IntegratedEscrow protocol adapter: RentalNFT properties rented through escrow agreements
+ */
+
+import { ethers } from 'ethers';
+import { RentalNFTABI } from '../../../abis/RentalNFT.js';
+import { escrowService } from '../escrowService.js';
+import { indexerService } from '../indexerService.js';
+import { RentalProtocol } from './rentalProtocol.js';
+
+// IntegratedEscrow.AgreementStatus
+const AGREEMENT_STATUS = {
+  None: 0,
+  Active: 1,
+  Disputed: 2,
+  Pending: 6
+};
+
+// IntegratedEscrow.DisputeStatus values that end a dispute
+const DISPUTE_STATUS = {
+  Resolved: 2,
+  Cancelled: 3
+};
+
+// How far back to scan for dispute events (public RPCs cap log ranges)
+const DISPUTE_LOOKBACK_BLOCKS = 50000;
+
+// Bookings prepay the first month; later months are paid through escrowService.payRent
+const PREPAID_MONTHS = 1;
+const MAX_DURATION_MONTHS = 60;
+
+export class EscrowProtocol extends RentalProtocol {
+  constructor(host) {
+    super(host, {
+      name: 'escrow',
+      label: 'IntegratedEscrow',
+      features: ['acceptance']
+    });
+    this.rentalNFT = null;
+  }
+
+  /**
+   * Bind IntegratedEscrow and the RentalNFT it is wired to
+   */
+  async connect(signer) {
+    this.contract = escrowService.getContract();
+    this.rentalNFT = new ethers.Contract(await this.contract.rentalNFT(), RentalNFTABI, signer);
+  }
+
+  disconnect() {
+    super.disconnect();
+    this.rentalNFT = null;
+  }
+
+  /**
+   * Listing terms are pinned in the token metadata when the property is minted
+   */
+  async getListingTerms(tokenURI) {
+    const result = await this.host.getMetadataFromURI(tokenURI);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    const { rentPerMonth, securityDeposit, disputeFee, minDurationMonths } = result.metadata;
+    return {
+      rent: String(rentPerMonth ?? 0),
+      deposit: String(securityDeposit ?? 0),
+      disputeFee: String(disputeFee ?? 0),
+      minDurationMonths: Number(minDurationMonths) || 1
+    };
+  }
+
+  /**
+   * Get the latest escrow agreement for a token, or null if it was never rented
+   */
+  async getAgreement(tokenId) {
+    const agreementId = await this.contract.getAgreementByToken(tokenId);
+    if (agreementId === 0n) {
+      return null;
+    }
+    return { agreementId, ...(await this.contract.getAgreementDetails(agreementId)).toObject() };
+  }
+
+  /**
+   * Describe a property: owner, listing terms and current rental
+   */
+  async describeProperty(tokenId) {
+    const [tokenURI, owner, user, agreement] = await Promise.all([
+      this.rentalNFT.tokenURI(tokenId),
+      this.rentalNFT.ownerOf(tokenId),
+      this.rentalNFT.userOf(tokenId),
+      this.getAgreement(tokenId)
+    ]);
+    const terms = await this.getListingTerms(tokenURI);
+    const status = agreement ? Number(agreement.status) : AGREEMENT_STATUS.None;
+    const isActive = status === AGREEMENT_STATUS.Active || status === AGREEMENT_STATUS.Disputed;
+    // Tenants' terms wait for the landlord; the property is not rented until they accept
+    const isPending = status === AGREEMENT_STATUS.Pending;
+    const isOpen = isActive || isPending;
+
+    return {
+      tokenId: tokenId.toString(),
+      tokenURI,
+      owner,
+      listing: {
+        rent: terms.rent,
+        deposit: terms.deposit,
+        disputeFee: terms.disputeFee,
+        // Available whenever nobody holds unexpired user rights
+        isListed: user === ethers.ZeroAddress
+      },
+      rental: {
+        agreementId: agreement ? agreement.agreementId.toString() : null,
+        landlord: isOpen ? agreement.landlord : ethers.ZeroAddress,
+        tenant: isOpen ? agreement.tenant : ethers.ZeroAddress,
+        rent: isOpen ? agreement.rentAmount.toString() : '0',
+        deposit: isOpen ? agreement.depositAmount.toString() : '0',
+        disputeFee: isOpen ? agreement.disputeFee.toString() : '0',
+        isActive,
+        isPending,
+        tenantHappy: false,
+        landlordHappy: false,
+        isDisputed: status === AGREEMENT_STATUS.Disputed,
+        // Agreements only run once the landlord accepts, which puts their listing bond behind them
+        landlordAccepted: isActive
+      }
+    };
+  }
+
+  /**
+   * Describe every minted property that still exists
+   */
+  async describeAllProperties() {
+    const nextTokenId = await this.rentalNFT.getCurrentTokenId();
+    const properties = [];
+
+    for (let tokenId = 1n; tokenId < nextTokenId; tokenId++) {
+      try {
+        if (await this.rentalNFT.exists(tokenId)) {
+          properties.push(await this.describeProperty(tokenId));
+        }
+      } catch (error) {
+        console.error(`Failed to get details for token ${tokenId}:`, error);
+      }
+    }
+
+    return properties;
+  }
+
+  /**
+   * Mint a RentalNFT for an already uploaded metadata URI (requires the landlord role)
+   */
+  async mintToken(tokenURI) {
+    try {
+      if (!this.rentalNFT) {
+        throw new Error('RentalNFT contract not initialized');
+      }
+
+      const tx = await this.rentalNFT.mint(this.account, tokenURI);
+      const receipt = await tx.wait();
+
+      const mintEvent = receipt.logs
+        .map(log => {
+          try {
+            return this.rentalNFT.interface.parseLog(log);
+          } catch {
+            return null;
+          }
+        })
+        .find(parsed => parsed?.name === 'PropertyMinted');
+
+      if (!mintEvent) {
+        throw new Error('Mint event not found');
+      }
+
+      return {
+        success: true,
+        tokenId: mintEvent.args.tokenId.toString(),
+        tokenURI: mintEvent.args.tokenURI,
+        txnHash: receipt.hash
+      };
+    } catch (error) {
+      console.error('Failed to mint property:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Listing needs no transaction: the terms were pinned with the metadata at mint time
+   * and a property is available whenever it has no current tenant
+   */
+  async listProperty(tokenId, rent, deposit, disputeFee) {
+    return {
+      success: true,
+      tokenId: tokenId.toString(),
+      rent: rent.toString(),
+      deposit: deposit.toString(),
+      disputeFee: disputeFee.toString(),
+      txnHash: null
+    };
+  }
+
+  /**
+   * Get a single property's details
+   */
+  async getPropertyDetails(tokenId) {
+    try {
+      if (!this.rentalNFT) {
+        throw new Error('RentalNFT contract not initialized');
+      }
+
+      return {
+        success: true,
+        property: await this.describeProperty(tokenId)
+      };
+    } catch (error) {
+      console.error('Failed to get property details:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Get properties the connected address owns or currently rents
+   */
+  async getUserNFTs() {
+    try {
+      if (!this.rentalNFT) {
+        throw new Error('RentalNFT contract not initialized');
+      }
+
+      const account = this.account.toLowerCase();
+      const properties = await this.describeAllProperties();
+
+      return {
+        success: true,
+        nfts: properties.filter(nft =>
+          nft.owner.toLowerCase() === account ||
+          ((nft.rental.isActive || nft.rental.isPending) && nft.rental.tenant.toLowerCase() === account)
+        )
+      };
+    } catch (error) {
+      console.error('Failed to get user NFTs:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Get all properties without a current tenant
+   */
+  async getAvailableListings() {
+    try {
+      if (!this.rentalNFT) {
+        throw new Error('RentalNFT contract not initialized');
+      }
+
+      const properties = await this.describeAllProperties();
+
+      return {
+        success: true,
+        listings: properties
+          .filter(nft => nft.listing.isListed)
+          .map(nft => ({
+            tokenId: nft.tokenId,
+            tokenURI: nft.tokenURI,
+            landlord: nft.owner,
+            rent: nft.listing.rent,
+            deposit: nft.listing.deposit,
+            disputeFee: nft.listing.disputeFee
+          }))
+      };
+    } catch (error) {
+      console.error('Failed to get available listings:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Get all NFTs with details (for explore page)
+   */
+  async getAllNFTsWithDetails() {
+    try {
+      if (!this.rentalNFT) {
+        throw new Error('RentalNFT contract not initialized');
+      }
+
+      const properties = await this.describeAllProperties();
+
+      return {
+        success: true,
+        nfts: properties.map(nft => ({
+          tokenId: nft.tokenId,
+          owner: nft.owner,
+          tokenURI: nft.tokenURI,
+          isListed: nft.listing.isListed,
+          rent: nft.listing.rent,
+          deposit: nft.listing.deposit,
+          isRented: nft.rental.isActive
+        }))
+      };
+    } catch (error) {
+      console.error('Failed to get all NFTs:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Rent a property through an escrow agreement, prepaying the first month. The agreement
+   * waits for the landlord to accept it before the rental starts.
+   * @param {string} tokenId - Property token
+   * @param {number} _totalAmount - Ignored; the escrow derives the payment from the listing terms
+   * @param {number} [durationMonths] - Agreement length, defaults to the listing's minimum
+   */
+  async rentProperty(tokenId, _totalAmount, durationMonths) {
+    try {
+      if (!this.rentalNFT) {
+        throw new Error('RentalNFT contract not initialized');
+      }
+
+      const [tokenURI, landlord] = await Promise.all([
+        this.rentalNFT.tokenURI(tokenId),
+        this.rentalNFT.ownerOf(tokenId)
+      ]);
+      const terms = await this.getListingTerms(tokenURI);
+      const months = Math.min(durationMonths || terms.minDurationMonths, MAX_DURATION_MONTHS);
+
+      const params = {
+        landlord,
+        nftContract: await this.rentalNFT.getAddress(),
+        tokenId,
+        rentAmount: BigInt(terms.rent),
+        depositAmount: BigInt(terms.deposit),
+        disputeFee: BigInt(terms.disputeFee),
+        durationMonths: months,
+        prepaidMonths: PREPAID_MONTHS,
+        paymentToken: ethers.ZeroAddress
+      };
+      const totalPaid = params.rentAmount * BigInt(PREPAID_MONTHS) + params.depositAmount + params.disputeFee;
+
+      const tx = await this.contract.createAgreement(params, { value: totalPaid });
+      const receipt = await tx.wait();
+
+      const createdEvent = receipt.logs
+        .map(log => {
+          try {
+            return this.contract.interface.parseLog(log);
+          } catch {
+            return null;
+          }
+        })
+        .find(parsed => parsed?.name === 'AgreementCreated');
+
+      if (!createdEvent) {
+        throw new Error('Agreement event not found');
+      }
+
+      return {
+        success: true,
+        tokenId: createdEvent.args.tokenId.toString(),
+        tenant: createdEvent.args.tenant,
+        totalPaid: createdEvent.args.totalLocked.toString(),
+        agreementId: createdEvent.args.agreementId.toString(),
+        awaitingLandlord: true,
+        txnHash: receipt.hash
+      };
+    } catch (error) {
+      console.error('Failed to rent property:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Accept the tenant's terms on the property's pending agreement as its landlord, starting the rental
+   */
+  async acceptAgreement(tokenId) {
+    try {
+      if (!this.contract) {
+        throw new Error('IntegratedEscrow contract not initialized');
+      }
+
+      const agreement = await this.getAgreement(tokenId);
+      if (!agreement) {
+        throw new Error('No escrow agreement for this property');
+      }
+
+      const tx = await this.contract.acceptAgreement(agreement.agreementId);
+      const receipt = await tx.wait();
+
+      return {
+        success: true,
+        txnHash: receipt.hash
+      };
+    } catch (error) {
+      console.error('Failed to accept agreement:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Raise a dispute on the property's active agreement; evidence is uploaded afterwards
+   */
+  async raiseDispute(tokenId) {
+    try {
+      if (!this.contract) {
+        throw new Error('IntegratedEscrow contract not initialized');
+      }
+
+      const agreement = await this.getAgreement(tokenId);
+      if (!agreement) {
+        throw new Error('No escrow agreement for this property');
+      }
+
+      const tx = await this.contract.raiseDispute(agreement.agreementId, '');
+      const receipt = await tx.wait();
+
+      return {
+        success: true,
+        txnHash: receipt.hash
+      };
+    } catch (error) {
+      console.error('Failed to raise dispute:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Anchor a case file for the dispute on the property's agreement
+   */
+  async submitEvidence(tokenId, evidenceURI) {
+    try {
+      if (!this.contract) {
+        throw new Error('IntegratedEscrow contract not initialized');
+      }
+
+      const agreement = await this.getAgreement(tokenId);
+      const disputeId = agreement ? await this.contract.agreementToDispute(agreement.agreementId) : 0n;
+      if (disputeId === 0n) {
+        throw new Error('No escrow dispute for this property');
+      }
+
+      const tx = await this.contract.submitEvidence(disputeId, evidenceURI);
+      const receipt = await tx.wait();
+
+      return {
+        success: true,
+        txnHash: receipt.hash
+      };
+    } catch (error) {
+      console.error('Failed to submit evidence:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Get escrow disputes and the cases filed in them, newest first. The URI given when raising
+   * a dispute counts as the raiser's first filing. Reads the indexer when one is configured.
+   * @param {Object} [filters]
+   * @param {string} [filters.tokenId] - Only disputes over this property
+   * @returns {Promise<{ success: boolean, disputes?: import('../../types.js').DisputeRecord[], error?: string }>}
+   */
+  async getDisputes({ tokenId } = {}) {
+    try {
+      if (!this.contract) {
+        throw new Error('IntegratedEscrow contract not initialized');
+      }
+
+      const toFiling = (landlord, submitter, uri, txnHash) => ({
+        submitter,
+        role: submitter.toLowerCase() === landlord.toLowerCase() ? 'landlord' : 'tenant',
+        uri,
+        txnHash
+      });
+
+      if (indexerService.isConfigured()) {
+        const indexed = await indexerService.getEscrowDisputes({ tokenId });
+        if (indexed.success) {
+          return {
+            success: true,
+            disputes: indexed.disputes.reverse().map(dispute => ({
+              tokenId: dispute.tokenId,
+              isOpen: !['resolved', 'fallback'].includes(dispute.status),
+              tenantShare: dispute.status === 'resolved' ? Number(dispute.tenantShare) / 100 : null,
+              raisedBlock: dispute.createdBlock,
+              evidence: [
+                ...(dispute.reason ? [toFiling(dispute.landlord, dispute.raisedBy, dispute.reason, null)] : []),
+                ...dispute.evidence.map(item => toFiling(dispute.landlord, item.submitter, item.uri, item.txHash))
+              ]
+            }))
+          };
+        }
+      }
+
+      const latestBlock = await this.provider.getBlockNumber();
+      const fromBlock = Math.max(0, latestBlock - DISPUTE_LOOKBACK_BLOCKS);
+      const raised = await this.contract.queryFilter(this.contract.filters.DisputeRaised(), fromBlock);
+
+      const disputes = await Promise.all(raised.map(async (event) => {
+        const { agreementId, disputeId, raisedBy, reason } = event.args;
+        const [details, agreement, filed] = await Promise.all([
+          this.contract.getDispute(disputeId),
+          this.contract.getAgreementDetails(agreementId),
+          this.contract.queryFilter(this.contract.filters.EvidenceSubmitted(disputeId), fromBlock)
+        ]);
+        const status = Number(details.status);
+
+        return {
+          tokenId: agreement.tokenId.toString(),
+          isOpen: status !== DISPUTE_STATUS.Resolved && status !== DISPUTE_STATUS.Cancelled,
+          tenantShare: status === DISPUTE_STATUS.Resolved ? Number(details.tenantShare) / 100 : null,
+          raisedBlock: event.blockNumber,
+          evidence: [
+            ...(reason ? [toFiling(details.landlord, raisedBy, reason, event.transactionHash)] : []),
+            ...filed.map(item => toFiling(details.landlord, item.args.submitter, item.args.evidenceURI, item.transactionHash))
+          ]
+        };
+      }));
+
+      return {
+        success: true,
+        disputes: disputes
+          .filter(dispute => tokenId === undefined || dispute.tokenId === String(tokenId))
+          .reverse()
+      };
+    } catch (error) {
+      console.error('Failed to get disputes:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Withdraw BNB credited to the connected wallet
+   */
+  async withdraw() {
+    return escrowService.withdraw(ethers.ZeroAddress);
+  }
+
+  /**
+   * Get BNB credited to the connected wallet
+   */
+  async getPendingWithdrawal() {
+    try {
+      if (!this.contract) {
+        throw new Error('IntegratedEscrow contract not initialized');
+      }
+
+      const amount = await this.contract.getPendingBalance(this.account, ethers.ZeroAddress);
+      return ethers.formatEther(amount);
+    } catch (error) {
+      console.error('Failed to get pending withdrawal:', error);
+      return '0';
+    }
+  }
+
+  /**
+   * Check if the property's latest dispute has been settled
+   */
+  async isDisputeResolved(tokenId) {
+    const result = await escrowService.getDisputeForToken(tokenId);
+    // DisputeStatus.Resolved or DisputeStatus.Cancelled
+    return result.success && result.dispute !== null && [2, 3].includes(result.dispute.status);
+  }
+}
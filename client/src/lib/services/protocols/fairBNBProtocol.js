@@ -0,0 +1,1195 @@
+/**
+ * @fileoverview FairBNB protocol adapter: listings, rentals and settlement on the FairBNB contract
+ */
+
+import { ethers } from 'ethers';
+import { FairBNB } from '../../../abis/FairBNB.js';
+import { RentalProtocol } from './rentalProtocol.js';
+import { indexerService } from '../indexerService.js';
+import { toEpochDay, fromEpochDay, toDayKey } from '../../dates.js';
+
+// Contract configuration
+const CONTRACT_CONFIG = {
+  address: import.meta.env.VITE_FAIRBNB_CONTRACT_ADDRESS || '0x273806d29F1883b1AF5D51fFA6650c4adF26796c',
+  network: 'BSC Testnet'
+};
+
+// How far back to scan for rental activity events (public RPCs cap log ranges)
+const ACTIVITY_LOOKBACK_BLOCKS = 50000;
+
+export class FairBNBProtocol extends RentalProtocol {
+  constructor(host) {
+    super(host, {
+      name: 'fairbnb',
+      label: 'FairBNB',
+      features: ['inspection', 'cancellation', 'activity', 'jury', 'calendar', 'requests']
+    });
+  }
+
+  /**
+   * Bind the FairBNB contract to the connected signer
+   */
+  async connect(signer) {
+    this.contract = new ethers.Contract(
+      CONTRACT_CONFIG.address,
+      FairBNB,
+      signer
+    );
+  }
+
+  /**
+   * Mint a property NFT for an already uploaded metadata URI
+   */
+  async mintToken(tokenURI) {
+    try {
+      if (!this.contract) {
+        throw new Error('FairBNB contract not initialized');
+      }
+
+      const tx = await this.contract.mintProperty(tokenURI);
+      const receipt = await tx.wait();
+
+      // Find the PropertyMinted event
+      const mintEvent = receipt.logs.find(log => {
+        try {
+          const parsed = this.contract.interface.parseLog(log);
+          return parsed.name === 'PropertyMinted';
+        } catch {
+          return false;
+        }
+      });
+
+      if (mintEvent) {
+        const parsed = this.contract.interface.parseLog(mintEvent);
+        return {
+          success: true,
+          tokenId: parsed.args.tokenId.toString(),
+          tokenURI: parsed.args.uri,
+          txnHash: receipt.hash
+        };
+      }
+
+      throw new Error('Mint event not found');
+    } catch (error) {
+      console.error('Failed to mint property:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * List property for rent
+   */
+  async listProperty(tokenId, rent, deposit, disputeFee) {
+    try {
+      if (!this.contract) {
+        throw new Error('FairBNB contract not initialized');
+      }
+
+      const tx = await this.contract.listProperty(tokenId, rent, deposit, disputeFee);
+      const receipt = await tx.wait();
+
+      // Find the PropertyListed event
+      const listEvent = receipt.logs.find(log => {
+        try {
+          const parsed = this.contract.interface.parseLog(log);
+          return parsed.name === 'PropertyListed';
+        } catch {
+          return false;
+        }
+      });
+
+      if (listEvent) {
+        const parsed = this.contract.interface.parseLog(listEvent);
+        return {
+          success: true,
+          tokenId: parsed.args.tokenId.toString(),
+          rent: parsed.args.rent.toString(),
+          deposit: parsed.args.deposit.toString(),
+          disputeFee: parsed.args.disputeFee.toString(),
+          txnHash: receipt.hash
+        };
+      }
+
+      throw new Error('List event not found');
+    } catch (error) {
+      console.error('Failed to list property:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Read properties from the indexer when one is configured. Returns null to fall back to the chain.
+   */
+  async getIndexedProperties(filters) {
+    if (!indexerService.isConfigured()) {
+      return null;
+    }
+    const result = await indexerService.getProperties(filters);
+    return result.success ? result.properties : null;
+  }
+
+  /**
+   * Get user's NFTs (properties owned by connected address)
+   */
+  async getUserNFTs() {
+    try {
+      if (!this.contract) {
+        throw new Error('FairBNB contract not initialized');
+      }
+
+      const indexed = await this.getIndexedProperties({ owner: this.account });
+      if (indexed) {
+        return {
+          success: true,
+          nfts: indexed
+        };
+      }
+
+      const userTokens = await this.contract.getUserTokens(this.account);
+      const nfts = [];
+
+      for (const tokenId of userTokens) {
+        try {
+          nfts.push(await this.describeProperty(tokenId));
+        } catch (error) {
+          console.error(`Failed to get details for token ${tokenId}:`, error);
+        }
+      }
+
+      return {
+        success: true,
+        nfts
+      };
+    } catch (error) {
+      console.error('Failed to get user NFTs:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Get all available listings
+   */
+  async getAvailableListings() {
+    try {
+      if (!this.contract) {
+        throw new Error('FairBNB contract not initialized');
+      }
+
+      const indexed = await this.getIndexedProperties({ listed: true });
+      if (indexed) {
+        return {
+          success: true,
+          listings: indexed.map(property => ({
+            tokenId: property.tokenId,
+            tokenURI: property.tokenURI,
+            landlord: property.owner,
+            rent: property.listing.rent,
+            deposit: property.listing.deposit,
+            disputeFee: property.listing.disputeFee,
+            metadata: property.metadata
+          }))
+        };
+      }
+
+      const result = await this.contract.getAvailableListings();
+      const listings = [];
+
+      for (let i = 0; i < result.availableTokenIds.length; i++) {
+        try {
+          const tokenId = result.availableTokenIds[i];
+          const tokenURI = await this.contract.tokenURI(tokenId);
+          const owner = await this.contract.ownerOf(tokenId);
+
+          listings.push({
+            tokenId: tokenId.toString(),
+            tokenURI,
+            landlord: result.landlords[i],
+            rent: result.rents[i].toString(),
+            deposit: result.deposits[i].toString(),
+            disputeFee: result.disputeFees[i].toString()
+          });
+        } catch (error) {
+          console.error(`Failed to get details for listing ${i}:`, error);
+        }
+      }
+
+      return {
+        success: true,
+        listings
+      };
+    } catch (error) {
+      console.error('Failed to get available listings:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Get all NFTs with details (for explore page)
+   */
+  async getAllNFTsWithDetails() {
+    try {
+      if (!this.contract) {
+        throw new Error('FairBNB contract not initialized');
+      }
+
+      const indexed = await this.getIndexedProperties();
+      if (indexed) {
+        return {
+          success: true,
+          nfts: indexed.map(property => ({
+            tokenId: property.tokenId,
+            owner: property.owner,
+            tokenURI: property.tokenURI,
+            isListed: property.listing.isListed,
+            rent: property.listing.rent,
+            deposit: property.listing.deposit,
+            isRented: property.rental.isActive,
+            metadata: property.metadata
+          }))
+        };
+      }
+
+      const result = await this.contract.getAllNFTsWithDetails();
+      const nfts = [];
+
+      for (let i = 0; i < result.tokenIds.length; i++) {
+        try {
+          nfts.push({
+            tokenId: result.tokenIds[i].toString(),
+            owner: result.owners[i],
+            tokenURI: result.uris[i],
+            isListed: result.isListed[i],
+            rent: result.rents[i].toString(),
+            deposit: result.deposits[i].toString(),
+            isRented: result.isRented[i]
+          });
+        } catch (error) {
+          console.error(`Failed to get details for NFT ${i}:`, error);
+        }
+      }
+
+      return {
+        success: true,
+        nfts
+      };
+    } catch (error) {
+      console.error('Failed to get all NFTs:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+
+  /**
+   * Describe a property: owner, listing terms and current rental
+   */
+  async describeProperty(tokenId) {
+    const [tokenURI, owner, listingDetails, rentalDetails] = await Promise.all([
+      this.contract.tokenURI(tokenId),
+      this.contract.ownerOf(tokenId),
+      this.contract.getListingDetails(tokenId),
+      this.contract.getRentalDetails(tokenId)
+    ]);
+
+    return {
+      tokenId: tokenId.toString(),
+      tokenURI,
+      owner,
+      listing: {
+        rent: listingDetails.rent.toString(),
+        deposit: listingDetails.deposit.toString(),
+        disputeFee: listingDetails.disputeFee.toString(),
+        isListed: listingDetails.isListed
+      },
+      rental: {
+        landlord: rentalDetails.landlord,
+        tenant: rentalDetails.tenant,
+        rent: rentalDetails.rent.toString(),
+        deposit: rentalDetails.deposit.toString(),
+        disputeFee: rentalDetails.disputeFee.toString(),
+        isActive: rentalDetails.isActive,
+        tenantHappy: rentalDetails.tenantHappy,
+        landlordHappy: rentalDetails.landlordHappy,
+        isDisputed: rentalDetails.isDisputed
+      }
+    };
+  }
+
+  /**
+   * Get a single property's details
+   */
+  async getPropertyDetails(tokenId) {
+    try {
+      if (!this.contract) {
+        throw new Error('FairBNB contract not initialized');
+      }
+
+      return {
+        success: true,
+        property: await this.describeProperty(tokenId)
+      };
+    } catch (error) {
+      console.error('Failed to get property details:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Request a stay. The payment is held until the landlord approves or declines; an approved
+   * stay starting today begins right away, later ones are started with startBooking.
+   * @param {string} tokenId
+   * @param {string|number} totalAmount - Nightly rent for every night + deposit + dispute fee
+   * @param {number} _durationMonths - Unused, the stay's dates set its length
+   * @param {{ checkIn: string, checkOut: string }} dates - 'YYYY-MM-DD' days, check-out exclusive
+   */
+  async rentProperty(tokenId, totalAmount, _durationMonths, dates) {
+    try {
+      if (!this.contract) {
+        throw new Error('FairBNB contract not initialized');
+      }
+      if (!dates?.checkIn || !dates?.checkOut) {
+        throw new Error('Check-in and check-out dates are required');
+      }
+
+      const tx = await this.contract.rentProperty(
+        tokenId,
+        toEpochDay(dates.checkIn),
+        toEpochDay(dates.checkOut),
+        { value: totalAmount }
+      );
+      const receipt = await tx.wait();
+
+      // Find the BookingRequested event
+      const requestEvent = receipt.logs.find(log => {
+        try {
+          const parsed = this.contract.interface.parseLog(log);
+          return parsed.name === 'BookingRequested';
+        } catch {
+          return false;
+        }
+      });
+
+      if (requestEvent) {
+        const parsed = this.contract.interface.parseLog(requestEvent);
+        return {
+          success: true,
+          tokenId: parsed.args.tokenId.toString(),
+          tenant: parsed.args.tenant,
+          totalPaid: parsed.args.totalPaid.toString(),
+          respondBy: Number(parsed.args.respondBy) * 1000,
+          txnHash: receipt.hash
+        };
+      }
+
+      throw new Error('Booking request event not found');
+    } catch (error) {
+      console.error('Failed to rent property:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Get the running rental's dates and the approved upcoming bookings of a property, earliest first,
+   * with the days their inspection windows keep free around them
+   */
+  async getBookedRanges(tokenId) {
+    try {
+      if (!this.contract) {
+        throw new Error('FairBNB contract not initialized');
+      }
+
+      const [rental, bookings, inspectionPeriod] = await Promise.all([
+        this.contract.rentals(tokenId),
+        this.contract.getBookings(tokenId),
+        this.contract.inspectionPeriod()
+      ]);
+
+      // Each stay holds the property until its inspection window closes, so stays are this many days apart
+      const gapDays = inspectionPeriod / 86400n + 1n;
+      const ranges = bookings.filter(booking => booking.approved).map(booking => ({
+        tenant: booking.tenant,
+        checkIn: fromEpochDay(booking.checkIn),
+        checkOut: fromEpochDay(booking.checkOut),
+        blockedFrom: fromEpochDay(booking.checkIn - gapDays),
+        blockedUntil: fromEpochDay(booking.checkOut + gapDays),
+        isActive: false
+      }));
+      if (rental.isActive) {
+        ranges.push({
+          tenant: rental.tenant,
+          checkIn: fromEpochDay(rental.checkIn),
+          checkOut: fromEpochDay(rental.checkOut),
+          blockedFrom: fromEpochDay(rental.checkIn - gapDays),
+          blockedUntil: fromEpochDay(rental.inspectionDeadline / 86400n + 1n),
+          isActive: true
+        });
+      }
+      ranges.sort((a, b) => a.checkIn.localeCompare(b.checkIn));
+
+      return {
+        success: true,
+        ranges
+      };
+    } catch (error) {
+      console.error('Failed to get booked ranges:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Get the bookings on a property that await the landlord, earliest stay first: requests to
+   * answer, and approved stays nobody started by the end of their check-in day (noShow) while
+   * nothing kept them from starting
+   */
+  async getBookingRequests(tokenId) {
+    try {
+      if (!this.contract) {
+        throw new Error('FairBNB contract not initialized');
+      }
+
+      const today = toDayKey();
+      const [bookings, rental] = await Promise.all([
+        this.contract.getBookings(tokenId),
+        this.contract.rentals(tokenId)
+      ]);
+      // A disputed rental, or one still in its inspection window, keeps the next stay from starting
+      const isBlocked = rental.isActive &&
+        (rental.isDisputed || BigInt(Math.floor(Date.now() / 1000)) <= rental.inspectionDeadline);
+      const requests = bookings
+        .map(booking => ({
+          tokenId: tokenId.toString(),
+          tenant: booking.tenant,
+          checkIn: fromEpochDay(booking.checkIn),
+          checkOut: fromEpochDay(booking.checkOut),
+          totalPaid: (booking.rent + booking.deposit + booking.disputeFee).toString(),
+          respondBy: Number(booking.respondBy) * 1000,
+          noShow: booking.approved
+        }))
+        .filter(request => !request.noShow || (request.checkIn < today && !isBlocked))
+        .sort((a, b) => a.checkIn.localeCompare(b.checkIn));
+
+      return {
+        success: true,
+        requests
+      };
+    } catch (error) {
+      console.error('Failed to get booking requests:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Approve a booking request (landlord); overlapping requests are declined and refunded
+   */
+  async approveBooking(tokenId, tenant, checkIn) {
+    try {
+      if (!this.contract) {
+        throw new Error('FairBNB contract not initialized');
+      }
+
+      const tx = await this.contract.approveBooking(tokenId, tenant, toEpochDay(checkIn));
+      const receipt = await tx.wait();
+
+      return {
+        success: true,
+        txnHash: receipt.hash
+      };
+    } catch (error) {
+      console.error('Failed to approve booking:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Decline a booking request (landlord); the tenant's payment becomes withdrawable
+   */
+  async declineBooking(tokenId, tenant, checkIn) {
+    try {
+      if (!this.contract) {
+        throw new Error('FairBNB contract not initialized');
+      }
+
+      const tx = await this.contract.declineBooking(tokenId, tenant, toEpochDay(checkIn));
+      const receipt = await tx.wait();
+
+      return {
+        success: true,
+        txnHash: receipt.hash
+      };
+    } catch (error) {
+      console.error('Failed to decline booking:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Refund every request on a property whose response deadline passed
+   */
+  async expireRequests(tokenId) {
+    try {
+      if (!this.contract) {
+        throw new Error('FairBNB contract not initialized');
+      }
+
+      const tx = await this.contract.expireRequests(tokenId);
+      const receipt = await tx.wait();
+
+      return {
+        success: true,
+        txnHash: receipt.hash
+      };
+    } catch (error) {
+      console.error('Failed to expire booking requests:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Release an approved stay nobody started by the end of its check-in day (landlord);
+   * the tenant's payment becomes withdrawable
+   */
+  async expireBooking(tokenId, tenant, checkIn) {
+    try {
+      if (!this.contract) {
+        throw new Error('FairBNB contract not initialized');
+      }
+
+      const tx = await this.contract.expireBooking(tokenId, tenant, toEpochDay(checkIn));
+      const receipt = await tx.wait();
+
+      return {
+        success: true,
+        txnHash: receipt.hash
+      };
+    } catch (error) {
+      console.error('Failed to expire booking:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Start the connected tenant's approved booking on or after its check-in day
+   */
+  async startBooking(tokenId, checkIn) {
+    try {
+      if (!this.contract) {
+        throw new Error('FairBNB contract not initialized');
+      }
+
+      const tx = await this.contract.startBooking(tokenId, toEpochDay(checkIn));
+      const receipt = await tx.wait();
+
+      return {
+        success: true,
+        txnHash: receipt.hash
+      };
+    } catch (error) {
+      console.error('Failed to start booking:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Withdraw the connected tenant's request, or cancel their booking before it starts;
+   * the payment becomes withdrawable
+   */
+  async cancelBooking(tokenId, checkIn) {
+    try {
+      if (!this.contract) {
+        throw new Error('FairBNB contract not initialized');
+      }
+
+      const tx = await this.contract.cancelBooking(tokenId, toEpochDay(checkIn));
+      const receipt = await tx.wait();
+
+      return {
+        success: true,
+        txnHash: receipt.hash
+      };
+    } catch (error) {
+      console.error('Failed to cancel booking:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Confirm happy as the connected party (landlord or tenant is derived on-chain)
+   */
+  async confirmHappy(tokenId) {
+    try {
+      if (!this.contract) {
+        throw new Error('FairBNB contract not initialized');
+      }
+
+      const tx = await this.contract.confirmHappy(tokenId);
+      const receipt = await tx.wait();
+
+      return {
+        success: true,
+        txnHash: receipt.hash
+      };
+    } catch (error) {
+      console.error('Failed to confirm happy:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Propose a deposit deduction (landlord)
+   */
+  async proposeDeduction(tokenId, amount) {
+    try {
+      if (!this.contract) {
+        throw new Error('FairBNB contract not initialized');
+      }
+
+      const tx = await this.contract.proposeDeduction(tokenId, amount);
+      const receipt = await tx.wait();
+
+      return {
+        success: true,
+        txnHash: receipt.hash
+      };
+    } catch (error) {
+      console.error('Failed to propose deduction:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Accept or reject a proposed deposit deduction (tenant)
+   */
+  async respondToDeduction(tokenId, accept) {
+    try {
+      if (!this.contract) {
+        throw new Error('FairBNB contract not initialized');
+      }
+
+      const tx = await this.contract.respondToDeduction(tokenId, accept);
+      const receipt = await tx.wait();
+
+      return {
+        success: true,
+        txnHash: receipt.hash
+      };
+    } catch (error) {
+      console.error('Failed to respond to deduction:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Settle a rental whose inspection window expired without a dispute
+   */
+  async settleAfterInspection(tokenId) {
+    try {
+      if (!this.contract) {
+        throw new Error('FairBNB contract not initialized');
+      }
+
+      const tx = await this.contract.settleAfterInspection(tokenId);
+      const receipt = await tx.wait();
+
+      return {
+        success: true,
+        txnHash: receipt.hash
+      };
+    } catch (error) {
+      console.error('Failed to settle rental:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Get inspection deadline, pending deposit deduction and cancellation proposal for a rental
+   */
+  async getSettlementDetails(tokenId) {
+    try {
+      if (!this.contract) {
+        throw new Error('FairBNB contract not initialized');
+      }
+
+      const details = await this.contract.getSettlementDetails(tokenId);
+      const hasCancellation = details.cancellationProposedBy !== ethers.ZeroAddress;
+      return {
+        success: true,
+        inspectionDeadline: Number(details.inspectionDeadline),
+        proposedDeduction: details.proposedDeduction.toString(),
+        cancellation: hasCancellation
+          ? {
+              proposedBy: details.cancellationProposedBy,
+              tenantRefund: details.cancellationTenantRefund.toString()
+            }
+          : null
+      };
+    } catch (error) {
+      console.error('Failed to get settlement details:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Propose a mutual cancellation with the given tenant refund (either party)
+   */
+  async proposeCancellation(tokenId, tenantRefund) {
+    try {
+      if (!this.contract) {
+        throw new Error('FairBNB contract not initialized');
+      }
+
+      const tx = await this.contract.proposeCancellation(tokenId, tenantRefund);
+      const receipt = await tx.wait();
+
+      return {
+        success: true,
+        txnHash: receipt.hash
+      };
+    } catch (error) {
+      console.error('Failed to propose cancellation:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Accept the other party's cancellation proposal
+   */
+  async acceptCancellation(tokenId, expectedRefund) {
+    try {
+      if (!this.contract) {
+        throw new Error('FairBNB contract not initialized');
+      }
+
+      const tx = await this.contract.acceptCancellation(tokenId, expectedRefund);
+      const receipt = await tx.wait();
+
+      return {
+        success: true,
+        txnHash: receipt.hash
+      };
+    } catch (error) {
+      console.error('Failed to accept cancellation:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Revoke your own cancellation proposal
+   */
+  async revokeCancellation(tokenId) {
+    try {
+      if (!this.contract) {
+        throw new Error('FairBNB contract not initialized');
+      }
+
+      const tx = await this.contract.revokeCancellation(tokenId);
+      const receipt = await tx.wait();
+
+      return {
+        success: true,
+        txnHash: receipt.hash
+      };
+    } catch (error) {
+      console.error('Failed to revoke cancellation:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Get recent on-chain activity (confirmations, deductions, disputes, cancellations) for a rental
+   */
+  async getRentalActivity(tokenId) {
+    try {
+      if (!this.contract) {
+        throw new Error('FairBNB contract not initialized');
+      }
+
+      const latestBlock = await this.provider.getBlockNumber();
+      const fromBlock = Math.max(0, latestBlock - ACTIVITY_LOOKBACK_BLOCKS);
+      const eventNames = [
+        'HappyConfirmed',
+        'DeductionProposed',
+        'DeductionResponded',
+        'DisputeRaised',
+        'EvidenceSubmitted',
+        'CancellationProposed',
+        'CancellationRevoked',
+        'RentalCancelled'
+      ];
+
+      const logs = [];
+      for (const eventName of eventNames) {
+        const events = await this.contract.queryFilter(eventName, fromBlock);
+        logs.push(...events.filter(event => event.args.tokenId.toString() === tokenId.toString()));
+      }
+
+      logs.sort((a, b) => (a.blockNumber - b.blockNumber) || (a.index - b.index));
+
+      return {
+        success: true,
+        activity: logs.map(event => ({
+          name: event.eventName,
+          args: Object.fromEntries(
+            event.fragment.inputs.map((input, i) => [input.name, event.args[i].toString()])
+          ),
+          blockNumber: event.blockNumber,
+          txnHash: event.transactionHash
+        }))
+      };
+    } catch (error) {
+      console.error('Failed to get rental activity:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Raise dispute
+   */
+  async raiseDispute(tokenId) {
+    try {
+      if (!this.contract) {
+        throw new Error('FairBNB contract not initialized');
+      }
+
+      const tx = await this.contract.raiseDispute(tokenId);
+      const receipt = await tx.wait();
+
+      return {
+        success: true,
+        txnHash: receipt.hash
+      };
+    } catch (error) {
+      console.error('Failed to raise dispute:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Anchor a case file for the property's open dispute; the contract logs its URI for the jury
+   */
+  async submitEvidence(tokenId, evidenceURI) {
+    try {
+      if (!this.contract) {
+        throw new Error('FairBNB contract not initialized');
+      }
+
+      const tx = await this.contract.submitEvidence(tokenId, evidenceURI);
+      const receipt = await tx.wait();
+
+      return {
+        success: true,
+        txnHash: receipt.hash
+      };
+    } catch (error) {
+      console.error('Failed to submit evidence:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Get disputes and the cases filed in them, newest first. Reads the indexer when one is
+   * configured, otherwise replays recent DisputeRaised, EvidenceSubmitted and DisputeResolved events.
+   * @param {Object} [filters]
+   * @param {string} [filters.tokenId] - Only disputes over this property
+   * @returns {Promise<{ success: boolean, disputes?: import('../../types.js').DisputeRecord[], error?: string }>}
+   */
+  async getDisputes({ tokenId } = {}) {
+    try {
+      if (!this.contract) {
+        throw new Error('FairBNB contract not initialized');
+      }
+
+      if (indexerService.isConfigured()) {
+        const indexed = await indexerService.getRentalDisputes({ tokenId });
+        if (indexed.success) {
+          return {
+            success: true,
+            disputes: indexed.disputes.map(dispute => ({
+              tokenId: dispute.tokenId,
+              isOpen: dispute.status === 'open',
+              tenantShare: dispute.tenantWins === null ? null : (dispute.tenantWins ? 100 : 0),
+              raisedBlock: dispute.raisedBlock,
+              evidence: dispute.evidence.map(item => ({
+                submitter: item.submitter,
+                role: item.isLandlord ? 'landlord' : 'tenant',
+                uri: item.uri,
+                txnHash: item.txHash
+              }))
+            }))
+          };
+        }
+      }
+
+      const latestBlock = await this.provider.getBlockNumber();
+      const fromBlock = Math.max(0, latestBlock - ACTIVITY_LOOKBACK_BLOCKS);
+      const logs = [];
+      for (const eventName of ['DisputeRaised', 'EvidenceSubmitted', 'DisputeResolved']) {
+        const events = await this.contract.queryFilter(eventName, fromBlock);
+        logs.push(...events.filter(event => tokenId === undefined || event.args.tokenId.toString() === String(tokenId)));
+      }
+      logs.sort((a, b) => (a.blockNumber - b.blockNumber) || (a.index - b.index));
+
+      // A property has at most one open dispute; its evidence and ruling follow it in the log
+      const disputes = [];
+      const open = new Map();
+      for (const event of logs) {
+        const id = event.args.tokenId.toString();
+        if (event.eventName === 'DisputeRaised') {
+          const dispute = { tokenId: id, isOpen: true, tenantShare: null, raisedBlock: event.blockNumber, evidence: [] };
+          disputes.push(dispute);
+          open.set(id, dispute);
+        } else if (open.has(id) && event.eventName === 'EvidenceSubmitted') {
+          open.get(id).evidence.push({
+            submitter: event.args.submitter,
+            role: event.args.isLandlord ? 'landlord' : 'tenant',
+            uri: event.args.evidenceURI,
+            txnHash: event.transactionHash
+          });
+        } else if (open.has(id)) {
+          Object.assign(open.get(id), { isOpen: false, tenantShare: event.args.tenantWins ? 100 : 0 });
+          open.delete(id);
+        }
+      }
+
+      return {
+        success: true,
+        disputes: disputes.reverse()
+      };
+    } catch (error) {
+      console.error('Failed to get disputes:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Resolve dispute (jury function)
+   */
+  async resolveDispute(tokenId, tenantWins) {
+    try {
+      if (!this.contract) {
+        throw new Error('FairBNB contract not initialized');
+      }
+
+      const tx = await this.contract.resolveDispute(tokenId, tenantWins);
+      const receipt = await tx.wait();
+
+      return {
+        success: true,
+        txnHash: receipt.hash
+      };
+    } catch (error) {
+      console.error('Failed to resolve dispute:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+
+  /**
+   * Withdraw accumulated funds
+   */
+  async withdraw() {
+    try {
+      if (!this.contract) {
+        throw new Error('FairBNB contract not initialized');
+      }
+
+      const tx = await this.contract.withdraw();
+      const receipt = await tx.wait();
+
+      return {
+        success: true,
+        txnHash: receipt.hash
+      };
+    } catch (error) {
+      console.error('Failed to withdraw:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Check if current user is jury
+   */
+  async isJury() {
+    try {
+      if (!this.contract) {
+        throw new Error('FairBNB contract not initialized');
+      }
+
+      const juryAddress = await this.contract.jury();
+      return this.account?.toLowerCase() === juryAddress.toLowerCase();
+    } catch (error) {
+      console.error('Failed to check jury status:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get jury address
+   */
+  async getJuryAddress() {
+    try {
+      if (!this.contract) {
+        throw new Error('FairBNB contract not initialized');
+      }
+
+      return await this.contract.jury();
+    } catch (error) {
+      console.error('Failed to get jury address:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get pending withdrawal amount for current user
+   */
+  async getPendingWithdrawal() {
+    try {
+      if (!this.contract) {
+        throw new Error('FairBNB contract not initialized');
+      }
+
+      const amount = await this.contract.pendingWithdrawals(this.account);
+      return ethers.formatEther(amount);
+    } catch (error) {
+      console.error('Failed to get pending withdrawal:', error);
+      return '0';
+    }
+  }
+
+  /**
+   * Check if dispute has been resolved
+   */
+  async isDisputeResolved(tokenId) {
+    try {
+      if (!this.contract) {
+        throw new Error('FairBNB contract not initialized');
+      }
+
+      const rentalDetails = await this.contract.getRentalDetails(tokenId);
+      return !rentalDetails.isDisputed && !rentalDetails.isActive;
+    } catch (error) {
+      console.error('Failed to check dispute status:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get dispute resolution details
+   */
+  async getDisputeResolution(tokenId) {
+    try {
+      if (!this.contract) {
+        throw new Error('FairBNB contract not initialized');
+      }
+
+      const rentalDetails = await this.contract.getRentalDetails(tokenId);
+      const listingDetails = await this.contract.getListingDetails(tokenId);
+      
+      if (!rentalDetails.isDisputed && !rentalDetails.isActive) {
+        // Dispute has been resolved
+        const juryReward = ethers.formatEther(listingDetails.disputeFee / 2n);
+        
+        // Determine winner based on who gets the funds
+        // This is a simplified logic - in a real implementation, you'd track the resolution
+        const tenantWins = rentalDetails.tenant !== '0x0000000000000000000000000000000000000000';
+        
+        return {
+          resolved: true,
+          tenantWins,
+          juryReward,
+          totalDisputeFee: ethers.formatEther(listingDetails.disputeFee)
+        };
+      }
+      
+      return { resolved: false };
+    } catch (error) {
+      console.error('Failed to get dispute resolution:', error);
+      return { resolved: false };
+    }
+  }
+}
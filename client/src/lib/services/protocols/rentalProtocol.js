@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Common interface for the rental protocols web3Service can run against
+ */
+
+/**
+ * Base protocol adapter. Methods resolve to `{ success, ... }` results like the services do;
+ * operations a protocol does not offer resolve to a failure naming the protocol.
+ *
+ * Properties are described the same way by every protocol:
+ * `{ tokenId, tokenURI, owner, listing: { rent, deposit, disputeFee, isListed },
+ *    rental: { landlord, tenant, rent, deposit, disputeFee, isActive, tenantHappy, landlordHappy, isDisputed } }`;
+ * IntegratedEscrow adds `rental.isPending` for agreements still awaiting the landlord's acceptance
+ */
+export class RentalProtocol {
+  /**
+   * @param {object} host - web3Service, which owns the wallet connection
+   * @param {object} options
+   * @param {string} options.name - Protocol key used in VITE_PROTOCOL
+   * @param {string} options.label - Human-readable contract name
+   * @param {string[]} options.features - Optional features this protocol offers
+   */
+  constructor(host, { name, label, features = [] }) {
+    this.host = host;
+    this.name = name;
+    this.label = label;
+    this.features = new Set(features);
+    this.contract = null;
+  }
+
+  get account() {
+    return this.host.account;
+  }
+
+  get provider() {
+    return this.host.provider;
+  }
+
+  /**
+   * Bind the protocol's contracts to the connected signer
+   */
+  async connect() {
+    throw new Error(`${this.label} does not implement connect`);
+  }
+
+  /**
+   * Drop contract bindings when the wallet disconnects
+   */
+  disconnect() {
+    this.contract = null;
+  }
+
+  /**
+   * Check whether the protocol offers an optional feature
+   * @param {string} feature - 'inspection' (happy confirmations, deductions, settlement),
+   *   'cancellation' (mutual cancellation proposals), 'activity' (rental event feed), 'jury'
+   *   (single jury address resolving disputes), 'calendar' (stays booked for date ranges),
+   *   'requests' (landlords approve or decline booking requests) or 'acceptance' (landlords accept
+   *   the tenant's terms, backing the rental with their listing bond)
+   */
+  supports(feature) {
+    return this.features.has(feature);
+  }
+
+  /**
+   * Failure result for an operation the protocol does not offer
+   */
+  unsupported(action) {
+    return {
+      success: false,
+      error: `${action} is not supported by ${this.label}`
+    };
+  }
+
+  confirmHappy() {
+    return this.unsupported('Confirming a rental');
+  }
+
+  proposeDeduction() {
+    return this.unsupported('Deposit deductions');
+  }
+
+  respondToDeduction() {
+    return this.unsupported('Deposit deductions');
+  }
+
+  settleAfterInspection() {
+    return this.unsupported('Settling after inspection');
+  }
+
+  getSettlementDetails() {
+    return this.unsupported('Settlement details');
+  }
+
+  proposeCancellation() {
+    return this.unsupported('Cancellation proposals');
+  }
+
+  acceptCancellation() {
+    return this.unsupported('Cancellation proposals');
+  }
+
+  revokeCancellation() {
+    return this.unsupported('Cancellation proposals');
+  }
+
+  getRentalActivity() {
+    return this.unsupported('Rental activity');
+  }
+
+  getBookedRanges() {
+    return this.unsupported('Booking calendars');
+  }
+
+  startBooking() {
+    return this.unsupported('Booked stays');
+  }
+
+  cancelBooking() {
+    return this.unsupported('Booked stays');
+  }
+
+  getBookingRequests() {
+    return this.unsupported('Booking requests');
+  }
+
+  approveBooking() {
+    return this.unsupported('Booking requests');
+  }
+
+  declineBooking() {
+    return this.unsupported('Booking requests');
+  }
+
+  expireRequests() {
+    return this.unsupported('Booking requests');
+  }
+
+  expireBooking() {
+    return this.unsupported('Booking requests');
+  }
+
+  resolveDispute() {
+    return this.unsupported('Resolving disputes by a single jury');
+  }
+
+  acceptAgreement() {
+    return this.unsupported('Accepting agreements');
+  }
+
+  submitEvidence() {
+    return this.unsupported('Dispute evidence');
+  }
+
+  getDisputes() {
+    return this.unsupported('Dispute records');
+  }
+
+  async isDisputeResolved() {
+    return false;
+  }
+
+  async getDisputeResolution() {
+    return { resolved: false };
+  }
+
+  async isJury() {
+    return false;
+  }
+
+  async getJuryAddress() {
+    return null;
+  }
+}
@@ -0,0 +1,225 @@
+/**
+ * @fileoverview Review service for ratings left on completed escrow agreements through the RentalReviews contract
+ */
+
+import { ethers } from 'ethers';
+import { RentalReviewsABI } from '../../abis/RentalReviews.js';
+import { escrowService } from './escrowService.js';
+import { greenfieldService } from './greenfieldService.js';
+import { web3Service } from './web3Service.js';
+
+// Contract configuration
+const REVIEWS_CONFIG = {
+  address: import.meta.env.VITE_REVIEWS_CONTRACT_ADDRESS || '',
+  network: 'BSC Testnet'
+};
+
+/**
+ * Shorten an address for display
+ */
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+/**
+ * Average of a rating aggregate to one decimal, or null before the first rating
+ */
+const toAverage = (count, total) => (count === 0n ? null : (Number(total) / Number(count)).toFixed(1));
+
+/**
+ * Fetch the review text JSON from IPFS or Greenfield
+ */
+const fetchReviewText = async (uri) => {
+  if (uri.startsWith('greenfield://')) {
+    const [bucketName, ...objectPath] = uri.replace('greenfield://', '').split('/');
+    const result = await greenfieldService.getObject(bucketName, objectPath.join('/'));
+    if (!result.success) return '';
+    return JSON.parse(await result.data.text()).text || '';
+  }
+
+  const result = await web3Service.getMetadataFromURI(uri);
+  return result.success ? result.metadata.text || '' : '';
+};
+
+class ReviewService {
+  constructor() {
+    this.contract = null;
+  }
+
+  /**
+   * Check whether a RentalReviews deployment is configured
+   */
+  isConfigured() {
+    return Boolean(REVIEWS_CONFIG.address);
+  }
+
+  /**
+   * Get the reviews contract bound to the connected wallet
+   */
+  getContract() {
+    if (!this.isConfigured()) {
+      throw new Error('RentalReviews contract not configured');
+    }
+    if (!web3Service.signer) {
+      throw new Error('Wallet not connected');
+    }
+    if (!this.contract || this.contract.runner !== web3Service.signer) {
+      this.contract = new ethers.Contract(REVIEWS_CONFIG.address, RentalReviewsABI, web3Service.signer);
+    }
+    return this.contract;
+  }
+
+  /**
+   * Load the text of on-chain reviews, newest first
+   */
+  async formatReviews(reviews) {
+    const formatted = await Promise.all(reviews.map(async (review) => ({
+      agreementId: review.agreementId.toString(),
+      tokenId: review.tokenId.toString(),
+      reviewer: review.reviewer,
+      name: shortAddress(review.reviewer),
+      avatar: review.reviewer.slice(2, 4).toUpperCase(),
+      rating: Number(review.rating),
+      byTenant: review.byTenant,
+      text: await fetchReviewText(review.uri),
+      uri: review.uri,
+      createdAt: Number(review.createdAt) * 1000
+    })));
+    return formatted.reverse();
+  }
+
+  /**
+   * Get a property's tenant reviews and average rating
+   */
+  async getPropertyReviews(tokenId) {
+    try {
+      const contract = this.getContract();
+      const [reviews, rating] = await Promise.all([
+        contract.getPropertyReviews(tokenId),
+        contract.getPropertyRating(tokenId)
+      ]);
+
+      return {
+        success: true,
+        reviews: await this.formatReviews(reviews),
+        averageRating: toAverage(rating.count, rating.total),
+        totalReviews: Number(rating.count)
+      };
+    } catch (error) {
+      console.error('Failed to get property reviews:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Get the reviews an address received as tenant or landlord, and their average rating
+   */
+  async getReviewsReceived(user = web3Service.getAccount()) {
+    try {
+      const contract = this.getContract();
+      const [reviews, rating] = await Promise.all([
+        contract.getReviewsReceived(user),
+        contract.getUserRating(user)
+      ]);
+
+      return {
+        success: true,
+        reviews: await this.formatReviews(reviews),
+        averageRating: toAverage(rating.count, rating.total),
+        totalReviews: Number(rating.count)
+      };
+    } catch (error) {
+      console.error('Failed to get received reviews:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Get the connected wallet's completed agreements it has not reviewed yet, as tenant or landlord
+   */
+  async getPendingReviews() {
+    try {
+      const contract = this.getContract();
+      const escrow = escrowService.getContract();
+      const account = web3Service.getAccount();
+
+      const [tenantIds, landlordIds] = await Promise.all([
+        escrow.getTenantAgreements(account),
+        escrow.getLandlordAgreements(account)
+      ]);
+      const agreementIds = [...new Set([...tenantIds, ...landlordIds].map(String))];
+
+      const pending = await Promise.all(agreementIds.map(async (agreementId) => {
+        if (!await contract.canReview(agreementId, account)) {
+          return null;
+        }
+        const agreement = await escrow.getAgreementDetails(agreementId);
+        const asTenant = agreement.tenant.toLowerCase() === account.toLowerCase();
+        const counterparty = asTenant ? agreement.landlord : agreement.tenant;
+
+        return {
+          agreementId,
+          tokenId: agreement.tokenId.toString(),
+          role: asTenant ? 'tenant' : 'landlord',
+          counterparty,
+          counterpartyName: shortAddress(counterparty)
+        };
+      }));
+
+      return {
+        success: true,
+        pending: pending.filter(Boolean)
+      };
+    } catch (error) {
+      console.error('Failed to get pending reviews:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Rate the other party of a completed agreement. The text is uploaded and its URI stored on-chain.
+   * @param {string} agreementId - The completed agreement
+   * @param {number} rating - 1 to 5 stars
+   * @param {string} text - Review text
+   */
+  async submitReview(agreementId, rating, text) {
+    try {
+      const contract = this.getContract();
+
+      const upload = await web3Service.uploadMetadata({
+        agreementId: String(agreementId),
+        rating,
+        text,
+        reviewer: web3Service.getAccount(),
+        createdAt: new Date().toISOString()
+      }, 'reviews', `review_${agreementId}.json`);
+      if (!upload.success) {
+        throw new Error(upload.error);
+      }
+
+      const tx = await contract.submitReview(agreementId, rating, upload.url);
+      const receipt = await tx.wait();
+
+      return {
+        success: true,
+        txnHash: receipt.hash
+      };
+    } catch (error) {
+      console.error('Failed to submit review:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+}
+
+// Export singleton instance
+export const reviewService = new ReviewService();
@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Upload service for files and JSON stored through the API server in server/, which checks
+ * them, strips image location data and keeps the storage credentials
+ */
+
+import { authService } from './authService.js';
+
+// Upload configuration; uploads go to the same server as the indexer
+const UPLOAD_CONFIG = {
+  url: (import.meta.env.VITE_INDEXER_URL || '').replace(/\/$/, '')
+};
+
+class UploadService {
+  /**
+   * Check whether an upload server URL is configured
+   */
+  isConfigured() {
+    return Boolean(UPLOAD_CONFIG.url);
+  }
+
+  /**
+   * POST an upload and return the stored URI
+   */
+  async post(path, params, body, contentType, signer) {
+    if (!this.isConfigured()) {
+      throw new Error('Upload server not configured (VITE_INDEXER_URL)');
+    }
+    if (!signer) {
+      throw new Error('Wallet not connected');
+    }
+
+    // Signs in first when the wallet has no live session
+    const auth = await authService.signIn(signer);
+    if (!auth.success) {
+      throw new Error(auth.error);
+    }
+
+    const response = await fetch(`${UPLOAD_CONFIG.url}${path}?${new URLSearchParams(params)}`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${auth.session.token}`,
+        'Content-Type': contentType
+      },
+      body
+    });
+    const result = await response.json();
+    if (!result.success) {
+      throw new Error(result.error || `Upload failed: ${response.statusText}`);
+    }
+    return result.uri;
+  }
+
+  /**
+   * Upload a file such as a property photo or dispute evidence
+   * @param {File} file - JPEG, PNG, GIF, WebP, PDF or plain text, up to the server's size limit
+   * @param {{ folder: string, signer: import('ethers').Signer }} options - Folder grouping uploads of one kind
+   * @returns {Promise<{ success: boolean, url?: string, error?: string }>}
+   */
+  async uploadFile(file, { folder, signer }) {
+    try {
+      const url = await this.post('/api/uploads', { folder, name: file.name }, file, file.type, signer);
+      return {
+        success: true,
+        url
+      };
+    } catch (error) {
+      console.error('Failed to upload file:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Upload a JSON document such as token metadata or a dispute case
+   * @param {Object} data - Document to store
+   * @param {{ folder: string, name?: string, signer: import('ethers').Signer }} options
+   * @returns {Promise<{ success: boolean, url?: string, error?: string }>}
+   */
+  async uploadJSON(data, { folder, name = 'metadata.json', signer }) {
+    try {
+      const url = await this.post('/api/uploads/json', { folder, name }, JSON.stringify(data), 'application/json', signer);
+      return {
+        success: true,
+        url
+      };
+    } catch (error) {
+      console.error('Failed to upload JSON:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+}
+
+// Export singleton instance
+export const uploadService = new UploadService();
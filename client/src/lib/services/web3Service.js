@@ -1,23 +1,29 @@
 /**
- * @fileoverview Web3 service for blockchain interactions with FairBNB contract
+ * @fileoverview Web3 service for wallet connection, uploads and the configured rental protocol
  */
 
 import { ethers } from 'ethers';
-import { FairBNB } from '../../abis/FairBNB.js';
-
-// Contract configuration
-const CONTRACT_CONFIG = {
-  address: '0x273806d29F1883b1AF5D51fFA6650c4adF26796c',
-  network: 'BSC Testnet'
+import { ERC20ABI } from '../../abis/ERC20.js';
+import { FairBNBProtocol } from './protocols/fairBNBProtocol.js';
+import { EscrowProtocol } from './protocols/escrowProtocol.js';
+import { uploadService } from './uploadService.js';
+
+// Rental protocols the pages can run against, selected with VITE_PROTOCOL
+const PROTOCOLS = {
+  fairbnb: FairBNBProtocol,
+  escrow: EscrowProtocol
 };
+const DEFAULT_PROTOCOL = 'fairbnb';
 
 class Web3Service {
   constructor() {
     this.provider = null;
     this.signer = null;
     this.account = null;
-    this.contract = null;
     this.isConnected = false;
+
+    const Protocol = PROTOCOLS[import.meta.env.VITE_PROTOCOL] || PROTOCOLS[DEFAULT_PROTOCOL];
+    this.protocol = new Protocol(this);
   }
 
   /**
@@ -38,12 +44,8 @@ class Web3Service {
       this.provider = new ethers.BrowserProvider(window.ethereum);
       this.signer = await this.provider.getSigner();
 
-      // Initialize FairBNB contract
-      this.contract = new ethers.Contract(
-        CONTRACT_CONFIG.address,
-        FairBNB,
-        this.signer
-      );
+      // Bind the rental protocol's contracts
+      await this.protocol.connect(this.signer);
 
       this.isConnected = true;
 
@@ -91,8 +93,8 @@ class Web3Service {
     this.provider = null;
     this.signer = null;
     this.account = null;
-    this.contract = null;
     this.isConnected = false;
+    this.protocol.disconnect();
   }
 
   /**
@@ -110,77 +112,31 @@ class Web3Service {
   }
 
   /**
-   * Upload file to IPFS using Pinata
+   * Get the key of the rental protocol the pages run against ('fairbnb' or 'escrow')
    */
-  async uploadToIPFS(file) {
-    try {
-      const formData = new FormData();
-      formData.append('file', file);
-
-      const response = await fetch('https://api.pinata.cloud/pinning/pinFileToIPFS', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${import.meta.env.VITE_PINATA_JWT}`
-        },
-        body: formData
-      });
-
-      if (!response.ok) {
-        throw new Error(`Failed to upload to IPFS: ${response.statusText}`);
-      }
-
-      const result = await response.json();
-      return {
-        success: true,
-        hash: result.IpfsHash,
-        url: `ipfs://${result.IpfsHash}`
-      };
-    } catch (error) {
-      console.error('Failed to upload to IPFS:', error);
-      return {
-        success: false,
-        error: error.message
-      };
-    }
+  getProtocolName() {
+    return this.protocol.name;
   }
 
   /**
-   * Upload metadata to IPFS
+   * Check whether the rental protocol offers an optional feature
    */
-  async uploadMetadata(metadata) {
-    try {
-      const metadataBlob = new Blob([JSON.stringify(metadata)], {
-        type: 'application/json'
-      });
-
-      const formData = new FormData();
-      formData.append('file', metadataBlob, 'metadata.json');
-
-      const response = await fetch('https://api.pinata.cloud/pinning/pinFileToIPFS', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${import.meta.env.VITE_PINATA_JWT}`
-        },
-        body: formData
-      });
+  supports(feature) {
+    return this.protocol.supports(feature);
+  }
 
-      if (!response.ok) {
-        throw new Error(`Failed to upload metadata to IPFS: ${response.statusText}`);
-      }
+  /**
+   * Upload a file through the API server, signed by the connected wallet
+   */
+  async uploadFile(file, folder = 'properties') {
+    return uploadService.uploadFile(file, { folder, signer: this.signer });
+  }
 
-      const result = await response.json();
-      return {
-        success: true,
-        hash: result.IpfsHash,
-        url: `ipfs://${result.IpfsHash}`
-      };
-    } catch (error) {
-      console.error('Failed to upload metadata to IPFS:', error);
-      return {
-        success: false,
-        error: error.message
-      };
-    }
+  /**
+   * Upload metadata JSON through the API server, signed by the connected wallet
+   */
+  async uploadMetadata(metadata, folder = 'metadata', name = 'metadata.json') {
+    return uploadService.uploadJSON(metadata, { folder, name, signer: this.signer });
   }
 
   /**
@@ -188,12 +144,8 @@ class Web3Service {
    */
   async mintProperty(metadata, imageFile) {
     try {
-      if (!this.contract) {
-        throw new Error('FairBNB contract not initialized');
-      }
-
-      // Upload image to IPFS first
-      const imageResult = await this.uploadToIPFS(imageFile);
+      // Upload image first
+      const imageResult = await this.uploadFile(imageFile);
       if (!imageResult.success) {
         throw new Error(`Failed to upload image: ${imageResult.error}`);
       }
@@ -218,39 +170,23 @@ class Web3Service {
         ]
       };
 
-      // Upload metadata to IPFS
+      // Upload metadata
       const metadataResult = await this.uploadMetadata(propertyMetadata);
       if (!metadataResult.success) {
         throw new Error(`Failed to upload metadata: ${metadataResult.error}`);
       }
 
       // Mint NFT with metadata URI
-      const tx = await this.contract.mintProperty(metadataResult.url);
-      const receipt = await tx.wait();
-
-      // Find the PropertyMinted event
-      const mintEvent = receipt.logs.find(log => {
-        try {
-          const parsed = this.contract.interface.parseLog(log);
-          return parsed.name === 'PropertyMinted';
-        } catch {
-          return false;
-        }
-      });
-
-      if (mintEvent) {
-        const parsed = this.contract.interface.parseLog(mintEvent);
-        return {
-          success: true,
-          tokenId: parsed.args.tokenId.toString(),
-          tokenURI: parsed.args.uri,
-          txnHash: receipt.hash,
-          metadataUrl: metadataResult.url,
-          imageUrl: imageResult.url
-        };
+      const mintResult = await this.protocol.mintToken(metadataResult.url);
+      if (!mintResult.success) {
+        throw new Error(mintResult.error);
       }
 
-      throw new Error('Mint event not found');
+      return {
+        ...mintResult,
+        metadataUrl: metadataResult.url,
+        imageUrl: imageResult.url
+      };
     } catch (error) {
       console.error('Failed to mint property:', error);
       return {
@@ -263,467 +199,329 @@ class Web3Service {
   /**
    * List property for rent
    */
-  async listProperty(tokenId, rent, deposit, disputeFee) {
-    try {
-      if (!this.contract) {
-        throw new Error('FairBNB contract not initialized');
-      }
+  listProperty(tokenId, rent, deposit, disputeFee) {
+    return this.protocol.listProperty(tokenId, rent, deposit, disputeFee);
+  }
 
-      const tx = await this.contract.listProperty(tokenId, rent, deposit, disputeFee);
-      const receipt = await tx.wait();
+  /**
+   * Get user's NFTs (properties the connected address owns or rents)
+   */
+  getUserNFTs() {
+    return this.protocol.getUserNFTs();
+  }
 
-      // Find the PropertyListed event
-      const listEvent = receipt.logs.find(log => {
-        try {
-          const parsed = this.contract.interface.parseLog(log);
-          return parsed.name === 'PropertyListed';
-        } catch {
-          return false;
-        }
-      });
-
-      if (listEvent) {
-        const parsed = this.contract.interface.parseLog(listEvent);
-        return {
-          success: true,
-          tokenId: parsed.args.tokenId.toString(),
-          rent: parsed.args.rent.toString(),
-          deposit: parsed.args.deposit.toString(),
-          disputeFee: parsed.args.disputeFee.toString(),
-          txnHash: receipt.hash
-        };
-      }
+  /**
+   * Get all available listings
+   */
+  getAvailableListings() {
+    return this.protocol.getAvailableListings();
+  }
 
-      throw new Error('List event not found');
-    } catch (error) {
-      console.error('Failed to list property:', error);
-      return {
-        success: false,
-        error: error.message
-      };
-    }
+  /**
+   * Get all NFTs with details (for explore page)
+   */
+  getAllNFTsWithDetails() {
+    return this.protocol.getAllNFTsWithDetails();
   }
 
   /**
-   * Get user's NFTs (properties owned by connected address)
+   * Get a property's owner, listing terms and current rental
    */
-  async getUserNFTs() {
-    try {
-      if (!this.contract) {
-        throw new Error('FairBNB contract not initialized');
-      }
+  getPropertyDetails(tokenId) {
+    return this.protocol.getPropertyDetails(tokenId);
+  }
 
-      const userTokens = await this.contract.getUserTokens(this.account);
-      const nfts = [];
-
-      for (const tokenId of userTokens) {
-        try {
-          const tokenURI = await this.contract.tokenURI(tokenId);
-          const owner = await this.contract.ownerOf(tokenId);
-          
-          // Get listing details
-          const listingDetails = await this.contract.getListingDetails(tokenId);
-          
-          // Get rental details if exists
-          const rentalDetails = await this.contract.getRentalDetails(tokenId);
-
-          nfts.push({
-            tokenId: tokenId.toString(),
-            tokenURI,
-            owner,
-            listing: {
-              rent: listingDetails.rent.toString(),
-              deposit: listingDetails.deposit.toString(),
-              disputeFee: listingDetails.disputeFee.toString(),
-              isListed: listingDetails.isListed
-            },
-            rental: {
-              landlord: rentalDetails.landlord,
-              tenant: rentalDetails.tenant,
-              rent: rentalDetails.rent.toString(),
-              deposit: rentalDetails.deposit.toString(),
-              disputeFee: rentalDetails.disputeFee.toString(),
-              isActive: rentalDetails.isActive,
-              tenantHappy: rentalDetails.tenantHappy,
-              landlordHappy: rentalDetails.landlordHappy,
-              isDisputed: rentalDetails.isDisputed
-            }
-          });
-        } catch (error) {
-          console.error(`Failed to get details for token ${tokenId}:`, error);
-        }
-      }
+  /**
+   * Rent a property; protocols that fix a duration on-chain use durationMonths,
+   * protocols with a booking calendar use dates ({ checkIn, checkOut } day keys)
+   */
+  rentProperty(tokenId, totalAmount, durationMonths, dates) {
+    return this.protocol.rentProperty(tokenId, totalAmount, durationMonths, dates);
+  }
 
-      return {
-        success: true,
-        nfts
-      };
-    } catch (error) {
-      console.error('Failed to get user NFTs:', error);
-      return {
-        success: false,
-        error: error.message
-      };
-    }
+  /**
+   * Get the date ranges already taken on a property (calendar protocols)
+   */
+  getBookedRanges(tokenId) {
+    return this.protocol.getBookedRanges(tokenId);
   }
 
   /**
-   * Get all available listings
+   * Start a booked stay on its check-in day (calendar protocols)
    */
-  async getAvailableListings() {
-    try {
-      if (!this.contract) {
-        throw new Error('FairBNB contract not initialized');
-      }
+  startBooking(tokenId, checkIn) {
+    return this.protocol.startBooking(tokenId, checkIn);
+  }
 
-      const result = await this.contract.getAvailableListings();
-      const listings = [];
-
-      for (let i = 0; i < result.availableTokenIds.length; i++) {
-        try {
-          const tokenId = result.availableTokenIds[i];
-          const tokenURI = await this.contract.tokenURI(tokenId);
-          const owner = await this.contract.ownerOf(tokenId);
-
-          listings.push({
-            tokenId: tokenId.toString(),
-            tokenURI,
-            landlord: result.landlords[i],
-            rent: result.rents[i].toString(),
-            deposit: result.deposits[i].toString(),
-            disputeFee: result.disputeFees[i].toString()
-          });
-        } catch (error) {
-          console.error(`Failed to get details for listing ${i}:`, error);
-        }
-      }
+  /**
+   * Withdraw a booking request or cancel a booked stay before it starts (calendar protocols)
+   */
+  cancelBooking(tokenId, checkIn) {
+    return this.protocol.cancelBooking(tokenId, checkIn);
+  }
 
-      return {
-        success: true,
-        listings
-      };
-    } catch (error) {
-      console.error('Failed to get available listings:', error);
-      return {
-        success: false,
-        error: error.message
-      };
-    }
+  /**
+   * Get the booking requests awaiting a property's landlord (request protocols)
+   */
+  getBookingRequests(tokenId) {
+    return this.protocol.getBookingRequests(tokenId);
   }
 
   /**
-   * Get all NFTs with details (for explore page)
+   * Approve a booking request as the landlord (request protocols)
    */
-  async getAllNFTsWithDetails() {
-    try {
-      if (!this.contract) {
-        throw new Error('FairBNB contract not initialized');
-      }
+  approveBooking(tokenId, tenant, checkIn) {
+    return this.protocol.approveBooking(tokenId, tenant, checkIn);
+  }
 
-      const result = await this.contract.getAllNFTsWithDetails();
-      const nfts = [];
-
-      for (let i = 0; i < result.tokenIds.length; i++) {
-        try {
-          nfts.push({
-            tokenId: result.tokenIds[i].toString(),
-            owner: result.owners[i],
-            tokenURI: result.uris[i],
-            isListed: result.isListed[i],
-            rent: result.rents[i].toString(),
-            deposit: result.deposits[i].toString(),
-            isRented: result.isRented[i]
-          });
-        } catch (error) {
-          console.error(`Failed to get details for NFT ${i}:`, error);
-        }
-      }
+  /**
+   * Decline a booking request as the landlord (request protocols)
+   */
+  declineBooking(tokenId, tenant, checkIn) {
+    return this.protocol.declineBooking(tokenId, tenant, checkIn);
+  }
 
-      return {
-        success: true,
-        nfts
-      };
-    } catch (error) {
-      console.error('Failed to get all NFTs:', error);
-      return {
-        success: false,
-        error: error.message
-      };
-    }
+  /**
+   * Refund a property's requests that passed their response deadline (request protocols)
+   */
+  expireRequests(tokenId) {
+    return this.protocol.expireRequests(tokenId);
   }
 
   /**
-   * Get metadata from IPFS URI
+   * Release an approved stay its tenant never started, as the landlord (request protocols)
    */
-  async getMetadataFromURI(tokenURI) {
-    try {
-      // Convert ipfs:// to https://gateway.pinata.cloud/ipfs/
-      const gatewayUrl = tokenURI.replace('ipfs://', 'https://gateway.pinata.cloud/ipfs/');
-      
-      const response = await fetch(gatewayUrl);
-      if (!response.ok) {
-        throw new Error(`Failed to fetch metadata: ${response.statusText}`);
-      }
+  expireBooking(tokenId, tenant, checkIn) {
+    return this.protocol.expireBooking(tokenId, tenant, checkIn);
+  }
 
-      const metadata = await response.json();
-      return {
-        success: true,
-        metadata
-      };
-    } catch (error) {
-      console.error('Failed to get metadata from URI:', error);
-      return {
-        success: false,
-        error: error.message
-      };
-    }
+  /**
+   * Confirm happy as the connected party (landlord or tenant is derived on-chain)
+   */
+  confirmHappy(tokenId) {
+    return this.protocol.confirmHappy(tokenId);
   }
 
   /**
-   * Rent a property
+   * Propose a deposit deduction (landlord)
    */
-  async rentProperty(tokenId, totalAmount) {
-    try {
-      if (!this.contract) {
-        throw new Error('FairBNB contract not initialized');
-      }
+  proposeDeduction(tokenId, amount) {
+    return this.protocol.proposeDeduction(tokenId, amount);
+  }
 
-      const tx = await this.contract.rentProperty(tokenId, { value: totalAmount });
-      const receipt = await tx.wait();
+  /**
+   * Accept or reject a proposed deposit deduction (tenant)
+   */
+  respondToDeduction(tokenId, accept) {
+    return this.protocol.respondToDeduction(tokenId, accept);
+  }
 
-      // Find the PropertyRented event
-      const rentEvent = receipt.logs.find(log => {
-        try {
-          const parsed = this.contract.interface.parseLog(log);
-          return parsed.name === 'PropertyRented';
-        } catch {
-          return false;
-        }
-      });
-
-      if (rentEvent) {
-        const parsed = this.contract.interface.parseLog(rentEvent);
-        return {
-          success: true,
-          tokenId: parsed.args.tokenId.toString(),
-          tenant: parsed.args.tenant,
-          totalPaid: parsed.args.totalPaid.toString(),
-          txnHash: receipt.hash
-        };
-      }
+  /**
+   * Settle a rental whose inspection window expired without a dispute
+   */
+  settleAfterInspection(tokenId) {
+    return this.protocol.settleAfterInspection(tokenId);
+  }
 
-      throw new Error('Rent event not found');
-    } catch (error) {
-      console.error('Failed to rent property:', error);
-      return {
-        success: false,
-        error: error.message
-      };
-    }
+  /**
+   * Get inspection deadline, pending deposit deduction and cancellation proposal for a rental
+   */
+  getSettlementDetails(tokenId) {
+    return this.protocol.getSettlementDetails(tokenId);
   }
 
   /**
-   * Confirm happy (either party)
+   * Propose a mutual cancellation with the given tenant refund (either party)
    */
-  async confirmHappy(tokenId, isLandlord) {
-    try {
-      if (!this.contract) {
-        throw new Error('FairBNB contract not initialized');
-      }
+  proposeCancellation(tokenId, tenantRefund) {
+    return this.protocol.proposeCancellation(tokenId, tenantRefund);
+  }
 
-      const tx = await this.contract.confirmHappy(tokenId, isLandlord);
-      const receipt = await tx.wait();
+  /**
+   * Accept the other party's cancellation proposal
+   */
+  acceptCancellation(tokenId, expectedRefund) {
+    return this.protocol.acceptCancellation(tokenId, expectedRefund);
+  }
 
-      return {
-        success: true,
-        txnHash: receipt.hash
-      };
-    } catch (error) {
-      console.error('Failed to confirm happy:', error);
-      return {
-        success: false,
-        error: error.message
-      };
-    }
+  /**
+   * Revoke your own cancellation proposal
+   */
+  revokeCancellation(tokenId) {
+    return this.protocol.revokeCancellation(tokenId);
   }
 
   /**
-   * Raise dispute
+   * Get recent on-chain activity for a rental
    */
-  async raiseDispute(tokenId) {
-    try {
-      if (!this.contract) {
-        throw new Error('FairBNB contract not initialized');
-      }
+  getRentalActivity(tokenId) {
+    return this.protocol.getRentalActivity(tokenId);
+  }
 
-      const tx = await this.contract.raiseDispute(tokenId);
-      const receipt = await tx.wait();
+  /**
+   * Accept the tenant's terms as landlord
+   */
+  acceptAgreement(tokenId) {
+    return this.protocol.acceptAgreement(tokenId);
+  }
 
-      return {
-        success: true,
-        txnHash: receipt.hash
-      };
-    } catch (error) {
-      console.error('Failed to raise dispute:', error);
-      return {
-        success: false,
-        error: error.message
-      };
-    }
+  /**
+   * Raise dispute
+   */
+  raiseDispute(tokenId) {
+    return this.protocol.raiseDispute(tokenId);
   }
 
   /**
    * Resolve dispute (jury function)
    */
-  async resolveDispute(tokenId, tenantWins) {
-    try {
-      if (!this.contract) {
-        throw new Error('FairBNB contract not initialized');
-      }
+  resolveDispute(tokenId, tenantWins) {
+    return this.protocol.resolveDispute(tokenId, tenantWins);
+  }
 
-      const tx = await this.contract.resolveDispute(tokenId, tenantWins);
-      const receipt = await tx.wait();
+  /**
+   * Anchor a case file URI on-chain for the property's open dispute
+   */
+  submitEvidence(tokenId, evidenceURI) {
+    return this.protocol.submitEvidence(tokenId, evidenceURI);
+  }
 
-      return {
-        success: true,
-        txnHash: receipt.hash
-      };
-    } catch (error) {
-      console.error('Failed to resolve dispute:', error);
-      return {
-        success: false,
-        error: error.message
-      };
-    }
+  /**
+   * Get disputes with the cases both parties filed, newest first
+   * @param {{ tokenId?: string }} [filters]
+   */
+  getDisputes(filters) {
+    return this.protocol.getDisputes(filters);
   }
 
   /**
    * Withdraw accumulated funds
    */
-  async withdraw() {
-    try {
-      if (!this.contract) {
-        throw new Error('FairBNB contract not initialized');
-      }
-
-      const tx = await this.contract.withdraw();
-      const receipt = await tx.wait();
-
-      return {
-        success: true,
-        txnHash: receipt.hash
-      };
-    } catch (error) {
-      console.error('Failed to withdraw:', error);
-      return {
-        success: false,
-        error: error.message
-      };
-    }
+  withdraw() {
+    return this.protocol.withdraw();
   }
 
   /**
    * Check if current user is jury
    */
-  async isJury() {
-    try {
-      if (!this.contract) {
-        throw new Error('FairBNB contract not initialized');
-      }
-
-      const juryAddress = await this.contract.jury();
-      return this.account?.toLowerCase() === juryAddress.toLowerCase();
-    } catch (error) {
-      console.error('Failed to check jury status:', error);
-      return false;
-    }
+  isJury() {
+    return this.protocol.isJury();
   }
 
   /**
    * Get jury address
    */
-  async getJuryAddress() {
-    try {
-      if (!this.contract) {
-        throw new Error('FairBNB contract not initialized');
-      }
-
-      return await this.contract.jury();
-    } catch (error) {
-      console.error('Failed to get jury address:', error);
-      return null;
-    }
+  getJuryAddress() {
+    return this.protocol.getJuryAddress();
   }
 
   /**
    * Get pending withdrawal amount for current user
    */
-  async getPendingWithdrawal() {
+  getPendingWithdrawal() {
+    return this.protocol.getPendingWithdrawal();
+  }
+
+  /**
+   * Check if dispute has been resolved
+   */
+  isDisputeResolved(tokenId) {
+    return this.protocol.isDisputeResolved(tokenId);
+  }
+
+  /**
+   * Get dispute resolution details
+   */
+  getDisputeResolution(tokenId) {
+    return this.protocol.getDisputeResolution(tokenId);
+  }
+
+  /**
+   * Get metadata from IPFS URI
+   */
+  async getMetadataFromURI(tokenURI) {
     try {
-      if (!this.contract) {
-        throw new Error('FairBNB contract not initialized');
+      // Convert ipfs:// to https://gateway.pinata.cloud/ipfs/
+      const gatewayUrl = tokenURI.replace('ipfs://', 'https://gateway.pinata.cloud/ipfs/');
+      
+      const response = await fetch(gatewayUrl);
+      if (!response.ok) {
+        throw new Error(`Failed to fetch metadata: ${response.statusText}`);
       }
 
-      const amount = await this.contract.pendingWithdrawals(this.account);
-      return ethers.formatEther(amount);
+      const metadata = await response.json();
+      return {
+        success: true,
+        metadata
+      };
     } catch (error) {
-      console.error('Failed to get pending withdrawal:', error);
-      return '0';
+      console.error('Failed to get metadata from URI:', error);
+      return {
+        success: false,
+        error: error.message
+      };
     }
   }
 
   /**
-   * Check if dispute has been resolved
+   * Get a property's metadata, reusing what the indexer already fetched
+   * @param {{ tokenURI: string, metadata?: Object }} property - A listing or NFT from the protocol
    */
-  async isDisputeResolved(tokenId) {
-    try {
-      if (!this.contract) {
-        throw new Error('FairBNB contract not initialized');
-      }
+  async getPropertyMetadata(property) {
+    if (property.metadata) {
+      return {
+        success: true,
+        metadata: property.metadata
+      };
+    }
+    return this.getMetadataFromURI(property.tokenURI);
+  }
 
-      const rentalDetails = await this.contract.getRentalDetails(tokenId);
-      return !rentalDetails.isDisputed && !rentalDetails.isActive;
-    } catch (error) {
-      console.error('Failed to check dispute status:', error);
-      return false;
+
+  /**
+   * Get a BEP-20 token contract bound to the connected wallet
+   */
+  getTokenContract(tokenAddress) {
+    if (!this.signer) {
+      throw new Error('Wallet not connected');
     }
+    return new ethers.Contract(tokenAddress, ERC20ABI, this.signer);
   }
 
   /**
-   * Get dispute resolution details
+   * Approve a spender for a BEP-20 amount unless the current allowance already covers it
+   * @param {string} tokenAddress - Token contract address
+   * @param {string} spender - Contract that will pull the tokens
+   * @param {bigint} amount - Amount in the token's smallest unit
    */
-  async getDisputeResolution(tokenId) {
+  async approveToken(tokenAddress, spender, amount) {
     try {
-      if (!this.contract) {
-        throw new Error('FairBNB contract not initialized');
-      }
-
-      const rentalDetails = await this.contract.getRentalDetails(tokenId);
-      const listingDetails = await this.contract.getListingDetails(tokenId);
-      
-      if (!rentalDetails.isDisputed && !rentalDetails.isActive) {
-        // Dispute has been resolved
-        const juryReward = ethers.formatEther(listingDetails.disputeFee / 2n);
-        
-        // Determine winner based on who gets the funds
-        // This is a simplified logic - in a real implementation, you'd track the resolution
-        const tenantWins = rentalDetails.tenant !== '0x0000000000000000000000000000000000000000';
-        
+      const token = this.getTokenContract(tokenAddress);
+      const allowance = await token.allowance(this.account, spender);
+      if (allowance >= amount) {
         return {
-          resolved: true,
-          tenantWins,
-          juryReward,
-          totalDisputeFee: ethers.formatEther(listingDetails.disputeFee)
+          success: true,
+          approved: false
         };
       }
-      
-      return { resolved: false };
+
+      const tx = await token.approve(spender, amount);
+      const receipt = await tx.wait();
+
+      return {
+        success: true,
+        approved: true,
+        txnHash: receipt.hash
+      };
     } catch (error) {
-      console.error('Failed to get dispute resolution:', error);
-      return { resolved: false };
+      console.error('Failed to approve token:', error);
+      return {
+        success: false,
+        error: error.message
+      };
     }
   }
 }
 
 // Export singleton instance
-export const web3Service = new Web3Service();
+export const web3Service = new Web3Service();
\ No newline at end of file
@@ -5,11 +5,33 @@
 import { create } from 'zustand';
 import { devtools } from 'zustand/middleware';
 import { web3Service } from '../services/web3Service.js';
+import { authService } from '../services/authService.js';
 
 /**
  * @typedef {import('../types.js').User} User
  */
 
+// Page role shown for each on-chain role, in order of preference
+const ROLE_VIEWS = {
+  landlord: 'landlord',
+  tenant: 'tenant',
+  juror: 'jury'
+};
+
+/**
+ * Current user for a signed-in session
+ * @param {import('../services/authService.js').Session} session
+ * @returns {User}
+ */
+const toUser = (session) => ({
+  id: session.address,
+  address: session.address,
+  roles: session.roles,
+  role: ROLE_VIEWS[session.roles[0]] || 'tenant',
+  name: `${session.address.slice(0, 6)}...${session.address.slice(-4)}`,
+  avatarUrl: null
+});
+
 /**
  * Global application store
  */
@@ -25,13 +47,9 @@ export const useAppStore = create()(
         error: null
       },
 
-      // Current user (mock)
-      currentUser: {
-        id: 'user_001',
-        role: 'landlord', // Can be switched for demo
-        name: 'Demo User',
-        avatarUrl: '/mock-images/avatar-1.jpg'
-      },
+      // Signed-in user, null until the wallet signs in
+      /** @type {User|null} */
+      currentUser: null,
 
       // UI state
       sidebarOpen: false,
@@ -81,8 +99,36 @@ export const useAppStore = create()(
         }
       },
 
+      connectWallet: async () => {
+        await get().initializeWeb3();
+        if (!get().web3.isConnected) {
+          return { success: false, error: get().web3.error };
+        }
+
+        // Without an API server there is nothing to sign in to
+        if (!authService.isConfigured()) {
+          return { success: true };
+        }
+
+        const result = await authService.signIn(web3Service.signer);
+        set({ currentUser: result.success ? toUser(result.session) : null }, false, 'signIn');
+        return result.success ? { success: true } : { success: false, error: result.error };
+      },
+
+      restoreSession: async () => {
+        const { account } = get().web3;
+        if (!account || !authService.isConfigured()) {
+          set({ currentUser: null }, false, 'restoreSession');
+          return;
+        }
+
+        const result = await authService.restoreSession(account);
+        set({ currentUser: result.success && result.session ? toUser(result.session) : null }, false, 'restoreSession');
+      },
+
       disconnectWeb3: () => {
         web3Service.disconnect();
+        authService.signOut();
         set({
           web3: {
             isConnected: false,
@@ -90,7 +136,8 @@ export const useAppStore = create()(
             chainId: null,
             isInitializing: false,
             error: null
-          }
+          },
+          currentUser: null
         }, false, 'web3Disconnected');
       },
 
@@ -99,7 +146,7 @@ export const useAppStore = create()(
       
       switchRole: (role) => set(
         (state) => ({
-          currentUser: { ...state.currentUser, role }
+          currentUser: state.currentUser && { ...state.currentUser, role }
         }),
         false,
         'switchRole'
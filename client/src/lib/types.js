@@ -19,7 +19,7 @@
  * @property {number} rentPerMonth - Monthly rent amount
  * @property {number} securityDeposit - Security deposit amount
  * @property {number} disputeFee - Dispute resolution fee
- * @property {string[]} acceptedTokens - Accepted payment tokens (display 'BNB' only)
+ * @property {string[]} acceptedTokens - Accepted payment token symbols: 'BNB' and any allow-listed stablecoin
  * @property {string} availableFrom - Available from date (ISO string)
  * @property {number} minDurationMonths - Minimum rental duration
  * @property {number} maxDurationMonths - Maximum rental duration
@@ -73,10 +73,12 @@
 
 /**
  * @typedef {Object} User
- * @property {string} id - User ID
- * @property {'landlord'|'tenant'|'jury'} role - User role
+ * @property {string} id - User ID, the signed-in wallet address
+ * @property {string} address - Checksummed wallet address
+ * @property {('landlord'|'tenant'|'juror')[]} roles - Roles the contracts give the address
+ * @property {'landlord'|'tenant'|'jury'} role - Role the pages are shown for
  * @property {string} name - User's display name
- * @property {string} avatarUrl - Avatar image URL
+ * @property {string|null} avatarUrl - Avatar image URL
  */
 
 /**
@@ -117,9 +119,54 @@
  * @property {string} city - Filter by city
  * @property {number} minPrice - Minimum price filter
  * @property {number} maxPrice - Maximum price filter
+ * @property {number} minDeposit - Minimum security deposit filter
+ * @property {number} maxDeposit - Maximum security deposit filter
  * @property {'Apartment'|'Studio'|'PG'|'CoLiving'|'House'} propertyType - Property type filter
  * @property {number} minDuration - Minimum duration filter
  * @property {string} availableFrom - Available from date filter
+ * @property {string} checkIn - Only properties free from this day ('YYYY-MM-DD')
+ * @property {string} checkOut - ...until this day, exclusive
+ * @property {string[]} amenities - Properties offering all of these amenities
+ */
+
+/**
+ * @typedef {Object} FacetCount
+ * @property {string} value - Facet value, e.g. a city
+ * @property {number} count - Matching properties with this value
+ */
+
+/**
+ * @typedef {Object} ListingFacets
+ * @property {FacetCount[]} cities
+ * @property {FacetCount[]} propertyTypes
+ * @property {FacetCount[]} amenities
+ */
+
+/**
+ * @typedef {Object} CaseFiling
+ * @property {string} submitter - Wallet that filed the case
+ * @property {'landlord'|'tenant'} role - Side the submitter is on
+ * @property {string} uri - Case file JSON, as uploaded by disputeService
+ * @property {string|null} txnHash - Transaction that anchored it on-chain, when known
+ */
+
+/**
+ * @typedef {Object} DisputeRecord
+ * @property {string} tokenId - Disputed property
+ * @property {boolean} isOpen - Whether the dispute still awaits a ruling
+ * @property {number|null} tenantShare - Percent of the held funds awarded to the tenant once ruled
+ * @property {number} raisedBlock - Block the dispute was raised in
+ * @property {CaseFiling[]} evidence - Cases filed by either party, oldest first
+ */
+
+/**
+ * @typedef {Object} BookedRange
+ * @property {string} tenant - Tenant wallet address
+ * @property {string} checkIn - First night ('YYYY-MM-DD', UTC)
+ * @property {string} checkOut - Check-out day, not part of the stay
+ * @property {string} blockedFrom - Last day an earlier stay can check out, leaving room for its inspection window
+ * @property {string} blockedUntil - First day a later stay can check in, once this stay's inspection window closes
+ * @property {boolean} isActive - Whether this is the running rental rather than an upcoming booking
  */
 
 export {};
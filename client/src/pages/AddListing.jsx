@@ -13,6 +13,12 @@ import { NBButton } from '@/components/NBButton';
 import { web3Service } from '@/lib/services/web3Service';
 import { ChevronLeft, ChevronRight, Upload, X } from 'lucide-react';
 
+// Amenities landlords can tag a listing with; tenants filter search results by them
+const AMENITIES = [
+  'Wi-Fi', 'AC', 'Kitchen', 'Washing Machine', 'Parking', 'Security',
+  'Power Backup', 'TV', 'Balcony', 'Gym', 'Swimming Pool', 'Pet Friendly'
+];
+
 const listingSchema = z.object({
   title: z.string().min(1, 'Title is required'),
   propertyType: z.enum(['Apartment', 'Studio', 'PG', 'CoLiving', 'House']),
@@ -27,7 +33,8 @@ const listingSchema = z.object({
   disputeFee: z.number().min(1, 'Dispute fee must be greater than 0'),
   availableFrom: z.string().min(1, 'Available from date is required'),
   minDurationMonths: z.number().min(1, 'Minimum duration is required'),
-  maxDurationMonths: z.number().min(1, 'Maximum duration is required')
+  maxDurationMonths: z.number().min(1, 'Maximum duration is required'),
+  amenities: z.array(z.string())
 });
 
 /**
@@ -47,7 +54,8 @@ export function AddListing() {
       country: 'IN',
       minDurationMonths: 3,
       maxDurationMonths: 12,
-      disputeFee: 1000
+      disputeFee: 1000,
+      amenities: []
     }
   });
 
@@ -60,6 +68,13 @@ export function AddListing() {
   ];
 
   const rentPerMonth = watch('rentPerMonth');
+  const amenities = watch('amenities');
+
+  const toggleAmenity = (amenity) => {
+    setValue('amenities', amenities.includes(amenity)
+      ? amenities.filter(selected => selected !== amenity)
+      : [...amenities, amenity]);
+  };
 
   // Auto-calculate security deposit (2x rent)
   const handleRentChange = (value) => {
@@ -103,6 +118,7 @@ export function AddListing() {
         availableFrom: data.availableFrom,
         minDurationMonths: data.minDurationMonths,
         maxDurationMonths: data.maxDurationMonths,
+        amenities: data.amenities,
         createdAt: new Date().toISOString()
       };
 
@@ -537,6 +553,27 @@ export function AddListing() {
                     )}
                   </div>
                 </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-nb-ink mb-2">
+                    Amenities
+                  </label>
+                  <div className="flex flex-wrap gap-2">
+                    {AMENITIES.map(amenity => (
+                      <button
+                        key={amenity}
+                        type="button"
+                        onClick={() => toggleAmenity(amenity)}
+                        aria-pressed={amenities.includes(amenity)}
+                        className={`px-3 py-1 text-sm border-2 border-nb-ink rounded-nb text-nb-ink ${
+                          amenities.includes(amenity) ? 'bg-nb-accent font-medium' : 'bg-nb-bg hover:bg-nb-accent/30'
+                        }`}
+                      >
+                        {amenity}
+                      </button>
+                    ))}
+                  </div>
+                </div>
               </div>
             )}
 
@@ -576,6 +613,13 @@ export function AddListing() {
                     </p>
                   </div>
 
+                  {amenities.length > 0 && (
+                    <div>
+                      <h3 className="font-medium text-nb-ink">Amenities</h3>
+                      <p className="text-sm text-nb-ink/70">{amenities.join(' • ')}</p>
+                    </div>
+                  )}
+
                   {selectedImage && (
                     <div>
                       <h3 className="font-medium text-nb-ink">Image</h3>
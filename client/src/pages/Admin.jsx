@@ -0,0 +1,431 @@
+/**
+ * @fileoverview Admin page for proposing, approving and running timelocked protocol changes
+ */
+
+import { useState, useEffect } from 'react';
+import { toast } from 'sonner';
+import { NBCard } from '@/components/NBCard';
+import { NBButton } from '@/components/NBButton';
+import { StatPill } from '@/components/StatPill';
+import { web3Service } from '@/lib/services/web3Service';
+import { governanceService } from '@/lib/services/governanceService';
+import {
+  Shield,
+  Users,
+  Clock,
+  Coins,
+  Percent,
+  PauseCircle,
+  PlayCircle,
+  CheckCircle,
+  XCircle,
+  Play,
+  RefreshCw,
+  Send
+} from 'lucide-react';
+
+// Badge styles per action status
+const STATUS_STYLES = {
+  pending: 'bg-nb-warn/20 border-nb-warn',
+  queued: 'bg-nb-accent/20 border-nb-accent',
+  ready: 'bg-nb-ok/20 border-nb-ok',
+  executed: 'bg-nb-ink/10 border-nb-ink/30 text-nb-ink/70',
+  cancelled: 'bg-nb-error/20 border-nb-error'
+};
+
+const inputClassName = 'w-full px-3 py-2 border-2 border-nb-ink rounded-nb bg-nb-card text-sm';
+
+export function Admin() {
+  const [overview, setOverview] = useState(null);
+  const [actions, setActions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [processing, setProcessing] = useState(null);
+  const [description, setDescription] = useState('');
+  const [feeInput, setFeeInput] = useState('');
+  const [recipientInput, setRecipientInput] = useState('');
+  const [parameterInputs, setParameterInputs] = useState({});
+
+  const loadGovernance = async () => {
+    if (!governanceService.isConfigured() || !web3Service.isWeb3Connected()) {
+      setLoading(false);
+      return;
+    }
+
+    const [overviewResult, actionsResult] = await Promise.all([
+      governanceService.getOverview(),
+      governanceService.getActions()
+    ]);
+
+    if (overviewResult.success) {
+      setOverview(overviewResult.overview);
+    } else {
+      toast.error('Failed to load governance settings: ' + overviewResult.error);
+    }
+    if (actionsResult.success) {
+      setActions(actionsResult.actions);
+    }
+    setLoading(false);
+  };
+
+  const handleRefresh = async () => {
+    setRefreshing(true);
+    await loadGovernance();
+    setRefreshing(false);
+  };
+
+  useEffect(() => {
+    loadGovernance();
+  }, []);
+
+  /**
+   * Send a proposal and reload on success
+   */
+  const submitProposal = async (key, propose, successMessage) => {
+    if (!description.trim()) {
+      toast.error('Describe why the change is needed');
+      return;
+    }
+
+    setProcessing(key);
+    try {
+      const result = await propose(description.trim());
+      if (result.success) {
+        toast.success(successMessage);
+        setDescription('');
+        await loadGovernance();
+      } else {
+        toast.error('Failed to propose: ' + result.error);
+      }
+    } finally {
+      setProcessing(null);
+    }
+  };
+
+  /**
+   * Approve, execute or cancel an action and reload on success
+   */
+  const handleAction = async (method, actionId, successMessage) => {
+    setProcessing(`${method}-${actionId}`);
+    try {
+      const result = await governanceService[method](actionId);
+      if (result.success) {
+        toast.success(successMessage);
+        await loadGovernance();
+      } else {
+        toast.error(result.error);
+      }
+    } finally {
+      setProcessing(null);
+    }
+  };
+
+  const formatAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-nb-bg flex items-center justify-center">
+        <div className="text-nb-ink font-body">Loading governance...</div>
+      </div>
+    );
+  }
+
+  if (!overview) {
+    return (
+      <div className="min-h-screen bg-nb-bg py-8">
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8">
+          <NBCard className="text-center py-12">
+            <Shield className="w-16 h-16 text-nb-ink/30 mx-auto mb-4" />
+            <h2 className="font-display font-bold text-xl text-nb-ink mb-2">
+              Governance unavailable
+            </h2>
+            <p className="text-nb-ink/70">
+              {governanceService.isConfigured()
+                ? 'Connect your wallet to view protocol governance.'
+                : 'Set VITE_GOVERNOR_CONTRACT_ADDRESS to the deployed ProtocolGovernor.'}
+            </p>
+          </NBCard>
+        </div>
+      </div>
+    );
+  }
+
+  const canPropose = overview.isApprover && overview.ownsEscrow;
+
+  return (
+    <div className="min-h-screen bg-nb-bg py-8">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-8">
+          <div>
+            <h1 className="font-display font-bold text-3xl text-nb-ink mb-2">
+              Protocol Admin
+            </h1>
+            <p className="font-body text-nb-ink/70">
+              Changes need {overview.threshold} of {overview.approvers.length} approvers and wait{' '}
+              {overview.minDelayDays} days before they take effect
+            </p>
+          </div>
+          <NBButton
+            variant="ghost"
+            onClick={handleRefresh}
+            disabled={refreshing}
+            icon={<RefreshCw className={`w-4 h-4 ${refreshing ? 'animate-spin' : ''}`} />}
+          >
+            {refreshing ? 'Refreshing...' : 'Refresh'}
+          </NBButton>
+        </div>
+
+        {!overview.ownsEscrow && (
+          <div className="p-3 mb-6 bg-nb-error/20 border border-nb-error rounded-nb">
+            <p className="text-sm text-nb-ink">
+              The escrow is not owned by this governor yet, so its actions cannot change protocol settings.
+            </p>
+          </div>
+        )}
+
+        {/* Current Settings */}
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-8">
+          <StatPill
+            label="Platform fee"
+            value={`${overview.platformFeePercent}%`}
+            icon={<Percent className="w-6 h-6" />}
+          />
+          <StatPill
+            label="Accumulated fees"
+            value={`${overview.accumulatedFees} BNB`}
+            icon={<Coins className="w-6 h-6" />}
+          />
+          <StatPill
+            label="Approvers"
+            value={`${overview.threshold} of ${overview.approvers.length}`}
+            icon={<Users className="w-6 h-6" />}
+          />
+          <StatPill
+            label="Escrow"
+            value={overview.paused ? 'Paused' : 'Live'}
+            icon={overview.paused ? <PauseCircle className="w-6 h-6" /> : <PlayCircle className="w-6 h-6" />}
+          />
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
+          {/* Proposals */}
+          <NBCard>
+            <h2 className="font-display font-bold text-xl text-nb-ink mb-4">Propose a Change</h2>
+
+            {!overview.isApprover ? (
+              <p className="text-nb-ink/70">Only approvers can propose changes.</p>
+            ) : (
+              <div className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-nb-ink mb-1">Reason</label>
+                  <input
+                    type="text"
+                    value={description}
+                    onChange={(e) => setDescription(e.target.value)}
+                    placeholder="Shown to the other approvers"
+                    className={inputClassName}
+                  />
+                </div>
+
+                <div className="flex items-end gap-2">
+                  <div className="flex-1">
+                    <label className="block text-sm font-medium text-nb-ink mb-1">Platform fee (%)</label>
+                    <input
+                      type="number"
+                      min="0"
+                      max="10"
+                      step="0.01"
+                      value={feeInput}
+                      onChange={(e) => setFeeInput(e.target.value)}
+                      placeholder={String(overview.platformFeePercent)}
+                      className={inputClassName}
+                    />
+                  </div>
+                  <NBButton
+                    variant="ghost"
+                    onClick={() => submitProposal('fee', (reason) => governanceService.proposePlatformFee(feeInput, reason), 'Fee change proposed')}
+                    disabled={!canPropose || processing !== null || feeInput === ''}
+                    icon={<Send className="w-4 h-4" />}
+                  >
+                    Propose
+                  </NBButton>
+                </div>
+
+                {overview.parameters.map((parameter) => (
+                  <div key={parameter.key} className="flex items-end gap-2">
+                    <div className="flex-1">
+                      <label className="block text-sm font-medium text-nb-ink mb-1">
+                        {parameter.label} ({parameter.unit})
+                      </label>
+                      <input
+                        type="number"
+                        min="0"
+                        step="any"
+                        value={parameterInputs[parameter.key] ?? ''}
+                        onChange={(e) => setParameterInputs(prev => ({ ...prev, [parameter.key]: e.target.value }))}
+                        placeholder={parameter.value}
+                        className={inputClassName}
+                      />
+                    </div>
+                    <NBButton
+                      variant="ghost"
+                      onClick={() => submitProposal(
+                        parameter.key,
+                        (reason) => governanceService.proposeParameter(parameter.key, parameterInputs[parameter.key], reason),
+                        `${parameter.label} change proposed`
+                      )}
+                      disabled={!canPropose || processing !== null || !parameterInputs[parameter.key]}
+                      icon={<Send className="w-4 h-4" />}
+                    >
+                      Propose
+                    </NBButton>
+                  </div>
+                ))}
+
+                <div className="flex items-end gap-2">
+                  <div className="flex-1">
+                    <label className="block text-sm font-medium text-nb-ink mb-1">Withdraw BNB fees to</label>
+                    <input
+                      type="text"
+                      value={recipientInput}
+                      onChange={(e) => setRecipientInput(e.target.value)}
+                      placeholder="0x..."
+                      className={inputClassName}
+                    />
+                  </div>
+                  <NBButton
+                    variant="ghost"
+                    onClick={() => submitProposal('withdraw', (reason) => governanceService.proposeFeeWithdrawal(recipientInput, reason), 'Fee withdrawal proposed')}
+                    disabled={!canPropose || processing !== null || !recipientInput}
+                    icon={<Send className="w-4 h-4" />}
+                  >
+                    Propose
+                  </NBButton>
+                </div>
+
+                <div className="pt-2 border-t-2 border-nb-ink/10">
+                  <NBButton
+                    variant={overview.paused ? 'primary' : 'destructive'}
+                    onClick={() => submitProposal(
+                      'pause',
+                      (reason) => governanceService.proposePause(!overview.paused, reason),
+                      overview.paused ? 'Unpause proposed' : 'Pause proposed'
+                    )}
+                    disabled={!canPropose || processing !== null}
+                    icon={overview.paused ? <PlayCircle className="w-4 h-4" /> : <PauseCircle className="w-4 h-4" />}
+                  >
+                    {overview.paused ? 'Propose Unpause' : 'Propose Pause'}
+                  </NBButton>
+                  <p className="text-sm text-nb-ink/60 mt-2">
+                    A pause runs as soon as it has enough approvals. Unpausing waits out the timelock.
+                  </p>
+                </div>
+              </div>
+            )}
+          </NBCard>
+
+          {/* Approvers */}
+          <NBCard>
+            <h2 className="font-display font-bold text-xl text-nb-ink mb-4">Approvers</h2>
+            <ul className="space-y-2">
+              {overview.approvers.map((approver) => (
+                <li key={approver} className="flex items-center justify-between px-3 py-2 border-2 border-nb-ink/20 rounded-nb">
+                  <span className="font-mono text-sm text-nb-ink">{approver}</span>
+                  {approver.toLowerCase() === web3Service.getAccount()?.toLowerCase() && (
+                    <span className="px-2 py-1 rounded border text-xs bg-nb-accent/20 border-nb-accent">You</span>
+                  )}
+                </li>
+              ))}
+            </ul>
+            <p className="text-sm text-nb-ink/60 mt-4">
+              Approvers, the threshold and the delay change through actions queued on the governor itself.
+            </p>
+          </NBCard>
+        </div>
+
+        {/* Actions */}
+        <NBCard>
+          <h2 className="font-display font-bold text-xl text-nb-ink mb-6">Actions</h2>
+
+          {actions.length === 0 ? (
+            <div className="text-center py-8">
+              <Clock className="w-16 h-16 text-nb-ink/30 mx-auto mb-4" />
+              <p className="text-nb-ink/70">No changes have been proposed yet.</p>
+            </div>
+          ) : (
+            <div className="space-y-4">
+              {actions.map((action) => {
+                const isOpen = action.status !== 'executed' && action.status !== 'cancelled';
+
+                return (
+                  <div key={action.actionId} className="border-2 border-nb-ink/20 rounded-nb p-4">
+                    <div className="flex flex-col md:flex-row md:justify-between md:items-start gap-4">
+                      <div className="flex-1">
+                        <div className="flex items-center gap-2 mb-2">
+                          <h3 className="font-display font-bold text-lg text-nb-ink">#{action.actionId}</h3>
+                          <span className={`px-2 py-1 rounded border text-xs ${STATUS_STYLES[action.status]}`}>
+                            {action.status}
+                          </span>
+                          {action.urgent && (
+                            <span className="px-2 py-1 rounded border text-xs bg-nb-error/20 border-nb-error">
+                              no timelock
+                            </span>
+                          )}
+                        </div>
+                        <p className="font-mono text-sm text-nb-ink mb-2 break-all">{action.call}</p>
+                        {action.description && <p className="text-nb-ink/70 mb-2">{action.description}</p>}
+                        <div className="flex flex-wrap items-center gap-x-6 text-sm text-nb-ink/60">
+                          <span>Proposed by {formatAddress(action.proposer)}</span>
+                          <span>Approvals: {action.approvals} of {overview.threshold}</span>
+                          {action.status === 'queued' && (
+                            <span>Runs after {new Date(action.readyAt * 1000).toLocaleString()}</span>
+                          )}
+                        </div>
+                      </div>
+
+                      {overview.isApprover && isOpen && (
+                        <div className="flex gap-2">
+                          {!action.hasApproved && (
+                            <NBButton
+                              size="sm"
+                              onClick={() => handleAction('approve', action.actionId, 'Action approved')}
+                              disabled={processing !== null}
+                              icon={<CheckCircle className="w-4 h-4" />}
+                            >
+                              Approve
+                            </NBButton>
+                          )}
+                          {action.status === 'ready' && (
+                            <NBButton
+                              size="sm"
+                              variant="secondary"
+                              onClick={() => handleAction('execute', action.actionId, 'Action executed')}
+                              disabled={processing !== null}
+                              icon={<Play className="w-4 h-4" />}
+                            >
+                              Execute
+                            </NBButton>
+                          )}
+                          <NBButton
+                            size="sm"
+                            variant="ghost"
+                            onClick={() => handleAction('cancel', action.actionId, 'Action cancelled')}
+                            disabled={processing !== null}
+                            icon={<XCircle className="w-4 h-4" />}
+                          >
+                            Cancel
+                          </NBButton>
+                        </div>
+                      )}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </NBCard>
+      </div>
+    </div>
+  );
+}
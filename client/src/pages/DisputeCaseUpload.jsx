@@ -83,8 +83,8 @@ export function DisputeCaseUpload() {
         detailedStatement: formData.description
       };
 
-      // Upload dispute case to IPFS
-      const result = await disputeService.uploadDisputeCase(
+      // Upload dispute case and anchor it on-chain for the jury
+      const result = await disputeService.submitCase(
         propertyId,
         role,
         caseData,
@@ -95,21 +95,10 @@ export function DisputeCaseUpload() {
         throw new Error(result.error);
       }
 
-      setUploadProgress(80);
-
-      // Store case reference
-      localStorage.setItem(`dispute_${propertyId}_${role}`, JSON.stringify({
-        caseUrl: result.caseUrl,
-        caseHash: result.caseHash,
-        submittedAt: new Date().toISOString(),
-        role: role,
-        propertyId: propertyId
-      }));
-
       setUploadProgress(100);
 
-      toast.success('Dispute case uploaded successfully!', {
-        description: `Your ${role} case has been stored on IPFS`
+      toast.success('Dispute case submitted successfully!', {
+        description: `Your ${role} case is anchored on-chain. Transaction: ${result.txnHash.slice(0, 10)}...`
       });
 
       // Navigate back to escrow page
@@ -270,7 +259,8 @@ export function DisputeCaseUpload() {
                   <div>
                     <h3 className="font-medium text-nb-ink mb-1">Important Notice</h3>
                     <p className="text-sm text-nb-ink/70">
-                      Your dispute case will be stored on IPFS and reviewed by the jury. 
+                      Your dispute case will be uploaded, linked on-chain and reviewed by the jury. 
+                      Location data is removed from photos. 
                       Make sure all information is accurate and truthful. 
                       False claims may result in penalties.
                     </p>
@@ -305,8 +295,7 @@ export function DisputeCaseUpload() {
             </div>
             <p className="text-sm text-nb-ink/70 mt-2">
               {uploadProgress < 20 && 'Preparing files...'}
-              {uploadProgress >= 20 && uploadProgress < 80 && 'Uploading to IPFS...'}
-              {uploadProgress >= 80 && uploadProgress < 100 && 'Finalizing case...'}
+              {uploadProgress >= 20 && uploadProgress < 100 && 'Uploading files and confirming the transaction...'}
               {uploadProgress === 100 && 'Case uploaded successfully!'}
             </p>
           </NBCard>
@@ -7,7 +7,10 @@ import { useNavigate, useParams } from 'react-router-dom';
 import { toast } from 'sonner';
 import { NBCard } from '@/components/NBCard';
 import { NBButton } from '@/components/NBButton';
+import { StatPill } from '@/components/StatPill';
+import { PendingReviews } from '@/components/PendingReviews';
 import { web3Service } from '@/lib/services/web3Service';
+import { escrowService } from '@/lib/services/escrowService';
 import { 
   Home, 
   User, 
@@ -18,9 +21,25 @@ import {
   RefreshCw,
   ArrowLeft,
   Building,
-  Upload
+  Upload,
+  Clock,
+  Scissors,
+  Ban,
+  History
 } from 'lucide-react';
 
+// Human-readable labels for the rental activity feed
+const ACTIVITY_LABELS = {
+  HappyConfirmed: (args) => `${args.isLandlord === 'true' ? 'Landlord' : 'Tenant'} confirmed happy`,
+  DeductionProposed: (args) => `Landlord proposed a ₹${Number(args.amount).toLocaleString()} deposit deduction`,
+  DeductionResponded: (args) => `Tenant ${args.accepted === 'true' ? 'accepted' : 'rejected'} the deposit deduction`,
+  DisputeRaised: () => 'Dispute raised',
+  EvidenceSubmitted: (args) => `${args.isLandlord === 'true' ? 'Landlord' : 'Tenant'} filed a case for the jury`,
+  CancellationProposed: (args) => `Cancellation proposed with ₹${Number(args.tenantRefund).toLocaleString()} refunded to the tenant`,
+  CancellationRevoked: () => 'Cancellation proposal withdrawn',
+  RentalCancelled: (args) => `Rental cancelled: ₹${Number(args.tenantRefund).toLocaleString()} to tenant, ₹${Number(args.landlordAmount).toLocaleString()} to landlord`
+};
+
 /**
  * Escrow actions page showing rented properties and available actions
  */
@@ -31,6 +50,15 @@ export function EscrowActions() {
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [processingAction, setProcessingAction] = useState(null);
+  const [deductionInputs, setDeductionInputs] = useState({});
+  const [cancellationInputs, setCancellationInputs] = useState({});
+  // Claimable funds: FairBNB in BNB (null when running on IntegratedEscrow), IntegratedEscrow per payment token
+  const [pendingBalances, setPendingBalances] = useState({ fairbnb: null, escrow: [] });
+  // Happy confirmations, deductions, settlement and cancellation proposals are FairBNB features
+  const supportsInspection = web3Service.supports('inspection');
+  const supportsCancellation = web3Service.supports('cancellation');
+  // IntegratedEscrow landlords accept the tenant's terms before their bond backs the rental
+  const supportsAcceptance = web3Service.supports('acceptance');
 
   // Helper function to convert IPFS URL to gateway URL
   const getImageUrl = (ipfsUrl) => {
@@ -40,7 +68,7 @@ export function EscrowActions() {
       return ipfsUrl.replace('ipfs://', 'https://gateway.pinata.cloud/ipfs/');
     }
     
-    if (ipfsUrl.startsWith('https://')) {
+    if (ipfsUrl.startsWith('https://') || ipfsUrl.startsWith('http://')) {
       return ipfsUrl;
     }
     
@@ -51,6 +79,49 @@ export function EscrowActions() {
     return '/mock-images/placeholder-property.jpg';
   };
 
+  // Inspection deadline (ms), open proposals and recent activity for a rental
+  const getSettlementState = async (tokenId) => {
+    if (!web3Service.supports('inspection')) {
+      return { inspectionDeadline: null, proposedDeduction: 0, cancellation: null, activity: [] };
+    }
+    const [settlement, activityResult] = await Promise.all([
+      web3Service.getSettlementDetails(tokenId),
+      web3Service.getRentalActivity(tokenId)
+    ]);
+    const activity = activityResult.success ? activityResult.activity : [];
+    if (!settlement.success) {
+      return { inspectionDeadline: null, proposedDeduction: 0, cancellation: null, activity };
+    }
+    return {
+      inspectionDeadline: settlement.inspectionDeadline * 1000,
+      proposedDeduction: parseInt(settlement.proposedDeduction),
+      cancellation: settlement.cancellation && {
+        proposedBy: settlement.cancellation.proposedBy,
+        tenantRefund: parseInt(settlement.cancellation.tenantRefund)
+      },
+      activity
+    };
+  };
+
+  // Roles that filed a case in the property's open dispute, as anchored on-chain
+  const getCaseFilings = async (tokenId, isDisputed) => {
+    if (!isDisputed) return [];
+    const result = await web3Service.getDisputes({ tokenId });
+    const open = result.success ? result.disputes.find(dispute => dispute.isOpen) : null;
+    return open ? [...new Set(open.evidence.map(filing => filing.role))] : [];
+  };
+
+  const loadPendingBalances = async () => {
+    // On IntegratedEscrow the protocol's BNB balance is one of the per-token escrow balances
+    const fairbnb = web3Service.getProtocolName() === 'fairbnb' ? await web3Service.getPendingWithdrawal() : null;
+    let escrow = [];
+    if (escrowService.isConfigured()) {
+      const result = await escrowService.getPendingBalances();
+      escrow = result.success ? result.balances : [];
+    }
+    setPendingBalances({ fairbnb, escrow });
+  };
+
   const loadRentedProperties = async () => {
     try {
       setLoading(true);
@@ -64,24 +135,30 @@ export function EscrowActions() {
       }
 
       const currentAccount = web3Service.getAccount();
+      await loadPendingBalances();
       
       // If rentalId is provided, load only that specific rental
       if (rentalId) {
         try {
           // Get rental details for the specific property
-          const rentalDetails = await web3Service.contract.getRentalDetails(rentalId);
+          const detailsResult = await web3Service.getPropertyDetails(rentalId);
+          if (!detailsResult.success) {
+            throw new Error(detailsResult.error);
+          }
+          const { tokenURI, rental: rentalDetails } = detailsResult.property;
           
-          // Check if this property is actively rented and current user is involved
-          if (rentalDetails.isActive && 
+          // Check if this property is rented, or awaiting the landlord, and current user is involved
+          if ((rentalDetails.isActive || rentalDetails.isPending) && 
               (rentalDetails.tenant.toLowerCase() === currentAccount.toLowerCase() || 
                rentalDetails.landlord.toLowerCase() === currentAccount.toLowerCase())) {
             
-            // Get token URI and metadata
-            const tokenURI = await web3Service.contract.tokenURI(rentalId);
+            // Get metadata
             const metadataResult = await web3Service.getMetadataFromURI(tokenURI);
             
             if (metadataResult.success) {
               const imageUrl = getImageUrl(metadataResult.metadata.image);
+              const settlement = await getSettlementState(rentalId);
+              const caseFilings = await getCaseFilings(rentalId, rentalDetails.isDisputed);
               
               const property = {
                 tokenId: rentalId,
@@ -96,7 +173,11 @@ export function EscrowActions() {
                 tenantHappy: rentalDetails.tenantHappy,
                 landlordHappy: rentalDetails.landlordHappy,
                 isDisputed: rentalDetails.isDisputed,
+                landlordAccepted: rentalDetails.landlordAccepted,
+                isPending: Boolean(rentalDetails.isPending),
                 isLandlord: rentalDetails.landlord.toLowerCase() === currentAccount.toLowerCase(),
+                ...settlement,
+                caseFilings,
                 metadata: metadataResult.metadata
               };
 
@@ -113,14 +194,16 @@ export function EscrowActions() {
         // Load all user's rented properties
         const result = await web3Service.getUserNFTs();
         if (result.success) {
-          const userRentals = result.nfts.filter(nft => nft.rental.isActive);
+          const userRentals = result.nfts.filter(nft => nft.rental.isActive || nft.rental.isPending);
           const processedRentals = [];
 
           for (const nft of userRentals) {
             try {
-              const metadataResult = await web3Service.getMetadataFromURI(nft.tokenURI);
+              const metadataResult = await web3Service.getPropertyMetadata(nft);
               if (metadataResult.success) {
                 const imageUrl = getImageUrl(metadataResult.metadata.image);
+                const settlement = await getSettlementState(nft.tokenId);
+                const caseFilings = await getCaseFilings(nft.tokenId, nft.rental.isDisputed);
                 
                 processedRentals.push({
                   tokenId: nft.tokenId,
@@ -135,7 +218,11 @@ export function EscrowActions() {
                   tenantHappy: nft.rental.tenantHappy,
                   landlordHappy: nft.rental.landlordHappy,
                   isDisputed: nft.rental.isDisputed,
+                  landlordAccepted: nft.rental.landlordAccepted,
+                  isPending: Boolean(nft.rental.isPending),
                   isLandlord: nft.rental.landlord.toLowerCase() === currentAccount.toLowerCase(),
+                  ...settlement,
+                caseFilings,
                   metadata: metadataResult.metadata
                 });
               }
@@ -164,15 +251,11 @@ export function EscrowActions() {
     try {
       setProcessingAction(tokenId);
       
-      // Determine if current user is landlord or tenant
-      const property = rentedProperties.find(p => p.tokenId === tokenId);
-      const isLandlord = property?.isLandlord || false;
-      
-      const result = await web3Service.confirmHappy(tokenId, isLandlord);
+      const result = await web3Service.confirmHappy(tokenId);
       
       if (result.success) {
         toast.success('Happiness confirmed!', {
-          description: 'Your satisfaction has been recorded on the blockchain.'
+          description: 'Funds are released once the other party confirms too.'
         });
         await loadRentedProperties(); // Refresh the data
       } else {
@@ -188,6 +271,190 @@ export function EscrowActions() {
     }
   };
 
+  const handleAcceptAgreement = async (tokenId) => {
+    try {
+      setProcessingAction(tokenId);
+
+      const result = await web3Service.acceptAgreement(tokenId);
+
+      if (result.success) {
+        toast.success('Terms accepted!', {
+          description: 'The rental has started and your listing bond backs it.'
+        });
+        await loadRentedProperties();
+      } else {
+        throw new Error(result.error);
+      }
+    } catch (error) {
+      console.error('Failed to accept agreement:', error);
+      toast.error('Failed to accept terms', {
+        description: error.message
+      });
+    } finally {
+      setProcessingAction(null);
+    }
+  };
+
+  const handleProposeDeduction = async (tokenId) => {
+    try {
+      const amount = parseInt(deductionInputs[tokenId]);
+      const property = rentedProperties.find(p => p.tokenId === tokenId);
+      if (!amount || amount <= 0 || amount > property.deposit) {
+        throw new Error('Deduction must be between 1 and the deposit amount');
+      }
+
+      setProcessingAction(tokenId);
+
+      const result = await web3Service.proposeDeduction(tokenId, amount);
+
+      if (result.success) {
+        toast.success('Deduction proposed', {
+          description: 'The tenant can now accept or reject it.'
+        });
+        setDeductionInputs(prev => ({ ...prev, [tokenId]: '' }));
+        await loadRentedProperties();
+      } else {
+        throw new Error(result.error);
+      }
+    } catch (error) {
+      console.error('Failed to propose deduction:', error);
+      toast.error('Failed to propose deduction', {
+        description: error.message
+      });
+    } finally {
+      setProcessingAction(null);
+    }
+  };
+
+  const handleRespondToDeduction = async (tokenId, accept) => {
+    try {
+      setProcessingAction(tokenId);
+
+      const result = await web3Service.respondToDeduction(tokenId, accept);
+
+      if (result.success) {
+        toast.success(accept ? 'Deduction accepted' : 'Deduction rejected', {
+          description: accept
+            ? 'The rental has been settled with the agreed deduction.'
+            : 'You can confirm happy or raise a dispute before the inspection deadline.'
+        });
+        await loadRentedProperties();
+      } else {
+        throw new Error(result.error);
+      }
+    } catch (error) {
+      console.error('Failed to respond to deduction:', error);
+      toast.error('Failed to respond to deduction', {
+        description: error.message
+      });
+    } finally {
+      setProcessingAction(null);
+    }
+  };
+
+  const handleSettle = async (tokenId) => {
+    try {
+      setProcessingAction(tokenId);
+
+      const result = await web3Service.settleAfterInspection(tokenId);
+
+      if (result.success) {
+        toast.success('Rental settled!', {
+          description: 'Rent and deposit are ready to withdraw.'
+        });
+        await loadRentedProperties();
+      } else {
+        throw new Error(result.error);
+      }
+    } catch (error) {
+      console.error('Failed to settle rental:', error);
+      toast.error('Failed to settle rental', {
+        description: error.message
+      });
+    } finally {
+      setProcessingAction(null);
+    }
+  };
+
+  const handleProposeCancellation = async (tokenId) => {
+    try {
+      const tenantRefund = parseInt(cancellationInputs[tokenId]);
+      const property = rentedProperties.find(p => p.tokenId === tokenId);
+      const available = property.rent + property.deposit;
+      if (Number.isNaN(tenantRefund) || tenantRefund < 0 || tenantRefund > available) {
+        throw new Error(`Tenant refund must be between 0 and ₹${available.toLocaleString()}`);
+      }
+
+      setProcessingAction(tokenId);
+
+      const result = await web3Service.proposeCancellation(tokenId, tenantRefund);
+
+      if (result.success) {
+        toast.success('Cancellation proposed', {
+          description: 'The other party needs to sign off on the refund split.'
+        });
+        setCancellationInputs(prev => ({ ...prev, [tokenId]: '' }));
+        await loadRentedProperties();
+      } else {
+        throw new Error(result.error);
+      }
+    } catch (error) {
+      console.error('Failed to propose cancellation:', error);
+      toast.error('Failed to propose cancellation', {
+        description: error.message
+      });
+    } finally {
+      setProcessingAction(null);
+    }
+  };
+
+  const handleAcceptCancellation = async (tokenId) => {
+    try {
+      setProcessingAction(tokenId);
+
+      const property = rentedProperties.find(p => p.tokenId === tokenId);
+      const result = await web3Service.acceptCancellation(tokenId, property.cancellation.tenantRefund);
+
+      if (result.success) {
+        toast.success('Rental cancelled', {
+          description: 'Refunds are ready to withdraw.'
+        });
+        await loadRentedProperties();
+      } else {
+        throw new Error(result.error);
+      }
+    } catch (error) {
+      console.error('Failed to accept cancellation:', error);
+      toast.error('Failed to accept cancellation', {
+        description: error.message
+      });
+    } finally {
+      setProcessingAction(null);
+    }
+  };
+
+  const handleRevokeCancellation = async (tokenId) => {
+    try {
+      setProcessingAction(tokenId);
+
+      const result = await web3Service.revokeCancellation(tokenId);
+
+      if (result.success) {
+        toast.success('Cancellation proposal withdrawn');
+        await loadRentedProperties();
+      } else {
+        throw new Error(result.error);
+      }
+    } catch (error) {
+      console.error('Failed to revoke cancellation:', error);
+      toast.error('Failed to revoke cancellation', {
+        description: error.message
+      });
+    } finally {
+      setProcessingAction(null);
+    }
+  };
+
   const handleRaiseDispute = async (tokenId) => {
     try {
       setProcessingAction(tokenId);
@@ -224,11 +491,13 @@ export function EscrowActions() {
     navigate(`/disputes/upload?propertyId=${tokenId}&role=${role}`);
   };
 
-  const handleWithdraw = async () => {
+  const handleWithdraw = async (source, tokenAddress) => {
     try {
-      setProcessingAction('withdraw');
+      setProcessingAction(`withdraw-${source}`);
       
-      const result = await web3Service.withdraw();
+      const result = tokenAddress
+        ? await escrowService.withdraw(tokenAddress)
+        : await web3Service.withdraw();
       
       if (result.success) {
         toast.success('Funds withdrawn!', {
@@ -289,16 +558,46 @@ export function EscrowActions() {
             >
               {refreshing ? 'Refreshing...' : 'Refresh'}
             </NBButton>
-            <NBButton
-              onClick={handleWithdraw}
-              disabled={processingAction === 'withdraw'}
-              icon={<DollarSign className="w-4 h-4" />}
-            >
-              {processingAction === 'withdraw' ? 'Processing...' : 'Withdraw Funds'}
-            </NBButton>
           </div>
         </div>
 
+        {/* Claimable funds: payouts are credited here and pulled by each party */}
+        <NBCard className="mb-8">
+          <h2 className="font-display font-bold text-xl text-nb-ink mb-4">Claimable Funds</h2>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {[
+              ...(pendingBalances.fairbnb === null ? [] : [
+                { source: 'fairbnb', label: 'FairBNB rentals', balance: pendingBalances.fairbnb, symbol: 'BNB' }
+              ]),
+              ...pendingBalances.escrow.map(token => ({
+                source: `escrow-${token.symbol}`,
+                label: `Escrow agreements & juror rewards (${token.symbol})`,
+                balance: token.balance,
+                symbol: token.symbol,
+                tokenAddress: token.address
+              }))
+            ].map(({ source, label, balance, symbol, tokenAddress }) => (
+              <div key={source} className="flex items-center gap-4">
+                <StatPill
+                  label={label}
+                  value={`${Number(balance).toFixed(4)} ${symbol}`}
+                  icon={<DollarSign className="w-5 h-5" />}
+                  className="flex-1"
+                />
+                <NBButton
+                  onClick={() => handleWithdraw(source, tokenAddress)}
+                  disabled={Number(balance) === 0 || processingAction === `withdraw-${source}`}
+                >
+                  {processingAction === `withdraw-${source}` ? 'Processing...' : 'Withdraw'}
+                </NBButton>
+              </div>
+            ))}
+          </div>
+        </NBCard>
+
+        {/* Rate completed escrow agreements */}
+        <PendingReviews className="mb-8" />
+
         {/* Content */}
         {rentedProperties.length === 0 ? (
           <NBCard className="text-center py-16">
@@ -342,6 +641,11 @@ export function EscrowActions() {
                           <span className="px-2 py-1 bg-nb-accent text-nb-ink text-xs rounded border border-nb-ink">
                             {property.isLandlord ? 'Landlord' : 'Tenant'}
                           </span>
+                          {property.isPending && (
+                            <span className="px-2 py-1 bg-nb-warn text-nb-ink text-xs rounded border border-nb-ink">
+                              Awaiting Landlord
+                            </span>
+                          )}
                           {property.isDisputed && (
                             <span className="px-2 py-1 bg-nb-error text-nb-ink text-xs rounded border border-nb-ink">
                               Disputed
@@ -368,6 +672,7 @@ export function EscrowActions() {
                     </div>
 
                     {/* Status */}
+                    {supportsInspection && (
                     <div className="flex items-center space-x-4 text-sm">
                       <div className="flex items-center space-x-2">
                         <span className="text-nb-ink/70">Your Status:</span>
@@ -407,28 +712,178 @@ export function EscrowActions() {
                         )}
                       </div>
                     </div>
+                    )}
 
-                    {/* Actions */}
-                    <div className="flex flex-wrap gap-3 pt-4 border-t border-nb-ink/20">
-                      {!property.isDisputed && (
-                        <>
+                    {/* Inspection Window */}
+                    {property.inspectionDeadline && (
+                      <div className="flex items-center space-x-2 text-sm text-nb-ink/70">
+                        <Clock className="w-4 h-4" />
+                        <span>
+                          {Date.now() > property.inspectionDeadline
+                            ? 'Inspection window closed - the rental can be settled'
+                            : `Inspection window closes ${new Date(property.inspectionDeadline).toLocaleString()}`}
+                        </span>
+                      </div>
+                    )}
+
+                    {/* Deposit Deduction */}
+                    {!property.isDisputed && property.proposedDeduction > 0 && (
+                      <div className="p-3 bg-nb-warn/20 border border-nb-warn rounded-nb">
+                        <p className="text-sm text-nb-ink mb-3">
+                          {property.isLandlord
+                            ? `You proposed keeping ₹${property.proposedDeduction.toLocaleString()} of the deposit. Waiting for the tenant to respond.`
+                            : `The landlord proposes keeping ₹${property.proposedDeduction.toLocaleString()} of your ₹${property.deposit.toLocaleString()} deposit.`}
+                        </p>
+                        {!property.isLandlord && (
+                          <div className="flex flex-wrap gap-3">
+                            <NBButton
+                              size="sm"
+                              onClick={() => handleRespondToDeduction(property.tokenId, true)}
+                              disabled={processingAction === property.tokenId}
+                              icon={<CheckCircle className="w-4 h-4" />}
+                            >
+                              Accept Deduction
+                            </NBButton>
+                            <NBButton
+                              size="sm"
+                              variant="ghost"
+                              onClick={() => handleRespondToDeduction(property.tokenId, false)}
+                              disabled={processingAction === property.tokenId}
+                              icon={<XCircle className="w-4 h-4" />}
+                            >
+                              Reject
+                            </NBButton>
+                          </div>
+                        )}
+                      </div>
+                    )}
+
+                    {/* Mutual Cancellation */}
+                    {!property.isDisputed && property.cancellation && (
+                      <div className="p-3 bg-nb-accent-2/20 border border-nb-accent-2 rounded-nb">
+                        <p className="text-sm text-nb-ink mb-3">
+                          {property.cancellation.proposedBy.toLowerCase() === web3Service.getAccount()?.toLowerCase()
+                            ? 'You proposed cancelling this rental'
+                            : `The ${property.isLandlord ? 'tenant' : 'landlord'} proposes cancelling this rental`}
+                          {' '}with ₹{property.cancellation.tenantRefund.toLocaleString()} refunded to the tenant
+                          and ₹{(property.rent + property.deposit - property.cancellation.tenantRefund).toLocaleString()} to the landlord.
+                          The dispute fee goes back to the tenant.
+                        </p>
+                        {property.cancellation.proposedBy.toLowerCase() === web3Service.getAccount()?.toLowerCase() ? (
                           <NBButton
-                            onClick={() => handleConfirmHappy(property.tokenId)}
+                            size="sm"
+                            variant="ghost"
+                            onClick={() => handleRevokeCancellation(property.tokenId)}
                             disabled={processingAction === property.tokenId}
-                            variant="primary"
-                            icon={<CheckCircle className="w-4 h-4" />}
+                            icon={<XCircle className="w-4 h-4" />}
                           >
-                            {processingAction === property.tokenId ? 'Processing...' : "I'm Happy"}
+                            Withdraw Proposal
                           </NBButton>
-                          
+                        ) : (
                           <NBButton
-                            onClick={() => handleRaiseDispute(property.tokenId)}
+                            size="sm"
+                            onClick={() => handleAcceptCancellation(property.tokenId)}
                             disabled={processingAction === property.tokenId}
-                            variant="ghost"
-                            icon={<AlertTriangle className="w-4 h-4" />}
+                            icon={<CheckCircle className="w-4 h-4" />}
                           >
-                            {processingAction === property.tokenId ? 'Processing...' : 'Raise Dispute'}
+                            Accept Cancellation
                           </NBButton>
+                        )}
+                      </div>
+                    )}
+
+                    {/* Actions */}
+                    <div className="flex flex-wrap gap-3 pt-4 border-t border-nb-ink/20">
+                      {!property.isDisputed && property.inspectionDeadline && Date.now() > property.inspectionDeadline && (
+                        <NBButton
+                          onClick={() => handleSettle(property.tokenId)}
+                          disabled={processingAction === property.tokenId}
+                          variant="primary"
+                          icon={<DollarSign className="w-4 h-4" />}
+                        >
+                          {processingAction === property.tokenId ? 'Processing...' : 'Settle Rental'}
+                        </NBButton>
+                      )}
+
+                      {!property.isDisputed && (
+                        <>
+                          {supportsAcceptance && property.isLandlord && !property.landlordAccepted && (
+                            <NBButton
+                              onClick={() => handleAcceptAgreement(property.tokenId)}
+                              disabled={processingAction === property.tokenId}
+                              variant="primary"
+                              icon={<CheckCircle className="w-4 h-4" />}
+                            >
+                              {processingAction === property.tokenId ? 'Processing...' : 'Accept Terms'}
+                            </NBButton>
+                          )}
+
+                          {supportsInspection && !(property.isLandlord ? property.landlordHappy : property.tenantHappy) &&
+                            !(!property.isLandlord && property.proposedDeduction > 0) && (
+                            <NBButton
+                              onClick={() => handleConfirmHappy(property.tokenId)}
+                              disabled={processingAction === property.tokenId}
+                              variant="primary"
+                              icon={<CheckCircle className="w-4 h-4" />}
+                            >
+                              {processingAction === property.tokenId ? 'Processing...' : "I'm Happy"}
+                            </NBButton>
+                          )}
+
+                          {supportsInspection && property.isLandlord && !property.landlordHappy && property.proposedDeduction === 0 && (
+                            <div className="flex items-center gap-2">
+                              <input
+                                type="number"
+                                min="1"
+                                max={property.deposit}
+                                value={deductionInputs[property.tokenId] || ''}
+                                onChange={(e) => setDeductionInputs(prev => ({ ...prev, [property.tokenId]: e.target.value }))}
+                                placeholder="Deduction"
+                                className="w-32 px-3 py-2 border-2 border-nb-ink rounded-nb bg-nb-card text-sm"
+                              />
+                              <NBButton
+                                onClick={() => handleProposeDeduction(property.tokenId)}
+                                disabled={processingAction === property.tokenId || !deductionInputs[property.tokenId]}
+                                variant="ghost"
+                                icon={<Scissors className="w-4 h-4" />}
+                              >
+                                Propose Deduction
+                              </NBButton>
+                            </div>
+                          )}
+                          
+                          {!property.isPending && (!supportsInspection || (property.inspectionDeadline && Date.now() <= property.inspectionDeadline)) && (
+                            <NBButton
+                              onClick={() => handleRaiseDispute(property.tokenId)}
+                              disabled={processingAction === property.tokenId}
+                              variant="ghost"
+                              icon={<AlertTriangle className="w-4 h-4" />}
+                            >
+                              {processingAction === property.tokenId ? 'Processing...' : 'Raise Dispute'}
+                            </NBButton>
+                          )}
+
+                          {supportsCancellation && !property.cancellation && (
+                            <div className="flex items-center gap-2">
+                              <input
+                                type="number"
+                                min="0"
+                                max={property.rent + property.deposit}
+                                value={cancellationInputs[property.tokenId] ?? ''}
+                                onChange={(e) => setCancellationInputs(prev => ({ ...prev, [property.tokenId]: e.target.value }))}
+                                placeholder="Tenant refund"
+                                className="w-36 px-3 py-2 border-2 border-nb-ink rounded-nb bg-nb-card text-sm"
+                              />
+                              <NBButton
+                                onClick={() => handleProposeCancellation(property.tokenId)}
+                                disabled={processingAction === property.tokenId || cancellationInputs[property.tokenId] === undefined || cancellationInputs[property.tokenId] === ''}
+                                variant="ghost"
+                                icon={<Ban className="w-4 h-4" />}
+                              >
+                                Propose Cancellation
+                              </NBButton>
+                            </div>
+                          )}
                         </>
                       )}
                       
@@ -438,6 +893,10 @@ export function EscrowActions() {
                             <p className="text-sm text-nb-ink">
                               ⚠️ This property is under dispute. Upload your case with evidence for the jury to review.
                             </p>
+                            <p className="text-xs text-nb-ink/70 mt-1">
+                              Tenant case {property.caseFilings.includes('tenant') ? 'filed' : 'not filed'} •
+                              Landlord case {property.caseFilings.includes('landlord') ? 'filed' : 'not filed'}
+                            </p>
                           </div>
                           <NBButton
                             onClick={() => handleUploadCase(property.tokenId)}
@@ -445,11 +904,28 @@ export function EscrowActions() {
                             icon={<Upload className="w-4 h-4" />}
                             className="bg-nb-error hover:bg-nb-error/80"
                           >
-                            Upload Your Case
+                            {property.caseFilings.includes(property.isLandlord ? 'landlord' : 'tenant') ? 'Add Evidence' : 'Upload Your Case'}
                           </NBButton>
                         </div>
                       )}
                     </div>
+
+                    {/* Activity */}
+                    {property.activity.length > 0 && (
+                      <div className="pt-4 border-t border-nb-ink/20">
+                        <h4 className="flex items-center text-sm font-medium text-nb-ink mb-2">
+                          <History className="w-4 h-4 mr-1" />
+                          Activity
+                        </h4>
+                        <ul className="space-y-1 text-sm text-nb-ink/70">
+                          {property.activity.map((event) => (
+                            <li key={`${event.txnHash}-${event.name}`}>
+                              {ACTIVITY_LABELS[event.name]?.(event.args) ?? event.name}
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    )}
                   </div>
                 </div>
               </NBCard>
@@ -2,88 +2,83 @@
  * @fileoverview Jury case voting page with IPFS dispute data
  */
 
-import { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import { toast } from 'sonner';
 import { NBCard } from '@/components/NBCard';
 import { NBButton } from '@/components/NBButton';
 import { disputeService } from '@/lib/services/disputeService';
 import { web3Service } from '@/lib/services/web3Service';
-import { User, FileText, Clock, ArrowLeft, AlertTriangle, CheckCircle, XCircle, DollarSign } from 'lucide-react';
+import { escrowService } from '@/lib/services/escrowService';
+import { User, FileText, Clock, ArrowLeft, AlertTriangle, CheckCircle, XCircle, DollarSign, Lock, Eye } from 'lucide-react';
 
 export function JuryCase() {
   const { id } = useParams(); // This is the property ID
+  const [searchParams] = useSearchParams();
+  const raisedBlock = searchParams.get('raisedBlock');
   const navigate = useNavigate();
   const [dispute, setDispute] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [hasVoted, setHasVoted] = useState(false);
-  const [voteChoice, setVoteChoice] = useState(null);
   const [isVoting, setIsVoting] = useState(false);
   const [isJuryMember, setIsJuryMember] = useState(false);
   const [disputeResolved, setDisputeResolved] = useState(false);
   const [winner, setWinner] = useState(null);
   const [withdrawing, setWithdrawing] = useState(false);
+  const [escrowDispute, setEscrowDispute] = useState(null);
+  const [storedCommit, setStoredCommit] = useState(null);
+  const [awardPercent, setAwardPercent] = useState(50);
 
-  useEffect(() => {
-    const loadDispute = async () => {
-      try {
-        // Check if current user is a jury member
-        const juryCheck = disputeService.isJuryMember();
-        setIsJuryMember(juryCheck);
-
-        // Check if jury has already voted for this dispute
-        const juryVote = localStorage.getItem(`jury_vote_${id}`);
-        if (juryVote) {
-          const voteData = JSON.parse(juryVote);
-          setHasVoted(true);
-          setVoteChoice(voteData.choice);
-          setDisputeResolved(true);
-          setWinner(voteData.choice);
-        }
-
-        // Get dispute cases from localStorage
-        const landlordCase = localStorage.getItem(`dispute_${id}_landlord`);
-        const tenantCase = localStorage.getItem(`dispute_${id}_tenant`);
-        
-        let landlordDetails = null;
-        let tenantDetails = null;
-
-        if (landlordCase) {
-          const landlordData = JSON.parse(landlordCase);
-          const result = await disputeService.getDisputeCase(landlordData.caseUrl);
-          if (result.success) {
-            landlordDetails = result.case;
-          }
-        }
-
-        if (tenantCase) {
-          const tenantData = JSON.parse(tenantCase);
-          const result = await disputeService.getDisputeCase(tenantData.caseUrl);
-          if (result.success) {
-            tenantDetails = result.case;
-          }
-        }
-
-        if (landlordDetails || tenantDetails) {
-          setDispute({
-            id: id,
-            propertyId: id,
-            landlordCase: landlordDetails,
-            tenantCase: tenantDetails,
-            status: disputeResolved ? 'resolved' : 'voting',
-            deadline: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString()
-          });
-        }
-      } catch (error) {
-        console.error('Failed to load dispute:', error);
-        toast.error('Failed to load dispute case');
-      } finally {
-        setLoading(false);
+  const loadEscrowDispute = useCallback(async () => {
+    if (!escrowService.isConfigured() || !web3Service.isWeb3Connected()) return;
+
+    const result = await escrowService.getDisputeForToken(id);
+    if (result.success && result.dispute) {
+      setEscrowDispute(result.dispute);
+      setStoredCommit(escrowService.getStoredCommit(result.dispute.disputeId));
+    }
+  }, [id]);
+
+  const loadDispute = useCallback(async () => {
+    try {
+      // Sealed juror voting on IntegratedEscrow, when a dispute exists there
+      await loadEscrowDispute();
+
+      // Check if current user is a jury member
+      const juryCheck = disputeService.isJuryMember();
+      setIsJuryMember(juryCheck);
+
+      // Disputes and case filings are anchored on-chain; show the one picked on the dashboard, or the latest
+      const result = await web3Service.getDisputes({ tokenId: id });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      const record = result.disputes.find(item => String(item.raisedBlock) === raisedBlock) || result.disputes[0];
+      if (!record) {
+        return;
       }
-    };
 
+      const { landlordCase, tenantCase } = await disputeService.getCases(record);
+      setDisputeResolved(!record.isOpen);
+      setWinner(record.tenantShare === 100 ? 'tenant' : record.tenantShare === 0 ? 'landlord' : null);
+      setDispute({
+        id: id,
+        propertyId: id,
+        raisedBlock: record.raisedBlock,
+        landlordCase,
+        tenantCase,
+        status: record.isOpen ? 'voting' : 'resolved'
+      });
+    } catch (error) {
+      console.error('Failed to load dispute:', error);
+      toast.error('Failed to load dispute case');
+    } finally {
+      setLoading(false);
+    }
+  }, [id, raisedBlock, loadEscrowDispute]);
+
+  useEffect(() => {
     loadDispute();
-  }, [id, disputeResolved]);
+  }, [loadDispute]);
 
   const handleVote = async (choice) => {
     try {
@@ -93,8 +88,8 @@ export function JuryCase() {
         return;
       }
 
-      if (hasVoted) {
-        toast.error('You have already voted on this dispute.');
+      if (disputeResolved) {
+        toast.error('This dispute has already been resolved.');
         return;
       }
 
@@ -104,33 +99,12 @@ export function JuryCase() {
       const result = await web3Service.resolveDispute(id, choice === 'tenant');
       
       if (result.success) {
-        // Store the vote locally
-        const voteData = {
-          choice: choice,
-          timestamp: new Date().toISOString(),
-          txnHash: result.txnHash
-        };
-        localStorage.setItem(`jury_vote_${id}`, JSON.stringify(voteData));
-        
-        setHasVoted(true);
-        setVoteChoice(choice);
-        setDisputeResolved(true);
-        setWinner(choice);
-        
-        // Update dispute status
-        setDispute(prev => ({
-          ...prev,
-          status: 'resolved'
-        }));
-        
         toast.success('Vote submitted successfully!', {
           description: `Dispute resolved. ${choice === 'tenant' ? 'Tenant' : 'Landlord'} wins the case.`
         });
 
-        // Trigger a page refresh to update the dashboard
-        setTimeout(() => {
-          window.location.reload();
-        }, 2000);
+        // The verdict is read back from the chain
+        await loadDispute();
       } else {
         throw new Error(result.error);
       }
@@ -144,6 +118,329 @@ export function JuryCase() {
     }
   };
 
+  const handleCommitVote = async () => {
+    try {
+      setIsVoting(true);
+
+      const result = await escrowService.commitVote(escrowDispute.disputeId, awardPercent);
+
+      if (result.success) {
+        toast.success('Vote sealed', {
+          description: 'Keep this browser: the salt needed to reveal your vote is stored here.'
+        });
+        await loadEscrowDispute();
+      } else {
+        throw new Error(result.error);
+      }
+    } catch (error) {
+      console.error('Failed to commit vote:', error);
+      toast.error('Failed to commit vote', {
+        description: error.message
+      });
+    } finally {
+      setIsVoting(false);
+    }
+  };
+
+  const handleRevealVote = async () => {
+    try {
+      setIsVoting(true);
+
+      const result = await escrowService.revealVote(escrowDispute.disputeId);
+
+      if (result.success) {
+        toast.success('Vote revealed', {
+          description: 'Your vote now counts towards the verdict.'
+        });
+        await loadEscrowDispute();
+      } else {
+        throw new Error(result.error);
+      }
+    } catch (error) {
+      console.error('Failed to reveal vote:', error);
+      toast.error('Failed to reveal vote', {
+        description: error.message
+      });
+    } finally {
+      setIsVoting(false);
+    }
+  };
+
+  const handleResolveEscrowDispute = async () => {
+    try {
+      setIsVoting(true);
+
+      const result = await escrowService.resolveDispute(escrowDispute.disputeId);
+
+      if (result.success) {
+        toast.success('Dispute resolved');
+        await loadEscrowDispute();
+      } else {
+        throw new Error(result.error);
+      }
+    } catch (error) {
+      console.error('Failed to resolve dispute:', error);
+      toast.error('Failed to resolve dispute', {
+        description: error.message
+      });
+    } finally {
+      setIsVoting(false);
+    }
+  };
+
+  const handleAppeal = async () => {
+    try {
+      setIsVoting(true);
+
+      const result = await escrowService.appeal(escrowDispute.disputeId);
+
+      if (result.success) {
+        toast.success('Appeal filed', {
+          description: 'A larger panel of fresh jurors will rehear the case.'
+        });
+        await loadEscrowDispute();
+      } else {
+        throw new Error(result.error);
+      }
+    } catch (error) {
+      console.error('Failed to appeal:', error);
+      toast.error('Failed to appeal', {
+        description: error.message
+      });
+    } finally {
+      setIsVoting(false);
+    }
+  };
+
+  const handleFinalizeVerdict = async () => {
+    try {
+      setIsVoting(true);
+
+      const result = await escrowService.finalizeDispute(escrowDispute.disputeId);
+
+      if (result.success) {
+        toast.success('Verdict finalized');
+        await loadEscrowDispute();
+      } else {
+        throw new Error(result.error);
+      }
+    } catch (error) {
+      console.error('Failed to finalize verdict:', error);
+      toast.error('Failed to finalize verdict', {
+        description: error.message
+      });
+    } finally {
+      setIsVoting(false);
+    }
+  };
+
+  // How a ruling splits the held rent and deposit between the parties
+  const splitLabel = (tenantPercent) => `Tenant ${tenantPercent}% / Landlord ${100 - tenantPercent}%`;
+
+  // Round history and appeal window for IntegratedEscrow disputes
+  const renderAppeals = () => {
+    const appealOpen = Date.now() / 1000 <= escrowDispute.appealDeadline;
+    const roundOutcome = (round) => (round.verdictReached ? splitLabel(round.tenantShare) : 'No verdict');
+    const voteDistribution = (round) => round.tally
+      .map((votes, bucket) => (votes > 0 ? `${votes} × ${bucket * 10}%` : null))
+      .filter(Boolean)
+      .join(', ');
+
+    return (
+      <NBCard className="mb-8">
+        <h2 className="font-display font-bold text-xl text-nb-ink mb-4">Rounds &amp; Appeals</h2>
+
+        <div className="space-y-2 mb-4">
+          {escrowDispute.rounds.map((round) => (
+            <div key={round.round} className="flex items-center justify-between p-3 border-2 border-nb-ink/20 rounded-nb">
+              <div>
+                <p className="font-medium text-nb-ink">Round {round.round} · {round.panelSize} jurors</p>
+                <p className="text-sm text-nb-ink/70">
+                  {round.revealCount} of {round.panelSize} revealed
+                  {round.revealCount > 0 && ` (tenant awards: ${voteDistribution(round)})`}
+                  {round.appealedBy && ` · appealed by ${round.appealedBy.slice(0, 6)}...${round.appealedBy.slice(-4)}`}
+                </p>
+              </div>
+              <span className="text-sm font-medium text-nb-ink">{roundOutcome(round)}</span>
+            </div>
+          ))}
+        </div>
+
+        {escrowDispute.status === 5 && (
+          appealOpen ? (
+            <div className="bg-nb-warn/20 border-2 border-nb-warn rounded-nb p-4 space-y-3">
+              <p className="text-sm text-nb-ink/70">
+                Funds stay held until {new Date(escrowDispute.appealDeadline * 1000).toLocaleString()}. Until then
+                the losing party can appeal for {escrowDispute.appealFee} {escrowDispute.paymentSymbol} to have a larger panel of fresh
+                jurors rehear the case.
+              </p>
+              {escrowDispute.isLosingParty && (
+                <NBButton onClick={handleAppeal} disabled={isVoting}>
+                  {isVoting ? 'Appealing...' : `Appeal (${escrowDispute.appealFee} ${escrowDispute.paymentSymbol})`}
+                </NBButton>
+              )}
+            </div>
+          ) : (
+            <div className="flex items-center justify-between bg-nb-accent/20 border-2 border-nb-accent rounded-nb p-4">
+              <p className="text-sm text-nb-ink/70">The appeal period has passed. Finalizing releases the held funds.</p>
+              <NBButton onClick={handleFinalizeVerdict} disabled={isVoting}>
+                {isVoting ? 'Finalizing...' : 'Finalize Verdict'}
+              </NBButton>
+            </div>
+          )
+        )}
+      </NBCard>
+    );
+  };
+
+  // Commit/reveal panel for jurors assigned on IntegratedEscrow
+  const renderSealedVoting = () => {
+    const now = Date.now() / 1000;
+    const revealOpen = now > escrowDispute.commitEndTime || escrowDispute.commitCount === escrowDispute.panelSize;
+    const votingEnded = now > escrowDispute.votingEndTime;
+
+    if (escrowDispute.status !== 1) {
+      return (
+        <div className="text-center py-8">
+          <h3 className="font-display font-bold text-lg text-nb-ink mb-2">Voting Closed</h3>
+          <p className="text-nb-ink/70">
+            {escrowDispute.status === 2
+              ? `The jury split the held funds ${splitLabel(escrowDispute.tenantShare)}.`
+              : escrowDispute.status === 5
+                ? `This round ruled ${splitLabel(escrowDispute.tenantShare)}. The verdict can still be appealed.`
+                : escrowDispute.status === 3
+                  ? 'No jury reached a verdict. The landlord kept the held rent and the tenant was refunded the deposit and dispute fee.'
+                  : 'This dispute is no longer active.'}
+          </p>
+        </div>
+      );
+    }
+
+    if (votingEnded) {
+      return (
+        <div className="text-center py-8 space-y-4">
+          <p className="text-nb-ink/70">
+            The voting period has ended with {escrowDispute.revealCount} of {escrowDispute.panelSize} votes revealed.
+            Resolving records the median award as the verdict if a majority of the panel revealed; otherwise
+            it goes to a larger panel of fresh jurors.
+          </p>
+          <NBButton onClick={handleResolveEscrowDispute} disabled={isVoting}>
+            {isVoting ? 'Resolving...' : 'Resolve Dispute'}
+          </NBButton>
+        </div>
+      );
+    }
+
+    if (escrowDispute.revealedShare !== null) {
+      return (
+        <div className="bg-nb-accent/20 border-2 border-nb-accent rounded-nb p-4">
+          <h4 className="font-medium text-nb-ink mb-2">Your Vote: {splitLabel(escrowDispute.revealedShare)}</h4>
+          <p className="text-sm text-nb-ink/70">
+            {escrowDispute.revealCount} of {escrowDispute.panelSize} votes revealed. The round closes once every juror reveals
+            or the voting period ends on {new Date(escrowDispute.votingEndTime * 1000).toLocaleString()}.
+          </p>
+        </div>
+      );
+    }
+
+    if (escrowDispute.hasCommitted) {
+      if (!storedCommit) {
+        return (
+          <div className="bg-nb-error/20 border-2 border-nb-error rounded-nb p-4">
+            <h4 className="font-medium text-nb-ink mb-2">Saved vote not found</h4>
+            <p className="text-sm text-nb-ink/70">
+              Your vote was sealed from another browser. Reveal it from there before
+              {' '}{new Date(escrowDispute.votingEndTime * 1000).toLocaleString()} to avoid losing part of your stake.
+            </p>
+          </div>
+        );
+      }
+
+      return revealOpen ? (
+        <div className="space-y-4">
+          <div className="bg-nb-warn/20 border-2 border-nb-warn rounded-nb p-4">
+            <h4 className="font-medium text-nb-ink mb-2">Reveal your vote</h4>
+            <p className="text-sm text-nb-ink/70">
+              You sealed a vote of {splitLabel(storedCommit.tenantPercent)}. Reveal it before
+              {' '}{new Date(escrowDispute.votingEndTime * 1000).toLocaleString()}. Jurors who never reveal
+              or vote more than 10% away from the ruling lose {escrowDispute.slashPercent}% of their stake.
+            </p>
+          </div>
+          <NBButton onClick={handleRevealVote} disabled={isVoting} icon={<Eye className="w-4 h-4" />}>
+            {isVoting ? 'Revealing...' : 'Reveal Vote'}
+          </NBButton>
+        </div>
+      ) : (
+        <div className="bg-nb-accent/20 border-2 border-nb-accent rounded-nb p-4">
+          <h4 className="flex items-center font-medium text-nb-ink mb-2">
+            <Lock className="w-4 h-4 mr-1" />
+            Vote sealed: {splitLabel(storedCommit.tenantPercent)}
+          </h4>
+          <p className="text-sm text-nb-ink/70">
+            {escrowDispute.commitCount} of {escrowDispute.panelSize} jurors have committed. Come back to reveal your vote once
+            everyone has committed or after {new Date(escrowDispute.commitEndTime * 1000).toLocaleString()}.
+          </p>
+        </div>
+      );
+    }
+
+    if (now > escrowDispute.commitEndTime) {
+      return (
+        <div className="text-center py-8">
+          <h3 className="font-display font-bold text-lg text-nb-ink mb-2">Commit Period Ended</h3>
+          <p className="text-nb-ink/70">You did not seal a vote before the commit deadline.</p>
+        </div>
+      );
+    }
+
+    return (
+      <div className="space-y-4">
+        <p className="text-nb-ink/70 mb-6">
+          Your vote is sealed until the reveal window so other jurors cannot see it. The secret needed
+          to reveal it is stored in this browser. Commit before {new Date(escrowDispute.commitEndTime * 1000).toLocaleString()}.
+        </p>
+
+        <div>
+          <p className="font-medium text-nb-ink mb-2">Share of the held rent and deposit awarded to the tenant</p>
+          <div className="grid grid-cols-6 md:grid-cols-11 gap-2">
+            {Array.from({ length: 11 }, (_, bucket) => bucket * 10).map((percent) => (
+              <NBButton
+                key={percent}
+                variant={awardPercent === percent ? 'primary' : 'ghost'}
+                size="sm"
+                onClick={() => setAwardPercent(percent)}
+                disabled={isVoting}
+                data-testid={`award-${percent}`}
+              >
+                {percent}%
+              </NBButton>
+            ))}
+          </div>
+          <p className="text-sm text-nb-ink/70 mt-2">
+            {splitLabel(awardPercent)}. The median of the revealed votes becomes the ruling, and jurors
+            within 10% of it share the dispute fee.
+          </p>
+        </div>
+
+        <NBButton
+          onClick={handleCommitVote}
+          className="w-full"
+          disabled={isVoting}
+          icon={<Lock className="w-4 h-4" />}
+          data-testid="commit-award"
+        >
+          Seal Vote
+        </NBButton>
+
+        {isVoting && (
+          <div className="text-center mt-4">
+            <p className="text-nb-ink/70">Sealing your vote...</p>
+          </div>
+        )}
+      </div>
+    );
+  };
+
   const handleWithdraw = async () => {
     if (!isJuryMember) {
       toast.error('Only jury can withdraw rewards');
@@ -179,7 +476,7 @@ export function JuryCase() {
       return ipfsUrl.replace('ipfs://', 'https://gateway.pinata.cloud/ipfs/');
     }
     
-    if (ipfsUrl.startsWith('https://')) {
+    if (ipfsUrl.startsWith('https://') || ipfsUrl.startsWith('http://')) {
       return ipfsUrl;
     }
     
@@ -234,7 +531,7 @@ export function JuryCase() {
           <div className="flex items-center space-x-4 text-nb-ink/70">
             <span className="flex items-center">
               <Clock className="w-4 h-4 mr-1" />
-              Deadline: {new Date(dispute.deadline).toLocaleDateString()}
+              Raised in block {dispute.raisedBlock}
             </span>
             <span className={`px-2 py-1 rounded border text-xs ${
               dispute.status === 'resolved' 
@@ -247,7 +544,7 @@ export function JuryCase() {
         </div>
 
         {/* Resolution Status */}
-        {disputeResolved && winner && (
+        {disputeResolved && (
           <NBCard className="mb-8 border-2 border-nb-accent">
             <div className="flex items-center justify-between">
               <div className="flex items-center space-x-3">
@@ -255,7 +552,7 @@ export function JuryCase() {
                 <div>
                   <h3 className="font-medium text-nb-ink">Dispute Resolved</h3>
                   <p className="text-sm text-nb-ink/70">
-                    {winner === 'tenant' ? 'Tenant' : 'Landlord'} wins the case
+                    {winner ? `${winner === 'tenant' ? 'Tenant' : 'Landlord'} wins the case` : 'Closed without a single winner'}
                   </p>
                 </div>
               </div>
@@ -279,7 +576,7 @@ export function JuryCase() {
         )}
 
         {/* Jury Access Warning */}
-        {!isJuryMember && (
+        {!isJuryMember && !escrowDispute?.isAssignedJuror && (
           <NBCard className="mb-8 border-2 border-nb-error">
             <div className="flex items-start space-x-3">
               <AlertTriangle className="w-6 h-6 text-nb-error mt-0.5" />
@@ -429,13 +726,17 @@ export function JuryCase() {
           </NBCard>
         </div>
 
+        {escrowDispute?.rounds.length > 0 && renderAppeals()}
+
         {/* Voting Section */}
         <NBCard>
           <h2 className="font-display font-bold text-xl text-nb-ink mb-6">
             Cast Your Vote
           </h2>
           
-          {!isJuryMember ? (
+          {escrowDispute?.isAssignedJuror ? (
+            renderSealedVoting()
+          ) : !isJuryMember ? (
             <div className="text-center py-8">
               <div className="w-16 h-16 bg-nb-error/20 border-2 border-nb-error rounded-nb mx-auto flex items-center justify-center mb-4">
                 <span className="text-2xl">🚫</span>
@@ -450,19 +751,19 @@ export function JuryCase() {
                 Your address: {disputeService.getCurrentAccount()}
               </p>
             </div>
-          ) : hasVoted ? (
+          ) : disputeResolved && winner ? (
             <div className="text-center py-8">
               <div className="w-16 h-16 bg-nb-accent/20 border-2 border-nb-accent rounded-nb mx-auto flex items-center justify-center mb-4">
                 <CheckCircle className="w-8 h-8 text-nb-accent" />
               </div>
               <h3 className="font-display font-bold text-lg text-nb-ink mb-2">
-                Vote Submitted
+                Verdict Recorded
               </h3>
               <p className="text-nb-ink/70 mb-4">
                 Thank you for participating in the dispute resolution process.
               </p>
               <div className="bg-nb-accent/20 border-2 border-nb-accent rounded-nb p-4">
-                <h4 className="font-medium text-nb-ink mb-2">Your Vote: {voteChoice === 'tenant' ? 'Tenant' : 'Landlord'}</h4>
+                <h4 className="font-medium text-nb-ink mb-2">Verdict: {winner === 'tenant' ? 'Tenant' : 'Landlord'}</h4>
                 <p className="text-sm text-nb-ink/70">
                   The dispute has been resolved. {winner === 'tenant' ? 'Tenant' : 'Landlord'} wins the case.
                 </p>
@@ -7,7 +7,20 @@ import { useNavigate } from 'react-router-dom';
 import { NBCard } from '@/components/NBCard';
 import { NBButton } from '@/components/NBButton';
 import { disputeService } from '@/lib/services/disputeService';
-import { Gavel, Clock, Users, RefreshCw, History, CheckCircle } from 'lucide-react';
+import { escrowService } from '@/lib/services/escrowService';
+import { web3Service } from '@/lib/services/web3Service';
+import { StatPill } from '@/components/StatPill';
+import { Gavel, Clock, Users, RefreshCw, History, CheckCircle, Award, Coins, TrendingDown } from 'lucide-react';
+
+/**
+ * Who a resolved dispute went to, from the tenant's share of the held funds
+ */
+const describeRuling = (tenantShare) => {
+  if (tenantShare === null) return 'No ruling';
+  if (tenantShare === 100) return 'Tenant';
+  if (tenantShare === 0) return 'Landlord';
+  return `Split (${tenantShare}% to tenant)`;
+};
 
 export function JuryDashboard() {
   const navigate = useNavigate();
@@ -16,99 +29,42 @@ export function JuryDashboard() {
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [activeTab, setActiveTab] = useState('active'); // 'active' or 'history'
+  const [jurorStats, setJurorStats] = useState(null);
+
+  const loadJurorStats = async () => {
+    if (!escrowService.isConfigured() || !web3Service.isWeb3Connected()) return;
+
+    const result = await escrowService.getJurorStats();
+    if (result.success) {
+      setJurorStats(result.stats);
+    }
+  };
 
   const loadDisputes = async () => {
     try {
       setLoading(true);
-      
-      // Get all dispute cases from localStorage
-      const allDisputeCases = [];
-      const completedCases = [];
-      
-      // Scan localStorage for dispute cases
-      for (let i = 0; i < localStorage.length; i++) {
-        const key = localStorage.key(i);
-        if (key && key.startsWith('dispute_')) {
-          try {
-            const disputeData = JSON.parse(localStorage.getItem(key));
-            if (disputeData && disputeData.caseUrl) {
-              // Extract property ID and role from key
-              const parts = key.split('_');
-              if (parts.length >= 3) {
-                const propertyId = parts[1];
-                const role = parts[2];
-                
-                allDisputeCases.push({
-                  ...disputeData,
-                  key: key,
-                  propertyId: propertyId,
-                  role: role
-                });
-              }
-            }
-          } catch (error) {
-            console.error('Failed to parse dispute case:', error);
-          }
-        }
-      }
 
-      // Check for completed disputes (jury votes)
-      for (let i = 0; i < localStorage.length; i++) {
-        const key = localStorage.key(i);
-        if (key && key.startsWith('jury_vote_')) {
-          try {
-            const voteData = JSON.parse(localStorage.getItem(key));
-            if (voteData && voteData.choice) {
-              const propertyId = key.replace('jury_vote_', '');
-              completedCases.push({
-                propertyId: propertyId,
-                voteData: voteData
-              });
-            }
-          } catch (error) {
-            console.error('Failed to parse jury vote:', error);
-          }
-        }
+      // Disputes and their case filings are anchored on-chain, so every juror sees the same cases
+      const result = await web3Service.getDisputes();
+      if (!result.success) {
+        throw new Error(result.error);
       }
 
-      // Group disputes by property ID and merge landlord/tenant cases
-      const groupedDisputes = {};
-      
-      allDisputeCases.forEach(dispute => {
-        const key = dispute.propertyId;
-        if (!groupedDisputes[key]) {
-          groupedDisputes[key] = {
-            propertyId: dispute.propertyId,
-            cases: {},
-            createdAt: dispute.submittedAt,
-            status: 'voting'
-          };
-        }
-        groupedDisputes[key].cases[dispute.role] = dispute;
-      });
+      const processedDisputes = await Promise.all(result.disputes.map(async (dispute) => {
+        const { landlordCase, tenantCase } = await disputeService.getCases(dispute);
 
-      // Convert to array and create combined dispute objects
-      const processedDisputes = Object.values(groupedDisputes).map(group => {
-        const landlordCase = group.cases.landlord;
-        const tenantCase = group.cases.tenant;
-        
-        // Check if this dispute is completed
-        const completedCase = completedCases.find(c => c.propertyId === group.propertyId);
-        const isCompleted = !!completedCase;
-        
         return {
-          id: group.propertyId,
-          title: `Property #${group.propertyId} Dispute`,
-          propertyId: group.propertyId,
+          id: `${dispute.tokenId}-${dispute.raisedBlock}`,
+          title: `Property #${dispute.tokenId} Dispute`,
+          propertyId: dispute.tokenId,
+          raisedBlock: dispute.raisedBlock,
           landlordCase,
           tenantCase,
-          status: isCompleted ? 'completed' : 'voting',
-          createdAt: group.createdAt,
-          completedAt: completedCase?.voteData?.timestamp,
-          winner: completedCase?.voteData?.choice,
+          status: dispute.isOpen ? 'voting' : 'completed',
+          winner: describeRuling(dispute.tenantShare),
           claimSummary: tenantCase?.claimSummary || landlordCase?.claimSummary || 'Dispute case available for review'
         };
-      });
+      }));
 
       // Separate active and completed disputes
       const activeDisputes = processedDisputes.filter(d => d.status === 'voting');
@@ -125,12 +81,13 @@ export function JuryDashboard() {
 
   const handleRefresh = async () => {
     setRefreshing(true);
-    await loadDisputes();
+    await Promise.all([loadDisputes(), loadJurorStats()]);
     setRefreshing(false);
   };
 
   useEffect(() => {
     loadDisputes();
+    loadJurorStats();
   }, []);
 
   if (loading) {
@@ -187,6 +144,48 @@ export function JuryDashboard() {
           </NBCard>
         </div>
 
+        {/* Juror Record */}
+        {jurorStats && (jurorStats.isActive || jurorStats.disputesAssigned > 0) && (
+          <NBCard className="mb-8">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="font-display font-bold text-xl text-nb-ink">Your Juror Record</h2>
+              <span className={`px-2 py-1 rounded border text-xs ${
+                jurorStats.isActive
+                  ? 'bg-nb-ok/20 border-nb-ok text-nb-ink'
+                  : 'bg-nb-ink/10 border-nb-ink/30 text-nb-ink/70'
+              }`}>
+                {jurorStats.isActive ? 'In juror pool' : 'Not staked'}
+              </span>
+            </div>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              <StatPill
+                label="Reputation"
+                value={`${jurorStats.reputation.toFixed(0)}%`}
+                icon={<Award className="w-6 h-6" />}
+              />
+              <StatPill
+                label={`Coherent of ${jurorStats.disputesCompleted} decided`}
+                value={jurorStats.correctVotes}
+                icon={<CheckCircle className="w-6 h-6" />}
+              />
+              <StatPill
+                label={`Earned · ${jurorStats.stakedAmount} BNB staked`}
+                value={`${jurorStats.totalEarned} BNB`}
+                icon={<Coins className="w-6 h-6" />}
+              />
+              <StatPill
+                label="Slashed"
+                value={`${jurorStats.totalSlashed} BNB`}
+                icon={<TrendingDown className="w-6 h-6" />}
+              />
+            </div>
+            <p className="text-sm text-nb-ink/60 mt-4">
+              Reputation reflects how often your votes matched the final outcome and scales your chance of
+              being drawn. Missing a reveal or voting against the outcome slashes part of your stake.
+            </p>
+          </NBCard>
+        )}
+
         {/* Tab Navigation */}
         <div className="flex space-x-1 mb-6">
           <NBButton
@@ -236,7 +235,7 @@ export function JuryDashboard() {
                         <div className="flex items-center space-x-6 text-sm text-nb-ink/60 mb-4">
                           <span>Property ID: {dispute.propertyId}</span>
                           <span>Status: {dispute.status}</span>
-                          <span>Created: {new Date(dispute.createdAt).toLocaleDateString()}</span>
+                          <span>Raised in block {dispute.raisedBlock}</span>
                         </div>
 
                         {/* Case Status */}
@@ -267,7 +266,7 @@ export function JuryDashboard() {
                       
                       <div className="ml-4">
                         <NBButton
-                          onClick={() => navigate(`/jury/case/${dispute.id}`)}
+                          onClick={() => navigate(`/jury/case/${dispute.propertyId}?raisedBlock=${dispute.raisedBlock}`)}
                           size="sm"
                           disabled={!dispute.landlordCase && !dispute.tenantCase}
                         >
@@ -318,8 +317,8 @@ export function JuryDashboard() {
                         
                         <div className="flex items-center space-x-6 text-sm text-nb-ink/60 mb-4">
                           <span>Property ID: {dispute.propertyId}</span>
-                          <span>Winner: {dispute.winner === 'tenant' ? 'Tenant' : 'Landlord'}</span>
-                          <span>Resolved: {new Date(dispute.completedAt).toLocaleDateString()}</span>
+                          <span>Winner: {dispute.winner}</span>
+                          <span>Raised in block {dispute.raisedBlock}</span>
                         </div>
 
                         {/* Case Status */}
@@ -350,7 +349,7 @@ export function JuryDashboard() {
                       
                       <div className="ml-4">
                         <NBButton
-                          onClick={() => navigate(`/jury/case/${dispute.id}`)}
+                          onClick={() => navigate(`/jury/case/${dispute.propertyId}?raisedBlock=${dispute.raisedBlock}`)}
                           size="sm"
                           variant="ghost"
                         >
@@ -16,7 +16,7 @@ import { toast } from 'sonner';
  */
 export function Landing() {
   const [openFaq, setOpenFaq] = useState(null);
-  const { web3, initializeWeb3, disconnectWeb3 } = useAppStore();
+  const { web3, connectWallet, disconnectWeb3 } = useAppStore();
 
   const roleCards = [
     {
@@ -116,12 +116,14 @@ export function Landing() {
 
   const handleConnectWallet = async () => {
     try {
-      await initializeWeb3();
-      if (web3.isConnected) {
-        toast.success('Wallet connected successfully!', {
-          description: `Connected to ${web3.account.slice(0, 6)}...${web3.account.slice(-4)}`
-        });
+      const result = await connectWallet();
+      if (!result.success) {
+        throw new Error(result.error);
       }
+      const { account } = useAppStore.getState().web3;
+      toast.success('Wallet connected successfully!', {
+        description: `Connected to ${account.slice(0, 6)}...${account.slice(-4)}`
+      });
     } catch (error) {
       toast.error('Failed to connect wallet', {
         description: error.message
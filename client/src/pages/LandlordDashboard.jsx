@@ -8,9 +8,13 @@ import { NBCard } from '@/components/NBCard';
 import { NBButton } from '@/components/NBButton';
 import { StatPill } from '@/components/StatPill';
 import { ListingCard } from '@/components/ListingCard';
+import { ReviewList } from '@/components/ReviewList';
+import { PendingReviews } from '@/components/PendingReviews';
+import { BookingRequestsInbox } from '@/components/BookingRequestsInbox';
 import { DashboardStatsSkeleton, ListingCardSkeleton, Skeleton } from '@/components/SkeletonLoader';
 import { web3Service } from '@/lib/services/web3Service';
-import { Plus, Building, DollarSign, AlertTriangle, Grid, List, RefreshCw } from 'lucide-react';
+import { reviewService } from '@/lib/services/reviewService';
+import { Plus, Building, DollarSign, AlertTriangle, Grid, List, RefreshCw, Star } from 'lucide-react';
 
 /**
  * Landlord dashboard showing owned properties from blockchain
@@ -21,6 +25,7 @@ export function LandlordDashboard() {
   const [viewMode, setViewMode] = useState('grid');
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
+  const [receivedReviews, setReceivedReviews] = useState(null);
 
   // Helper function to convert IPFS URL to gateway URL
   const getImageUrl = (ipfsUrl) => {
@@ -32,7 +37,7 @@ export function LandlordDashboard() {
     }
     
     // If it's already a gateway URL, return as is
-    if (ipfsUrl.startsWith('https://')) {
+    if (ipfsUrl.startsWith('https://') || ipfsUrl.startsWith('http://')) {
       return ipfsUrl;
     }
     
@@ -66,7 +71,7 @@ export function LandlordDashboard() {
       const processedProperties = [];
       for (const nft of result.nfts) {
         try {
-          const metadataResult = await web3Service.getMetadataFromURI(nft.tokenURI);
+          const metadataResult = await web3Service.getPropertyMetadata(nft);
           if (metadataResult.success) {
             const imageUrl = getImageUrl(metadataResult.metadata.image);
             
@@ -124,6 +129,14 @@ export function LandlordDashboard() {
         disputed: disputedRentals
       });
 
+      // Reviews tenants left after their rentals completed
+      if (reviewService.isConfigured()) {
+        const reviewsResult = await reviewService.getReviewsReceived();
+        if (reviewsResult.success) {
+          setReceivedReviews(reviewsResult);
+        }
+      }
+
     } catch (error) {
       console.error('Failed to load user NFTs:', error);
     } finally {
@@ -273,6 +286,9 @@ export function LandlordDashboard() {
           </div>
         )}
 
+        {/* Booking requests waiting for approval */}
+        {!refreshing && <BookingRequestsInbox properties={properties} className="mb-8" />}
+
         {/* Listings Section */}
         <NBCard className="mb-8">
           <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-6">
@@ -423,6 +439,29 @@ export function LandlordDashboard() {
           )}
         </NBCard>
 
+        <PendingReviews className="mb-8" />
+
+        {/* Received Reviews */}
+        {receivedReviews && (
+          <NBCard className="mb-8">
+            <div className="flex justify-between items-center mb-6">
+              <h2 className="font-display font-bold text-xl text-nb-ink">
+                Reviews Received ({receivedReviews.totalReviews})
+              </h2>
+              {receivedReviews.averageRating && (
+                <div className="flex items-center space-x-2">
+                  <Star className="w-5 h-5 fill-current text-nb-warn" />
+                  <span className="font-bold text-nb-ink">{receivedReviews.averageRating}</span>
+                </div>
+              )}
+            </div>
+            <ReviewList
+              reviews={receivedReviews.reviews}
+              emptyMessage="Tenants can review you once their rental completes."
+            />
+          </NBCard>
+        )}
+
         {/* Quick Actions */}
         <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
           <NBCard>
@@ -9,10 +9,15 @@ import { NBCard } from '@/components/NBCard';
 import { NBButton } from '@/components/NBButton';
 import { Gallery } from '@/components/Gallery';
 import { PricingWidget } from '@/components/PricingWidget';
+import { LandlordBadge } from '@/components/LandlordBadge';
+import { ReviewList } from '@/components/ReviewList';
 import { ListingDetailsSkeleton } from '@/components/SkeletonLoader';
 import { web3Service } from '@/lib/services/web3Service';
+import { escrowService } from '@/lib/services/escrowService';
+import { reviewService } from '@/lib/services/reviewService';
 import { useAppStore } from '@/lib/stores/useAppStore';
-import { MapPin, User, Calendar, Home, Wifi, Car, Shield, Star, Building, ShieldCheck, Tv, Utensils, Waves, TreePine, Dumbbell, Wind, Bath, Bed, Users, Coffee, Gamepad2, Music, Camera, Baby } from 'lucide-react';
+import { toDayKey } from '@/lib/dates';
+import { MapPin, User, Calendar, CalendarX, Home, Wifi, Car, Shield, Star, Building, ShieldCheck, Tv, Utensils, Waves, TreePine, Dumbbell, Wind, Bath, Bed, Users, Coffee, Gamepad2, Music, Camera, Baby } from 'lucide-react';
 
 /**
  * Property listing details with blockchain data
@@ -27,6 +32,12 @@ export function ListingDetails() {
   const [rentalDetails, setRentalDetails] = useState(null);
   const [listingDetails, setListingDetails] = useState(null);
   const [isCurrentUserInvolved, setIsCurrentUserInvolved] = useState(false);
+  const [bondAmount, setBondAmount] = useState('');
+  const [isBondPending, setIsBondPending] = useState(false);
+  const [bondRefreshKey, setBondRefreshKey] = useState(0);
+  const [bookedRanges, setBookedRanges] = useState(null);
+  const [myRequests, setMyRequests] = useState([]);
+  const [isBookingPending, setIsBookingPending] = useState(false);
 
   // Realistic mock data generators
   const generateRealisticPhotos = (propertyType, city) => {
@@ -183,7 +194,7 @@ export function ListingDetails() {
       return ipfsUrl.replace('ipfs://', 'https://gateway.pinata.cloud/ipfs/');
     }
     
-    if (ipfsUrl.startsWith('https://')) {
+    if (ipfsUrl.startsWith('https://') || ipfsUrl.startsWith('http://')) {
       return ipfsUrl;
     }
     
@@ -207,8 +218,14 @@ export function ListingDetails() {
           }
         }
 
-        // Get token URI and metadata
-        const tokenURI = await web3Service.contract.tokenURI(id);
+        // Get owner, listing terms and rental from the configured protocol
+        const detailsResult = await web3Service.getPropertyDetails(id);
+        if (!detailsResult.success) {
+          throw new Error(detailsResult.error);
+        }
+        const { tokenURI, owner, listing: listingResult, rental: rentalResult } = detailsResult.property;
+
+        // Get metadata
         const metadataResult = await web3Service.getMetadataFromURI(tokenURI);
         
         if (!metadataResult.success) {
@@ -218,13 +235,6 @@ export function ListingDetails() {
         const metadata = metadataResult.metadata;
         const imageUrl = getImageUrl(metadata.image);
 
-        // Get listing details from contract
-        const listingResult = await web3Service.contract.getListingDetails(id);
-        const rentalResult = await web3Service.contract.getRentalDetails(id);
-        
-        // Get owner address
-        const owner = await web3Service.contract.ownerOf(id);
-
         // Check if current user is involved in this rental
         const currentAccount = web3Service.getAccount();
         const isInvolved = rentalResult.isActive && 
@@ -233,12 +243,42 @@ export function ListingDetails() {
 
         setIsCurrentUserInvolved(isInvolved);
 
+        // Protocols with a booking calendar take stays for dates around the ones already booked
+        if (web3Service.supports('calendar')) {
+          const rangesResult = await web3Service.getBookedRanges(id);
+          setBookedRanges(rangesResult.success ? rangesResult.ranges : []);
+        }
+        if (web3Service.supports('requests')) {
+          const requestsResult = await web3Service.getBookingRequests(id);
+          if (requestsResult.success) {
+            // Approved stays are already among the booked ranges
+            setMyRequests(requestsResult.requests.filter(request =>
+              !request.noShow && request.tenant.toLowerCase() === currentAccount.toLowerCase()
+            ));
+          }
+        }
+
         // Generate realistic mock data
         const realisticPhotos = generateRealisticPhotos(metadata.propertyType, metadata.city);
         realisticPhotos[0] = imageUrl; // Keep the original image as first
 
-        const realisticAmenities = generateRealisticAmenities(metadata.propertyType);
-        const realisticReviews = generateRealisticReviews(metadata.propertyType, metadata.city);
+        // Listings tagged with amenities when they were added show their own
+        const realisticAmenities = metadata.amenities?.length > 0
+          ? metadata.amenities
+          : generateRealisticAmenities(metadata.propertyType);
+        let reviews = generateRealisticReviews(metadata.propertyType, metadata.city);
+        let avgRating = (reviews.reduce((acc, review) => acc + review.rating, 0) / reviews.length).toFixed(1);
+        let totalReviews = reviews.length;
+
+        // Rated stays come from RentalReviews when it is deployed
+        if (reviewService.isConfigured()) {
+          const reviewsResult = await reviewService.getPropertyReviews(id);
+          if (reviewsResult.success) {
+            reviews = reviewsResult.reviews;
+            avgRating = reviewsResult.averageRating ?? 'New';
+            totalReviews = reviewsResult.totalReviews;
+          }
+        }
 
         const propertyData = {
           id: id,
@@ -260,9 +300,9 @@ export function ListingDetails() {
           photos: realisticPhotos,
           coverImage: 0,
           amenities: realisticAmenities,
-          reviews: realisticReviews,
-          avgRating: (realisticReviews.reduce((acc, review) => acc + review.rating, 0) / realisticReviews.length).toFixed(1),
-          totalReviews: realisticReviews.length,
+          reviews,
+          avgRating,
+          totalReviews,
           isListed: listingResult.isListed,
           isRented: rentalResult.isActive,
           isDisputed: rentalResult.isDisputed,
@@ -301,19 +341,29 @@ export function ListingDetails() {
         }
       }
 
-      // Calculate total amount to pay
-      const totalAmount = property.rentPerMonth + property.securityDeposit + property.disputeFee;
-
-      // Rent the property
-      const rentResult = await web3Service.rentProperty(property.tokenId, totalAmount);
+      // Rent the property for the amount the pricing widget quoted
+      const rentResult = await web3Service.rentProperty(property.tokenId, bookingData.totalAmount, bookingData.durationMonths, {
+        checkIn: bookingData.checkIn,
+        checkOut: bookingData.checkOut
+      });
       
       if (!rentResult.success) {
         throw new Error(rentResult.error);
       }
 
-      toast.success('Booking confirmed!', {
-        description: `Property rented successfully. Transaction: ${rentResult.txnHash.slice(0, 10)}...`
-      });
+      if (rentResult.respondBy) {
+        toast.success('Booking requested!', {
+          description: `The landlord has until ${new Date(rentResult.respondBy).toLocaleString()} to respond, or your payment is refunded.`
+        });
+      } else if (rentResult.awaitingLandlord) {
+        toast.success('Rental requested!', {
+          description: 'Your payment is held in escrow until the landlord accepts the terms.'
+        });
+      } else {
+        toast.success('Booking confirmed!', {
+          description: `Property rented successfully. Transaction: ${rentResult.txnHash.slice(0, 10)}...`
+        });
+      }
 
       // Navigate to escrow page or refresh
       window.location.reload();
@@ -323,6 +373,85 @@ export function ListingDetails() {
     }
   };
 
+  const handleStartBooking = async (checkIn) => {
+    setIsBookingPending(true);
+    const result = await web3Service.startBooking(property.tokenId, checkIn);
+    setIsBookingPending(false);
+
+    if (!result.success) {
+      toast.error('Check-in failed. The previous rental may not have settled yet.');
+      return;
+    }
+    toast.success('Checked in', {
+      description: `Transaction: ${result.txnHash.slice(0, 10)}...`
+    });
+    window.location.reload();
+  };
+
+  const handleCancelBooking = async (checkIn) => {
+    setIsBookingPending(true);
+    const result = await web3Service.cancelBooking(property.tokenId, checkIn);
+    setIsBookingPending(false);
+
+    if (!result.success) {
+      toast.error('Failed to cancel booking');
+      return;
+    }
+    toast.success('Booking cancelled', {
+      description: 'Your payment can be withdrawn from your dashboard'
+    });
+    setBookedRanges(ranges => ranges.filter(range => range.isActive || range.checkIn !== checkIn));
+    setMyRequests(requests => requests.filter(request => request.checkIn !== checkIn));
+  };
+
+  const handlePostBond = async () => {
+    try {
+      setIsBondPending(true);
+
+      // Top-ups must be paid in the token the bond is already held in
+      const bondResult = await escrowService.getListingBond(property.tokenId);
+      const currentBond = bondResult.success ? bondResult.bond : null;
+      const isOwnBond = currentBond?.landlord.toLowerCase() === property.landlord.toLowerCase();
+
+      const result = await escrowService.postBond(property.tokenId, bondAmount, isOwnBond ? currentBond.token.address : undefined);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      toast.success('Bond posted', {
+        description: `Transaction: ${result.txnHash.slice(0, 10)}...`
+      });
+      setBondAmount('');
+      setBondRefreshKey(key => key + 1);
+    } catch (error) {
+      console.error('Failed to post bond:', error);
+      toast.error('Failed to post bond');
+    } finally {
+      setIsBondPending(false);
+    }
+  };
+
+  const handleWithdrawBond = async () => {
+    try {
+      setIsBondPending(true);
+
+      const result = await escrowService.withdrawBond(property.tokenId);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      toast.success('Bond released', {
+        description: 'Claim it from your pending escrow balance'
+      });
+      setBondRefreshKey(key => key + 1);
+    } catch (error) {
+      console.error('Failed to withdraw bond:', error);
+      toast.error('Bond is locked while a rental you accepted is active or disputed');
+    } finally {
+      setIsBondPending(false);
+    }
+  };
+
   const handleEscrowActions = () => {
     // Navigate to escrow page with the rental ID (which is the token ID)
     navigate(`/tenant/escrow/${property.tokenId}`);
@@ -394,6 +523,14 @@ export function ListingDetails() {
     return null;
   }
 
+  const isOwner = property.landlord.toLowerCase() === web3Service.getAccount()?.toLowerCase();
+  const myBookings = [
+    ...myRequests.map(request => ({ ...request, isRequest: true })),
+    ...(bookedRanges || []).filter(range =>
+      !range.isActive && range.tenant.toLowerCase() === web3Service.getAccount()?.toLowerCase()
+    )
+  ].sort((a, b) => a.checkIn.localeCompare(b.checkIn));
+
   return (
     <div className="min-h-screen bg-nb-bg py-8">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
@@ -498,6 +635,55 @@ export function ListingDetails() {
               </NBCard>
             )}
 
+            {/* Upcoming stays the connected tenant booked here */}
+            {myBookings.length > 0 && (
+              <NBCard>
+                <h3 className="font-display font-bold text-lg text-nb-ink mb-4">
+                  Your Upcoming Stays
+                </h3>
+                <div className="space-y-3">
+                  {myBookings.map(booking => (
+                    <div key={booking.checkIn} className="flex flex-wrap items-center justify-between gap-3 p-3 border-2 border-nb-ink rounded-nb">
+                      <div>
+                        <div className="flex items-center text-nb-ink">
+                          <Calendar className="w-4 h-4 mr-2" />
+                          {booking.checkIn} → {booking.checkOut}
+                        </div>
+                        {booking.isRequest && (
+                          <p className="text-xs text-nb-ink/60 mt-1">
+                            {booking.respondBy > Date.now()
+                              ? `Awaiting landlord approval until ${new Date(booking.respondBy).toLocaleString()}`
+                              : 'The landlord did not respond in time; withdraw to get your payment back'}
+                          </p>
+                        )}
+                      </div>
+                      <div className="flex gap-2">
+                        {!booking.isRequest && (
+                          <NBButton
+                            size="sm"
+                            onClick={() => handleStartBooking(booking.checkIn)}
+                            disabled={isBookingPending || booking.checkIn > toDayKey() || property.isRented}
+                            icon={<ShieldCheck className="w-4 h-4" />}
+                          >
+                            Check In
+                          </NBButton>
+                        )}
+                        <NBButton
+                          size="sm"
+                          variant="secondary"
+                          onClick={() => handleCancelBooking(booking.checkIn)}
+                          disabled={isBookingPending}
+                          icon={<CalendarX className="w-4 h-4" />}
+                        >
+                          {booking.isRequest ? 'Withdraw' : 'Cancel'}
+                        </NBButton>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </NBCard>
+            )}
+
             {/* Landlord Info */}
             <NBCard>
               <div className="flex items-center space-x-4">
@@ -512,8 +698,49 @@ export function ListingDetails() {
                     <Shield className="w-3 h-3 mr-1" />
                     <span>Verified host • Token ID: {property.tokenId}</span>
                   </div>
+                  <LandlordBadge
+                    landlord={property.landlord}
+                    tokenId={property.tokenId}
+                    refreshKey={bondRefreshKey}
+                    detailed
+                    className="mt-2"
+                  />
                 </div>
               </div>
+
+              {/* Landlords on the escrow protocol can stake a bond tenants may be awarded in a dispute */}
+              {isOwner && escrowService.isConfigured() && (
+                <div className="mt-4 pt-4 border-t-2 border-nb-ink/20 space-y-3">
+                  <p className="text-sm text-nb-ink/70">
+                    Post a bond on this listing. Jurors can award it to a tenant whose terms you accepted if the property was misrepresented.
+                  </p>
+                  <div className="flex flex-wrap gap-2">
+                    <input
+                      type="number"
+                      min="0"
+                      step="any"
+                      value={bondAmount}
+                      onChange={(e) => setBondAmount(e.target.value)}
+                      className="flex-1 min-w-[120px] px-3 py-2 border-2 border-nb-ink rounded-nb bg-nb-bg text-nb-ink focus:outline-none focus:ring-4 focus:ring-nb-accent"
+                      placeholder="Bond amount"
+                    />
+                    <NBButton
+                      onClick={handlePostBond}
+                      disabled={isBondPending || !(Number(bondAmount) > 0)}
+                      icon={<ShieldCheck className="w-4 h-4" />}
+                    >
+                      Post Bond
+                    </NBButton>
+                    <NBButton
+                      variant="secondary"
+                      onClick={handleWithdrawBond}
+                      disabled={isBondPending}
+                    >
+                      Withdraw Bond
+                    </NBButton>
+                  </div>
+                </div>
+              )}
             </NBCard>
 
             {/* Tabs */}
@@ -592,7 +819,7 @@ export function ListingDetails() {
                     </h3>
                     <div className="space-y-4">
                       <div className="flex justify-between items-center py-3 border-b border-nb-ink/20">
-                        <span className="text-nb-ink font-medium">Monthly Rent</span>
+                        <span className="text-nb-ink font-medium">{bookedRanges ? 'Nightly Rent' : 'Monthly Rent'}</span>
                         <span className="font-bold text-nb-ink">₹{property.rentPerMonth.toLocaleString()}</span>
                       </div>
                       <div className="flex justify-between items-center py-3 border-b border-nb-ink/20">
@@ -645,31 +872,7 @@ export function ListingDetails() {
                         <span className="text-nb-ink/70">({property.totalReviews} reviews)</span>
                       </div>
                     </div>
-                    <div className="space-y-6">
-                      {property.reviews.map((review, index) => (
-                        <div key={index} className="border-b border-nb-ink/20 pb-6 last:border-b-0">
-                          <div className="flex items-center space-x-3 mb-3">
-                            <div className="w-10 h-10 bg-nb-accent rounded-full flex items-center justify-center border-2 border-nb-ink">
-                              <span className="text-sm font-bold text-nb-ink">{review.avatar}</span>
-                            </div>
-                            <div>
-                              <h4 className="font-medium text-nb-ink">{review.name}</h4>
-                              <div className="flex items-center space-x-1">
-                                {[1, 2, 3, 4, 5].map((star) => (
-                                  <Star 
-                                    key={star} 
-                                    className={`w-3 h-3 ${star <= review.rating ? 'fill-current text-nb-warn' : 'text-nb-ink/20'}`} 
-                                  />
-                                ))}
-                              </div>
-                            </div>
-                          </div>
-                          <p className="text-nb-ink/80 leading-relaxed">
-                            {review.text}
-                          </p>
-                        </div>
-                      ))}
-                    </div>
+                    <ReviewList reviews={property.reviews} emptyMessage="No reviews yet. Tenants can rate their stay once their rental completes." />
                   </div>
                 )}
               </div>
@@ -683,7 +886,9 @@ export function ListingDetails() {
               deposit={property.securityDeposit}
               disputeFee={property.disputeFee}
               onBook={handleBooking}
-              disabled={!property.isListed || property.isRented}
+              bookedRanges={bookedRanges}
+              availableFrom={property.availableFrom?.slice(0, 10)}
+              disabled={!property.isListed || (!bookedRanges && property.isRented)}
             />
           </div>
         </div>
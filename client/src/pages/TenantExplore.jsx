@@ -2,7 +2,7 @@
  * @fileoverview Tenant explore listings page with blockchain integration
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { FilterBar } from '@/components/FilterBar';
 import { ListingCard } from '@/components/ListingCard';
@@ -10,8 +10,87 @@ import { NBCard } from '@/components/NBCard';
 import { NBButton } from '@/components/NBButton';
 import { SearchFilterSkeleton, TenantListingsGridSkeleton, Skeleton } from '@/components/SkeletonLoader';
 import { web3Service } from '@/lib/services/web3Service';
+import { indexerService } from '@/lib/services/indexerService';
+import { toDayKey, addDays, overlapsBooked } from '@/lib/dates';
 import { Search, RefreshCw } from 'lucide-react';
 
+// With an indexer, search, filtering, sorting and paging happen on the server
+const SEARCH_ON_SERVER = indexerService.isConfigured();
+
+/**
+ * Facet counts over loaded properties, shaped like the indexer's
+ * @param {Object[]} properties
+ * @param {Function} valuesOf - Facet values of one property
+ * @returns {import('@/lib/types').FacetCount[]}
+ */
+const countFacet = (properties, valuesOf) => {
+  const counts = new Map();
+  properties.forEach(property => {
+    valuesOf(property).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  });
+  return Array.from(counts, ([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+};
+
+// Helper function to convert IPFS URL to gateway URL
+const getImageUrl = (ipfsUrl) => {
+  if (!ipfsUrl) return '/mock-images/placeholder-property.jpg';
+  
+  if (ipfsUrl.startsWith('ipfs://')) {
+    return ipfsUrl.replace('ipfs://', 'https://gateway.pinata.cloud/ipfs/');
+  }
+  
+  if (ipfsUrl.startsWith('https://') || ipfsUrl.startsWith('http://')) {
+    return ipfsUrl;
+  }
+  
+  if (ipfsUrl.startsWith('Qm') || ipfsUrl.startsWith('bafy')) {
+    return `https://gateway.pinata.cloud/ipfs/${ipfsUrl}`;
+  }
+  
+  return '/mock-images/placeholder-property.jpg';
+};
+
+// Card data for a listing, or a placeholder when its metadata is unavailable
+const toProperty = (listing, metadata) => {
+  if (!metadata) {
+    return {
+      id: listing.tokenId,
+      tokenId: listing.tokenId,
+      title: `Property #${listing.tokenId}`,
+      city: 'Unknown',
+      state: 'Unknown',
+      propertyType: 'Unknown',
+      rentPerMonth: parseInt(listing.rent) || 0,
+      securityDeposit: parseInt(listing.deposit) || 0,
+      disputeFee: parseInt(listing.disputeFee) || 0,
+      coverImage: '/mock-images/placeholder-property.jpg',
+      description: 'Property details unavailable',
+      landlord: listing.landlord,
+      metadata: null,
+      error: true,
+      createdAt: Date.now() - Math.random() * 30 * 24 * 60 * 60 * 1000
+    };
+  }
+
+  return {
+    id: listing.tokenId,
+    tokenId: listing.tokenId,
+    title: metadata.name,
+    city: metadata.city,
+    state: metadata.state,
+    propertyType: metadata.propertyType,
+    rentPerMonth: parseInt(listing.rent),
+    securityDeposit: parseInt(listing.deposit),
+    disputeFee: parseInt(listing.disputeFee),
+    coverImage: getImageUrl(metadata.image),
+    description: metadata.description,
+    landlord: listing.landlord,
+    metadata,
+    createdAt: Date.now() - Math.random() * 30 * 24 * 60 * 60 * 1000 // Mock creation date for sorting
+  };
+};
+
 /**
  * Tenant property exploration page with blockchain data
  */
@@ -19,31 +98,36 @@ export function TenantExplore() {
   const navigate = useNavigate();
   const [properties, setProperties] = useState([]);
   const [filteredProperties, setFilteredProperties] = useState([]);
-  const [cities, setCities] = useState([]);
-  const [propertyTypes, setPropertyTypes] = useState([]);
+  const [facets, setFacets] = useState({ cities: [], propertyTypes: [], amenities: [] });
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [currentFilters, setCurrentFilters] = useState({});
   const [sortBy, setSortBy] = useState('relevance');
-
-  // Helper function to convert IPFS URL to gateway URL
-  const getImageUrl = (ipfsUrl) => {
-    if (!ipfsUrl) return '/mock-images/placeholder-property.jpg';
-    
-    if (ipfsUrl.startsWith('ipfs://')) {
-      return ipfsUrl.replace('ipfs://', 'https://gateway.pinata.cloud/ipfs/');
-    }
-    
-    if (ipfsUrl.startsWith('https://')) {
-      return ipfsUrl;
+  // Responses of superseded searches are dropped
+  const searchIdRef = useRef(0);
+
+  /**
+   * Fetch a page of indexer search results, replacing the list or appending to it after a cursor
+   */
+  const searchListings = useCallback(async (cursor = null) => {
+    const searchId = ++searchIdRef.current;
+    const result = await indexerService.searchListings(currentFilters, { sort: sortBy, cursor });
+    if (searchId !== searchIdRef.current || !result.success) {
+      return;
     }
-    
-    if (ipfsUrl.startsWith('Qm') || ipfsUrl.startsWith('bafy')) {
-      return `https://gateway.pinata.cloud/ipfs/${ipfsUrl}`;
-    }
-    
-    return '/mock-images/placeholder-property.jpg';
-  };
+
+    const page = result.listings.map(listing => ({
+      ...toProperty({ tokenId: listing.tokenId, landlord: listing.owner, ...listing.listing }, listing.metadata),
+      bookedRanges: listing.bookedRanges
+    }));
+    setFilteredProperties(current => (cursor ? [...current, ...page] : page));
+    setTotal(result.total);
+    setNextCursor(result.nextCursor);
+    setFacets(result.facets);
+  }, [currentFilters, sortBy]);
 
   const loadAllListings = async () => {
     try {
@@ -65,65 +149,34 @@ export function TenantExplore() {
 
       // Process listings and fetch metadata
       const processedProperties = [];
-      const citiesSet = new Set();
-      const propertyTypesSet = new Set();
 
       for (const listing of result.listings) {
         try {
-          const metadataResult = await web3Service.getMetadataFromURI(listing.tokenURI);
+          const metadataResult = await web3Service.getPropertyMetadata(listing);
           if (metadataResult.success) {
-            const imageUrl = getImageUrl(metadataResult.metadata.image);
-            
-            const property = {
-              id: listing.tokenId,
-              tokenId: listing.tokenId,
-              title: metadataResult.metadata.name,
-              city: metadataResult.metadata.city,
-              state: metadataResult.metadata.state,
-              propertyType: metadataResult.metadata.propertyType,
-              rentPerMonth: parseInt(listing.rent),
-              securityDeposit: parseInt(listing.deposit),
-              disputeFee: parseInt(listing.disputeFee),
-              coverImage: imageUrl,
-              description: metadataResult.metadata.description,
-              landlord: listing.landlord,
-              metadata: metadataResult.metadata,
-              createdAt: Date.now() - Math.random() * 30 * 24 * 60 * 60 * 1000 // Mock creation date for sorting
-            };
-
-            processedProperties.push(property);
-            citiesSet.add(property.city);
-            propertyTypesSet.add(property.propertyType);
+            processedProperties.push(toProperty(listing, metadataResult.metadata));
           }
         } catch (error) {
           console.error(`Failed to process listing ${listing.tokenId}:`, error);
           // Add a placeholder property for failed listings
-          const placeholderProperty = {
-            id: listing.tokenId,
-            tokenId: listing.tokenId,
-            title: `Property #${listing.tokenId}`,
-            city: 'Unknown',
-            state: 'Unknown',
-            propertyType: 'Unknown',
-            rentPerMonth: parseInt(listing.rent) || 0,
-            securityDeposit: parseInt(listing.deposit) || 0,
-            disputeFee: parseInt(listing.disputeFee) || 0,
-            coverImage: '/mock-images/placeholder-property.jpg',
-            description: 'Property details unavailable',
-            landlord: listing.landlord,
-            metadata: null,
-            error: true,
-            createdAt: Date.now() - Math.random() * 30 * 24 * 60 * 60 * 1000
-          };
-          processedProperties.push(placeholderProperty);
-          citiesSet.add('Unknown');
-          propertyTypesSet.add('Unknown');
+          processedProperties.push(toProperty(listing, null));
         }
       }
 
+      // Booked stays decide availability on protocols with a booking calendar
+      if (web3Service.supports('calendar')) {
+        await Promise.all(processedProperties.map(async (property) => {
+          const rangesResult = await web3Service.getBookedRanges(property.tokenId);
+          property.bookedRanges = rangesResult.success ? rangesResult.ranges : [];
+        }));
+      }
+
       setProperties(processedProperties);
-      setCities(Array.from(citiesSet).sort());
-      setPropertyTypes(Array.from(propertyTypesSet).sort());
+      setFacets({
+        cities: countFacet(processedProperties, property => [property.city]),
+        propertyTypes: countFacet(processedProperties, property => [property.propertyType]),
+        amenities: countFacet(processedProperties, property => property.metadata?.amenities || [])
+      });
 
     } catch (error) {
       console.error('Failed to load listings:', error);
@@ -177,16 +230,36 @@ export function TenantExplore() {
 
   const handleRefresh = async () => {
     setRefreshing(true);
-    await loadAllListings();
+    await (SEARCH_ON_SERVER ? searchListings() : loadAllListings());
     setRefreshing(false);
   };
 
+  const handleLoadMore = async () => {
+    setLoadingMore(true);
+    await searchListings(nextCursor);
+    setLoadingMore(false);
+  };
+
   useEffect(() => {
-    loadAllListings();
+    if (!SEARCH_ON_SERVER) {
+      loadAllListings();
+    }
   }, []);
 
+  // Search the indexer again when filters or sorting change, once typing pauses
+  useEffect(() => {
+    if (!SEARCH_ON_SERVER) return;
+
+    const timer = setTimeout(() => {
+      searchListings().finally(() => setLoading(false));
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchListings]);
+
   // Update filtered properties when filters or properties change
   useEffect(() => {
+    if (SEARCH_ON_SERVER) return;
+
     let filtered = properties;
 
     // Apply text search
@@ -217,9 +290,35 @@ export function TenantExplore() {
       filtered = filtered.filter(property => property.rentPerMonth <= parseInt(currentFilters.maxPrice));
     }
 
+    // Apply deposit range filter
+    if (currentFilters.minDeposit) {
+      filtered = filtered.filter(property => property.securityDeposit >= parseInt(currentFilters.minDeposit));
+    }
+    if (currentFilters.maxDeposit) {
+      filtered = filtered.filter(property => property.securityDeposit <= parseInt(currentFilters.maxDeposit));
+    }
+
+    // Apply amenities filter: every picked amenity must be offered
+    if (currentFilters.amenities?.length) {
+      filtered = filtered.filter(property =>
+        currentFilters.amenities.every(amenity => property.metadata?.amenities?.includes(amenity))
+      );
+    }
+
+    // Apply availability filter: open for stays by check-in and no booked night in between
+    if (currentFilters.checkIn || currentFilters.checkOut) {
+      const checkIn = currentFilters.checkIn || toDayKey();
+      const checkOut = currentFilters.checkOut || addDays(checkIn, 1);
+      filtered = filtered.filter(property =>
+        !(property.metadata?.availableFrom?.slice(0, 10) > checkIn) &&
+        !overlapsBooked(checkIn, checkOut, property.bookedRanges || [])
+      );
+    }
+
     // Apply sorting
     const sorted = sortProperties(filtered, sortBy);
     setFilteredProperties(sorted);
+    setTotal(sorted.length);
   }, [properties, currentFilters, sortBy]);
 
   const handleFilterChange = (filters) => {
@@ -328,8 +427,7 @@ export function TenantExplore() {
             <FilterBar
               query={currentFilters.query || ''}
               onChange={handleFilterChange}
-              cities={cities}
-              propertyTypes={propertyTypes}
+              facets={facets}
             />
           )}
         </div>
@@ -346,7 +444,7 @@ export function TenantExplore() {
             ) : (
               <>
                 <h2 className="font-display font-bold text-xl text-nb-ink">
-                  {filteredProperties.length} Properties Found
+                  {total} Properties Found
                 </h2>
                 <select 
                   className="px-3 py-2 border-2 border-nb-ink rounded-nb bg-nb-bg text-nb-ink focus:outline-none focus:ring-4 focus:ring-nb-accent"
@@ -386,16 +484,33 @@ export function TenantExplore() {
                   rentPerMonth={property.rentPerMonth}
                   deposit={property.securityDeposit}
                   coverImage={property.coverImage}
-                  badges={['Available', property.propertyType]}
+                  badges={[
+                    overlapsBooked(toDayKey(), addDays(toDayKey(), 1), property.bookedRanges || []) ? 'Booked now' : 'Available',
+                    property.propertyType
+                  ]}
+                  landlord={property.landlord}
                   onView={handleViewListing}
                 />
               ))}
             </div>
           )}
+
+          {/* More indexer results */}
+          {!refreshing && nextCursor && (
+            <div className="flex justify-center">
+              <NBButton
+                variant="secondary"
+                onClick={handleLoadMore}
+                disabled={loadingMore}
+              >
+                {loadingMore ? 'Loading...' : 'Load More'}
+              </NBButton>
+            </div>
+          )}
         </div>
 
         {/* Popular Locations */}
-        {cities.length > 0 && (
+        {facets.cities.length > 0 && (
           <div className="mt-16">
             <h3 className="font-display font-bold text-xl text-nb-ink mb-6">
               Popular Locations
@@ -411,19 +526,16 @@ export function TenantExplore() {
               </div>
             ) : (
               <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
-                {cities.slice(0, 6).map((city) => {
-                  const cityCount = properties.filter(p => p.city === city).length;
-                  return (
-                    <button
-                      key={city}
-                      onClick={() => handleFilterChange({ ...currentFilters, city })}
-                      className="p-4 bg-nb-card border-2 border-nb-ink rounded-nb shadow-nb-sm hover:-translate-y-1 transition-transform duration-200 text-center"
-                    >
-                      <div className="font-display font-bold text-nb-ink">{city}</div>
-                      <div className="text-sm text-nb-ink/70">{cityCount} properties</div>
-                    </button>
-                  );
-                })}
+                {facets.cities.slice(0, 6).map(({ value: city, count }) => (
+                  <button
+                    key={city}
+                    onClick={() => handleFilterChange({ ...currentFilters, city })}
+                    className="p-4 bg-nb-card border-2 border-nb-ink rounded-nb shadow-nb-sm hover:-translate-y-1 transition-transform duration-200 text-center"
+                  >
+                    <div className="font-display font-bold text-nb-ink">{city}</div>
+                    <div className="text-sm text-nb-ink/70">{count} properties</div>
+                  </button>
+                ))}
               </div>
             )}
           </div>
@@ -454,7 +566,7 @@ export function TenantExplore() {
               <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
                 <div>
                   <span className="text-nb-ink/70">Total Properties:</span>
-                  <span className="text-nb-ink ml-2 font-bold">{properties.length}</span>
+                  <span className="text-nb-ink ml-2 font-bold">{SEARCH_ON_SERVER ? total : properties.length}</span>
                 </div>
                 <div>
                   <span className="text-nb-ink/70">Network:</span>
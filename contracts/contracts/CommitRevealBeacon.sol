@@ -0,0 +1,199 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./interfaces/IRandomnessCoordinator.sol";
+
+/**
+ * @title CommitRevealBeacon
+ * @author FairBNB Team
+ * @notice Randomness coordinator fed by contributors who commit to secrets and reveal them later
+ * @dev The random word is derived from the revealed secrets alone, so one honest contributor keeps
+ *      it unpredictable and nobody, block producers included, can steer it once reveals close.
+ *      The last contributor to reveal can still withhold their secret after seeing the others, so
+ *      every commitment is backed by a bond that is only returned on reveal. Withheld bonds are
+ *      shared by the round's revealers, and stay locked in a round nobody revealed. Consumers
+ *      should still be able to re-request.
+ */
+contract CommitRevealBeacon is IRandomnessCoordinator {
+
+    // ============ Structs ============
+
+    struct Request {
+        address consumer;
+        uint256 commitDeadline;
+        uint256 revealDeadline;
+        bytes32 seed;
+        uint256 commitCount;
+        uint256 revealCount;
+        bool fulfilled;
+    }
+
+    // ============ State Variables ============
+
+    uint256 public immutable commitWindow;
+    uint256 public immutable revealWindow;
+    uint256 public immutable bond;
+    uint256 private _requestIdCounter;
+
+    // ============ Mappings ============
+
+    mapping(uint256 => Request) public requests;
+    mapping(uint256 => mapping(address => bytes32)) public commitments;
+    mapping(uint256 => mapping(address => bool)) public revealed;
+
+    // ============ Events ============
+
+    event RandomnessRequested(
+        uint256 indexed requestId,
+        address indexed consumer,
+        uint256 commitDeadline,
+        uint256 revealDeadline
+    );
+    event EntropyCommitted(uint256 indexed requestId, address indexed contributor);
+    event EntropyRevealed(uint256 indexed requestId, address indexed contributor);
+    event RandomnessFulfilled(uint256 indexed requestId, uint256 randomWord);
+    event BondClaimed(uint256 indexed requestId, address indexed contributor, uint256 amount);
+
+    // ============ Errors ============
+
+    error InvalidWindows();
+    error InvalidBond();
+    error RequestNotFound();
+    error CommitWindowClosed();
+    error InvalidCommitment();
+    error AlreadyCommitted();
+    error IncorrectBond();
+    error CommitWindowOpen();
+    error RevealWindowClosed();
+    error AlreadyRevealed();
+    error CommitmentMismatch();
+    error RevealWindowOpen();
+    error AlreadyFulfilled();
+    error NoEntropyRevealed();
+    error NotRevealed();
+    error AlreadyClaimed();
+    error TransferFailed();
+
+    // ============ Constructor ============
+
+    /**
+     * @param _commitWindow Seconds contributors have to commit after a request
+     * @param _revealWindow Seconds contributors have to reveal after the commit window
+     * @param _bond Wei each commitment locks until its secret is revealed
+     */
+    constructor(uint256 _commitWindow, uint256 _revealWindow, uint256 _bond) {
+        require(_commitWindow > 0 && _revealWindow > 0, InvalidWindows());
+        require(_bond > 0, InvalidBond());
+        commitWindow = _commitWindow;
+        revealWindow = _revealWindow;
+        bond = _bond;
+    }
+
+    // ============ Coordinator Functions ============
+
+    /**
+     * @notice Open a new round; the caller receives the result through rawFulfillRandomness
+     */
+    function requestRandomness() external returns (uint256 requestId) {
+        requestId = ++_requestIdCounter;
+
+        Request storage request = requests[requestId];
+        request.consumer = msg.sender;
+        request.commitDeadline = block.timestamp + commitWindow;
+        request.revealDeadline = request.commitDeadline + revealWindow;
+
+        emit RandomnessRequested(requestId, msg.sender, request.commitDeadline, request.revealDeadline);
+    }
+
+    /**
+     * @notice Commit to a secret for a round, locking the bond until it is revealed
+     * @param requestId The round to contribute to
+     * @param commitment keccak256(abi.encodePacked(requestId, contributor, secret))
+     */
+    function commit(uint256 requestId, bytes32 commitment) external payable {
+        Request storage request = requests[requestId];
+        require(request.consumer != address(0), RequestNotFound());
+        require(block.timestamp <= request.commitDeadline, CommitWindowClosed());
+        require(commitment != bytes32(0), InvalidCommitment());
+        require(commitments[requestId][msg.sender] == bytes32(0), AlreadyCommitted());
+        require(msg.value == bond, IncorrectBond());
+
+        commitments[requestId][msg.sender] = commitment;
+        request.commitCount++;
+
+        emit EntropyCommitted(requestId, msg.sender);
+    }
+
+    /**
+     * @notice Reveal a committed secret and mix it into the round's seed
+     * @param requestId The round
+     * @param secret The secret behind the commitment
+     */
+    function reveal(uint256 requestId, bytes32 secret) external {
+        Request storage request = requests[requestId];
+        require(block.timestamp > request.commitDeadline, CommitWindowOpen());
+        require(block.timestamp <= request.revealDeadline, RevealWindowClosed());
+        require(!revealed[requestId][msg.sender], AlreadyRevealed());
+        require(
+            keccak256(abi.encodePacked(requestId, msg.sender, secret)) == commitments[requestId][msg.sender],
+            CommitmentMismatch()
+        );
+
+        revealed[requestId][msg.sender] = true;
+        request.seed = keccak256(abi.encodePacked(request.seed, secret));
+        request.revealCount++;
+
+        emit EntropyRevealed(requestId, msg.sender);
+    }
+
+    /**
+     * @notice Deliver the round's random word to its consumer once reveals close
+     * @param requestId The round to fulfill
+     */
+    function fulfill(uint256 requestId) external {
+        Request storage request = requests[requestId];
+        require(request.consumer != address(0), RequestNotFound());
+        require(block.timestamp > request.revealDeadline, RevealWindowOpen());
+        require(!request.fulfilled, AlreadyFulfilled());
+        require(request.revealCount > 0, NoEntropyRevealed());
+
+        request.fulfilled = true;
+        uint256 randomWord = uint256(request.seed);
+
+        emit RandomnessFulfilled(requestId, randomWord);
+
+        IRandomnessConsumer(request.consumer).rawFulfillRandomness(requestId, randomWord);
+    }
+
+    /**
+     * @notice Whether a round can still be fulfilled: it is unfulfilled, and its reveals are
+     *         open or somebody revealed
+     * @param requestId The round
+     */
+    function isPending(uint256 requestId) external view returns (bool) {
+        Request storage request = requests[requestId];
+        return request.consumer != address(0) && !request.fulfilled &&
+            (block.timestamp <= request.revealDeadline || request.revealCount > 0);
+    }
+
+    /**
+     * @notice Reclaim a revealed commitment's bond, plus an equal share of the bonds of
+     *         contributors who never revealed, once reveals close
+     * @param requestId The round
+     */
+    function claimBond(uint256 requestId) external {
+        Request storage request = requests[requestId];
+        require(block.timestamp > request.revealDeadline, RevealWindowOpen());
+        require(revealed[requestId][msg.sender], NotRevealed());
+        require(commitments[requestId][msg.sender] != bytes32(0), AlreadyClaimed());
+
+        delete commitments[requestId][msg.sender];
+        uint256 forfeited = (request.commitCount - request.revealCount) * bond;
+        uint256 amount = bond + forfeited / request.revealCount;
+
+        emit BondClaimed(requestId, msg.sender, amount);
+
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        require(success, TransferFailed());
+    }
+}
@@ -3,27 +3,61 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
 import "@openzeppelin/contracts/token/ERC721/extensions/ERC721URIStorage.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
 
-contract FairBNB is ERC721, ERC721URIStorage {
+contract FairBNB is ERC721, ERC721URIStorage, Ownable {
     uint256 private _nextTokenId = 1;
     
-    // Jury address - can be changed
+    // Jury address - changed by the owner (the governance timelock once deployed with one)
     address public jury = 0x0729a81A995Bed60F4F6C5Ec960bEd999740e160;
     
+    // Time after check-out during which either party can still object before funds settle
+    uint256 public inspectionPeriod = 3 days;
+    
+    // Time the landlord has to approve or decline a booking request before it can be refunded
+    uint256 public requestResponsePeriod = 2 days;
+    
+    // Cap on open requests and upcoming bookings per property, keeping availability checks bounded
+    uint256 public constant MAX_BOOKINGS = 20;
+    
+    // Cap on open requests and upcoming bookings one tenant holds on a property, so no one can fill the list
+    uint256 public constant MAX_BOOKINGS_PER_TENANT = 3;
+    
     struct Rental {
         address landlord;
         address tenant;
-        uint256 rent;
+        uint256 rent; // For the whole stay
         uint256 deposit;
         uint256 disputeFee;
         bool tenantHappy;
         bool landlordHappy;
         bool isActive;
         bool isDisputed;
+        uint256 inspectionDeadline;
+        uint256 checkIn;  // Days since the Unix epoch
+        uint256 checkOut; // Exclusive
+    }
+    
+    // A stay paid for in advance: a request until the landlord approves it, then a booking
+    // that becomes the rental once its check-in day comes
+    struct Booking {
+        address tenant;
+        uint256 checkIn;
+        uint256 checkOut;
+        uint256 rent; // For the whole stay
+        uint256 deposit;
+        uint256 disputeFee;
+        uint256 respondBy; // Landlord's deadline while the request is pending
+        bool approved;
+    }
+    
+    struct CancellationProposal {
+        address proposedBy;
+        uint256 tenantRefund; // Share of rent + deposit returned to the tenant
     }
     
     struct PropertyListing {
-        uint256 rent;
+        uint256 rent; // Per night
         uint256 deposit;
         uint256 disputeFee;
         bool isListed;
@@ -33,6 +67,9 @@ contract FairBNB is ERC721, ERC721URIStorage {
     mapping(uint256 => Rental) public rentals;
     mapping(uint256 => PropertyListing) public listings;
     mapping(address => uint256) public pendingWithdrawals;
+    mapping(uint256 => uint256) public proposedDeductions; // tokenId => deposit deduction awaiting tenant response
+    mapping(uint256 => CancellationProposal) public cancellationProposals;
+    mapping(uint256 => Booking[]) private _bookings; // tokenId => open requests and upcoming stays, unordered
     mapping(address => uint256[]) private _userTokens;
     mapping(uint256 => uint256) private _tokenIndex; // tokenId => index in _userTokens array
     
@@ -40,13 +77,60 @@ contract FairBNB is ERC721, ERC721URIStorage {
     event PropertyMinted(uint256 tokenId, address landlord, string uri);
     event PropertyListed(uint256 tokenId, uint256 rent, uint256 deposit, uint256 disputeFee);
     event PropertyRented(uint256 tokenId, address tenant, uint256 totalPaid);
+    event BookingRequested(uint256 indexed tokenId, address tenant, uint256 checkIn, uint256 checkOut, uint256 totalPaid, uint256 respondBy);
+    event BookingApproved(uint256 indexed tokenId, address tenant, uint256 checkIn);
+    event BookingDeclined(uint256 indexed tokenId, address tenant, uint256 checkIn, uint256 refund);
+    event BookingExpired(uint256 indexed tokenId, address tenant, uint256 checkIn, uint256 refund);
+    event BookingCancelled(uint256 indexed tokenId, address tenant, uint256 checkIn, uint256 refund);
+    event RequestResponsePeriodChanged(uint256 oldPeriod, uint256 newPeriod);
     event HappyConfirmed(uint256 tokenId, address party, bool isLandlord);
     event RentalCompleted(uint256 tokenId, uint256 amountToLandlord);
+    event DepositReturned(uint256 tokenId, address tenant, uint256 amount);
+    event DeductionProposed(uint256 tokenId, uint256 amount);
+    event DeductionResponded(uint256 tokenId, uint256 amount, bool accepted);
+    event InspectionPeriodChanged(uint256 oldPeriod, uint256 newPeriod);
+    event CancellationProposed(uint256 indexed tokenId, address proposedBy, uint256 tenantRefund);
+    event CancellationRevoked(uint256 indexed tokenId, address revokedBy);
+    event RentalCancelled(uint256 indexed tokenId, uint256 tenantRefund, uint256 landlordAmount);
     event DisputeRaised(uint256 tokenId);
+    event EvidenceSubmitted(uint256 indexed tokenId, address indexed submitter, bool isLandlord, string evidenceURI);
     event DisputeResolved(uint256 tokenId, bool tenantWins, uint256 juryReward);
     event JuryChanged(address oldJury, address newJury);
+    event OverpaymentRefunded(uint256 tokenId, address tenant, uint256 amount);
+    
+    // Custom errors
+    error NotPropertyOwner(uint256 tokenId, address caller);
+    error PropertyNotListed(uint256 tokenId);
+    error RentalAlreadyActive(uint256 tokenId);
+    error CannotRentOwnProperty(uint256 tokenId);
+    error InsufficientPayment(uint256 required, uint256 sent);
+    error NotRentalParty(uint256 tokenId, address caller);
+    error RentalNotActive(uint256 tokenId);
+    error RentalIsDisputed(uint256 tokenId);
+    error AlreadyConfirmed(uint256 tokenId, address party);
+    error InvalidDeduction(uint256 amount, uint256 deposit);
+    error NoDeductionProposed(uint256 tokenId);
+    error DeductionPending(uint256 tokenId);
+    error InspectionWindowOpen(uint256 tokenId, uint256 deadline);
+    error NotJury(address caller);
+    error RentalNotDisputed(uint256 tokenId);
+    error InspectionWindowClosed(uint256 tokenId, uint256 deadline);
+    error InvalidRefundSplit(uint256 tenantRefund, uint256 available);
+    error NoCancellationProposed(uint256 tokenId);
+    error CannotAcceptOwnProposal(uint256 tokenId);
+    error CancellationTermsChanged(uint256 expected, uint256 actual);
+    error InvalidDates(uint256 checkIn, uint256 checkOut);
+    error DatesUnavailable(uint256 tokenId, uint256 checkIn, uint256 checkOut);
+    error TooManyBookings(uint256 tokenId);
+    error TooManyTenantBookings(uint256 tokenId, address tenant);
+    error DuplicateBooking(uint256 tokenId, address tenant, uint256 checkIn);
+    error BookingNotFound(uint256 tokenId, address tenant, uint256 checkIn);
+    error BookingNotStarted(uint256 tokenId, uint256 checkIn);
+    error BookingNotApproved(uint256 tokenId, uint256 checkIn);
+    error BookingAlreadyApproved(uint256 tokenId, uint256 checkIn);
+    error RequestExpired(uint256 tokenId, uint256 respondBy);
     
-    constructor() ERC721("FairBNB Property", "FBNB") {}
+    constructor() ERC721("FairBNB Property", "FBNB") Ownable(msg.sender) {}
     
     // 1. Mint Property NFT with IPFS URI - Anyone can mint (UI will show as landlord-only)
     function mintProperty(string memory ipfsUri) public returns (uint256) {
@@ -61,14 +145,15 @@ contract FairBNB is ERC721, ERC721URIStorage {
         return tokenId;
     }
     
-    // 2. List Property for Rent
+    // 2. List Property for Rent - Only the token owner can list
     function listProperty(
         uint256 tokenId,
         uint256 rent,
         uint256 deposit,
         uint256 disputeFee
     ) public {
-        // No checks - anyone can list any property
+        if (_ownerOf(tokenId) != msg.sender) revert NotPropertyOwner(tokenId, msg.sender);
+        
         listings[tokenId] = PropertyListing({
             rent: rent,
             deposit: deposit,
@@ -79,95 +164,332 @@ contract FairBNB is ERC721, ERC721URIStorage {
         emit PropertyListed(tokenId, rent, deposit, disputeFee);
     }
     
-    // 3. Rent Property - Tenant deposits rent + safety deposit + dispute fee
-    function rentProperty(uint256 tokenId) public payable {
+    // 3. Request a stay - Tenant deposits the nightly rent for every night + safety deposit + dispute fee,
+    // held until the landlord responds. Days count from the Unix epoch and checkOut is exclusive. Requests may compete for the
+    // same dates; only approved bookings and the current rental block them, through their inspection windows.
+    function rentProperty(uint256 tokenId, uint256 checkIn, uint256 checkOut) public payable {
         PropertyListing memory listing = listings[tokenId];
         
-        // Store whatever is sent, no reverts
-        if (msg.value > 0) {
-            // Get current owner as landlord
-            address propertyOwner = _ownerOf(tokenId);
-            
-            rentals[tokenId] = Rental({
-                landlord: propertyOwner,
-                tenant: msg.sender,
-                rent: listing.rent,
-                deposit: listing.deposit,
-                disputeFee: listing.disputeFee,
-                tenantHappy: false,
-                landlordHappy: false,
-                isActive: true,
-                isDisputed: false
-            });
-            
-            emit PropertyRented(tokenId, msg.sender, msg.value);
+        if (!listing.isListed) revert PropertyNotListed(tokenId);
+        if (_ownerOf(tokenId) == msg.sender) revert CannotRentOwnProperty(tokenId);
+        
+        if (checkIn < block.timestamp / 1 days || checkOut <= checkIn) revert InvalidDates(checkIn, checkOut);
+        if (!isAvailable(tokenId, checkIn, checkOut)) revert DatesUnavailable(tokenId, checkIn, checkOut);
+        
+        uint256 rent = listing.rent * (checkOut - checkIn);
+        uint256 totalRequired = rent + listing.deposit + listing.disputeFee;
+        if (msg.value < totalRequired) revert InsufficientPayment(totalRequired, msg.value);
+        
+        // Anything above the listed amount is claimable through withdraw()
+        uint256 excess = msg.value - totalRequired;
+        if (excess > 0) {
+            pendingWithdrawals[msg.sender] += excess;
+            emit OverpaymentRefunded(tokenId, msg.sender, excess);
         }
+        
+        // Lapsed requests give their slot back before the caps are checked
+        expireRequests(tokenId);
+        if (_bookings[tokenId].length >= MAX_BOOKINGS) revert TooManyBookings(tokenId);
+        
+        // A tenant's stays are told apart by check-in day
+        Booking[] storage bookings = _bookings[tokenId];
+        uint256 held = 0;
+        for (uint256 i = 0; i < bookings.length; i++) {
+            if (bookings[i].tenant == msg.sender) {
+                if (bookings[i].checkIn == checkIn) revert DuplicateBooking(tokenId, msg.sender, checkIn);
+                held++;
+            }
+        }
+        if (held >= MAX_BOOKINGS_PER_TENANT) revert TooManyTenantBookings(tokenId, msg.sender);
+        
+        uint256 respondBy = block.timestamp + requestResponsePeriod;
+        bookings.push(Booking({
+            tenant: msg.sender,
+            checkIn: checkIn,
+            checkOut: checkOut,
+            rent: rent,
+            deposit: listing.deposit,
+            disputeFee: listing.disputeFee,
+            respondBy: respondBy,
+            approved: false
+        }));
+        
+        emit BookingRequested(tokenId, msg.sender, checkIn, checkOut, totalRequired, respondBy);
     }
     
-    // 4. Happy Path - Either party confirms satisfaction
-    function confirmHappy(uint256 tokenId, bool isLandlord) public {
-        Rental storage rental = rentals[tokenId];
+    // 3a. Approve a request - Property owner only, before its deadline. Competing requests for
+    // overlapping dates are declined and refunded. A stay whose day has come on a free property starts now.
+    function approveBooking(uint256 tokenId, address tenant, uint256 checkIn) public {
+        if (_ownerOf(tokenId) != msg.sender) revert NotPropertyOwner(tokenId, msg.sender);
+        
+        Booking[] storage bookings = _bookings[tokenId];
+        Booking storage request = bookings[_bookingIndex(tokenId, tenant, checkIn)];
+        if (request.approved) revert BookingAlreadyApproved(tokenId, checkIn);
+        if (block.timestamp > request.respondBy) revert RequestExpired(tokenId, request.respondBy);
+        
+        uint256 checkOut = request.checkOut;
+        if (!isAvailable(tokenId, checkIn, checkOut)) revert DatesUnavailable(tokenId, checkIn, checkOut);
+        
+        request.approved = true;
+        emit BookingApproved(tokenId, tenant, checkIn);
+        
+        uint256 i = 0;
+        while (i < bookings.length) {
+            if (!bookings[i].approved && bookings[i].checkIn < checkOut && checkIn < bookings[i].checkOut) {
+                (Booking memory declined, uint256 refund) = _refundBooking(tokenId, i);
+                emit BookingDeclined(tokenId, declined.tenant, declined.checkIn, refund);
+            } else {
+                i++;
+            }
+        }
+        
+        if (checkIn <= block.timestamp / 1 days) {
+            _settleLapsedRental(tokenId);
+            if (!rentals[tokenId].isActive) {
+                _startRental(tokenId, _removeBooking(tokenId, _bookingIndex(tokenId, tenant, checkIn)));
+            }
+        }
+    }
+    
+    // 3b. Decline a request - Property owner only, everything paid goes back to the tenant
+    function declineBooking(uint256 tokenId, address tenant, uint256 checkIn) public {
+        if (_ownerOf(tokenId) != msg.sender) revert NotPropertyOwner(tokenId, msg.sender);
+        
+        uint256 index = _bookingIndex(tokenId, tenant, checkIn);
+        if (_bookings[tokenId][index].approved) revert BookingAlreadyApproved(tokenId, checkIn);
+        
+        (, uint256 refund) = _refundBooking(tokenId, index);
+        emit BookingDeclined(tokenId, tenant, checkIn, refund);
+    }
+    
+    // 3c. Refund every request the landlord let lapse - Anyone can call
+    function expireRequests(uint256 tokenId) public {
+        Booking[] storage bookings = _bookings[tokenId];
+        uint256 i = 0;
+        while (i < bookings.length) {
+            if (!bookings[i].approved && block.timestamp > bookings[i].respondBy) {
+                (Booking memory expired, uint256 refund) = _refundBooking(tokenId, i);
+                emit BookingExpired(tokenId, expired.tenant, expired.checkIn, refund);
+            } else {
+                i++;
+            }
+        }
+    }
+    
+    // 3d. Start an approved stay - Tenant only, from its check-in day once the previous rental has closed.
+    // A previous rental whose inspection window has passed without a dispute is settled first.
+    function startBooking(uint256 tokenId, uint256 checkIn) public {
+        _settleLapsedRental(tokenId);
+        if (rentals[tokenId].isActive) revert RentalAlreadyActive(tokenId);
+        if (checkIn > block.timestamp / 1 days) revert BookingNotStarted(tokenId, checkIn);
+        
+        uint256 index = _bookingIndex(tokenId, msg.sender, checkIn);
+        if (!_bookings[tokenId][index].approved) revert BookingNotApproved(tokenId, checkIn);
+        
+        _startRental(tokenId, _removeBooking(tokenId, index));
+    }
+    
+    // 3e. Withdraw a request or cancel an approved stay before it starts - Tenant only, everything paid is refunded
+    function cancelBooking(uint256 tokenId, uint256 checkIn) public {
+        (, uint256 refund) = _refundBooking(tokenId, _bookingIndex(tokenId, msg.sender, checkIn));
+        emit BookingCancelled(tokenId, msg.sender, checkIn, refund);
+    }
+    
+    // 3f. Release the dates of an approved stay nobody started by the end of its check-in day -
+    // Property owner only, everything paid is refunded. A stay the previous rental still keeps from
+    // starting is not a no-show, so it cannot expire until that rental has settled.
+    function expireBooking(uint256 tokenId, address tenant, uint256 checkIn) public {
+        if (_ownerOf(tokenId) != msg.sender) revert NotPropertyOwner(tokenId, msg.sender);
+        if (checkIn >= block.timestamp / 1 days) revert BookingNotStarted(tokenId, checkIn);
+        _settleLapsedRental(tokenId);
+        if (rentals[tokenId].isActive) revert RentalAlreadyActive(tokenId);
+        
+        uint256 index = _bookingIndex(tokenId, tenant, checkIn);
+        if (!_bookings[tokenId][index].approved) revert BookingNotApproved(tokenId, checkIn);
+        
+        (, uint256 refund) = _refundBooking(tokenId, index);
+        emit BookingExpired(tokenId, tenant, checkIn, refund);
+    }
+    
+    // 4. Happy Path - Each party confirms for themselves; funds settle once both agree
+    function confirmHappy(uint256 tokenId) public {
+        Rental storage rental = _activeRental(tokenId);
+        bool isLandlord = _partyRole(rental, tokenId);
         
         if (isLandlord) {
+            if (rental.landlordHappy) revert AlreadyConfirmed(tokenId, msg.sender);
             rental.landlordHappy = true;
         } else {
+            if (rental.tenantHappy) revert AlreadyConfirmed(tokenId, msg.sender);
+            // Tenant must answer an open deduction proposal first
+            if (proposedDeductions[tokenId] > 0) revert DeductionPending(tokenId);
             rental.tenantHappy = true;
         }
         
         emit HappyConfirmed(tokenId, msg.sender, isLandlord);
         
-        // If either party is happy, release funds to landlord
-        if ((rental.tenantHappy || rental.landlordHappy) && rental.isActive) {
-            uint256 totalToLandlord = rental.rent + rental.deposit;
-            rental.isActive = false;
-            
-            // Transfer to landlord
-            pendingWithdrawals[rental.landlord] += totalToLandlord;
-            // Return dispute fee to tenant
-            pendingWithdrawals[rental.tenant] += rental.disputeFee;
-            
-            emit RentalCompleted(tokenId, totalToLandlord);
+        if (rental.tenantHappy && rental.landlordHappy) {
+            _settleRental(tokenId, 0);
+        }
+    }
+    
+    // 4a. Landlord proposes keeping part of the deposit (e.g. for damage)
+    function proposeDeduction(uint256 tokenId, uint256 amount) public {
+        Rental storage rental = _activeRental(tokenId);
+        if (msg.sender != rental.landlord) revert NotRentalParty(tokenId, msg.sender);
+        if (rental.landlordHappy) revert AlreadyConfirmed(tokenId, msg.sender);
+        if (amount == 0 || amount > rental.deposit) revert InvalidDeduction(amount, rental.deposit);
+        
+        proposedDeductions[tokenId] = amount;
+        emit DeductionProposed(tokenId, amount);
+    }
+    
+    // 4b. Tenant accepts (settles immediately) or rejects the proposed deduction
+    function respondToDeduction(uint256 tokenId, bool accept) public {
+        Rental storage rental = _activeRental(tokenId);
+        if (msg.sender != rental.tenant) revert NotRentalParty(tokenId, msg.sender);
+        
+        uint256 amount = proposedDeductions[tokenId];
+        if (amount == 0) revert NoDeductionProposed(tokenId);
+        
+        delete proposedDeductions[tokenId];
+        emit DeductionResponded(tokenId, amount, accept);
+        
+        if (accept) {
+            rental.tenantHappy = true;
+            rental.landlordHappy = true;
+            _settleRental(tokenId, amount);
         }
     }
     
-    // 5. Raise Dispute - Anyone can raise
+    // 4c. Settle in full once the inspection window after check-out has passed without a dispute - Anyone can call
+    function settleAfterInspection(uint256 tokenId) public {
+        Rental storage rental = _activeRental(tokenId);
+        if (block.timestamp <= rental.inspectionDeadline) {
+            revert InspectionWindowOpen(tokenId, rental.inspectionDeadline);
+        }
+        
+        // An unanswered deduction proposal lapses with the window
+        _settleRental(tokenId, 0);
+    }
+    
+    // 5. Raise Dispute - Either party, while the rental is active and before the inspection deadline
     function raiseDispute(uint256 tokenId) public {
-        rentals[tokenId].isDisputed = true;
+        Rental storage rental = _activeRental(tokenId);
+        _partyRole(rental, tokenId);
+        if (block.timestamp > rental.inspectionDeadline) {
+            revert InspectionWindowClosed(tokenId, rental.inspectionDeadline);
+        }
+        
+        rental.isDisputed = true;
+        _clearProposals(tokenId);
         emit DisputeRaised(tokenId);
     }
     
-    // 6. Resolve Dispute - Anyone can call (UI will restrict to jury)
+    // 5a. Propose cancelling the rental with a refund split of rent + deposit
+    function proposeCancellation(uint256 tokenId, uint256 tenantRefund) public {
+        Rental storage rental = _activeRental(tokenId);
+        _partyRole(rental, tokenId);
+        
+        uint256 available = rental.rent + rental.deposit;
+        if (tenantRefund > available) revert InvalidRefundSplit(tenantRefund, available);
+        
+        cancellationProposals[tokenId] = CancellationProposal({
+            proposedBy: msg.sender,
+            tenantRefund: tenantRefund
+        });
+        
+        emit CancellationProposed(tokenId, msg.sender, tenantRefund);
+    }
+    
+    // 5b. Withdraw your own cancellation proposal
+    function revokeCancellation(uint256 tokenId) public {
+        _activeRental(tokenId);
+        if (cancellationProposals[tokenId].proposedBy != msg.sender) revert NoCancellationProposed(tokenId);
+        
+        delete cancellationProposals[tokenId];
+        emit CancellationRevoked(tokenId, msg.sender);
+    }
+    
+    // 5c. Other party signs off on the split; expectedRefund guards against the terms changing underneath
+    function acceptCancellation(uint256 tokenId, uint256 expectedRefund) public {
+        Rental storage rental = _activeRental(tokenId);
+        _partyRole(rental, tokenId);
+        
+        CancellationProposal memory proposal = cancellationProposals[tokenId];
+        if (proposal.proposedBy == address(0)) revert NoCancellationProposed(tokenId);
+        if (proposal.proposedBy == msg.sender) revert CannotAcceptOwnProposal(tokenId);
+        if (proposal.tenantRefund != expectedRefund) {
+            revert CancellationTermsChanged(expectedRefund, proposal.tenantRefund);
+        }
+        
+        rental.isActive = false;
+        _clearProposals(tokenId);
+        
+        // No dispute took place, so the dispute fee goes back to the tenant
+        uint256 landlordAmount = rental.rent + rental.deposit - proposal.tenantRefund;
+        pendingWithdrawals[rental.tenant] += proposal.tenantRefund + rental.disputeFee;
+        pendingWithdrawals[rental.landlord] += landlordAmount;
+        
+        emit RentalCancelled(tokenId, proposal.tenantRefund, landlordAmount);
+    }
+    
+    // 5d. File a case for the jury - Either party, while the dispute is open; the URI is only logged
+    function submitEvidence(uint256 tokenId, string calldata evidenceURI) public {
+        Rental storage rental = rentals[tokenId];
+        if (!rental.isDisputed) revert RentalNotDisputed(tokenId);
+        bool isLandlord = _partyRole(rental, tokenId);
+        
+        emit EvidenceSubmitted(tokenId, msg.sender, isLandlord, evidenceURI);
+    }
+    
+    // 6. Resolve Dispute - Jury only, once per dispute
     function resolveDispute(uint256 tokenId, bool tenantWins) public {
         Rental storage rental = rentals[tokenId];
+        if (msg.sender != jury) revert NotJury(msg.sender);
+        if (!rental.isDisputed) revert RentalNotDisputed(tokenId);
         
-        // Anyone can call, but we'll check jury in a soft way
+        // The jury takes half the dispute fee and the winner gets the rest
         uint256 juryReward = rental.disputeFee / 2;
+        uint256 feeRemainder = rental.disputeFee - juryReward;
         
         if (tenantWins) {
-            // Tenant wins: refund everything except half dispute fee
-            uint256 tenantRefund = rental.rent + rental.deposit + (rental.disputeFee / 2);
-            pendingWithdrawals[rental.tenant] += tenantRefund;
-            pendingWithdrawals[jury] += juryReward;
+            // Tenant wins: refund everything except the jury's half of the dispute fee
+            pendingWithdrawals[rental.tenant] += rental.rent + rental.deposit + feeRemainder;
         } else {
-            // Landlord wins: gets rent + deposit
-            pendingWithdrawals[rental.landlord] += rental.rent + rental.deposit;
-            pendingWithdrawals[jury] += juryReward;
-            // Remaining dispute fee stays in contract
+            // Landlord wins: gets rent + deposit and the rest of the dispute fee
+            pendingWithdrawals[rental.landlord] += rental.rent + rental.deposit + feeRemainder;
         }
+        pendingWithdrawals[jury] += juryReward;
         
         rental.isActive = false;
         rental.isDisputed = false;
+        _clearProposals(tokenId);
         
         emit DisputeResolved(tokenId, tenantWins, juryReward);
     }
     
-    // 7. Change jury address - Anyone can call (UI will restrict)
-    function changeJury(address newJury) public {
+    // 7. Change jury address - Owner only
+    function changeJury(address newJury) public onlyOwner {
         address oldJury = jury;
         jury = newJury;
         emit JuryChanged(oldJury, newJury);
     }
     
+    // 7a. Change inspection period - Owner only
+    function setInspectionPeriod(uint256 newPeriod) public onlyOwner {
+        uint256 oldPeriod = inspectionPeriod;
+        inspectionPeriod = newPeriod;
+        emit InspectionPeriodChanged(oldPeriod, newPeriod);
+    }
+    
+    // 7b. Change how long landlords have to answer booking requests - Owner only
+    function setRequestResponsePeriod(uint256 newPeriod) public onlyOwner {
+        uint256 oldPeriod = requestResponsePeriod;
+        requestResponsePeriod = newPeriod;
+        emit RequestResponsePeriodChanged(oldPeriod, newPeriod);
+    }
+    
     // 8. Withdraw accumulated funds
     function withdraw() public {
         uint256 amount = pendingWithdrawals[msg.sender];
@@ -225,6 +547,49 @@ contract FairBNB is ERC721, ERC721URIStorage {
         );
     }
     
+    // 12a. Get settlement state of a rental
+    function getSettlementDetails(uint256 tokenId) public view returns (
+        uint256 inspectionDeadline,
+        uint256 proposedDeduction,
+        address cancellationProposedBy,
+        uint256 cancellationTenantRefund
+    ) {
+        CancellationProposal memory proposal = cancellationProposals[tokenId];
+        return (
+            rentals[tokenId].inspectionDeadline,
+            proposedDeductions[tokenId],
+            proposal.proposedBy,
+            proposal.tenantRefund
+        );
+    }
+    
+    // 12b. Get the open requests and upcoming stays on a property, in no particular order
+    function getBookings(uint256 tokenId) public view returns (Booking[] memory) {
+        return _bookings[tokenId];
+    }
+    
+    // 12c. Check that a stay overlaps neither the current rental nor an approved booking. Each stay holds
+    // the property until its inspection window closes, since the next one can only start once it has settled.
+    function isAvailable(uint256 tokenId, uint256 checkIn, uint256 checkOut) public view returns (bool) {
+        uint256 freeFrom = _freeFrom(checkOut * 1 days + inspectionPeriod);
+        Rental storage rental = rentals[tokenId];
+        if (rental.isActive && checkIn < _freeFrom(rental.inspectionDeadline) && rental.checkIn < freeFrom) {
+            return false;
+        }
+        
+        Booking[] storage bookings = _bookings[tokenId];
+        for (uint256 i = 0; i < bookings.length; i++) {
+            if (
+                bookings[i].approved &&
+                checkIn < _freeFrom(bookings[i].checkOut * 1 days + inspectionPeriod) &&
+                bookings[i].checkIn < freeFrom
+            ) {
+                return false;
+            }
+        }
+        return true;
+    }
+    
     // 13. Get property listing details
     function getListingDetails(uint256 tokenId) public view returns (
         uint256 rent,
@@ -291,7 +656,7 @@ contract FairBNB is ERC721, ERC721URIStorage {
         return (tokenIds, owners, uris, isListed, rents, deposits, isRented);
     }
     
-    // 16. Get all listed properties (only those available for rent)
+    // 16. Get all listed properties - rented ones still take bookings, check dates with isAvailable
     function getAvailableListings() public view returns (
         uint256[] memory availableTokenIds,
         address[] memory landlords,
@@ -304,7 +669,7 @@ contract FairBNB is ERC721, ERC721URIStorage {
         
         // First, count available listings
         for (uint256 i = 1; i <= total; i++) {
-            if (listings[i].isListed && !rentals[i].isActive) {
+            if (listings[i].isListed) {
                 count++;
             }
         }
@@ -319,7 +684,7 @@ contract FairBNB is ERC721, ERC721URIStorage {
         // Populate arrays
         uint256 index = 0;
         for (uint256 i = 1; i <= total; i++) {
-            if (listings[i].isListed && !rentals[i].isActive) {
+            if (listings[i].isListed) {
                 availableTokenIds[index] = i;
                 
                 try this.ownerOf(i) returns (address owner) {
@@ -340,6 +705,106 @@ contract FairBNB is ERC721, ERC721URIStorage {
         return (availableTokenIds, landlords, rents, deposits, disputeFees);
     }
     
+    // Load an active, undisputed rental
+    function _activeRental(uint256 tokenId) private view returns (Rental storage rental) {
+        rental = rentals[tokenId];
+        if (!rental.isActive) revert RentalNotActive(tokenId);
+        if (rental.isDisputed) revert RentalIsDisputed(tokenId);
+    }
+    
+    // First day a following stay can check in, once an inspection window closing at deadline has passed
+    function _freeFrom(uint256 deadline) private pure returns (uint256) {
+        return deadline / 1 days + 1;
+    }
+    
+    // Settle the current rental in full if its inspection window passed without a dispute, freeing the
+    // property for the next stay
+    function _settleLapsedRental(uint256 tokenId) private {
+        Rental storage rental = rentals[tokenId];
+        if (rental.isActive && !rental.isDisputed && block.timestamp > rental.inspectionDeadline) {
+            _settleRental(tokenId, 0);
+        }
+    }
+    
+    // Drop any open deduction or cancellation proposal for a token
+    function _clearProposals(uint256 tokenId) private {
+        delete proposedDeductions[tokenId];
+        delete cancellationProposals[tokenId];
+    }
+    
+    // Returns true for the landlord, false for the tenant, reverts for anyone else
+    function _partyRole(Rental storage rental, uint256 tokenId) private view returns (bool) {
+        if (msg.sender == rental.landlord) return true;
+        if (msg.sender == rental.tenant) return false;
+        revert NotRentalParty(tokenId, msg.sender);
+    }
+    
+    // Move a paid stay into the rental slot; the current owner receives the rent. The inspection
+    // window opens at check-out (or now, for a stay started late) so the dates stay blocked until then.
+    function _startRental(uint256 tokenId, Booking memory booking) private {
+        _clearProposals(tokenId);
+        uint256 endsAt = booking.checkOut * 1 days;
+        if (endsAt < block.timestamp) endsAt = block.timestamp;
+        rentals[tokenId] = Rental({
+            landlord: _ownerOf(tokenId),
+            tenant: booking.tenant,
+            rent: booking.rent,
+            deposit: booking.deposit,
+            disputeFee: booking.disputeFee,
+            tenantHappy: false,
+            landlordHappy: false,
+            isActive: true,
+            isDisputed: false,
+            inspectionDeadline: endsAt + inspectionPeriod,
+            checkIn: booking.checkIn,
+            checkOut: booking.checkOut
+        });
+        
+        emit PropertyRented(tokenId, booking.tenant, booking.rent + booking.deposit + booking.disputeFee);
+    }
+    
+    // Find a tenant's request or booking starting on checkIn
+    function _bookingIndex(uint256 tokenId, address tenant, uint256 checkIn) private view returns (uint256) {
+        Booking[] storage bookings = _bookings[tokenId];
+        for (uint256 i = 0; i < bookings.length; i++) {
+            if (bookings[i].tenant == tenant && bookings[i].checkIn == checkIn) {
+                return i;
+            }
+        }
+        revert BookingNotFound(tokenId, tenant, checkIn);
+    }
+    
+    // Take a booking off the list (swap and pop)
+    function _removeBooking(uint256 tokenId, uint256 index) private returns (Booking memory booking) {
+        Booking[] storage bookings = _bookings[tokenId];
+        booking = bookings[index];
+        bookings[index] = bookings[bookings.length - 1];
+        bookings.pop();
+    }
+    
+    // Take a booking off the list and credit everything its tenant paid back to them
+    function _refundBooking(uint256 tokenId, uint256 index) private returns (Booking memory booking, uint256 refund) {
+        booking = _removeBooking(tokenId, index);
+        refund = booking.rent + booking.deposit + booking.disputeFee;
+        pendingWithdrawals[booking.tenant] += refund;
+    }
+    
+    // Close the rental: rent plus any agreed deduction to the landlord, the rest back to the tenant
+    function _settleRental(uint256 tokenId, uint256 deduction) private {
+        Rental storage rental = rentals[tokenId];
+        rental.isActive = false;
+        _clearProposals(tokenId);
+        
+        uint256 totalToLandlord = rental.rent + deduction;
+        uint256 totalToTenant = rental.deposit - deduction + rental.disputeFee;
+        
+        pendingWithdrawals[rental.landlord] += totalToLandlord;
+        pendingWithdrawals[rental.tenant] += totalToTenant;
+        
+        emit RentalCompleted(tokenId, totalToLandlord);
+        emit DepositReturned(tokenId, rental.tenant, totalToTenant);
+    }
+    
     // Override transfer to update user token tracking
     function _update(address to, uint256 tokenId, address auth) internal override returns (address) {
         address from = _ownerOf(tokenId);
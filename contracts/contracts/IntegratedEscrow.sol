@@ -2,18 +2,34 @@
 pragma solidity ^0.8.19;
 
 import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
-import "@openzeppelin/contracts/token/ERC721/IERC721Receiver.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "./interfaces/IERC4907.sol";
+import "./interfaces/IRandomnessCoordinator.sol";
+import "./libraries/JurorSelection.sol";
+import "./libraries/DisputeRounds.sol";
+import "./libraries/LandlordBonds.sol";
 
 /**
- * @title IntegratedEscrow
+ * @title IntegratedEscrowBase
  * @author FairBNB Team
  * @notice Handles rental agreements, dispute resolution, and juror management in a single contract
- * @dev Combines Escrow and DisputeDAO functionality for simplified architecture
+ * @dev Combines Escrow and DisputeDAO functionality for simplified architecture. State is set up by
+ *      __IntegratedEscrow_init so the same logic backs the plain IntegratedEscrow deployment and the
+ *      proxied IntegratedEscrowUpgradeable. New state variables must only ever be appended.
  */
-contract IntegratedEscrow is IERC721Receiver, Ownable, ReentrancyGuard, Pausable {
+abstract contract IntegratedEscrowBase is
+    IRandomnessConsumer,
+    Initializable,
+    OwnableUpgradeable,
+    ReentrancyGuardUpgradeable,
+    PausableUpgradeable
+{
+    using SafeERC20 for IERC20;
     
     // ============ Enums ============
     
@@ -22,21 +38,22 @@ contract IntegratedEscrow is IERC721Receiver, Ownable, ReentrancyGuard, Pausable
         Active,         // 1: Rental is active
         Disputed,       // 2: Under dispute resolution
         Completed,      // 3: Rental completed successfully
-        Cancelled       // 4: Cancelled/terminated
+        Cancelled,      // 4: Cancelled/terminated
+        Defaulted,      // 5: Tenant missed rent past the grace period
+        Pending         // 6: Awaiting the landlord's acceptance
     }
     
-    enum DisputeStatus {
-        None,           // 0: Doesn't exist
-        Active,         // 1: Voting in progress
-        Resolved,       // 2: Voting completed, resolution executed
-        Cancelled       // 3: Dispute cancelled
+    // Protocol parameters the owner can change, see setParameter
+    enum Parameter {
+        MinStake,       // 0: Smallest juror stake
+        MaxStake,       // 1: Largest juror stake
+        VotingPeriod,   // 2: Length of a voting round, commits and reveals together
+        UnstakeDelay,   // 3: Time a juror stays staked before they can leave
+        MinJurors       // 4: Jurors on a dispute's first panel
     }
     
-    enum Vote {
-        None,           // 0: Not voted
-        TenantWins,     // 1: Vote for tenant
-        LandlordWins    // 2: Vote for landlord
-    }
+    // DisputeStatus, Dispute, RoundResult and the award constants are declared in libraries/DisputeRounds.sol,
+    // ListingBond in libraries/LandlordBonds.sol
     
     // ============ Structs ============
     
@@ -52,37 +69,13 @@ contract IntegratedEscrow is IERC721Receiver, Ownable, ReentrancyGuard, Pausable
         uint256 startTimestamp;
         uint256 durationMonths;
         uint256 lastRentPaid;
+        uint256 monthsPaid;
+        uint256 monthsReleased;
         AgreementStatus status;
         bool landlordWithdrawn;
         bool tenantWithdrawn;
         uint256 disputeId;
-    }
-    
-    struct Juror {
-        uint256 stakedAmount;
-        uint256 stakedAt;
-        bool isActive;
-        uint256 disputesAssigned;
-        uint256 disputesVoted;
-        uint256 correctVotes;
-        uint256 totalEarned;
-    }
-    
-    struct Dispute {
-        uint256 agreementId;
-        address raisedBy;
-        address landlord;
-        address tenant;
-        string evidenceURI;
-        uint256 createdAt;
-        uint256 votingEndTime;
-        DisputeStatus status;
-        address[3] assignedJurors;
-        mapping(address => Vote) votes;
-        uint256 tenantVotes;
-        uint256 landlordVotes;
-        bool tenantWins;
-        uint256 jurorRewardPool;
+        address paymentToken; // address(0) for BNB
     }
     
     struct RentalParams {
@@ -93,46 +86,84 @@ contract IntegratedEscrow is IERC721Receiver, Ownable, ReentrancyGuard, Pausable
         uint256 depositAmount;
         uint256 disputeFee;
         uint256 durationMonths;
+        uint256 prepaidMonths;
+        address paymentToken; // address(0) for BNB, otherwise an allowed ERC-20
+    }
+    
+    struct ExtensionProposal {
+        uint256 extraMonths;
+        address proposedBy;
     }
     
     // ============ Constants ============
     
-    uint256 public constant MIN_STAKE = 0.001 ether;
-    uint256 public constant MAX_STAKE = 0.1 ether;
-    uint256 public constant VOTING_PERIOD = 3 days;
-    uint256 public constant MIN_JURORS = 3;
-    uint256 public constant UNSTAKE_DELAY = 7 days;
+    uint256 public constant COMMIT_PERIOD = 2 days; // Reveals run for the rest of votingPeriod
+    uint256 public constant MAX_PANEL_SIZE = 7;
+    uint256 public constant PANEL_GROWTH = 2;
+    uint256 public constant MAX_UNSTAKE_DELAY = 30 days;
+    uint256 public constant JUROR_DRAW_TIMEOUT = 1 days;
+    uint256 public constant APPEAL_PERIOD = 2 days;
+    uint256 public constant APPEAL_FEE_MULTIPLIER = 2;
     uint256 public constant MAX_FEE = 1000; // 10% max
+    uint256 public constant MAX_SLASH_PERCENT = 5000; // 50% max
+    uint256 public constant MAX_REPUTATION = JurorSelection.MAX_REPUTATION;
+    uint256 public constant RENT_PERIOD = 30 days;
+    uint256 public constant GRACE_PERIOD = 5 days;
+    uint256 public constant MAX_DURATION_MONTHS = 60;
+    address public constant NATIVE_TOKEN = address(0);
     
     // ============ State Variables ============
     
     // Agreement related
     uint256 private _agreementIdCounter;
     address public rentalNFT;
-    uint256 public platformFeePercent = 100; // 1% = 100 basis points
-    uint256 public accumulatedFees;
+    uint256 public platformFeePercent; // Basis points, 1% = 100
     
     // Dispute related
     uint256 private _disputeIdCounter;
     uint256 public totalStaked;
     uint256 public activeJurorCount;
+    address public randomnessCoordinator;
+    uint256 public slashPercent; // Share of stake slashed for absent or incoherent votes
     
     // ============ Mappings ============
     
     // Agreement mappings
-    mapping(uint256 => Agreement) public agreements;
-    mapping(uint256 => uint256) public tokenToAgreement;
-    mapping(address => uint256[]) public tenantAgreements;
-    mapping(address => uint256[]) public landlordAgreements;
+    mapping(uint256 => Agreement) internal agreements; // Read through getAgreementDetails
+    mapping(uint256 => uint256) internal tokenToAgreement; // Read through getAgreementByToken
+    mapping(address => uint256[]) internal tenantAgreements; // Read through getTenantAgreements
+    mapping(address => uint256[]) internal landlordAgreements; // Read through getLandlordAgreements
+    mapping(uint256 => ExtensionProposal) public extensionProposals;
+    
+    // Payment token mappings; amounts are in each token's units, NATIVE_TOKEN for BNB
+    mapping(address => bool) public allowedTokens;
+    mapping(address => uint256) public accumulatedFees;
     
     // Dispute and juror mappings
-    mapping(address => Juror) public jurors;
-    mapping(uint256 => Dispute) public disputes;
-    mapping(address => uint256[]) public jurorActiveDisputes;
+    mapping(address => JurorSelection.Juror) internal jurors; // Read through getJurorStats
+    mapping(uint256 => Dispute) internal disputes; // Read through getDispute and getVotingSchedule
+    mapping(address => uint256[]) internal jurorActiveDisputes; // Read through getJurorActiveDisputes
     mapping(uint256 => uint256) public agreementToDispute;
+    mapping(uint256 => uint256) internal randomnessRequests; // requestId => disputeId
+    
+    address[] internal jurorPool; // Read through getJurorPoolSize
+    mapping(address => uint256) internal jurorPoolIndex;
+    
+    // Payouts owed to each address per token, claimed through withdraw()
+    mapping(address => mapping(address => uint256)) public pendingWithdrawals;
+    
+    // Protocol parameters, changed through setParameter
+    uint256 public minStake;
+    uint256 public maxStake;
+    uint256 public votingPeriod;
+    uint256 public unstakeDelay;
+    uint256 public minJurors;
     
-    address[] public jurorPool;
-    mapping(address => uint256) public jurorPoolIndex;
+    // Landlord bonds per RentalNFT token ID
+    mapping(uint256 => ListingBond) public listingBonds;
+    
+    // Open disputes per landlord on agreements they accepted; their bonds stay locked until all are settled
+    mapping(address => uint256) internal openBondDisputes;
     
     // ============ Events ============
     
@@ -142,58 +173,108 @@ contract IntegratedEscrow is IERC721Receiver, Ownable, ReentrancyGuard, Pausable
         address indexed landlord,
         address indexed tenant,
         uint256 tokenId,
-        uint256 totalLocked
+        uint256 totalLocked,
+        address paymentToken
     );
+    event RentPaid(uint256 indexed agreementId, address indexed tenant, uint256 months, uint256 amount);
     event RentReleased(uint256 indexed agreementId, address indexed landlord, uint256 amount);
     event DepositReturned(uint256 indexed agreementId, address indexed tenant, uint256 amount);
     event AgreementCompleted(uint256 indexed agreementId);
     event AgreementCancelled(uint256 indexed agreementId);
+    event AgreementDefaulted(uint256 indexed agreementId, uint256 amountToLandlord, uint256 amountToTenant);
+    event ExtensionProposed(uint256 indexed agreementId, address indexed proposedBy, uint256 extraMonths);
+    event AgreementExtended(uint256 indexed agreementId, uint256 newDurationMonths);
+    event AgreementAccepted(uint256 indexed agreementId, address indexed landlord);
     
     // Dispute events
     event DisputeRaised(uint256 indexed agreementId, uint256 indexed disputeId, address raisedBy, string reason);
-    event DisputeCreated(uint256 indexed disputeId, uint256 indexed agreementId, address indexed raisedBy, address[3] assignedJurors);
-    event DisputeResolved(uint256 indexed disputeId, bool tenantWins, uint256 jurorRewards);
-    event JurorVoted(uint256 indexed disputeId, address indexed juror, Vote vote);
+    event DisputeCreated(uint256 indexed disputeId, uint256 indexed agreementId, address indexed raisedBy, address[] assignedJurors);
+    event JurorsDrawn(uint256 indexed disputeId, uint256 round, address[] jurors);
+    event DisputeEscalated(uint256 indexed disputeId, uint256 round, uint256 panelSize);
+    event DisputeFallback(uint256 indexed disputeId, uint256 amountToLandlord, uint256 amountToTenant);
+    event DisputeResolved(
+        uint256 indexed disputeId,
+        uint256 tenantShare,
+        uint256 amountToTenant,
+        uint256 amountToLandlord,
+        uint256 jurorRewards
+    );
+    event VerdictReached(uint256 indexed disputeId, uint256 round, uint256 tenantShare, uint256 appealDeadline);
+    event DisputeAppealed(uint256 indexed disputeId, address indexed appellant, uint256 round, uint256 fee);
+    // VoteCommitted, JurorVoted, JurorRewarded and JurorSlashed are also emitted by DisputeRounds
+    event VoteCommitted(uint256 indexed disputeId, address indexed juror);
+    event JurorVoted(uint256 indexed disputeId, address indexed juror, uint256 tenantShare);
+    event JurorDrawRequested(uint256 indexed disputeId, uint256 indexed requestId);
+    event JurorDrawFailed(uint256 indexed disputeId, uint256 indexed requestId);
     event EvidenceSubmitted(uint256 indexed disputeId, address indexed submitter, string evidenceURI);
     
     // Juror events
     event JurorStaked(address indexed juror, uint256 amount);
     event JurorUnstaked(address indexed juror, uint256 amount);
-    event JurorRewarded(address indexed juror, uint256 indexed disputeId, uint256 amount);
+    event JurorRewarded(address indexed juror, uint256 indexed disputeId, uint256 feeReward, uint256 penaltyReward);
+    event JurorSlashed(address indexed juror, uint256 indexed disputeId, uint256 amount);
     
     // Admin events
     event PlatformFeeUpdated(uint256 oldFee, uint256 newFee);
-    event FeesWithdrawn(address indexed to, uint256 amount);
+    event SlashPercentUpdated(uint256 oldPercent, uint256 newPercent);
+    event FeesWithdrawn(address indexed to, address indexed token, uint256 amount);
+    event PaymentTokenUpdated(address indexed token, bool allowed);
+    event ParameterUpdated(Parameter indexed parameter, uint256 oldValue, uint256 newValue);
+    
+    // Landlord bond events, emitted by LandlordBonds
+    event BondPosted(uint256 indexed tokenId, address indexed landlord, address token, uint256 amount);
+    event BondWithdrawn(uint256 indexed tokenId, address indexed landlord, uint256 amount);
+    event BondAwarded(uint256 indexed tokenId, uint256 indexed disputeId, address indexed tenant, uint256 amount);
+    
+    // Withdrawal events (PaymentCredited is also emitted by DisputeRounds)
+    event PaymentCredited(address indexed payee, address indexed token, uint256 amount);
+    event Withdrawn(address indexed payee, address indexed token, uint256 amount);
     event RentalNFTUpdated(address indexed newAddress);
+    event RandomnessCoordinatorUpdated(address indexed newAddress);
     
+    // ============ Errors ============
+
+    // Voting errors raised by DisputeRounds
+    error InvalidCommitment();
+    error CommitPeriodEnded();
+    error NotAssignedJuror();
+    error AlreadyCommitted();
+    error InvalidAward();
+    error RevealPeriodNotStarted();
+    error VotingPeriodEnded();
+    error NoCommitment();
+    error AlreadyRevealed();
+    error CommitmentMismatch();
+    
+    // Bond errors raised by LandlordBonds
+    error NotPropertyOwner();
+    error InvalidBond();
+    error BondTokenNotAllowed();
+    error BondTokenMismatch();
+    error NoBond();
+    error BondLocked();
+
     // ============ Modifiers ============
     
+    // Modifiers call private checks so their code is not inlined into every function
+    
     modifier onlyTenant(uint256 agreementId) {
-        require(agreements[agreementId].tenant == msg.sender, "Not tenant");
+        _checkTenant(agreementId);
         _;
     }
     
     modifier onlyLandlord(uint256 agreementId) {
-        require(agreements[agreementId].landlord == msg.sender, "Not landlord");
+        _checkLandlord(agreementId);
         _;
     }
     
     modifier onlyParty(uint256 agreementId) {
-        require(
-            agreements[agreementId].tenant == msg.sender ||
-            agreements[agreementId].landlord == msg.sender,
-            "Not a party"
-        );
-        _;
-    }
-    
-    modifier agreementExists(uint256 agreementId) {
-        require(agreements[agreementId].status != AgreementStatus.None, "Agreement not found");
+        _checkParty(agreementId);
         _;
     }
     
     modifier agreementActive(uint256 agreementId) {
-        require(agreements[agreementId].status == AgreementStatus.Active, "Not active");
+        _checkAgreementActive(agreementId);
         _;
     }
     
@@ -203,7 +284,7 @@ contract IntegratedEscrow is IERC721Receiver, Ownable, ReentrancyGuard, Pausable
     }
     
     modifier disputeActive(uint256 disputeId) {
-        require(disputes[disputeId].status == DisputeStatus.Active, "Dispute not active");
+        _checkDisputeActive(disputeId);
         _;
     }
     
@@ -212,9 +293,48 @@ contract IntegratedEscrow is IERC721Receiver, Ownable, ReentrancyGuard, Pausable
         _;
     }
     
-    // ============ Constructor ============
+    function _checkTenant(uint256 agreementId) private view {
+        require(agreements[agreementId].tenant == msg.sender, "Not tenant");
+    }
+    
+    function _checkLandlord(uint256 agreementId) private view {
+        require(agreements[agreementId].landlord == msg.sender, "Not landlord");
+    }
+    
+    function _checkParty(uint256 agreementId) private view {
+        require(
+            agreements[agreementId].tenant == msg.sender ||
+            agreements[agreementId].landlord == msg.sender,
+            "Not a party"
+        );
+    }
+    
+    function _checkAgreementActive(uint256 agreementId) private view {
+        require(agreements[agreementId].status == AgreementStatus.Active, "Not active");
+    }
+    
+    function _checkDisputeActive(uint256 disputeId) private view {
+        require(disputes[disputeId].status == DisputeStatus.Active, "Dispute not active");
+    }
+    
+    // ============ Initializer ============
     
-    constructor() Ownable(msg.sender) {
+    /**
+     * @dev Sets the owner, default fees and starts agreement and dispute IDs from 1
+     * @param initialOwner Account that administers the escrow
+     */
+    function __IntegratedEscrow_init(address initialOwner) internal onlyInitializing {
+        __Ownable_init(initialOwner);
+        __ReentrancyGuard_init();
+        __Pausable_init();
+        
+        platformFeePercent = 100; // 1%
+        slashPercent = 1000; // 10% of stake
+        minStake = 0.001 ether;
+        maxStake = 0.1 ether;
+        votingPeriod = 3 days;
+        unstakeDelay = 7 days;
+        minJurors = 3;
         _agreementIdCounter = 1;
         _disputeIdCounter = 1;
     }
@@ -233,6 +353,8 @@ contract IntegratedEscrow is IERC721Receiver, Ownable, ReentrancyGuard, Pausable
     
     /**
      * @notice Create a rental agreement and lock funds
+     * @dev The tenant sets the terms, so the agreement stays pending, and the title
+     *      transferable, until the landlord accepts it
      * @param params Rental parameters struct
      */
     function createAgreement(RentalParams calldata params) 
@@ -243,22 +365,25 @@ contract IntegratedEscrow is IERC721Receiver, Ownable, ReentrancyGuard, Pausable
     {
         // Validate inputs
         require(params.nftContract == rentalNFT, "Invalid NFT contract");
+        require(params.paymentToken == NATIVE_TOKEN || allowedTokens[params.paymentToken], "Token not allowed");
         require(params.landlord != address(0), "Invalid landlord");
         require(params.landlord != msg.sender, "Cannot rent to yourself");
         require(params.rentAmount > 0, "Invalid rent");
         require(params.depositAmount > 0, "Invalid deposit");
         require(params.disputeFee > 0, "Invalid dispute fee");
-        require(params.durationMonths > 0 && params.durationMonths <= 60, "Invalid duration");
-        
-        // Verify NFT ownership
+        require(params.durationMonths > 0 && params.durationMonths <= MAX_DURATION_MONTHS, "Invalid duration");
         require(
-            IERC721(params.nftContract).ownerOf(params.tokenId) == params.landlord,
-            "Landlord doesn't own NFT"
+            params.prepaidMonths > 0 && params.prepaidMonths <= params.durationMonths,
+            "Invalid prepaid months"
         );
         
-        // Calculate total amount needed
-        uint256 totalRequired = params.rentAmount + params.depositAmount + params.disputeFee;
-        require(msg.value == totalRequired, "Incorrect payment amount");
+        // Ownership is verified when the landlord accepts
+        require(IERC4907(params.nftContract).userOf(params.tokenId) == address(0), "Property already rented");
+        
+        // Calculate total amount needed: prepaid rent plus deposit and dispute fee
+        uint256 totalRequired = (params.rentAmount * params.prepaidMonths) +
+            params.depositAmount + params.disputeFee;
+        _collectPayment(params.paymentToken, totalRequired);
         
         // Create agreement
         uint256 agreementId = _agreementIdCounter++;
@@ -271,14 +396,17 @@ contract IntegratedEscrow is IERC721Receiver, Ownable, ReentrancyGuard, Pausable
             rentAmount: params.rentAmount,
             depositAmount: params.depositAmount,
             disputeFee: params.disputeFee,
-            totalLocked: msg.value,
+            totalLocked: totalRequired,
             startTimestamp: block.timestamp,
             durationMonths: params.durationMonths,
             lastRentPaid: block.timestamp,
-            status: AgreementStatus.Active,
+            monthsPaid: params.prepaidMonths,
+            monthsReleased: 0,
+            status: AgreementStatus.Pending,
             landlordWithdrawn: false,
             tenantWithdrawn: false,
-            disputeId: 0
+            disputeId: 0,
+            paymentToken: params.paymentToken
         });
         
         // Update mappings
@@ -286,43 +414,66 @@ contract IntegratedEscrow is IERC721Receiver, Ownable, ReentrancyGuard, Pausable
         tenantAgreements[msg.sender].push(agreementId);
         landlordAgreements[params.landlord].push(agreementId);
         
-        // Transfer NFT to tenant
-        IERC721(params.nftContract).safeTransferFrom(params.landlord, msg.sender, params.tokenId);
+        emit AgreementCreated(agreementId, params.landlord, msg.sender, params.tokenId, totalRequired, params.paymentToken);
+        emit RentPaid(agreementId, msg.sender, params.prepaidMonths, params.rentAmount * params.prepaidMonths);
+    }
+    
+    /**
+     * @notice Pay one or more further months of rent into escrow
+     * @dev Installments may be paid at any time while the agreement is active,
+     *      including during the grace period after a due date
+     * @param agreementId The agreement ID
+     * @param months Number of months being paid for
+     */
+    function payRent(uint256 agreementId, uint256 months)
+        external
+        payable
+        nonReentrant
+        whenNotPaused
+        agreementActive(agreementId)
+        onlyTenant(agreementId)
+    {
+        Agreement storage agreement = agreements[agreementId];
+        
+        require(months > 0, "Invalid months");
+        require(agreement.monthsPaid + months <= agreement.durationMonths, "Exceeds agreement duration");
+        uint256 amount = agreement.rentAmount * months;
+        _collectPayment(agreement.paymentToken, amount);
+        
+        agreement.monthsPaid += months;
+        agreement.lastRentPaid = block.timestamp;
+        agreement.totalLocked += amount;
         
-        emit AgreementCreated(agreementId, params.landlord, msg.sender, params.tokenId, msg.value);
+        emit RentPaid(agreementId, msg.sender, months, amount);
     }
     
     /**
-     * @notice Release rent to landlord
+     * @notice Release rent for every paid month that has fully elapsed
      * @param agreementId The agreement ID
      */
     function releaseRentToLandlord(uint256 agreementId) 
         external 
         nonReentrant 
-        agreementExists(agreementId)
         agreementActive(agreementId)
     {
         Agreement storage agreement = agreements[agreementId];
-        
-        require(
-            msg.sender == agreement.landlord || 
-            msg.sender == agreement.tenant ||
-            msg.sender == owner(),
-            "Unauthorized"
-        );
+        _checkPartyOrOwner(agreement);
         
         require(!agreement.landlordWithdrawn, "Already withdrawn");
         
-        // Calculate platform fee
-        uint256 platformFee = (agreement.rentAmount * platformFeePercent) / 10000;
-        uint256 landlordAmount = agreement.rentAmount - platformFee;
+        uint256 releasable = _releasableMonths(agreement);
+        require(releasable > 0, "No rent releasable yet");
         
-        agreement.landlordWithdrawn = true;
-        accumulatedFees += platformFee;
+        // Rent less the platform fee
+        uint256 landlordAmount = _takePlatformFee(agreement, agreement.rentAmount * releasable);
         
-        // Transfer rent to landlord
-        (bool success, ) = payable(agreement.landlord).call{value: landlordAmount}("");
-        require(success, "Transfer failed");
+        agreement.monthsReleased += releasable;
+        if (agreement.monthsReleased == agreement.durationMonths) {
+            agreement.landlordWithdrawn = true;
+        }
+        
+        // Credit rent to landlord
+        _credit(agreement.landlord, agreement.paymentToken, landlordAmount);
         
         emit RentReleased(agreementId, agreement.landlord, landlordAmount);
         
@@ -337,34 +488,24 @@ contract IntegratedEscrow is IERC721Receiver, Ownable, ReentrancyGuard, Pausable
     function returnDepositToTenant(uint256 agreementId)
         external
         nonReentrant
-        agreementExists(agreementId)
         agreementActive(agreementId)
     {
         Agreement storage agreement = agreements[agreementId];
-        
-        require(
-            msg.sender == agreement.landlord || 
-            msg.sender == agreement.tenant ||
-            msg.sender == owner(),
-            "Unauthorized"
-        );
+        _checkPartyOrOwner(agreement);
         
         require(!agreement.tenantWithdrawn, "Already withdrawn");
         
         // Check if rental period is over or landlord approves early return
         if (msg.sender == agreement.tenant) {
-            require(
-                block.timestamp >= agreement.startTimestamp + (agreement.durationMonths * 30 days),
-                "Rental period not over"
-            );
+            require(block.timestamp >= _agreementEnd(agreement), "Rental period not over");
+            require(agreement.monthsPaid == agreement.durationMonths, "Rent outstanding");
         }
         
         agreement.tenantWithdrawn = true;
         uint256 returnAmount = agreement.depositAmount + agreement.disputeFee;
         
-        // Transfer deposit and dispute fee back to tenant
-        (bool success, ) = payable(agreement.tenant).call{value: returnAmount}("");
-        require(success, "Transfer failed");
+        // Credit deposit and dispute fee back to tenant
+        _credit(agreement.tenant, agreement.paymentToken, returnAmount);
         
         emit DepositReturned(agreementId, agreement.tenant, returnAmount);
         
@@ -373,43 +514,237 @@ contract IntegratedEscrow is IERC721Receiver, Ownable, ReentrancyGuard, Pausable
     }
     
     /**
-     * @notice Cancel an agreement within 24 hours
+     * @notice Cancel an agreement within 24 hours of the landlord accepting it, or at any
+     *         time before, in which case everything is refunded
+     * @param agreementId The agreement ID
+     */
+    function cancelAgreement(uint256 agreementId) external nonReentrant {
+        Agreement storage agreement = agreements[agreementId];
+        require(msg.sender == agreement.tenant, "Only tenant can cancel");
+        
+        // The dispute fee goes to the landlord as compensation once they have accepted
+        address feeRecipient = agreement.tenant;
+        if (agreement.status != AgreementStatus.Pending) {
+            _checkAgreementActive(agreementId);
+            require(
+                block.timestamp <= agreement.startTimestamp + 1 days,
+                "Cancellation period over"
+            );
+            _revokeUser(agreement);
+            feeRecipient = agreement.landlord;
+        }
+        agreement.status = AgreementStatus.Cancelled;
+        
+        // Return rent and deposit to tenant
+        _credit(agreement.tenant, agreement.paymentToken, _heldRent(agreement) + agreement.depositAmount);
+        _credit(feeRecipient, agreement.paymentToken, agreement.disputeFee);
+        
+        emit AgreementCancelled(agreementId);
+    }
+    
+    /**
+     * @notice Declare a tenant in default after a missed installment's grace period
+     * @dev Released rent stays with the landlord, the deposit is forfeited to the
+     *      landlord and the unused dispute fee is returned to the tenant
      * @param agreementId The agreement ID
      */
-    function cancelAgreement(uint256 agreementId)
+    function markDefault(uint256 agreementId)
         external
         nonReentrant
-        agreementExists(agreementId)
         agreementActive(agreementId)
+        onlyLandlord(agreementId)
     {
         Agreement storage agreement = agreements[agreementId];
+        require(_isInDefault(agreement), "Not in default");
+        
+        // Rent for elapsed paid months is earned; the deposit covers the missed months
+        uint256 landlordAmount = _takePlatformFee(agreement, _heldRent(agreement));
+        uint256 tenantAmount = 0;
+        
+        if (!agreement.tenantWithdrawn) {
+            landlordAmount += agreement.depositAmount;
+            tenantAmount = agreement.disputeFee;
+        }
+        
+        agreement.monthsReleased = agreement.monthsPaid;
+        agreement.landlordWithdrawn = true;
+        agreement.tenantWithdrawn = true;
+        agreement.status = AgreementStatus.Defaulted;
+        delete extensionProposals[agreementId];
+        _revokeUser(agreement);
+        
+        if (landlordAmount > 0) {
+            _credit(agreement.landlord, agreement.paymentToken, landlordAmount);
+        }
+        if (tenantAmount > 0) {
+            _credit(agreement.tenant, agreement.paymentToken, tenantAmount);
+        }
         
+        emit AgreementDefaulted(agreementId, landlordAmount, tenantAmount);
+    }
+    
+    /**
+     * @notice Propose extending an agreement by a number of months
+     * @dev The other party must accept; a new proposal replaces any pending one
+     * @param agreementId The agreement ID
+     * @param extraMonths Number of months to add
+     */
+    function proposeExtension(uint256 agreementId, uint256 extraMonths)
+        external
+        agreementActive(agreementId)
+        onlyParty(agreementId)
+    {
+        Agreement storage agreement = agreements[agreementId];
+        require(extraMonths > 0, "Invalid months");
         require(
-            block.timestamp <= agreement.startTimestamp + 1 days,
-            "Cancellation period over"
+            agreement.durationMonths + extraMonths <= MAX_DURATION_MONTHS,
+            "Invalid duration"
         );
         
-        require(msg.sender == agreement.tenant, "Only tenant can cancel");
+        extensionProposals[agreementId] = ExtensionProposal({
+            extraMonths: extraMonths,
+            proposedBy: msg.sender
+        });
         
-        agreement.status = AgreementStatus.Cancelled;
+        emit ExtensionProposed(agreementId, msg.sender, extraMonths);
+    }
+    
+    /**
+     * @notice Accept the other party's extension proposal
+     * @dev The tenant's user rights are extended to the new end date
+     * @param agreementId The agreement ID
+     */
+    function acceptExtension(uint256 agreementId)
+        external
+        agreementActive(agreementId)
+        onlyParty(agreementId)
+    {
+        Agreement storage agreement = agreements[agreementId];
+        ExtensionProposal memory proposal = extensionProposals[agreementId];
         
-        // Return NFT to landlord
-        IERC721(agreement.nftContract).safeTransferFrom(
-            agreement.tenant,
-            agreement.landlord,
-            agreement.tokenId
-        );
+        require(proposal.extraMonths > 0, "No pending extension");
+        require(proposal.proposedBy != msg.sender, "Cannot accept own proposal");
         
-        // Return rent and deposit to tenant (minus dispute fee as penalty)
-        uint256 refundAmount = agreement.rentAmount + agreement.depositAmount;
-        (bool success, ) = payable(agreement.tenant).call{value: refundAmount}("");
-        require(success, "Refund failed");
+        agreement.durationMonths += proposal.extraMonths;
+        agreement.landlordWithdrawn = false;
+        delete extensionProposals[agreementId];
+        _grantUser(agreement);
         
-        // Dispute fee goes to landlord as compensation
-        (bool success2, ) = payable(agreement.landlord).call{value: agreement.disputeFee}("");
-        require(success2, "Compensation failed");
+        emit AgreementExtended(agreementId, agreement.durationMonths);
+    }
+    
+    /**
+     * @notice Accept a pending agreement's terms as its landlord, starting the rental and
+     *         putting the listing's bond behind it
+     * @dev Tenants set the terms when they create an agreement, so user rights, which lock
+     *      the title, are only granted once the landlord accepts. The rental period and the
+     *      rent schedule run from acceptance.
+     * @param agreementId The agreement ID
+     */
+    function acceptAgreement(uint256 agreementId) external onlyLandlord(agreementId) {
+        Agreement storage agreement = agreements[agreementId];
+        require(agreement.status == AgreementStatus.Pending, "Not pending");
+        require(IERC4907(agreement.nftContract).userOf(agreement.tokenId) == address(0), "Property already rented");
         
-        emit AgreementCancelled(agreementId);
+        agreement.status = AgreementStatus.Active;
+        agreement.startTimestamp = block.timestamp;
+        agreement.lastRentPaid = block.timestamp;
+        tokenToAgreement[agreement.tokenId] = agreementId;
+        
+        // Tenant gets user rights for the rental period; the landlord keeps the title
+        _grantUser(agreement);
+        
+        emit AgreementAccepted(agreementId, msg.sender);
+    }
+    
+    /**
+     * @dev Number of full rent periods elapsed since the agreement started, capped at its duration
+     */
+    function _monthsElapsed(Agreement storage agreement) private view returns (uint256) {
+        uint256 elapsed = (block.timestamp - agreement.startTimestamp) / RENT_PERIOD;
+        return elapsed > agreement.durationMonths ? agreement.durationMonths : elapsed;
+    }
+    
+    /**
+     * @dev Paid months that have elapsed but not yet been released to the landlord
+     */
+    function _releasableMonths(Agreement storage agreement) private view returns (uint256) {
+        uint256 elapsed = _monthsElapsed(agreement);
+        uint256 earned = elapsed < agreement.monthsPaid ? elapsed : agreement.monthsPaid;
+        return earned - agreement.monthsReleased;
+    }
+    
+    /**
+     * @dev Rent paid into escrow that has not been released to the landlord
+     */
+    function _heldRent(Agreement storage agreement) private view returns (uint256) {
+        return (agreement.monthsPaid - agreement.monthsReleased) * agreement.rentAmount;
+    }
+    
+    /**
+     * @dev Due date of the first unpaid month (meaningless once fully paid)
+     */
+    function _nextDueDate(Agreement storage agreement) private view returns (uint256) {
+        return agreement.startTimestamp + (agreement.monthsPaid * RENT_PERIOD);
+    }
+    
+    /**
+     * @dev End of the rental period
+     */
+    function _agreementEnd(Agreement storage agreement) private view returns (uint256) {
+        return agreement.startTimestamp + (agreement.durationMonths * RENT_PERIOD);
+    }
+    
+    /**
+     * @dev True when an installment is unpaid past its grace period
+     */
+    function _isInDefault(Agreement storage agreement) private view returns (bool) {
+        return agreement.monthsPaid < agreement.durationMonths &&
+            block.timestamp > _nextDueDate(agreement) + GRACE_PERIOD;
+    }
+    
+    /**
+     * @dev Give the tenant ERC-4907 user rights until the end of the rental period,
+     *      provided the landlord still owns the property
+     */
+    function _grantUser(Agreement storage agreement) private {
+        require(
+            IERC721(agreement.nftContract).ownerOf(agreement.tokenId) == agreement.landlord,
+            "Landlord doesn't own NFT"
+        );
+        IERC4907(agreement.nftContract).setUser(agreement.tokenId, agreement.tenant, uint64(_agreementEnd(agreement)));
+    }
+    
+    /**
+     * @dev Clear the tenant's user rights when an agreement ends early. Rights that already
+     *      lapsed or were cleared by a transfer of the title are left alone.
+     */
+    function _revokeUser(Agreement storage agreement) private {
+        if (IERC4907(agreement.nftContract).userOf(agreement.tokenId) == agreement.tenant) {
+            IERC4907(agreement.nftContract).setUser(agreement.tokenId, address(0), 0);
+        }
+    }
+    
+    /**
+     * @dev Add the platform fee on a landlord's rent to the accumulated fees
+     * @return The rent less the fee
+     */
+    function _takePlatformFee(Agreement storage agreement, uint256 rent) private returns (uint256) {
+        uint256 platformFee = (rent * platformFeePercent) / 10000;
+        accumulatedFees[agreement.paymentToken] += platformFee;
+        return rent - platformFee;
+    }
+    
+    /**
+     * @dev Only the parties or the owner may release held funds
+     */
+    function _checkPartyOrOwner(Agreement storage agreement) private view {
+        require(
+            msg.sender == agreement.landlord || 
+            msg.sender == agreement.tenant ||
+            msg.sender == owner(),
+            "Unauthorized"
+        );
     }
     
     /**
@@ -433,14 +768,14 @@ contract IntegratedEscrow is IERC721Receiver, Ownable, ReentrancyGuard, Pausable
     function raiseDispute(uint256 agreementId, string memory evidenceURI)
         external
         nonReentrant
-        agreementExists(agreementId)
         agreementActive(agreementId)
         onlyParty(agreementId)
     {
-        require(activeJurorCount >= MIN_JURORS, "Not enough jurors");
+        require(randomnessCoordinator != address(0), "Randomness source not set");
         require(agreementToDispute[agreementId] == 0, "Dispute already exists");
         
         Agreement storage agreement = agreements[agreementId];
+        require(!agreement.tenantWithdrawn, "Deposit already returned");
         
         // Create dispute
         uint256 disputeId = _disputeIdCounter++;
@@ -452,27 +787,94 @@ contract IntegratedEscrow is IERC721Receiver, Ownable, ReentrancyGuard, Pausable
         dispute.tenant = agreement.tenant;
         dispute.evidenceURI = evidenceURI;
         dispute.createdAt = block.timestamp;
-        dispute.votingEndTime = block.timestamp + VOTING_PERIOD;
-        dispute.status = DisputeStatus.Active;
+        dispute.status = DisputeStatus.Drawing;
         dispute.jurorRewardPool = agreement.disputeFee; // FIX: Use only disputeFee, not double
-        
-        // Select random jurors
-        address[3] memory selectedJurors = _selectRandomJurors(disputeId);
-        dispute.assignedJurors = selectedJurors;
-        
-        // Track dispute for each juror
-        for (uint i = 0; i < 3; i++) {
-            jurorActiveDisputes[selectedJurors[i]].push(disputeId);
-            jurors[selectedJurors[i]].disputesAssigned++;
-        }
+        dispute.feePayer = agreement.tenant;
+        dispute.panelSize = minJurors;
+        require(_eligibleJurorCount(dispute) >= dispute.panelSize, "Not enough jurors");
         
         // Update agreement status
         agreement.status = AgreementStatus.Disputed;
         agreement.disputeId = disputeId;
         agreementToDispute[agreementId] = disputeId;
+        openBondDisputes[agreement.landlord]++;
         
         emit DisputeRaised(agreementId, disputeId, msg.sender, evidenceURI);
-        emit DisputeCreated(disputeId, agreementId, msg.sender, selectedJurors);
+        
+        // Jurors are drawn once the randomness coordinator responds
+        _requestJurorDraw(disputeId);
+    }
+    
+    /**
+     * @notice Request fresh randomness when a juror draw has stalled
+     * @dev A request the coordinator can still fulfill is never replaced, so a party who already
+     *      knows the panel it implies cannot withhold fulfillment to re-roll the jury
+     * @param disputeId The dispute ID
+     */
+    function retryJurorDraw(uint256 disputeId) external nonReentrant {
+        Dispute storage dispute = disputes[disputeId];
+        require(dispute.status == DisputeStatus.Drawing, "Not awaiting jurors");
+        require(
+            block.timestamp > dispute.drawRequestedAt + JUROR_DRAW_TIMEOUT &&
+                !IRandomnessCoordinator(randomnessCoordinator).isPending(dispute.randomnessRequestId),
+            "Draw still pending"
+        );
+        
+        // Fall back instead of waiting on a pool that can no longer seat the panel
+        if (_eligibleJurorCount(dispute) < dispute.panelSize) {
+            _fallbackResolution(disputeId);
+            return;
+        }
+        
+        _requestJurorDraw(disputeId);
+    }
+    
+    /**
+     * @notice Randomness callback that draws the jurors for a dispute
+     * @dev Stale or unknown requests are ignored rather than reverting
+     * @param requestId The coordinator request ID
+     * @param randomWord The random value
+     */
+    function rawFulfillRandomness(uint256 requestId, uint256 randomWord) external override {
+        require(msg.sender == randomnessCoordinator, "Only coordinator");
+        
+        uint256 disputeId = randomnessRequests[requestId];
+        delete randomnessRequests[requestId];
+        
+        Dispute storage dispute = disputes[disputeId];
+        if (dispute.status != DisputeStatus.Drawing || dispute.randomnessRequestId != requestId) {
+            return;
+        }
+        
+        (address[] memory selectedJurors, bool drawn) = JurorSelection.draw(
+            jurors,
+            jurorPool,
+            dispute.hasServed,
+            dispute.landlord,
+            dispute.tenant,
+            dispute.panelSize,
+            randomWord
+        );
+        if (!drawn) {
+            emit JurorDrawFailed(disputeId, requestId);
+            return;
+        }
+        
+        DisputeRounds.seat(
+            dispute,
+            jurors,
+            jurorActiveDisputes,
+            disputeId,
+            selectedJurors,
+            COMMIT_PERIOD,
+            votingPeriod
+        );
+        
+        uint256 round = dispute.pastRounds.length + 1;
+        if (round == 1) {
+            emit DisputeCreated(disputeId, dispute.agreementId, dispute.raisedBy, selectedJurors);
+        }
+        emit JurorsDrawn(disputeId, round, selectedJurors);
     }
     
     /**
@@ -482,9 +884,12 @@ contract IntegratedEscrow is IERC721Receiver, Ownable, ReentrancyGuard, Pausable
      */
     function submitEvidence(uint256 disputeId, string memory evidenceURI)
         external
-        disputeActive(disputeId)
     {
         Dispute storage dispute = disputes[disputeId];
+        require(
+            dispute.status == DisputeStatus.Active || dispute.status == DisputeStatus.Drawing,
+            "Dispute not active"
+        );
         require(
             msg.sender == dispute.landlord || msg.sender == dispute.tenant,
             "Not a party"
@@ -494,47 +899,34 @@ contract IntegratedEscrow is IERC721Receiver, Ownable, ReentrancyGuard, Pausable
     }
     
     /**
-     * @notice Cast vote as an assigned juror
+     * @notice Commit a sealed vote as an assigned juror
+     * @dev commitment = keccak256(abi.encodePacked(disputeId, juror, tenantShare, salt))
      * @param disputeId The dispute ID
-     * @param vote Vote decision
+     * @param commitment Hash of the vote and a secret salt
      */
-    function castVote(uint256 disputeId, Vote vote)
+    function commitVote(uint256 disputeId, bytes32 commitment)
+        external
+        disputeActive(disputeId)
+    {
+        DisputeRounds.commit(disputes[disputeId], disputeId, commitment);
+    }
+    
+    /**
+     * @notice Reveal a previously committed vote
+     * @dev Reveals open once the commit period ends or every juror has committed
+     * @param disputeId The dispute ID
+     * @param tenantShare Share of the held rent and deposit awarded to the tenant, in basis points
+     *        and a multiple of AWARD_STEP
+     * @param salt Secret salt used in the commitment
+     */
+    function revealVote(uint256 disputeId, uint256 tenantShare, bytes32 salt)
         external
         nonReentrant
         disputeActive(disputeId)
     {
-        require(vote != Vote.None, "Invalid vote");
-        
-        Dispute storage dispute = disputes[disputeId];
-        require(block.timestamp <= dispute.votingEndTime, "Voting period ended");
-        
-        // Check if sender is assigned juror
-        bool isAssigned = false;
-        for (uint i = 0; i < 3; i++) {
-            if (dispute.assignedJurors[i] == msg.sender) {
-                isAssigned = true;
-                break;
-            }
-        }
-        require(isAssigned, "Not assigned juror");
-        require(dispute.votes[msg.sender] == Vote.None, "Already voted");
-        
-        // Record vote
-        dispute.votes[msg.sender] = vote;
-        
-        if (vote == Vote.TenantWins) {
-            dispute.tenantVotes++;
-        } else {
-            dispute.landlordVotes++;
-        }
-        
-        jurors[msg.sender].disputesVoted++;
-        
-        emit JurorVoted(disputeId, msg.sender, vote);
-        
-        // Auto-resolve if all voted
-        if (dispute.tenantVotes + dispute.landlordVotes == 3) {
-            _resolveDispute(disputeId);
+        // Close the round once every juror has revealed
+        if (DisputeRounds.reveal(disputes[disputeId], jurors, disputeId, tenantShare, salt)) {
+            _closeRound(disputeId);
         }
     }
     
@@ -550,81 +942,199 @@ contract IntegratedEscrow is IERC721Receiver, Ownable, ReentrancyGuard, Pausable
         Dispute storage dispute = disputes[disputeId];
         require(
             block.timestamp > dispute.votingEndTime ||
-            (dispute.tenantVotes + dispute.landlordVotes == 3),
+            dispute.revealCount == dispute.assignedJurors.length,
             "Cannot resolve yet"
         );
         
-        _resolveDispute(disputeId);
+        _closeRound(disputeId);
     }
     
     /**
-     * @dev Internal function to resolve dispute
+     * @notice Appeal a verdict; a larger panel of fresh jurors rehears the dispute
+     * @dev Either party may appeal unless the verdict gave them everything, paying
+     *      APPEAL_FEE_MULTIPLIER times the dispute fee in the agreement's payment token.
+     *      The fee funds the appeal round's jurors.
+     * @param disputeId The dispute ID
      */
-    function _resolveDispute(uint256 disputeId) private {
+    function appeal(uint256 disputeId) external payable nonReentrant {
+        Dispute storage dispute = disputes[disputeId];
+        address token = agreements[dispute.agreementId].paymentToken;
+        require(dispute.status == DisputeStatus.Appealable, "Not appealable");
+        require(block.timestamp <= dispute.appealDeadline, "Appeal period ended");
+        
+        bool aggrieved = (msg.sender == dispute.tenant && dispute.tenantShare < MAX_AWARD) ||
+            (msg.sender == dispute.landlord && dispute.tenantShare > 0);
+        require(aggrieved, "Only losing party");
+        uint256 fee = getAppealFee(disputeId);
+        _collectPayment(token, fee);
+        
+        uint256 nextPanelSize = dispute.panelSize + PANEL_GROWTH;
+        DisputeRounds.resetRound(dispute);
+        dispute.panelSize = nextPanelSize;
+        require(_eligibleJurorCount(dispute) >= nextPanelSize, "Not enough jurors");
+        
+        dispute.pastRounds[dispute.pastRounds.length - 1].appealedBy = msg.sender;
+        dispute.jurorRewardPool = fee;
+        dispute.feePayer = msg.sender;
+        dispute.appealDeadline = 0;
+        dispute.status = DisputeStatus.Drawing;
+        
+        emit DisputeAppealed(disputeId, msg.sender, dispute.pastRounds.length + 1, fee);
+        
+        _requestJurorDraw(disputeId);
+    }
+    
+    /**
+     * @notice Execute the standing verdict once the appeal period has passed
+     * @param disputeId The dispute ID
+     */
+    function finalizeDispute(uint256 disputeId) external nonReentrant {
+        Dispute storage dispute = disputes[disputeId];
+        require(dispute.status == DisputeStatus.Appealable, "Not appealable");
+        require(block.timestamp > dispute.appealDeadline, "Appeal period active");
+        
+        _settleDispute(disputeId);
+    }
+    
+    /**
+     * @dev Settle the round's jurors, then open the appeal window on a verdict or otherwise
+     *      escalate to a larger fresh panel or fall back. Party funds stay held until the verdict is final.
+     */
+    function _closeRound(uint256 disputeId) private {
+        Dispute storage dispute = disputes[disputeId];
+        
+        address token = agreements[dispute.agreementId].paymentToken;
+        
+        (bool verdictReached, uint256 slashed, uint256 unpaidFee, uint256 unpaidPenalty) = DisputeRounds.closeRound(
+            dispute,
+            jurors,
+            jurorActiveDisputes,
+            pendingWithdrawals,
+            token,
+            disputeId,
+            slashPercent
+        );
+        totalStaked -= slashed;
+        accumulatedFees[token] += unpaidFee;
+        accumulatedFees[NATIVE_TOKEN] += unpaidPenalty;
+        
+        uint256 nextPanelSize = dispute.panelSize + PANEL_GROWTH;
+        
+        if (verdictReached) {
+            // The largest panel's verdict cannot be appealed
+            if (nextPanelSize > MAX_PANEL_SIZE) {
+                _settleDispute(disputeId);
+                return;
+            }
+            
+            dispute.status = DisputeStatus.Appealable;
+            dispute.appealDeadline = block.timestamp + APPEAL_PERIOD;
+            
+            emit VerdictReached(disputeId, dispute.pastRounds.length, dispute.tenantShare, dispute.appealDeadline);
+            return;
+        }
+        
+        if (nextPanelSize > MAX_PANEL_SIZE || _eligibleJurorCount(dispute) < nextPanelSize) {
+            _fallbackResolution(disputeId);
+            return;
+        }
+        
+        dispute.panelSize = nextPanelSize;
+        dispute.status = DisputeStatus.Drawing;
+        
+        emit DisputeEscalated(disputeId, dispute.pastRounds.length + 1, nextPanelSize);
+        
+        _requestJurorDraw(disputeId);
+    }
+    
+    /**
+     * @dev Settle without a new verdict. An earlier verdict stands and the unused appeal fee goes back
+     *      to the appellant; with no verdict at all the landlord keeps held rent and the tenant gets
+     *      deposit and dispute fee back. Stake slashed since the last verdict goes to the platform.
+     */
+    function _fallbackResolution(uint256 disputeId) private {
         Dispute storage dispute = disputes[disputeId];
         Agreement storage agreement = agreements[dispute.agreementId];
         
-        // Determine winner
-        bool tenantWins = dispute.tenantVotes > dispute.landlordVotes;
-        dispute.tenantWins = tenantWins;
-        dispute.status = DisputeStatus.Resolved;
+        accumulatedFees[NATIVE_TOKEN] += dispute.penaltyPool;
+        dispute.penaltyPool = 0;
+        uint256 unusedFee = dispute.jurorRewardPool;
+        dispute.jurorRewardPool = 0;
         
-        // Distribute juror rewards first and track how much was paid
-        uint256 totalVotes = dispute.tenantVotes + dispute.landlordVotes;
-        uint256 totalJurorRewards = 0;
-        
-        if (totalVotes > 0) {
-            uint256 correctVotes = tenantWins ? dispute.tenantVotes : dispute.landlordVotes;
-            if (correctVotes > 0) {
-                uint256 rewardPerJuror = dispute.jurorRewardPool / correctVotes;
-                
-                // Pay jurors who voted correctly
-                for (uint i = 0; i < 3; i++) {
-                    address jurorAddr = dispute.assignedJurors[i];
-                    Vote jurorVote = dispute.votes[jurorAddr];
-                    
-                    // Remove from active disputes
-                    _removeActiveDispute(jurorAddr, disputeId);
-                    
-                    if (jurorVote != Vote.None) {
-                        bool votedCorrectly = (tenantWins && jurorVote == Vote.TenantWins) ||
-                                             (!tenantWins && jurorVote == Vote.LandlordWins);
-                        
-                        if (votedCorrectly && rewardPerJuror > 0) {
-                            jurors[jurorAddr].correctVotes++;
-                            jurors[jurorAddr].totalEarned += rewardPerJuror;
-                            totalJurorRewards += rewardPerJuror;
-                            
-                            (bool success, ) = payable(jurorAddr).call{value: rewardPerJuror}("");
-                            if (success) {
-                                emit JurorRewarded(jurorAddr, disputeId, rewardPerJuror);
-                            }
-                        }
-                    }
-                }
+        if (dispute.hasVerdict) {
+            if (unusedFee > 0) {
+                _credit(dispute.feePayer, agreement.paymentToken, unusedFee);
             }
+            _settleDispute(disputeId);
+            return;
         }
         
-        // Distribute remaining funds based on dispute outcome
-        if (tenantWins) {
-            // Tenant wins: gets rent + deposit + remaining dispute fee
-            uint256 tenantAmount = agreement.rentAmount + agreement.depositAmount + (agreement.disputeFee - totalJurorRewards);
-            (bool success, ) = payable(agreement.tenant).call{value: tenantAmount}("");
-            require(success, "Transfer to tenant failed");
-        } else {
-            // Landlord wins: gets rent + deposit - platform fee, remaining dispute fee stays in contract
-            uint256 platformFee = (agreement.rentAmount * platformFeePercent) / 10000;
-            uint256 landlordAmount = agreement.rentAmount + agreement.depositAmount - platformFee;
-            accumulatedFees += platformFee;
-            
-            (bool success, ) = payable(agreement.landlord).call{value: landlordAmount}("");
-            require(success, "Transfer to landlord failed");
+        dispute.status = DisputeStatus.Cancelled;
+        openBondDisputes[agreement.landlord]--;
+        
+        uint256 heldRent = _heldRent(agreement);
+        agreement.monthsReleased = agreement.monthsPaid;
+        agreement.status = AgreementStatus.Completed;
+        _revokeUser(agreement);
+        
+        uint256 landlordAmount = _takePlatformFee(agreement, heldRent);
+        uint256 tenantAmount = agreement.depositAmount + unusedFee;
+        
+        if (landlordAmount > 0) {
+            _credit(agreement.landlord, agreement.paymentToken, landlordAmount);
+        }
+        _credit(agreement.tenant, agreement.paymentToken, tenantAmount);
+        
+        emit DisputeFallback(disputeId, landlordAmount, tenantAmount);
+        emit AgreementCompleted(dispute.agreementId);
+    }
+    
+    /**
+     * @dev Split held rent and deposit according to the final verdict. The platform fee applies
+     *      to the landlord's share of the rent.
+     */
+    function _settleDispute(uint256 disputeId) private {
+        Dispute storage dispute = disputes[disputeId];
+        Agreement storage agreement = agreements[dispute.agreementId];
+        uint256 tenantShare = dispute.tenantShare;
+        
+        dispute.status = DisputeStatus.Resolved;
+        dispute.appealDeadline = 0;
+        
+        uint256 heldRent = _heldRent(agreement);
+        agreement.monthsReleased = agreement.monthsPaid;
+        
+        uint256 tenantRent = (heldRent * tenantShare) / MAX_AWARD;
+        uint256 tenantDeposit = (agreement.depositAmount * tenantShare) / MAX_AWARD;
+        uint256 landlordRent = _takePlatformFee(agreement, heldRent - tenantRent);
+        
+        uint256 tenantAmount = tenantRent + tenantDeposit;
+        uint256 landlordAmount = landlordRent + agreement.depositAmount - tenantDeposit;
+        
+        if (tenantAmount > 0) {
+            _credit(agreement.tenant, agreement.paymentToken, tenantAmount);
         }
+        if (landlordAmount > 0) {
+            _credit(agreement.landlord, agreement.paymentToken, landlordAmount);
+        }
+        
+        // The landlord's bond on the listing is split like the deposit
+        openBondDisputes[agreement.landlord]--;
+        LandlordBonds.award(
+            listingBonds,
+            pendingWithdrawals,
+            agreement.tokenId,
+            agreement.landlord,
+            agreement.tenant,
+            disputeId,
+            tenantShare
+        );
         
         // Mark agreement as completed
         agreement.status = AgreementStatus.Completed;
+        _revokeUser(agreement);
         
-        emit DisputeResolved(disputeId, tenantWins, dispute.jurorRewardPool);
+        emit DisputeResolved(disputeId, tenantShare, tenantAmount, landlordAmount, dispute.jurorRewardsPaid);
         emit AgreementCompleted(dispute.agreementId);
     }
     
@@ -634,21 +1144,12 @@ contract IntegratedEscrow is IERC721Receiver, Ownable, ReentrancyGuard, Pausable
      * @notice Stake BNB to become a juror
      */
     function stakeAsJuror() external payable nonReentrant whenNotPaused {
-        require(msg.value >= MIN_STAKE, "Below minimum stake");
-        require(msg.value <= MAX_STAKE, "Above maximum stake");
-        
-        Juror storage juror = jurors[msg.sender];
+        require(msg.value >= minStake, "Below minimum stake");
+        require(msg.value <= maxStake, "Above maximum stake");
         
-        if (!juror.isActive) {
-            juror.isActive = true;
-            juror.stakedAt = block.timestamp;
-            
-            jurorPoolIndex[msg.sender] = jurorPool.length;
-            jurorPool.push(msg.sender);
+        if (JurorSelection.addStake(jurors, jurorPool, jurorPoolIndex, msg.sender, msg.value)) {
             activeJurorCount++;
         }
-        
-        juror.stakedAmount += msg.value;
         totalStaked += msg.value;
         
         emit JurorStaked(msg.sender, msg.value);
@@ -658,10 +1159,10 @@ contract IntegratedEscrow is IERC721Receiver, Ownable, ReentrancyGuard, Pausable
      * @notice Unstake and stop being a juror
      */
     function unstake() external nonReentrant {
-        Juror storage juror = jurors[msg.sender];
+        JurorSelection.Juror storage juror = jurors[msg.sender];
         require(juror.isActive, "Not a juror");
         require(
-            block.timestamp >= juror.stakedAt + UNSTAKE_DELAY,
+            block.timestamp >= juror.stakedAt + unstakeDelay,
             "Unstake delay not met"
         );
         require(
@@ -669,109 +1170,158 @@ contract IntegratedEscrow is IERC721Receiver, Ownable, ReentrancyGuard, Pausable
             "Has active disputes"
         );
         
-        uint256 amount = juror.stakedAmount;
-        require(amount > 0, "No stake to withdraw");
-        
-        // Remove from pool
-        _removeFromJurorPool(msg.sender);
-        
-        // Update state
-        juror.stakedAmount = 0;
-        juror.isActive = false;
+        // Remove from pool and clear the stake
+        uint256 amount = JurorSelection.removeStake(jurors, jurorPool, jurorPoolIndex, msg.sender);
         totalStaked -= amount;
         activeJurorCount--;
         
         // Transfer stake back
-        (bool success, ) = payable(msg.sender).call{value: amount}("");
-        require(success, "Transfer failed");
+        _sendValue(msg.sender, amount);
         
         emit JurorUnstaked(msg.sender, amount);
     }
     
-    // ============ Helper Functions ============
+    // ============ Landlord Bond Functions ============
+    
+    /**
+     * @notice Post or top up a bond on a listing to back the agreements the landlord accepts for it
+     * @dev A dispute verdict awards the tenant the same share of the bond as of the deposit.
+     *      Top-ups must use the bond's token; a new token can be chosen once the bond is spent.
+     * @param tokenId The property's RentalNFT token ID
+     * @param token Bond token, address(0) for BNB or an allowed ERC-20
+     * @param amount Amount added to the bond
+     */
+    function postBond(uint256 tokenId, address token, uint256 amount)
+        external
+        payable
+        nonReentrant
+        whenNotPaused
+    {
+        LandlordBonds.post(listingBonds, allowedTokens, rentalNFT, tokenId, token, amount);
+        _collectPayment(token, amount);
+    }
+    
+    /**
+     * @notice Withdraw a listing's bond while the property's current agreement is not running
+     *         and none of the landlord's agreements is in dispute
+     * @dev The bond is credited to pending withdrawals and claimed through withdraw()
+     * @param tokenId The property's RentalNFT token ID
+     */
+    function withdrawBond(uint256 tokenId) external nonReentrant {
+        Agreement storage agreement = agreements[tokenToAgreement[tokenId]];
+        bool locked = openBondDisputes[msg.sender] > 0 || (
+            agreement.landlord == msg.sender &&
+            agreement.status == AgreementStatus.Active
+        );
+        
+        LandlordBonds.withdraw(listingBonds, pendingWithdrawals, tokenId, locked);
+    }
+    
+    // ============ Withdrawal Functions ============
     
     /**
-     * @dev Select random jurors for a dispute - Gas optimized version
+     * @notice Withdraw everything credited to the caller in one token
+     * @dev Payouts to parties and jurors are credited here rather than pushed, so a
+     *      recipient that rejects BNB cannot block settlement for anyone else
+     * @param token Token to withdraw, NATIVE_TOKEN for BNB
      */
-    function _selectRandomJurors(uint256 disputeId) private view returns (address[3] memory) {
-        require(jurorPool.length >= MIN_JURORS, "Not enough jurors");
+    function withdraw(address token) external nonReentrant {
+        uint256 amount = pendingWithdrawals[msg.sender][token];
+        require(amount > 0, "Nothing to withdraw");
         
-        address[3] memory selected;
-        uint256 poolLength = jurorPool.length;
+        pendingWithdrawals[msg.sender][token] = 0;
         
-        // Create a simple seed that changes for each selection
-        uint256 baseSeed = uint256(keccak256(abi.encodePacked(
-            block.timestamp,
-            block.prevrandao,
-            disputeId,
-            msg.sender
-        )));
-        
-        if (poolLength == 3) {
-            // If exactly 3 jurors, select all
-            selected[0] = jurorPool[0];
-            selected[1] = jurorPool[1];
-            selected[2] = jurorPool[2];
+        _transferOut(token, msg.sender, amount);
+        
+        emit Withdrawn(msg.sender, token, amount);
+    }
+    
+    // ============ Helper Functions ============
+    
+    /**
+     * @dev Credit a payout to an address's pending withdrawals
+     */
+    function _credit(address payee, address token, uint256 amount) private {
+        pendingWithdrawals[payee][token] += amount;
+        emit PaymentCredited(payee, token, amount);
+    }
+    
+    /**
+     * @dev Take a payment from the caller: BNB must match msg.value, ERC-20s are pulled
+     *      with transferFrom and need a prior approval
+     */
+    function _collectPayment(address token, uint256 amount) private {
+        if (token == NATIVE_TOKEN) {
+            require(msg.value == amount, "Incorrect payment amount");
         } else {
-            // For larger pools, use a more efficient algorithm
-            // Use different seeds for each selection to avoid duplicates
-            uint256 index1 = baseSeed % poolLength;
-            uint256 index2 = (baseSeed + 1) % poolLength;
-            uint256 index3 = (baseSeed + 2) % poolLength;
-            
-            // Simple duplicate avoidance - much more gas efficient
-            if (index2 == index1) {
-                index2 = (index2 + 1) % poolLength;
-            }
-            if (index3 == index1 || index3 == index2) {
-                index3 = (index3 + 1) % poolLength;
-                if (index3 == index1) {
-                    index3 = (index3 + 1) % poolLength;
-                }
-            }
-            
-            selected[0] = jurorPool[index1];
-            selected[1] = jurorPool[index2];
-            selected[2] = jurorPool[index3];
+            require(msg.value == 0, "Incorrect payment amount");
+            IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
         }
-        
-        return selected;
     }
     
     /**
-     * @dev Remove juror from pool
+     * @dev Send BNB or an ERC-20 out of the contract
      */
-    function _removeFromJurorPool(address juror) private {
-        uint256 index = jurorPoolIndex[juror];
-        uint256 lastIndex = jurorPool.length - 1;
-        
-        if (index != lastIndex) {
-            address lastJuror = jurorPool[lastIndex];
-            jurorPool[index] = lastJuror;
-            jurorPoolIndex[lastJuror] = index;
+    function _transferOut(address token, address to, uint256 amount) private {
+        if (token == NATIVE_TOKEN) {
+            _sendValue(to, amount);
+        } else {
+            IERC20(token).safeTransfer(to, amount);
         }
-        
-        jurorPool.pop();
-        delete jurorPoolIndex[juror];
     }
     
     /**
-     * @dev Remove dispute from juror's active list
+     * @dev Send ETH, reverting if the recipient rejects it
+     */
+    function _sendValue(address to, uint256 amount) private {
+        (bool success, ) = payable(to).call{value: amount}("");
+        require(success, "Transfer failed");
+    }
+    
+    /**
+     * @dev Ask the randomness coordinator for a word to draw a dispute's jurors
      */
-    function _removeActiveDispute(address juror, uint256 disputeId) private {
-        uint256[] storage activeDisputes = jurorActiveDisputes[juror];
+    function _requestJurorDraw(uint256 disputeId) private {
+        uint256 requestId = IRandomnessCoordinator(randomnessCoordinator).requestRandomness();
         
-        for (uint i = 0; i < activeDisputes.length; i++) {
-            if (activeDisputes[i] == disputeId) {
-                activeDisputes[i] = activeDisputes[activeDisputes.length - 1];
-                activeDisputes.pop();
-                break;
-            }
-        }
+        Dispute storage dispute = disputes[disputeId];
+        dispute.randomnessRequestId = requestId;
+        dispute.drawRequestedAt = block.timestamp;
+        randomnessRequests[requestId] = disputeId;
+        
+        emit JurorDrawRequested(disputeId, requestId);
+    }
+    
+    /**
+     * @dev Count pooled jurors who could still be drawn for a dispute
+     */
+    function _eligibleJurorCount(Dispute storage dispute) private view returns (uint256) {
+        return JurorSelection.eligibleCount(jurors, jurorPool, dispute.hasServed, dispute.landlord, dispute.tenant);
     }
     
     // ============ Admin Functions ============
     
+    /**
+     * @notice Set the randomness coordinator used to draw jurors
+     * @param _coordinator CommitRevealBeacon or a VRF coordinator adapter
+     */
+    function setRandomnessCoordinator(address _coordinator) external onlyOwner {
+        require(_coordinator != address(0), "Invalid address");
+        randomnessCoordinator = _coordinator;
+        emit RandomnessCoordinatorUpdated(_coordinator);
+    }
+    
+    /**
+     * @notice Update the share of stake slashed for absent or incoherent votes
+     * @param newSlashPercent New percentage in basis points
+     */
+    function setSlashPercent(uint256 newSlashPercent) external onlyOwner {
+        require(newSlashPercent <= MAX_SLASH_PERCENT, "Slash too high");
+        uint256 oldPercent = slashPercent;
+        slashPercent = newSlashPercent;
+        emit SlashPercentUpdated(oldPercent, newSlashPercent);
+    }
+    
     /**
      * @notice Update platform fee
      * @param newFeePercent New fee in basis points
@@ -784,20 +1334,66 @@ contract IntegratedEscrow is IERC721Receiver, Ownable, ReentrancyGuard, Pausable
     }
     
     /**
-     * @notice Withdraw accumulated platform fees
+     * @notice Change a protocol parameter
+     * @dev New values apply to later stakes and rounds; drawn panels keep their schedule
+     * @param parameter The parameter to change
+     * @param value New value, in wei or seconds as the parameter requires
+     */
+    function setParameter(Parameter parameter, uint256 value) external onlyOwner {
+        uint256 oldValue;
+        
+        if (parameter == Parameter.MinStake) {
+            require(value > 0 && value <= maxStake, "Invalid parameter value");
+            oldValue = minStake;
+            minStake = value;
+        } else if (parameter == Parameter.MaxStake) {
+            require(value >= minStake, "Invalid parameter value");
+            oldValue = maxStake;
+            maxStake = value;
+        } else if (parameter == Parameter.VotingPeriod) {
+            require(value > COMMIT_PERIOD, "Invalid parameter value");
+            oldValue = votingPeriod;
+            votingPeriod = value;
+        } else if (parameter == Parameter.UnstakeDelay) {
+            require(value <= MAX_UNSTAKE_DELAY, "Invalid parameter value");
+            oldValue = unstakeDelay;
+            unstakeDelay = value;
+        } else {
+            require(value > 0 && value <= MAX_PANEL_SIZE, "Invalid parameter value");
+            oldValue = minJurors;
+            minJurors = value;
+        }
+        
+        emit ParameterUpdated(parameter, oldValue, value);
+    }
+    
+    /**
+     * @notice Allow or disallow an ERC-20 for new agreements
+     * @dev Existing agreements keep their token. Fee-on-transfer and rebasing tokens are not supported.
+     * @param token ERC-20 address
+     * @param allowed Whether new agreements may use it
+     */
+    function setAllowedToken(address token, bool allowed) external onlyOwner {
+        require(token != NATIVE_TOKEN, "Invalid address");
+        allowedTokens[token] = allowed;
+        emit PaymentTokenUpdated(token, allowed);
+    }
+    
+    /**
+     * @notice Withdraw accumulated platform fees in one token
+     * @param token Token to withdraw, NATIVE_TOKEN for BNB
      * @param to Address to withdraw to
      */
-    function withdrawFees(address to) external onlyOwner nonReentrant {
+    function withdrawFees(address token, address to) external onlyOwner nonReentrant {
         require(to != address(0), "Invalid address");
-        uint256 amount = accumulatedFees;
+        uint256 amount = accumulatedFees[token];
         require(amount > 0, "No fees to withdraw");
         
-        accumulatedFees = 0;
+        accumulatedFees[token] = 0;
         
-        (bool success, ) = payable(to).call{value: amount}("");
-        require(success, "Withdrawal failed");
+        _transferOut(token, to, amount);
         
-        emit FeesWithdrawn(to, amount);
+        emit FeesWithdrawn(to, token, amount);
     }
     
     /**
@@ -827,6 +1423,44 @@ contract IntegratedEscrow is IERC721Receiver, Ownable, ReentrancyGuard, Pausable
         return agreements[agreementId];
     }
     
+    /**
+     * @notice Get the rent schedule of an agreement
+     * @return monthsPaid Months paid into escrow so far
+     * @return monthsReleased Months already released to the landlord
+     * @return monthsElapsed Full rent periods elapsed since the start
+     * @return releasableMonths Months the landlord can claim right now
+     * @return nextDueDate Due date of the first unpaid month (0 when fully paid)
+     * @return graceEndsAt End of the grace period for that month (0 when fully paid)
+     * @return inDefault Whether the tenant can be declared in default
+     */
+    function getRentSchedule(uint256 agreementId) external view returns (
+        uint256 monthsPaid,
+        uint256 monthsReleased,
+        uint256 monthsElapsed,
+        uint256 releasableMonths,
+        uint256 nextDueDate,
+        uint256 graceEndsAt,
+        bool inDefault
+    ) {
+        Agreement storage agreement = agreements[agreementId];
+        if (agreement.status == AgreementStatus.None) {
+            return (0, 0, 0, 0, 0, 0, false);
+        }
+        
+        monthsPaid = agreement.monthsPaid;
+        monthsReleased = agreement.monthsReleased;
+        monthsElapsed = _monthsElapsed(agreement);
+        
+        if (agreement.status == AgreementStatus.Active) {
+            releasableMonths = _releasableMonths(agreement);
+            inDefault = _isInDefault(agreement);
+        }
+        if (monthsPaid < agreement.durationMonths) {
+            nextDueDate = _nextDueDate(agreement);
+            graceEndsAt = nextDueDate + GRACE_PERIOD;
+        }
+    }
+    
     /**
      * @notice Get tenant's agreements
      */
@@ -849,6 +1483,34 @@ contract IntegratedEscrow is IERC721Receiver, Ownable, ReentrancyGuard, Pausable
         return landlordAgreements[landlord];
     }
     
+    /**
+     * @notice Get a landlord's record from their agreement history
+     * @return rentals Agreements made as landlord
+     * @return completedRentals Agreements that ran to completion, including settled disputes
+     * @return disputesLost Disputes where the final verdict awarded the tenant more than half
+     */
+    function getLandlordReputation(address landlord) external view returns (
+        uint256 rentals,
+        uint256 completedRentals,
+        uint256 disputesLost
+    ) {
+        uint256[] storage ids = landlordAgreements[landlord];
+        rentals = ids.length;
+        
+        for (uint256 i = 0; i < rentals; i++) {
+            Agreement storage agreement = agreements[ids[i]];
+            if (agreement.status != AgreementStatus.Completed) {
+                continue;
+            }
+            completedRentals++;
+            
+            Dispute storage dispute = disputes[agreement.disputeId];
+            if (dispute.status == DisputeStatus.Resolved && dispute.tenantShare > MAX_AWARD / 2) {
+                disputesLost++;
+            }
+        }
+    }
+    
     /**
      * @notice Get agreement by token ID
      */
@@ -861,7 +1523,7 @@ contract IntegratedEscrow is IERC721Receiver, Ownable, ReentrancyGuard, Pausable
     }
     
     /**
-     * @notice Get dispute details
+     * @notice Get dispute details; closed rounds come from getDisputeRounds
      */
     function getDispute(uint256 disputeId) external view returns (
         uint256 agreementId,
@@ -872,9 +1534,10 @@ contract IntegratedEscrow is IERC721Receiver, Ownable, ReentrancyGuard, Pausable
         uint256 createdAt,
         uint256 votingEndTime,
         DisputeStatus status,
-        uint256 tenantVotes,
-        uint256 landlordVotes,
-        bool tenantWins
+        uint256 revealCount,
+        bool hasVerdict,
+        uint256 tenantShare,
+        uint256 appealDeadline
     ) {
         Dispute storage dispute = disputes[disputeId];
         return (
@@ -886,32 +1549,90 @@ contract IntegratedEscrow is IERC721Receiver, Ownable, ReentrancyGuard, Pausable
             dispute.createdAt,
             dispute.votingEndTime,
             dispute.status,
-            dispute.tenantVotes,
-            dispute.landlordVotes,
-            dispute.tenantWins
+            dispute.revealCount,
+            dispute.hasVerdict,
+            dispute.tenantShare,
+            dispute.appealDeadline
         );
     }
     
+    /**
+     * @notice Get every closed round of a dispute in order
+     * @dev Kept apart from getDispute, whose encoding of the rounds took up contract size
+     */
+    function getDisputeRounds(uint256 disputeId) external view returns (RoundResult[] memory) {
+        return disputes[disputeId].pastRounds;
+    }
+    
     /**
      * @notice Get assigned jurors for a dispute
      */
     function getAssignedJurors(uint256 disputeId) 
         external 
         view 
-        returns (address[3] memory) 
+        returns (address[] memory) 
     {
         return disputes[disputeId].assignedJurors;
     }
     
     /**
-     * @notice Get juror's vote
+     * @notice Get juror's revealed award
      */
     function getJurorVote(uint256 disputeId, address juror) 
         external 
         view 
-        returns (Vote) 
+        returns (bool revealed, uint256 tenantShare) 
+    {
+        Dispute storage dispute = disputes[disputeId];
+        return (dispute.hasRevealed[juror], dispute.awards[juror]);
+    }
+    
+    /**
+     * @notice Get the commit and reveal deadlines and progress for a dispute's current round
+     */
+    function getVotingSchedule(uint256 disputeId) external view returns (
+        uint256 commitEndTime,
+        uint256 votingEndTime,
+        uint256 commitCount,
+        uint256 revealCount,
+        uint256 panelSize,
+        uint256 round
+    ) {
+        Dispute storage dispute = disputes[disputeId];
+        bool roundOpen = dispute.status == DisputeStatus.Active || dispute.status == DisputeStatus.Drawing;
+        return (
+            dispute.commitEndTime,
+            dispute.votingEndTime,
+            dispute.commitCount,
+            dispute.revealCount,
+            dispute.panelSize,
+            roundOpen ? dispute.pastRounds.length + 1 : dispute.pastRounds.length
+        );
+    }
+    
+    /**
+     * @notice Get the amount of a token an address can claim through withdraw()
+     */
+    function getPendingBalance(address account, address token) external view returns (uint256) {
+        return pendingWithdrawals[account][token];
+    }
+    
+    /**
+     * @notice Get the fee the losing party must pay to appeal a dispute's verdict
+     */
+    function getAppealFee(uint256 disputeId) public view returns (uint256) {
+        return agreements[disputes[disputeId].agreementId].disputeFee * APPEAL_FEE_MULTIPLIER;
+    }
+    
+    /**
+     * @notice Get juror's sealed vote commitment
+     */
+    function getVoteCommitment(uint256 disputeId, address juror) 
+        external 
+        view 
+        returns (bytes32) 
     {
-        return disputes[disputeId].votes[juror];
+        return disputes[disputeId].commitments[juror];
     }
     
     /**
@@ -923,16 +1644,22 @@ contract IntegratedEscrow is IERC721Receiver, Ownable, ReentrancyGuard, Pausable
         uint256 disputesVoted,
         uint256 correctVotes,
         uint256 totalEarned,
-        bool isActive
+        bool isActive,
+        uint256 disputesCompleted,
+        uint256 totalSlashed,
+        uint256 reputation
     ) {
-        Juror memory j = jurors[juror];
+        JurorSelection.Juror storage j = jurors[juror];
         return (
             j.stakedAmount,
             j.disputesAssigned,
             j.disputesVoted,
             j.correctVotes,
             j.totalEarned,
-            j.isActive
+            j.isActive,
+            j.disputesCompleted,
+            j.totalSlashed,
+            JurorSelection.reputation(j)
         );
     }
     
@@ -982,22 +1709,19 @@ contract IntegratedEscrow is IERC721Receiver, Ownable, ReentrancyGuard, Pausable
         return address(this).balance;
     }
     
-    // ============ IERC721Receiver Implementation ============
-    
-    /**
-     * @notice Required for receiving NFTs
-     */
-    function onERC721Received(
-        address,
-        address,
-        uint256,
-        bytes calldata
-    ) external pure override returns (bytes4) {
-        return this.onERC721Received.selector;
-    }
-    
     /**
      * @notice Receive function to accept ETH
      */
     receive() external payable {}
-}
\ No newline at end of file
+}
+
+/**
+ * @title IntegratedEscrow
+ * @author FairBNB Team
+ * @notice Non-upgradeable IntegratedEscrow owned by its deployer
+ */
+contract IntegratedEscrow is IntegratedEscrowBase {
+    constructor() initializer {
+        __IntegratedEscrow_init(msg.sender);
+    }
+}
@@ -0,0 +1,273 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/access/extensions/AccessControlEnumerable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+
+/**
+ * @title ProtocolGovernor
+ * @author FairBNB Team
+ * @notice Multisig-style owner of IntegratedEscrow. Approvers propose admin calls, and once enough
+ *         of them approve, a call is queued behind a timelock so parameter and fee changes are
+ *         announced before they take effect.
+ * @dev Any approver can cancel a queued action during the delay. Pausing only stops new activity,
+ *      so an approved pause() runs without waiting. The governor administers itself: approvers,
+ *      the threshold and the delay change through its own actions.
+ */
+contract ProtocolGovernor is AccessControlEnumerable, ReentrancyGuard {
+
+    // ============ Structs ============
+
+    struct Action {
+        address target;
+        bytes data;
+        string description;
+        address proposer;
+        uint256 approvals;
+        uint256 readyAt;        // 0 until the action has enough approvals
+        bool urgent;            // pause() skips the timelock
+        bool executed;
+        bool cancelled;
+    }
+
+    // ============ Constants ============
+
+    bytes32 public constant APPROVER_ROLE = keccak256("APPROVER_ROLE");
+    uint256 public constant MAX_DELAY = 30 days;
+    bytes4 public constant PAUSE_SELECTOR = bytes4(keccak256("pause()"));
+
+    // ============ State Variables ============
+
+    uint256 public approvalThreshold;
+    uint256 public minDelay;
+    uint256 private _actionIdCounter;
+
+    // ============ Mappings ============
+
+    mapping(uint256 => Action) internal actions; // Read through getAction
+    mapping(uint256 => mapping(address => bool)) public hasApproved;
+
+    // ============ Events ============
+
+    event ActionProposed(
+        uint256 indexed actionId,
+        address indexed proposer,
+        address indexed target,
+        bytes data,
+        string description
+    );
+    event ActionApproved(uint256 indexed actionId, address indexed approver, uint256 approvals);
+    event ActionQueued(uint256 indexed actionId, uint256 readyAt);
+    event ActionExecuted(uint256 indexed actionId, address indexed executor);
+    event ActionCancelled(uint256 indexed actionId, address indexed cancelledBy);
+    event ApprovalThresholdUpdated(uint256 oldThreshold, uint256 newThreshold);
+    event MinDelayUpdated(uint256 oldDelay, uint256 newDelay);
+
+    // ============ Errors ============
+
+    error InvalidThreshold();
+    error InvalidDelay();
+    error InvalidTarget();
+    error ActionNotFound();
+    error ActionClosed();
+    error AlreadyApproved();
+    error NotQueued();
+    error TimelockActive();
+    error ActionFailed(bytes returnData);
+    error OnlyGovernor();
+
+    // ============ Modifiers ============
+
+    modifier onlyGovernor() {
+        require(msg.sender == address(this), OnlyGovernor());
+        _;
+    }
+
+    modifier openAction(uint256 actionId) {
+        Action storage action = actions[actionId];
+        require(action.target != address(0), ActionNotFound());
+        require(!action.executed && !action.cancelled, ActionClosed());
+        _;
+    }
+
+    // ============ Constructor ============
+
+    /**
+     * @param approvers Initial approvers
+     * @param _approvalThreshold Approvals an action needs before it is queued
+     * @param _minDelay Seconds a queued action waits before it can run
+     */
+    constructor(address[] memory approvers, uint256 _approvalThreshold, uint256 _minDelay) {
+        require(_approvalThreshold > 0 && _approvalThreshold <= approvers.length, InvalidThreshold());
+        require(_minDelay <= MAX_DELAY, InvalidDelay());
+
+        for (uint256 i = 0; i < approvers.length; i++) {
+            _grantRole(APPROVER_ROLE, approvers[i]);
+        }
+        _grantRole(DEFAULT_ADMIN_ROLE, address(this));
+
+        approvalThreshold = _approvalThreshold;
+        minDelay = _minDelay;
+    }
+
+    // ============ Action Functions ============
+
+    /**
+     * @notice Propose a call, counting the proposer's approval
+     * @param target Contract to call, usually IntegratedEscrow or this governor
+     * @param data Encoded call
+     * @param description Why the action is needed, shown to other approvers
+     * @return actionId The new action's ID
+     */
+    function propose(address target, bytes calldata data, string calldata description)
+        external
+        onlyRole(APPROVER_ROLE)
+        returns (uint256 actionId)
+    {
+        require(target != address(0), InvalidTarget());
+
+        actionId = ++_actionIdCounter;
+        Action storage action = actions[actionId];
+        action.target = target;
+        action.data = data;
+        action.description = description;
+        action.proposer = msg.sender;
+        action.urgent = data.length == 4 && bytes4(data) == PAUSE_SELECTOR;
+
+        emit ActionProposed(actionId, msg.sender, target, data, description);
+
+        _approve(actionId);
+    }
+
+    /**
+     * @notice Approve an action; the approval that meets the threshold starts its timelock
+     * @param actionId The action to approve
+     */
+    function approve(uint256 actionId) external onlyRole(APPROVER_ROLE) openAction(actionId) {
+        _approve(actionId);
+    }
+
+    /**
+     * @notice Run an approved action once its timelock has passed
+     * @param actionId The action to run
+     */
+    function execute(uint256 actionId) external onlyRole(APPROVER_ROLE) openAction(actionId) nonReentrant {
+        Action storage action = actions[actionId];
+        require(action.readyAt != 0 && action.approvals >= approvalThreshold, NotQueued());
+        require(block.timestamp >= action.readyAt, TimelockActive());
+
+        action.executed = true;
+
+        (bool success, bytes memory returnData) = action.target.call(action.data);
+        require(success, ActionFailed(returnData));
+
+        emit ActionExecuted(actionId, msg.sender);
+    }
+
+    /**
+     * @notice Cancel an action that has not run yet
+     * @param actionId The action to cancel
+     */
+    function cancel(uint256 actionId) external onlyRole(APPROVER_ROLE) openAction(actionId) {
+        actions[actionId].cancelled = true;
+        emit ActionCancelled(actionId, msg.sender);
+    }
+
+    // ============ Governance Functions ============
+
+    /**
+     * @notice Change how many approvals an action needs
+     * @dev Only callable through an executed action
+     */
+    function setApprovalThreshold(uint256 newThreshold) external onlyGovernor {
+        require(newThreshold > 0 && newThreshold <= getRoleMemberCount(APPROVER_ROLE), InvalidThreshold());
+        uint256 oldThreshold = approvalThreshold;
+        approvalThreshold = newThreshold;
+        emit ApprovalThresholdUpdated(oldThreshold, newThreshold);
+    }
+
+    /**
+     * @notice Change how long approved actions wait before they can run
+     * @dev Only callable through an executed action
+     */
+    function setMinDelay(uint256 newDelay) external onlyGovernor {
+        require(newDelay <= MAX_DELAY, InvalidDelay());
+        uint256 oldDelay = minDelay;
+        minDelay = newDelay;
+        emit MinDelayUpdated(oldDelay, newDelay);
+    }
+
+    // ============ View Functions ============
+
+    /**
+     * @notice Get an action's call and progress
+     */
+    function getAction(uint256 actionId) external view returns (
+        address target,
+        bytes memory data,
+        string memory description,
+        address proposer,
+        uint256 approvals,
+        uint256 readyAt,
+        bool urgent,
+        bool executed,
+        bool cancelled
+    ) {
+        Action storage action = actions[actionId];
+        return (
+            action.target,
+            action.data,
+            action.description,
+            action.proposer,
+            action.approvals,
+            action.readyAt,
+            action.urgent,
+            action.executed,
+            action.cancelled
+        );
+    }
+
+    /**
+     * @notice Get the number of actions proposed so far
+     */
+    function getActionCount() external view returns (uint256) {
+        return _actionIdCounter;
+    }
+
+    /**
+     * @notice Get the current approvers
+     */
+    function getApprovers() external view returns (address[] memory) {
+        return getRoleMembers(APPROVER_ROLE);
+    }
+
+    // ============ Helper Functions ============
+
+    /**
+     * @dev Record an approval and queue the action once it meets the threshold
+     */
+    function _approve(uint256 actionId) private {
+        require(!hasApproved[actionId][msg.sender], AlreadyApproved());
+        hasApproved[actionId][msg.sender] = true;
+
+        Action storage action = actions[actionId];
+        uint256 approvals = ++action.approvals;
+        emit ActionApproved(actionId, msg.sender, approvals);
+
+        if (action.readyAt == 0 && approvals >= approvalThreshold) {
+            action.readyAt = action.urgent ? block.timestamp : block.timestamp + minDelay;
+            emit ActionQueued(actionId, action.readyAt);
+        }
+    }
+
+    /**
+     * @dev Removing an approver must leave enough approvers to reach the threshold
+     */
+    function _revokeRole(bytes32 role, address account) internal override returns (bool) {
+        bool revoked = super._revokeRole(role, account);
+        if (role == APPROVER_ROLE) {
+            require(getRoleMemberCount(APPROVER_ROLE) >= approvalThreshold, InvalidThreshold());
+        }
+        return revoked;
+    }
+}
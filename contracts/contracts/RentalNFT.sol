@@ -1,19 +1,36 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.19;
 
-import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
-import "@openzeppelin/contracts/token/ERC721/extensions/ERC721URIStorage.sol";
-import "@openzeppelin/contracts/token/ERC721/extensions/ERC721Burnable.sol";
-import "@openzeppelin/contracts/access/AccessControl.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC721/ERC721Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC721/extensions/ERC721URIStorageUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC721/extensions/ERC721BurnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "./interfaces/IERC4907.sol";
 
 /**
- * @title RentalNFT
+ * @title RentalNFTBase
  * @author FairBNB Team
  * @notice ERC721 token representing rental agreements on FairBNB platform
- * @dev Minimal on-chain storage - all metadata stored on BNB Greenfield
+ * @dev Minimal on-chain storage - all metadata stored on BNB Greenfield. Landlords keep
+ *      ownership while tenants hold time-limited ERC-4907 user rights. Shared by the plain
+ *      RentalNFT and the proxied RentalNFTUpgradeable; new state variables must only be appended.
  */
-contract RentalNFT is ERC721, ERC721URIStorage, ERC721Burnable, AccessControl, ReentrancyGuard {
+abstract contract RentalNFTBase is
+    Initializable,
+    ERC721Upgradeable,
+    ERC721URIStorageUpgradeable,
+    ERC721BurnableUpgradeable,
+    AccessControlUpgradeable,
+    ReentrancyGuardUpgradeable,
+    IERC4907
+{
+    struct UserInfo {
+        address user;
+        uint64 expires;
+    }
+    
     // Role definitions
     bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
     bytes32 public constant LANDLORD_ROLE = keccak256("LANDLORD_ROLE");
@@ -24,6 +41,9 @@ contract RentalNFT is ERC721, ERC721URIStorage, ERC721Burnable, AccessControl, R
     // Minimal on-chain data - only essential references
     mapping(uint256 => address) public tokenLandlord;
     
+    // ERC-4907 rental rights
+    mapping(uint256 => UserInfo) private _users;
+    
     // Escrow contract address (can transfer NFTs)
     address public escrowContract;
     
@@ -47,16 +67,24 @@ contract RentalNFT is ERC721, ERC721URIStorage, ERC721Burnable, AccessControl, R
     );
 
     /**
-     * @dev Constructor
+     * @dev Initializer shared by the plain and proxied deployments
      * @param _name Token name
      * @param _symbol Token symbol
+     * @param admin Account granted the admin and minter roles
      */
-    constructor(
+    function __RentalNFT_init(
         string memory _name,
-        string memory _symbol
-    ) ERC721(_name, _symbol) {
-        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
-        _grantRole(MINTER_ROLE, msg.sender);
+        string memory _symbol,
+        address admin
+    ) internal onlyInitializing {
+        __ERC721_init(_name, _symbol);
+        __ERC721URIStorage_init();
+        __ERC721Burnable_init();
+        __AccessControl_init();
+        __ReentrancyGuard_init();
+        
+        _grantRole(DEFAULT_ADMIN_ROLE, admin);
+        _grantRole(MINTER_ROLE, admin);
         
         // Start token IDs from 1
         _tokenIdCounter = 1;
@@ -114,6 +142,46 @@ contract RentalNFT is ERC721, ERC721URIStorage, ERC721Burnable, AccessControl, R
         emit TokenURIUpdated(tokenId, oldURI, newURI, msg.sender);
     }
 
+    /**
+     * @notice Set the user and expiry of a token
+     * @dev Owner, approved or the escrow contract may set a user, but only the escrow
+     *      contract can change a user whose rights have not yet expired
+     * @param tokenId Token to rent out
+     * @param user The new user, address(0) to clear
+     * @param expires UNIX timestamp the user's rights run until
+     */
+    function setUser(uint256 tokenId, address user, uint64 expires) external override {
+        address owner = _requireOwned(tokenId);
+        require(_isAuthorized(owner, msg.sender, tokenId), "RentalNFT: Not owner nor approved");
+        require(
+            msg.sender == escrowContract || userOf(tokenId) == address(0),
+            "RentalNFT: Rental in progress"
+        );
+        
+        _users[tokenId] = UserInfo({user: user, expires: expires});
+        
+        emit UpdateUser(tokenId, user, expires);
+    }
+
+    /**
+     * @notice Get the current user of a token
+     * @return The user, or address(0) when none is set or their rights have expired
+     */
+    function userOf(uint256 tokenId) public view override returns (address) {
+        UserInfo storage info = _users[tokenId];
+        if (uint256(info.expires) >= block.timestamp) {
+            return info.user;
+        }
+        return address(0);
+    }
+
+    /**
+     * @notice Get when the current user's rights expire
+     */
+    function userExpires(uint256 tokenId) external view override returns (uint256) {
+        return _users[tokenId].expires;
+    }
+
     /**
      * @notice Set the escrow contract address
      * @dev Only admin can set escrow contract
@@ -166,7 +234,7 @@ contract RentalNFT is ERC721, ERC721URIStorage, ERC721Burnable, AccessControl, R
     function isApprovedForAll(address owner, address operator) 
         public 
         view 
-        override(ERC721, IERC721) 
+        override(ERC721Upgradeable, IERC721) 
         returns (bool) 
     {
         // Auto-approve escrow contract
@@ -186,11 +254,32 @@ contract RentalNFT is ERC721, ERC721URIStorage, ERC721Burnable, AccessControl, R
         super.burn(tokenId);
     }
 
+    /**
+     * @dev The title cannot move or be burned while a user's rights are unexpired, so a landlord
+     *      cannot end a tenancy by transferring the token. Expired rights are cleared on transfer,
+     *      as in the ERC-4907 reference.
+     */
+    function _update(address to, uint256 tokenId, address auth)
+        internal
+        override
+        returns (address)
+    {
+        require(_ownerOf(tokenId) == address(0) || userOf(tokenId) == address(0), "RentalNFT: Rental in progress");
+        address from = super._update(to, tokenId, auth);
+        
+        if (from != to && _users[tokenId].user != address(0)) {
+            delete _users[tokenId];
+            emit UpdateUser(tokenId, address(0), 0);
+        }
+        
+        return from;
+    }
+
     // Required overrides for multiple inheritance
     function tokenURI(uint256 tokenId) 
         public 
         view 
-        override(ERC721, ERC721URIStorage) 
+        override(ERC721Upgradeable, ERC721URIStorageUpgradeable) 
         returns (string memory) 
     {
         return super.tokenURI(tokenId);
@@ -199,10 +288,25 @@ contract RentalNFT is ERC721, ERC721URIStorage, ERC721Burnable, AccessControl, R
     function supportsInterface(bytes4 interfaceId)
         public
         view
-        override(ERC721, ERC721URIStorage, AccessControl)
+        override(ERC721Upgradeable, ERC721URIStorageUpgradeable, AccessControlUpgradeable)
         returns (bool)
     {
-        return super.supportsInterface(interfaceId);
+        return interfaceId == type(IERC4907).interfaceId || super.supportsInterface(interfaceId);
+    }
+}
+
+/**
+ * @title RentalNFT
+ * @author FairBNB Team
+ * @notice Non-upgradeable RentalNFT administered by its deployer
+ */
+contract RentalNFT is RentalNFTBase {
+    /**
+     * @param _name Token name
+     * @param _symbol Token symbol
+     */
+    constructor(string memory _name, string memory _symbol) initializer {
+        __RentalNFT_init(_name, _symbol, msg.sender);
     }
 }
 
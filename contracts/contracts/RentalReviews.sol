@@ -0,0 +1,208 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./IntegratedEscrow.sol";
+
+/**
+ * @title RentalReviews
+ * @author FairBNB Team
+ * @notice Ratings the tenant and landlord of a finished IntegratedEscrow agreement leave each other.
+ *         The review text is hosted on IPFS or Greenfield and only its URI is stored.
+ * @dev An agreement can be reviewed once it is Completed, which covers rentals that ran their course
+ *      and disputes that were settled. Each side reviews an agreement at most once. Tenant reviews of
+ *      the landlord also count towards the property's rating.
+ */
+contract RentalReviews {
+
+    // ============ Structs ============
+
+    struct Review {
+        uint256 agreementId;
+        uint256 tokenId;
+        address reviewer;
+        address subject;
+        uint8 rating;
+        bool byTenant;
+        string uri;
+        uint256 createdAt;
+    }
+
+    struct Rating {
+        uint256 count;
+        uint256 total;
+    }
+
+    // ============ Constants ============
+
+    uint8 public constant MIN_RATING = 1;
+    uint8 public constant MAX_RATING = 5;
+
+    // ============ State Variables ============
+
+    IntegratedEscrowBase public immutable escrow; // Shared by IntegratedEscrow and its upgradeable variant
+    uint256 private _reviewIdCounter;
+
+    // ============ Mappings ============
+
+    mapping(uint256 => Review) internal reviews; // Read through getReview
+    mapping(uint256 => mapping(address => uint256)) public reviewByParty; // agreementId => reviewer => reviewId
+    mapping(address => uint256[]) internal reviewsReceived;
+    mapping(uint256 => uint256[]) internal propertyReviews;
+    mapping(address => Rating) internal userRatings;
+    mapping(uint256 => Rating) internal propertyRatings;
+
+    // ============ Events ============
+
+    event ReviewSubmitted(
+        uint256 indexed reviewId,
+        uint256 indexed agreementId,
+        address indexed reviewer,
+        address subject,
+        uint256 tokenId,
+        uint8 rating,
+        string uri
+    );
+
+    // ============ Errors ============
+
+    error InvalidEscrow();
+    error AgreementNotCompleted();
+    error NotAParty();
+    error AlreadyReviewed();
+    error InvalidRating();
+    error MissingReviewURI();
+
+    // ============ Constructor ============
+
+    /**
+     * @param _escrow The IntegratedEscrow, or its proxy, whose agreements are reviewed
+     */
+    constructor(address _escrow) {
+        require(_escrow != address(0), InvalidEscrow());
+        escrow = IntegratedEscrowBase(payable(_escrow));
+    }
+
+    // ============ Review Functions ============
+
+    /**
+     * @notice Rate the other party of a completed agreement
+     * @param agreementId The completed agreement
+     * @param rating Stars from MIN_RATING to MAX_RATING
+     * @param uri IPFS or Greenfield URI of the review text
+     * @return reviewId The new review's ID
+     */
+    function submitReview(uint256 agreementId, uint8 rating, string calldata uri)
+        external
+        returns (uint256 reviewId)
+    {
+        IntegratedEscrowBase.Agreement memory agreement = escrow.getAgreementDetails(agreementId);
+        require(agreement.status == IntegratedEscrowBase.AgreementStatus.Completed, AgreementNotCompleted());
+
+        bool byTenant = msg.sender == agreement.tenant;
+        require(byTenant || msg.sender == agreement.landlord, NotAParty());
+        require(reviewByParty[agreementId][msg.sender] == 0, AlreadyReviewed());
+        require(rating >= MIN_RATING && rating <= MAX_RATING, InvalidRating());
+        require(bytes(uri).length > 0, MissingReviewURI());
+
+        address subject = byTenant ? agreement.landlord : agreement.tenant;
+
+        reviewId = ++_reviewIdCounter;
+        reviews[reviewId] = Review({
+            agreementId: agreementId,
+            tokenId: agreement.tokenId,
+            reviewer: msg.sender,
+            subject: subject,
+            rating: rating,
+            byTenant: byTenant,
+            uri: uri,
+            createdAt: block.timestamp
+        });
+        reviewByParty[agreementId][msg.sender] = reviewId;
+
+        reviewsReceived[subject].push(reviewId);
+        _addRating(userRatings[subject], rating);
+
+        if (byTenant) {
+            propertyReviews[agreement.tokenId].push(reviewId);
+            _addRating(propertyRatings[agreement.tokenId], rating);
+        }
+
+        emit ReviewSubmitted(reviewId, agreementId, msg.sender, subject, agreement.tokenId, rating, uri);
+    }
+
+    // ============ View Functions ============
+
+    /**
+     * @notice Get a review
+     */
+    function getReview(uint256 reviewId) external view returns (Review memory) {
+        return reviews[reviewId];
+    }
+
+    /**
+     * @notice Get the number of reviews submitted so far
+     */
+    function getReviewCount() external view returns (uint256) {
+        return _reviewIdCounter;
+    }
+
+    /**
+     * @notice Get the reviews an address received as tenant or landlord, oldest first
+     */
+    function getReviewsReceived(address user) external view returns (Review[] memory) {
+        return _getReviews(reviewsReceived[user]);
+    }
+
+    /**
+     * @notice Get the tenant reviews of a property, oldest first
+     */
+    function getPropertyReviews(uint256 tokenId) external view returns (Review[] memory) {
+        return _getReviews(propertyReviews[tokenId]);
+    }
+
+    /**
+     * @notice Get how many ratings an address received and their sum
+     */
+    function getUserRating(address user) external view returns (uint256 count, uint256 total) {
+        Rating storage userRating = userRatings[user];
+        return (userRating.count, userRating.total);
+    }
+
+    /**
+     * @notice Get how many tenant ratings a property received and their sum
+     */
+    function getPropertyRating(uint256 tokenId) external view returns (uint256 count, uint256 total) {
+        Rating storage propertyRating = propertyRatings[tokenId];
+        return (propertyRating.count, propertyRating.total);
+    }
+
+    /**
+     * @notice Check whether an address can still review an agreement
+     */
+    function canReview(uint256 agreementId, address reviewer) external view returns (bool) {
+        IntegratedEscrowBase.Agreement memory agreement = escrow.getAgreementDetails(agreementId);
+        return agreement.status == IntegratedEscrowBase.AgreementStatus.Completed
+            && (reviewer == agreement.tenant || reviewer == agreement.landlord)
+            && reviewByParty[agreementId][reviewer] == 0;
+    }
+
+    // ============ Helper Functions ============
+
+    /**
+     * @dev Count a rating towards an aggregate
+     */
+    function _addRating(Rating storage aggregate, uint8 rating) private {
+        aggregate.count++;
+        aggregate.total += rating;
+    }
+
+    /**
+     * @dev Copy reviews to memory in the order of their IDs
+     */
+    function _getReviews(uint256[] storage ids) private view returns (Review[] memory list) {
+        list = new Review[](ids.length);
+        for (uint256 i = 0; i < ids.length; i++) {
+            list[i] = reviews[ids[i]];
+        }
+    }
+}
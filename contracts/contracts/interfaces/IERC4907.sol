@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title IERC4907
+ * @author FairBNB Team
+ * @notice ERC-4907 rental extension: a time-limited "user" role separate from the owner
+ * @dev See https://eips.ethereum.org/EIPS/eip-4907
+ */
+interface IERC4907 {
+    /**
+     * @notice Emitted when the user of a token or its expiry changes
+     * @dev The zero address for user means no user
+     */
+    event UpdateUser(uint256 indexed tokenId, address indexed user, uint64 expires);
+
+    /**
+     * @notice Set the user and expiry of a token
+     * @dev The zero address means no user
+     * @param tokenId Token to rent out
+     * @param user The new user of the token
+     * @param expires UNIX timestamp after which the user loses their rights
+     */
+    function setUser(uint256 tokenId, address user, uint64 expires) external;
+
+    /**
+     * @notice Get the user of a token
+     * @return The user, or the zero address if there is none or their rights have expired
+     */
+    function userOf(uint256 tokenId) external view returns (address);
+
+    /**
+     * @notice Get the expiry of a token's user rights
+     * @return UNIX timestamp the current user's rights run until
+     */
+    function userExpires(uint256 tokenId) external view returns (uint256);
+}
@@ -0,0 +1,38 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title IRandomnessCoordinator
+ * @author FairBNB Team
+ * @notice VRF-style randomness source: consumers request a word and receive it in a later callback
+ * @dev Implemented by CommitRevealBeacon and by adapters around external VRF coordinators
+ */
+interface IRandomnessCoordinator {
+    /**
+     * @notice Request a random word for the calling consumer
+     * @return requestId Identifier passed back in the fulfillment callback
+     */
+    function requestRandomness() external returns (uint256 requestId);
+
+    /**
+     * @notice Whether a request can still be fulfilled
+     * @dev Consumers must not replace a pending request: once its word is determined, whoever
+     *      could withhold fulfillment would get to re-roll an outcome they dislike
+     * @param requestId The request to check
+     */
+    function isPending(uint256 requestId) external view returns (bool);
+}
+
+/**
+ * @title IRandomnessConsumer
+ * @notice Callback implemented by contracts that request randomness
+ */
+interface IRandomnessConsumer {
+    /**
+     * @notice Deliver the random word for a request
+     * @dev Must only accept calls from the coordinator the request was made to
+     * @param requestId The request being fulfilled
+     * @param randomWord The random value
+     */
+    function rawFulfillRandomness(uint256 requestId, uint256 randomWord) external;
+}
@@ -0,0 +1,402 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./JurorSelection.sol";
+
+// ============ Constants ============
+
+uint256 constant MAX_AWARD = 10000; // Everything to the tenant, in basis points
+uint256 constant AWARD_STEP = 1000; // Jurors vote in 10% buckets
+uint256 constant AWARD_BUCKETS = MAX_AWARD / AWARD_STEP + 1;
+
+// ============ Types ============
+
+enum DisputeStatus {
+    None,           // 0: Doesn't exist
+    Active,         // 1: Voting in progress
+    Resolved,       // 2: Voting completed, resolution executed
+    Cancelled,      // 3: Dispute cancelled
+    Drawing,        // 4: Waiting for randomness to draw jurors
+    Appealable      // 5: Verdict reached, appeal window open
+}
+
+struct RoundResult {
+    address[] jurors;
+    uint256 revealCount;
+    uint256[AWARD_BUCKETS] tally;
+    bool verdictReached;
+    uint256 tenantShare;
+    address appealedBy;
+}
+
+struct Dispute {
+    uint256 agreementId;
+    address raisedBy;
+    address landlord;
+    address tenant;
+    string evidenceURI;
+    uint256 createdAt;
+    uint256 votingEndTime;
+    uint256 commitEndTime;
+    DisputeStatus status;
+    address[] assignedJurors;
+    mapping(address => bytes32) commitments;
+    mapping(address => bool) hasRevealed;
+    mapping(address => uint256) awards;
+    mapping(address => bool) hasServed;
+    uint256 commitCount;
+    uint256 revealCount;
+    uint256[AWARD_BUCKETS] tally;
+    uint256 tenantShare;
+    uint256 jurorRewardPool;
+    uint256 penaltyPool;
+    uint256 randomnessRequestId;
+    uint256 drawRequestedAt;
+    uint256 panelSize;
+    RoundResult[] pastRounds;
+    bool hasVerdict;
+    uint256 appealDeadline;
+    address feePayer;
+    uint256 jurorRewardsPaid; // Dispute and appeal fees paid to jurors, in the agreement's token
+}
+
+/**
+ * @title DisputeRounds
+ * @author FairBNB Team
+ * @notice Sealed voting and per-round juror settlement for IntegratedEscrow disputes
+ * @dev Jurors vote the share of the held funds the tenant should get, in AWARD_STEP buckets, and the
+ *      median vote is the ruling. Deployed separately and linked. Runs in the escrow's context, so its
+ *      events are logged and its errors raised by the escrow, which declares the same events and errors
+ *      for its ABI.
+ */
+library DisputeRounds {
+
+    // ============ Events ============
+
+    event VoteCommitted(uint256 indexed disputeId, address indexed juror);
+    event JurorVoted(uint256 indexed disputeId, address indexed juror, uint256 tenantShare);
+    event JurorRewarded(address indexed juror, uint256 indexed disputeId, uint256 feeReward, uint256 penaltyReward);
+    event JurorSlashed(address indexed juror, uint256 indexed disputeId, uint256 amount);
+    event PaymentCredited(address indexed payee, address indexed token, uint256 amount);
+
+    // ============ Errors ============
+
+    error InvalidCommitment();
+    error CommitPeriodEnded();
+    error NotAssignedJuror();
+    error AlreadyCommitted();
+    error InvalidAward();
+    error RevealPeriodNotStarted();
+    error VotingPeriodEnded();
+    error NoCommitment();
+    error AlreadyRevealed();
+    error CommitmentMismatch();
+
+    // ============ Voting Functions ============
+
+    /**
+     * @notice Seat a drawn panel and open its commit and reveal windows
+     * @dev Nobody sits on the same dispute twice
+     */
+    function seat(
+        Dispute storage dispute,
+        mapping(address => JurorSelection.Juror) storage jurors,
+        mapping(address => uint256[]) storage jurorActiveDisputes,
+        uint256 disputeId,
+        address[] memory selectedJurors,
+        uint256 commitPeriod,
+        uint256 votingPeriod
+    ) external {
+        dispute.assignedJurors = selectedJurors;
+        dispute.commitEndTime = block.timestamp + commitPeriod;
+        dispute.votingEndTime = block.timestamp + votingPeriod;
+        dispute.status = DisputeStatus.Active;
+
+        for (uint256 i = 0; i < selectedJurors.length; i++) {
+            jurorActiveDisputes[selectedJurors[i]].push(disputeId);
+            jurors[selectedJurors[i]].disputesAssigned++;
+            dispute.hasServed[selectedJurors[i]] = true;
+        }
+    }
+
+    /**
+     * @notice Record an assigned juror's sealed vote
+     * @dev commitment = keccak256(abi.encodePacked(disputeId, juror, tenantShare, salt))
+     */
+    function commit(Dispute storage dispute, uint256 disputeId, bytes32 commitment) external {
+        require(commitment != bytes32(0), InvalidCommitment());
+        require(block.timestamp <= dispute.commitEndTime, CommitPeriodEnded());
+        require(_isAssignedJuror(dispute, msg.sender), NotAssignedJuror());
+        require(dispute.commitments[msg.sender] == bytes32(0), AlreadyCommitted());
+
+        dispute.commitments[msg.sender] = commitment;
+        dispute.commitCount++;
+
+        emit VoteCommitted(disputeId, msg.sender);
+    }
+
+    /**
+     * @notice Reveal a juror's committed vote
+     * @dev Reveals open once the commit period ends or every juror has committed
+     * @return allRevealed Whether every assigned juror has now revealed
+     */
+    function reveal(
+        Dispute storage dispute,
+        mapping(address => JurorSelection.Juror) storage jurors,
+        uint256 disputeId,
+        uint256 tenantShare,
+        bytes32 salt
+    ) external returns (bool allRevealed) {
+        require(tenantShare <= MAX_AWARD && tenantShare % AWARD_STEP == 0, InvalidAward());
+        require(
+            block.timestamp > dispute.commitEndTime || dispute.commitCount == dispute.assignedJurors.length,
+            RevealPeriodNotStarted()
+        );
+        require(block.timestamp <= dispute.votingEndTime, VotingPeriodEnded());
+        require(dispute.commitments[msg.sender] != bytes32(0), NoCommitment());
+        require(!dispute.hasRevealed[msg.sender], AlreadyRevealed());
+        require(
+            keccak256(abi.encodePacked(disputeId, msg.sender, tenantShare, salt)) == dispute.commitments[msg.sender],
+            CommitmentMismatch()
+        );
+
+        // Record vote
+        dispute.hasRevealed[msg.sender] = true;
+        dispute.awards[msg.sender] = tenantShare;
+        dispute.tally[tenantShare / AWARD_STEP]++;
+        dispute.revealCount++;
+
+        jurors[msg.sender].disputesVoted++;
+
+        emit JurorVoted(disputeId, msg.sender, tenantShare);
+
+        return dispute.revealCount == dispute.assignedJurors.length;
+    }
+
+    // ============ Settlement Functions ============
+
+    /**
+     * @notice Close the current round and settle its jurors
+     * @dev Once a quorum has revealed, the median award is the verdict: jurors more than one bucket
+     *      away from it or who never revealed are slashed and the round's fee plus penalties are
+     *      credited to the rest. Without a quorum only absent jurors are slashed and the penalties
+     *      carry over to the next round. The fee is in the agreement's token; stake is always BNB.
+     * @return verdictReached Whether the round produced a verdict
+     * @return slashed Total stake slashed this round
+     * @return unpaidFee Fee nobody earned, owed to the platform in the agreement's token
+     * @return unpaidPenalty Penalties nobody earned, owed to the platform in BNB
+     */
+    function closeRound(
+        Dispute storage dispute,
+        mapping(address => JurorSelection.Juror) storage jurors,
+        mapping(address => uint256[]) storage jurorActiveDisputes,
+        mapping(address => mapping(address => uint256)) storage pendingWithdrawals,
+        address token,
+        uint256 disputeId,
+        uint256 slashPercent
+    ) external returns (bool verdictReached, uint256 slashed, uint256 unpaidFee, uint256 unpaidPenalty) {
+        verdictReached = dispute.revealCount >= quorum(dispute.panelSize);
+
+        if (verdictReached) {
+            dispute.tenantShare = _medianAward(dispute.tally, dispute.revealCount);
+            dispute.hasVerdict = true;
+        }
+
+        for (uint256 i = 0; i < dispute.assignedJurors.length; i++) {
+            address jurorAddr = dispute.assignedJurors[i];
+            _removeActiveDispute(jurorActiveDisputes[jurorAddr], disputeId);
+
+            bool revealed = dispute.hasRevealed[jurorAddr];
+            if (verdictReached || !revealed) {
+                jurors[jurorAddr].disputesCompleted++;
+            }
+            if (!revealed || (verdictReached && !_isCoherent(dispute, jurorAddr))) {
+                slashed += _slashJuror(dispute, jurors, jurorAddr, disputeId, slashPercent);
+            }
+        }
+
+        if (verdictReached) {
+            (unpaidFee, unpaidPenalty) = _rewardCoherentJurors(dispute, jurors, pendingWithdrawals, token, disputeId);
+        }
+
+        RoundResult storage result = dispute.pastRounds.push();
+        result.jurors = dispute.assignedJurors;
+        result.revealCount = dispute.revealCount;
+        result.tally = dispute.tally;
+        result.verdictReached = verdictReached;
+        result.tenantShare = verdictReached ? dispute.tenantShare : 0;
+
+        if (!verdictReached) {
+            resetRound(dispute);
+        }
+    }
+
+    /**
+     * @notice Clear the current round before a new panel is drawn
+     */
+    function resetRound(Dispute storage dispute) public {
+        delete dispute.assignedJurors;
+        delete dispute.tally;
+        dispute.commitCount = 0;
+        dispute.revealCount = 0;
+        dispute.commitEndTime = 0;
+        dispute.votingEndTime = 0;
+    }
+
+    /**
+     * @notice Majority of the panel must reveal for a verdict
+     */
+    function quorum(uint256 panelSize) internal pure returns (uint256) {
+        return panelSize / 2 + 1;
+    }
+
+    // ============ Helper Functions ============
+
+    /**
+     * @dev Credit the round's fee and penalties to the jurors who voted close to the verdict
+     * @return unpaidFee Fee left after the split, or all of it if nobody was coherent
+     * @return unpaidPenalty Penalties left after the split, likewise
+     */
+    function _rewardCoherentJurors(
+        Dispute storage dispute,
+        mapping(address => JurorSelection.Juror) storage jurors,
+        mapping(address => mapping(address => uint256)) storage pendingWithdrawals,
+        address token,
+        uint256 disputeId
+    ) private returns (uint256 unpaidFee, uint256 unpaidPenalty) {
+        uint256 coherentCount = 0;
+
+        for (uint256 i = 0; i < dispute.assignedJurors.length; i++) {
+            if (_isCoherent(dispute, dispute.assignedJurors[i])) {
+                coherentCount++;
+            }
+        }
+
+        unpaidFee = dispute.jurorRewardPool;
+        unpaidPenalty = dispute.penaltyPool;
+        dispute.jurorRewardPool = 0;
+        dispute.penaltyPool = 0;
+        if (coherentCount == 0) {
+            return (unpaidFee, unpaidPenalty);
+        }
+
+        uint256 feeReward = unpaidFee / coherentCount;
+        uint256 penaltyReward = unpaidPenalty / coherentCount;
+
+        for (uint256 i = 0; i < dispute.assignedJurors.length; i++) {
+            address jurorAddr = dispute.assignedJurors[i];
+            if (!_isCoherent(dispute, jurorAddr)) {
+                continue;
+            }
+
+            // totalEarned tracks BNB, like the stake it is measured against
+            JurorSelection.Juror storage juror = jurors[jurorAddr];
+            juror.correctVotes++;
+            juror.totalEarned += penaltyReward + (token == address(0) ? feeReward : 0);
+            unpaidFee -= feeReward;
+            unpaidPenalty -= penaltyReward;
+
+            _credit(pendingWithdrawals, jurorAddr, token, feeReward);
+            _credit(pendingWithdrawals, jurorAddr, address(0), penaltyReward);
+            emit JurorRewarded(jurorAddr, disputeId, feeReward, penaltyReward);
+        }
+
+        dispute.jurorRewardsPaid += feeReward * coherentCount;
+    }
+
+    /**
+     * @dev Add to a juror's pending withdrawals
+     */
+    function _credit(
+        mapping(address => mapping(address => uint256)) storage pendingWithdrawals,
+        address payee,
+        address token,
+        uint256 amount
+    ) private {
+        if (amount > 0) {
+            pendingWithdrawals[payee][token] += amount;
+            emit PaymentCredited(payee, token, amount);
+        }
+    }
+
+    /**
+     * @dev Median of the revealed awards; with an even count, the midpoint of the middle two
+     */
+    function _medianAward(uint256[AWARD_BUCKETS] storage tally, uint256 count) private view returns (uint256) {
+        return (_nthAward(tally, (count - 1) / 2) + _nthAward(tally, count / 2)) / 2;
+    }
+
+    /**
+     * @dev The n-th smallest revealed award (zero-based)
+     */
+    function _nthAward(uint256[AWARD_BUCKETS] storage tally, uint256 n) private view returns (uint256) {
+        uint256 seen = 0;
+        for (uint256 bucket = 0; bucket < AWARD_BUCKETS; bucket++) {
+            seen += tally[bucket];
+            if (seen > n) {
+                return bucket * AWARD_STEP;
+            }
+        }
+        return MAX_AWARD;
+    }
+
+    /**
+     * @dev Whether a juror revealed an award within one bucket of the verdict
+     */
+    function _isCoherent(Dispute storage dispute, address juror) private view returns (bool) {
+        if (!dispute.hasRevealed[juror]) {
+            return false;
+        }
+        uint256 award = dispute.awards[juror];
+        uint256 ruling = dispute.tenantShare;
+        return (award > ruling ? award - ruling : ruling - award) <= AWARD_STEP;
+    }
+
+    /**
+     * @dev Move slashPercent of a juror's stake into the dispute's penalty pool
+     */
+    function _slashJuror(
+        Dispute storage dispute,
+        mapping(address => JurorSelection.Juror) storage jurors,
+        address jurorAddr,
+        uint256 disputeId,
+        uint256 slashPercent
+    ) private returns (uint256 amount) {
+        JurorSelection.Juror storage juror = jurors[jurorAddr];
+        amount = (juror.stakedAmount * slashPercent) / 10000;
+        if (amount == 0) {
+            return 0;
+        }
+
+        juror.stakedAmount -= amount;
+        juror.totalSlashed += amount;
+        dispute.penaltyPool += amount;
+
+        emit JurorSlashed(jurorAddr, disputeId, amount);
+    }
+
+    /**
+     * @dev Check whether an account sits on the dispute's current panel
+     */
+    function _isAssignedJuror(Dispute storage dispute, address account) private view returns (bool) {
+        for (uint256 i = 0; i < dispute.assignedJurors.length; i++) {
+            if (dispute.assignedJurors[i] == account) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * @dev Remove a dispute from a juror's active list
+     */
+    function _removeActiveDispute(uint256[] storage activeDisputes, uint256 disputeId) private {
+        for (uint256 i = 0; i < activeDisputes.length; i++) {
+            if (activeDisputes[i] == disputeId) {
+                activeDisputes[i] = activeDisputes[activeDisputes.length - 1];
+                activeDisputes.pop();
+                break;
+            }
+        }
+    }
+}
@@ -0,0 +1,220 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title JurorSelection
+ * @author FairBNB Team
+ * @notice Juror records and the stake- and reputation-weighted panel draw used by IntegratedEscrow
+ * @dev Deployed separately and linked so the escrow stays under the contract size limit
+ */
+library JurorSelection {
+
+    // ============ Structs ============
+
+    struct Juror {
+        uint256 stakedAmount;
+        uint256 stakedAt;
+        bool isActive;
+        uint256 disputesAssigned;
+        uint256 disputesVoted;
+        uint256 correctVotes;
+        uint256 totalEarned;
+        uint256 disputesCompleted;
+        uint256 totalSlashed;
+    }
+
+    // ============ Constants ============
+
+    uint256 internal constant MAX_REPUTATION = 10000;
+
+    // ============ Draw Functions ============
+
+    /**
+     * @notice Draw a panel of distinct jurors, weighted by stake and reputation, skipping the
+     *         agreement's parties and anyone who already sat on the dispute
+     * @param jurors Juror records by address
+     * @param pool Addresses of pooled jurors
+     * @param hasServed Jurors who already sat on the dispute
+     * @param landlord The dispute's landlord
+     * @param tenant The dispute's tenant
+     * @param panelSize Number of seats to fill
+     * @param randomWord Randomness for the draw
+     * @return selected The drawn jurors
+     * @return drawn False if the eligible pool ran out before the panel was filled
+     */
+    function draw(
+        mapping(address => Juror) storage jurors,
+        address[] storage pool,
+        mapping(address => bool) storage hasServed,
+        address landlord,
+        address tenant,
+        uint256 panelSize,
+        uint256 randomWord
+    ) external view returns (address[] memory selected, bool drawn) {
+        uint256 poolLength = pool.length;
+        uint256 remainingWeight = 0;
+        selected = new address[](panelSize);
+
+        for (uint256 i = 0; i < poolLength; i++) {
+            if (_isEligible(jurors, hasServed, landlord, tenant, pool[i])) {
+                remainingWeight += selectionWeight(jurors[pool[i]]);
+            }
+        }
+
+        for (uint256 seat = 0; seat < panelSize; seat++) {
+            if (remainingWeight == 0) {
+                return (selected, false);
+            }
+
+            // Walk the pool until the cumulative weight passes the target
+            uint256 target = uint256(keccak256(abi.encodePacked(randomWord, seat))) % remainingWeight;
+            for (uint256 i = 0; i < poolLength; i++) {
+                address candidate = pool[i];
+                if (!_isEligible(jurors, hasServed, landlord, tenant, candidate) || _isSelected(selected, seat, candidate)) {
+                    continue;
+                }
+
+                uint256 weight = selectionWeight(jurors[candidate]);
+                if (target < weight) {
+                    selected[seat] = candidate;
+                    remainingWeight -= weight;
+                    break;
+                }
+                target -= weight;
+            }
+        }
+
+        return (selected, true);
+    }
+
+    /**
+     * @notice Count pooled jurors who could still be drawn for a dispute
+     */
+    function eligibleCount(
+        mapping(address => Juror) storage jurors,
+        address[] storage pool,
+        mapping(address => bool) storage hasServed,
+        address landlord,
+        address tenant
+    ) external view returns (uint256 count) {
+        for (uint256 i = 0; i < pool.length; i++) {
+            if (_isEligible(jurors, hasServed, landlord, tenant, pool[i])) {
+                count++;
+            }
+        }
+    }
+
+    // ============ Pool Functions ============
+
+    /**
+     * @notice Add stake to a juror's record, entering them into the pool on their first stake
+     * @param jurors Juror records by address
+     * @param pool Addresses of pooled jurors
+     * @param poolIndex Position of each pooled juror in `pool`
+     * @param account The staking juror
+     * @param amount Stake added
+     * @return joined True if the account was not an active juror before
+     */
+    function addStake(
+        mapping(address => Juror) storage jurors,
+        address[] storage pool,
+        mapping(address => uint256) storage poolIndex,
+        address account,
+        uint256 amount
+    ) external returns (bool joined) {
+        Juror storage juror = jurors[account];
+
+        if (!juror.isActive) {
+            juror.isActive = true;
+            juror.stakedAt = block.timestamp;
+
+            poolIndex[account] = pool.length;
+            pool.push(account);
+            joined = true;
+        }
+
+        juror.stakedAmount += amount;
+    }
+
+    /**
+     * @notice Take a juror out of the pool and clear their stake
+     * @param jurors Juror records by address
+     * @param pool Addresses of pooled jurors
+     * @param poolIndex Position of each pooled juror in `pool`
+     * @param account The leaving juror
+     * @return amount The stake to return to the juror
+     */
+    function removeStake(
+        mapping(address => Juror) storage jurors,
+        address[] storage pool,
+        mapping(address => uint256) storage poolIndex,
+        address account
+    ) external returns (uint256 amount) {
+        Juror storage juror = jurors[account];
+        amount = juror.stakedAmount;
+        require(amount > 0, "No stake to withdraw");
+
+        // Swap the last pooled juror into the leaving juror's slot
+        uint256 index = poolIndex[account];
+        uint256 lastIndex = pool.length - 1;
+
+        if (index != lastIndex) {
+            address lastJuror = pool[lastIndex];
+            pool[index] = lastJuror;
+            poolIndex[lastJuror] = index;
+        }
+
+        pool.pop();
+        delete poolIndex[account];
+
+        juror.stakedAmount = 0;
+        juror.isActive = false;
+    }
+
+    // ============ Weight Functions ============
+
+    /**
+     * @notice Reputation in basis points: share of completed disputes voted with the outcome,
+     *         smoothed so new jurors start at half of MAX_REPUTATION
+     */
+    function reputation(Juror storage juror) internal view returns (uint256) {
+        return ((juror.correctVotes + 1) * MAX_REPUTATION) / (juror.disputesCompleted + 2);
+    }
+
+    /**
+     * @notice Selection weight of a juror: stake scaled by reputation
+     */
+    function selectionWeight(Juror storage juror) internal view returns (uint256) {
+        return (juror.stakedAmount * reputation(juror)) / MAX_REPUTATION;
+    }
+
+    // ============ Helper Functions ============
+
+    /**
+     * @dev Whether a pooled juror may be drawn for a dispute
+     */
+    function _isEligible(
+        mapping(address => Juror) storage jurors,
+        mapping(address => bool) storage hasServed,
+        address landlord,
+        address tenant,
+        address juror
+    ) private view returns (bool) {
+        return juror != landlord &&
+            juror != tenant &&
+            !hasServed[juror] &&
+            selectionWeight(jurors[juror]) > 0;
+    }
+
+    /**
+     * @dev Whether a juror is among the first `filled` seats of a draw
+     */
+    function _isSelected(address[] memory selected, uint256 filled, address juror) private pure returns (bool) {
+        for (uint256 i = 0; i < filled; i++) {
+            if (selected[i] == juror) {
+                return true;
+            }
+        }
+        return false;
+    }
+}
@@ -0,0 +1,153 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "./DisputeRounds.sol";
+
+// ============ Types ============
+
+// Bond a landlord posts on a listing; it backs every agreement they make for that property
+struct ListingBond {
+    address landlord;
+    address token; // address(0) for BNB
+    uint256 amount;
+}
+
+/**
+ * @title LandlordBonds
+ * @author FairBNB Team
+ * @notice Bonds landlords post on their IntegratedEscrow listings so they have something at stake
+ *         if they misrepresent a property
+ * @dev Deployed separately and linked. Runs in the escrow's context, so its events are logged and its
+ *      errors raised by the escrow, which declares the same events and errors for its ABI. The escrow
+ *      collects the payment for a bond itself.
+ */
+library LandlordBonds {
+
+    // ============ Events ============
+
+    event BondPosted(uint256 indexed tokenId, address indexed landlord, address token, uint256 amount);
+    event BondWithdrawn(uint256 indexed tokenId, address indexed landlord, uint256 amount);
+    event BondAwarded(uint256 indexed tokenId, uint256 indexed disputeId, address indexed tenant, uint256 amount);
+    event PaymentCredited(address indexed payee, address indexed token, uint256 amount);
+
+    // ============ Errors ============
+
+    error NotPropertyOwner();
+    error InvalidBond();
+    error BondTokenNotAllowed();
+    error BondTokenMismatch();
+    error NoBond();
+    error BondLocked();
+
+    // ============ Bond Functions ============
+
+    /**
+     * @notice Record a bond or a top-up on a listing
+     * @dev Top-ups must use the bond's token; a new token can be chosen once the bond is spent
+     * @param bonds Bonds by RentalNFT token ID
+     * @param allowedTokens ERC-20s the escrow accepts besides BNB
+     * @param rentalNFT The RentalNFT contract
+     * @param tokenId The property's token ID
+     * @param token Bond token, address(0) for BNB
+     * @param amount Amount added to the bond
+     */
+    function post(
+        mapping(uint256 => ListingBond) storage bonds,
+        mapping(address => bool) storage allowedTokens,
+        address rentalNFT,
+        uint256 tokenId,
+        address token,
+        uint256 amount
+    ) external {
+        require(IERC721(rentalNFT).ownerOf(tokenId) == msg.sender, NotPropertyOwner());
+        require(amount > 0, InvalidBond());
+
+        ListingBond storage bond = bonds[tokenId];
+        if (bond.amount == 0) {
+            require(token == address(0) || allowedTokens[token], BondTokenNotAllowed());
+            bond.landlord = msg.sender;
+            bond.token = token;
+        } else {
+            require(bond.landlord == msg.sender && bond.token == token, BondTokenMismatch());
+        }
+        bond.amount += amount;
+
+        emit BondPosted(tokenId, msg.sender, token, amount);
+    }
+
+    /**
+     * @notice Credit a landlord's whole bond back to their pending withdrawals
+     * @param bonds Bonds by RentalNFT token ID
+     * @param pendingWithdrawals The escrow's pending withdrawals
+     * @param tokenId The property's token ID
+     * @param locked Whether an agreement the bond backs is still active or disputed
+     */
+    function withdraw(
+        mapping(uint256 => ListingBond) storage bonds,
+        mapping(address => mapping(address => uint256)) storage pendingWithdrawals,
+        uint256 tokenId,
+        bool locked
+    ) external {
+        ListingBond storage bond = bonds[tokenId];
+        uint256 amount = bond.amount;
+        require(bond.landlord == msg.sender && amount > 0, NoBond());
+        require(!locked, BondLocked());
+
+        bond.amount = 0;
+        _credit(pendingWithdrawals, msg.sender, bond.token, amount);
+
+        emit BondWithdrawn(tokenId, msg.sender, amount);
+    }
+
+    /**
+     * @notice Award the tenant the verdict's share of the landlord's bond, as with the deposit
+     * @dev Bonds a previous owner of the property left behind are not touched
+     * @param bonds Bonds by RentalNFT token ID
+     * @param pendingWithdrawals The escrow's pending withdrawals
+     * @param tokenId The property's token ID
+     * @param landlord The disputed agreement's landlord
+     * @param tenant The disputed agreement's tenant
+     * @param disputeId The settled dispute
+     * @param tenantShare The final verdict, in basis points
+     */
+    function award(
+        mapping(uint256 => ListingBond) storage bonds,
+        mapping(address => mapping(address => uint256)) storage pendingWithdrawals,
+        uint256 tokenId,
+        address landlord,
+        address tenant,
+        uint256 disputeId,
+        uint256 tenantShare
+    ) external {
+        ListingBond storage bond = bonds[tokenId];
+        if (bond.landlord != landlord) {
+            return;
+        }
+
+        uint256 awarded = (bond.amount * tenantShare) / MAX_AWARD;
+        if (awarded == 0) {
+            return;
+        }
+
+        bond.amount -= awarded;
+        _credit(pendingWithdrawals, tenant, bond.token, awarded);
+
+        emit BondAwarded(tokenId, disputeId, tenant, awarded);
+    }
+
+    // ============ Helper Functions ============
+
+    /**
+     * @dev Add to an address's pending withdrawals
+     */
+    function _credit(
+        mapping(address => mapping(address => uint256)) storage pendingWithdrawals,
+        address payee,
+        address token,
+        uint256 amount
+    ) private {
+        pendingWithdrawals[payee][token] += amount;
+        emit PaymentCredited(payee, token, amount);
+    }
+}
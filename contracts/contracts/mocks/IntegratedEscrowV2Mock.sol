@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "../IntegratedEscrow.sol";
+
+/**
+ * @title IntegratedEscrowV2Mock
+ * @notice Next IntegratedEscrowUpgradeable release for upgrade tests: appends state and a
+ *         one-off migration step
+ */
+contract IntegratedEscrowV2Mock is IntegratedEscrowBase {
+    uint256 public migratedAt;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize(address initialOwner) external initializer {
+        __IntegratedEscrow_init(initialOwner);
+    }
+
+    function migrate() external reinitializer(2) {
+        migratedAt = block.timestamp;
+    }
+}
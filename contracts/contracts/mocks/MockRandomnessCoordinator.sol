@@ -0,0 +1,41 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "../interfaces/IRandomnessCoordinator.sol";
+
+/**
+ * @title MockRandomnessCoordinator
+ * @notice Local randomness coordinator for tests; random words are supplied by the caller
+ */
+contract MockRandomnessCoordinator is IRandomnessCoordinator {
+    uint256 public lastRequestId;
+    mapping(uint256 => address) public consumers;
+    
+    event RandomnessRequested(uint256 indexed requestId, address indexed consumer);
+    
+    error UnknownRequest();
+    
+    function requestRandomness() external returns (uint256 requestId) {
+        requestId = ++lastRequestId;
+        consumers[requestId] = msg.sender;
+        emit RandomnessRequested(requestId, msg.sender);
+    }
+    
+    /**
+     * @notice Words exist only once a test supplies them, so no request is ever left fulfillable
+     */
+    function isPending(uint256) external pure returns (bool) {
+        return false;
+    }
+    
+    /**
+     * @notice Fulfill a pending request with a chosen random word
+     */
+    function fulfillRandomness(uint256 requestId, uint256 randomWord) external {
+        address consumer = consumers[requestId];
+        require(consumer != address(0), UnknownRequest());
+        delete consumers[requestId];
+        
+        IRandomnessConsumer(consumer).rawFulfillRandomness(requestId, randomWord);
+    }
+}
@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title RejectingWallet
+ * @notice Test account that forwards calls but rejects plain BNB transfers
+ */
+contract RejectingWallet {
+    /**
+     * @notice Call a target from this wallet, bubbling up reverts
+     */
+    function execute(address target, bytes calldata data) external payable returns (bytes memory) {
+        (bool success, bytes memory result) = target.call{value: msg.value}(data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        return result;
+    }
+}
@@ -0,0 +1,28 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "../RentalNFT.sol";
+
+/**
+ * @title LeadingSlotMock
+ * @notice Base that claims storage slot 0 ahead of everything it is inherited before
+ */
+abstract contract LeadingSlotMock {
+    uint256 internal leadingSlot;
+}
+
+/**
+ * @title RentalNFTLayoutClashMock
+ * @notice RentalNFT release whose new base shifts every existing state variable, which the
+ *         storage layout checks must reject
+ */
+contract RentalNFTLayoutClashMock is LeadingSlotMock, RentalNFTBase {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize(string memory _name, string memory _symbol, address admin) external initializer {
+        __RentalNFT_init(_name, _symbol, admin);
+    }
+}
@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "../IntegratedEscrow.sol";
+
+/**
+ * @title IntegratedEscrowUpgradeable
+ * @author FairBNB Team
+ * @notice IntegratedEscrow deployed behind a transparent proxy, so fixes can ship without
+ *         stranding live agreements and held funds
+ * @dev Upgrades are authorized by the proxy's ProxyAdmin. Upgrade logic stays out of the
+ *      implementation, which is already close to the contract size limit.
+ */
+contract IntegratedEscrowUpgradeable is IntegratedEscrowBase {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * @notice Initialize the proxy's storage
+     * @param initialOwner Account that administers the escrow
+     */
+    function initialize(address initialOwner) external initializer {
+        __IntegratedEscrow_init(initialOwner);
+    }
+}
@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "../RentalNFT.sol";
+
+/**
+ * @title RentalNFTUpgradeable
+ * @author FairBNB Team
+ * @notice RentalNFT deployed behind a transparent proxy, upgraded together with IntegratedEscrowUpgradeable
+ * @dev Upgrades are authorized by the proxy's ProxyAdmin
+ */
+contract RentalNFTUpgradeable is RentalNFTBase {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * @notice Initialize the proxy's storage
+     * @param _name Token name
+     * @param _symbol Token symbol
+     * @param admin Account granted the admin and minter roles
+     */
+    function initialize(string memory _name, string memory _symbol, address admin) external initializer {
+        __RentalNFT_init(_name, _symbol, admin);
+    }
+}
@@ -2,6 +2,64 @@ const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
 
+// Beacon round windows and contributor bond, overridable per network
+const BEACON_COMMIT_WINDOW = Number(process.env.BEACON_COMMIT_WINDOW || 60 * 60);
+const BEACON_REVEAL_WINDOW = Number(process.env.BEACON_REVEAL_WINDOW || 60 * 60);
+const BEACON_BOND = hre.ethers.parseEther(process.env.BEACON_BOND || "0.001");
+
+const RENTAL_NFT_NAME = "FairBNB Rental";
+const RENTAL_NFT_SYMBOL = "FBR";
+
+// UPGRADEABLE=true deploys RentalNFT and IntegratedEscrow behind transparent proxies
+const UPGRADEABLE = process.env.UPGRADEABLE === "true";
+
+// The linked libraries hold no state, so they cannot clash with the proxy's storage
+const ESCROW_PROXY_OPTIONS = { kind: "transparent", unsafeAllow: ["external-library-linking"] };
+const RENTAL_NFT_PROXY_OPTIONS = { kind: "transparent" };
+
+// GOVERNOR_APPROVERS hands IntegratedEscrow to a ProtocolGovernor, so fee, parameter and pause
+// changes need GOVERNOR_THRESHOLD approvals and wait GOVERNOR_DELAY seconds before they run
+const GOVERNOR_APPROVERS = process.env.GOVERNOR_APPROVERS;
+const GOVERNOR_THRESHOLD = Number(process.env.GOVERNOR_THRESHOLD || 2);
+const GOVERNOR_DELAY = Number(process.env.GOVERNOR_DELAY || 2 * 24 * 60 * 60);
+
+/**
+ * Comma-separated addresses from an environment variable
+ */
+function addressList(value) {
+  return (value || "")
+    .split(",")
+    .map((address) => address.trim())
+    .filter(Boolean);
+}
+
+async function deploy(name, args = [], options = {}) {
+  console.log(`\nDeploying ${name}...`);
+  const factory = await hre.ethers.getContractFactory(name, options);
+  const contract = await factory.deploy(...args);
+  await contract.waitForDeployment();
+  const address = await contract.getAddress();
+  console.log(`${name} deployed to:`, address);
+  return { contract, address };
+}
+
+/**
+ * Deploy an upgradeable contract behind a transparent proxy, initialized with `args`.
+ * The proxy's ProxyAdmin is owned by the deployer.
+ */
+async function deployProxy(name, args, proxyOptions, options = {}) {
+  console.log(`\nDeploying ${name} behind a transparent proxy...`);
+  const factory = await hre.ethers.getContractFactory(name, options);
+  const contract = await hre.upgrades.deployProxy(factory, args, proxyOptions);
+  await contract.waitForDeployment();
+  const address = await contract.getAddress();
+  const implementation = await hre.upgrades.erc1967.getImplementationAddress(address);
+  const proxyAdmin = await hre.upgrades.erc1967.getAdminAddress(address);
+  console.log(`${name} proxy deployed to:`, address);
+  console.log(`${name} implementation:`, implementation);
+  return { contract, address, proxy: { contract: name, implementation, proxyAdmin } };
+}
+
 async function main() {
   try {
     const [deployer] = await hre.ethers.getSigners();
@@ -9,14 +67,90 @@ async function main() {
     console.log("Network:", hre.network.name);
 
     // Deploy FairBNB
-    console.log("\nDeploying FairBNB...");
-    const FairBNB = await hre.ethers.getContractFactory("FairBNB");
-    const fairBNB = await FairBNB.deploy();
-    await fairBNB.waitForDeployment();
-    const fairBNBAddress = await fairBNB.getAddress();
-    console.log("FairBNB deployed to:", fairBNBAddress);
-
-    // Save deployment info for verify.js
+    const { address: fairBNBAddress } = await deploy("FairBNB");
+
+    // Deploy the IntegratedEscrow libraries and link them
+    const { address: jurorSelectionAddress } = await deploy("JurorSelection");
+    const { address: disputeRoundsAddress } = await deploy("DisputeRounds");
+    const { address: landlordBondsAddress } = await deploy("LandlordBonds");
+
+    const libraries = {
+      JurorSelection: jurorSelectionAddress,
+      DisputeRounds: disputeRoundsAddress,
+      LandlordBonds: landlordBondsAddress
+    };
+    const rentalNFTDeployment = UPGRADEABLE
+      ? await deployProxy(
+        "RentalNFTUpgradeable",
+        [RENTAL_NFT_NAME, RENTAL_NFT_SYMBOL, deployer.address],
+        RENTAL_NFT_PROXY_OPTIONS
+      )
+      : await deploy("RentalNFT", [RENTAL_NFT_NAME, RENTAL_NFT_SYMBOL]);
+    const escrowDeployment = UPGRADEABLE
+      ? await deployProxy("IntegratedEscrowUpgradeable", [deployer.address], ESCROW_PROXY_OPTIONS, { libraries })
+      : await deploy("IntegratedEscrow", [], { libraries });
+    const { contract: rentalNFT, address: rentalNFTAddress } = rentalNFTDeployment;
+    const { contract: escrow, address: escrowAddress } = escrowDeployment;
+
+    // Jurors are drawn from an external coordinator when one is given, else from a fresh beacon
+    let coordinatorAddress = process.env.RANDOMNESS_COORDINATOR;
+    let beacon = null;
+    if (!coordinatorAddress) {
+      const deployed = await deploy("CommitRevealBeacon", [
+        BEACON_COMMIT_WINDOW,
+        BEACON_REVEAL_WINDOW,
+        BEACON_BOND
+      ]);
+      coordinatorAddress = deployed.address;
+      beacon = {
+        address: coordinatorAddress,
+        commitWindow: BEACON_COMMIT_WINDOW,
+        revealWindow: BEACON_REVEAL_WINDOW,
+        bond: BEACON_BOND.toString()
+      };
+    }
+
+    // Wire RentalNFT and IntegratedEscrow together
+    console.log("\nWiring contracts...");
+    await (await escrow.setRentalNFT(rentalNFTAddress)).wait();
+    await (await escrow.setRandomnessCoordinator(coordinatorAddress)).wait();
+    await (await rentalNFT.setEscrowContract(escrowAddress)).wait();
+
+    const landlords = [deployer.address, ...addressList(process.env.LANDLORD_ADDRESSES)];
+    for (const landlord of landlords) {
+      await (await rentalNFT.grantLandlordRole(landlord)).wait();
+      console.log("Granted LANDLORD_ROLE to:", landlord);
+    }
+
+    const paymentTokens = addressList(process.env.PAYMENT_TOKENS);
+    for (const token of paymentTokens) {
+      await (await escrow.setAllowedToken(token, true)).wait();
+      console.log("Allowed payment token:", token);
+    }
+
+    // Reviews read agreement state from the escrow, so they follow it through upgrades
+    const { address: reviewsAddress } = await deploy("RentalReviews", [escrowAddress]);
+
+    // Ownership moves last so the wiring above can still be done by the deployer
+    let governor = null;
+    if (GOVERNOR_APPROVERS) {
+      const approvers = addressList(GOVERNOR_APPROVERS);
+      const { address: governorAddress } = await deploy("ProtocolGovernor", [
+        approvers,
+        GOVERNOR_THRESHOLD,
+        GOVERNOR_DELAY
+      ]);
+      await (await escrow.transferOwnership(governorAddress)).wait();
+      console.log("Transferred IntegratedEscrow ownership to:", governorAddress);
+      governor = {
+        address: governorAddress,
+        approvers,
+        threshold: GOVERNOR_THRESHOLD,
+        minDelay: GOVERNOR_DELAY
+      };
+    }
+
+    // Save deployment info for verify.js and upgrade.js
     const deploymentInfo = {
       network: hre.network.name,
       deployer: deployer.address,
@@ -26,7 +160,27 @@ async function main() {
           address: fairBNBAddress,
           name: "FairBNB Property",
           symbol: "FBNB"
-        }
+        },
+        rentalNFT: {
+          address: rentalNFTAddress,
+          name: RENTAL_NFT_NAME,
+          symbol: RENTAL_NFT_SYMBOL,
+          landlords,
+          ...(rentalNFTDeployment.proxy && { proxy: rentalNFTDeployment.proxy })
+        },
+        integratedEscrow: {
+          address: escrowAddress,
+          randomnessCoordinator: coordinatorAddress,
+          paymentTokens,
+          libraries,
+          ...(escrowDeployment.proxy && { proxy: escrowDeployment.proxy })
+        },
+        rentalReviews: {
+          address: reviewsAddress,
+          escrow: escrowAddress
+        },
+        ...(beacon && { commitRevealBeacon: beacon }),
+        ...(governor && { protocolGovernor: governor })
       }
     };
     const deploymentPath = path.join(__dirname, "..", "deployment.json");
@@ -35,6 +189,18 @@ async function main() {
 
     console.log("\nDone.");
     console.log("FairBNB:", fairBNBAddress);
+    console.log("RentalNFT:", rentalNFTAddress);
+    console.log("IntegratedEscrow:", escrowAddress);
+    console.log("RentalReviews:", reviewsAddress);
+    console.log("Randomness coordinator:", coordinatorAddress);
+    console.log("\nClient environment:");
+    console.log(`VITE_FAIRBNB_CONTRACT_ADDRESS=${fairBNBAddress}`);
+    console.log(`VITE_ESCROW_CONTRACT_ADDRESS=${escrowAddress}`);
+    console.log(`VITE_REVIEWS_CONTRACT_ADDRESS=${reviewsAddress}`);
+    if (governor) {
+      console.log(`VITE_GOVERNOR_CONTRACT_ADDRESS=${governor.address}`);
+    }
+    console.log("Set VITE_PROTOCOL=escrow to run the client against IntegratedEscrow");
   } catch (error) {
     console.error("Deployment failed:", error);
     process.exit(1);
@@ -46,4 +212,4 @@ main()
   .catch((error) => {
     console.error(error);
     process.exit(1);
-  });
\ No newline at end of file
+  });
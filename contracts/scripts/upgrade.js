@@ -0,0 +1,124 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+
+// Contracts in deployment.json that can be upgraded, with their proxy options
+const UPGRADEABLE_CONTRACTS = {
+  rentalNFT: { kind: "transparent" },
+  // The linked libraries hold no state, so they cannot clash with the proxy's storage
+  integratedEscrow: { kind: "transparent", unsafeAllow: ["external-library-linking"] }
+};
+
+// Comma-separated keys of UPGRADEABLE_CONTRACTS to upgrade, all proxied contracts by default
+const UPGRADE_CONTRACTS = process.env.UPGRADE_CONTRACTS;
+
+// REDEPLOY_LIBRARIES=true links the escrow's new implementation against fresh library deployments,
+// needed whenever JurorSelection, DisputeRounds or LandlordBonds changed
+const REDEPLOY_LIBRARIES = process.env.REDEPLOY_LIBRARIES === "true";
+
+async function deployLibrary(name) {
+  console.log(`\nDeploying ${name}...`);
+  const factory = await hre.ethers.getContractFactory(name);
+  const library = await factory.deploy();
+  await library.waitForDeployment();
+  const address = await library.getAddress();
+  console.log(`${name} deployed to:`, address);
+  return address;
+}
+
+/**
+ * Upgrade one proxy to the current build of its contract. The plugin checks the new
+ * implementation's storage layout against the deployed one and refuses incompatible upgrades.
+ */
+async function upgrade(key, entry) {
+  const { contract: name, implementation: oldImplementation } = entry.proxy;
+  console.log(`\nUpgrading ${name} at ${entry.address}...`);
+
+  let options = {};
+  if (entry.libraries) {
+    if (REDEPLOY_LIBRARIES) {
+      for (const library of Object.keys(entry.libraries)) {
+        entry.libraries[library] = await deployLibrary(library);
+      }
+    }
+
+    // Libraries the new build links that the deployed one did not
+    const { linkReferences } = await hre.artifacts.readArtifact(name);
+    for (const library of Object.values(linkReferences).flatMap(Object.keys)) {
+      if (!entry.libraries[library]) {
+        entry.libraries[library] = await deployLibrary(library);
+      }
+    }
+    options = { libraries: entry.libraries };
+  }
+
+  const factory = await hre.ethers.getContractFactory(name, options);
+  const upgraded = await hre.upgrades.upgradeProxy(entry.address, factory, UPGRADEABLE_CONTRACTS[key]);
+  await upgraded.waitForDeployment();
+
+  const implementation = await hre.upgrades.erc1967.getImplementationAddress(entry.address);
+  if (implementation === oldImplementation) {
+    console.log(`${name} is unchanged, implementation stays at:`, implementation);
+    return false;
+  }
+
+  console.log(`${name} implementation upgraded from ${oldImplementation} to ${implementation}`);
+  entry.proxy.implementation = implementation;
+  entry.proxy.upgradedAt = new Date().toISOString();
+  return true;
+}
+
+async function main() {
+  const deploymentPath = path.join(__dirname, "..", "deployment.json");
+  if (!fs.existsSync(deploymentPath)) {
+    throw new Error("deployment.json not found. Run deploy.js first.");
+  }
+
+  const deploymentInfo = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
+  if (deploymentInfo.network !== hre.network.name) {
+    throw new Error(
+      `deployment.json is for ${deploymentInfo.network}, not ${hre.network.name}`
+    );
+  }
+
+  const keys = UPGRADE_CONTRACTS
+    ? UPGRADE_CONTRACTS.split(",").map((key) => key.trim()).filter(Boolean)
+    : Object.keys(UPGRADEABLE_CONTRACTS);
+
+  const [deployer] = await hre.ethers.getSigners();
+  console.log("Upgrading with:", deployer.address);
+  console.log("Network:", hre.network.name);
+
+  let upgradedAny = false;
+  for (const key of keys) {
+    if (!UPGRADEABLE_CONTRACTS[key]) {
+      throw new Error(`Unknown contract "${key}", expected one of ${Object.keys(UPGRADEABLE_CONTRACTS).join(", ")}`);
+    }
+
+    const entry = deploymentInfo.contracts[key];
+    if (!entry || !entry.proxy) {
+      if (UPGRADE_CONTRACTS) {
+        throw new Error(`${key} was not deployed behind a proxy. Deploy with UPGRADEABLE=true.`);
+      }
+      console.log(`\n${key} was not deployed behind a proxy, skipping it`);
+      continue;
+    }
+
+    upgradedAny = (await upgrade(key, entry)) || upgradedAny;
+  }
+
+  if (upgradedAny) {
+    fs.writeFileSync(deploymentPath, JSON.stringify(deploymentInfo, null, 2));
+    console.log("\nSaved deployment info to:", deploymentPath);
+    console.log("Run verify.js to verify the new implementations");
+  }
+
+  console.log("\nUpgrade process completed!");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -1,55 +1,101 @@
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
 
+async function verify(name, address, constructorArguments = [], libraries = undefined) {
+  console.log(`\nVerifying ${name}...`);
+  try {
+    await hre.run("verify:verify", {
+      address,
+      constructorArguments,
+      ...(libraries && { libraries })
+    });
+    console.log(`${name} verified successfully!`);
+  } catch (error) {
+    if (error.message.includes("Already Verified")) {
+      console.log(`${name} already verified`);
+    } else {
+      console.log(`${name} verification failed:`, error.message);
+    }
+  }
+}
+
+/**
+ * Verify a proxied contract's implementation, then let the upgrades plugin verify the
+ * proxy itself and link it to the implementation on the explorer
+ */
+async function verifyProxied(entry, libraries = undefined) {
+  await verify(entry.proxy.contract, entry.proxy.implementation, [], libraries);
+
+  console.log(`\nVerifying ${entry.proxy.contract} proxy...`);
+  try {
+    await hre.run("verify", { address: entry.address });
+    console.log(`${entry.proxy.contract} proxy verified successfully!`);
+  } catch (error) {
+    console.log(`${entry.proxy.contract} proxy verification failed:`, error.message);
+  }
+}
+
 async function main() {
   console.log("Starting contract verification...");
-  
+
   // Load deployment info
   const deploymentPath = path.join(__dirname, "..", "deployment.json");
   if (!fs.existsSync(deploymentPath)) {
     throw new Error("deployment.json not found. Run deploy.js first.");
   }
-  
+
   const deploymentInfo = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
-  
+  const { fairBNB, rentalNFT, integratedEscrow, commitRevealBeacon, protocolGovernor, rentalReviews } = deploymentInfo.contracts;
+
   console.log("Found deployment info for network:", deploymentInfo.network);
-  console.log("RentalNFT:", deploymentInfo.contracts.rentalNFT.address);
-  console.log("IntegratedEscrow:", deploymentInfo.contracts.integratedEscrow.address);
 
-  // Verify RentalNFT
-  console.log("\nVerifying RentalNFT...");
-  try {
-    await hre.run("verify:verify", {
-      address: deploymentInfo.contracts.rentalNFT.address,
-      constructorArguments: [
-        deploymentInfo.contracts.rentalNFT.name,
-        deploymentInfo.contracts.rentalNFT.symbol
-      ],
-    });
-    console.log("RentalNFT verified successfully!");
-  } catch (error) {
-    if (error.message.includes("Already Verified")) {
-      console.log("RentalNFT already verified");
-    } else {
-      console.log("RentalNFT verification failed:", error.message);
-    }
+  if (fairBNB) {
+    await verify("FairBNB", fairBNB.address);
   }
 
-  // Verify IntegratedEscrow
-  console.log("\nVerifying IntegratedEscrow...");
-  try {
-    await hre.run("verify:verify", {
-      address: deploymentInfo.contracts.integratedEscrow.address,
-      constructorArguments: [],
-    });
-    console.log("IntegratedEscrow verified successfully!");
-  } catch (error) {
-    if (error.message.includes("Already Verified")) {
-      console.log("IntegratedEscrow already verified");
-    } else {
-      console.log("IntegratedEscrow verification failed:", error.message);
-    }
+  if (!rentalNFT || !integratedEscrow) {
+    console.log("\nNo IntegratedEscrow deployment recorded, skipping it");
+    console.log("\nVerification process completed!");
+    return;
+  }
+
+  console.log("RentalNFT:", rentalNFT.address);
+  console.log("IntegratedEscrow:", integratedEscrow.address);
+
+  if (rentalNFT.proxy) {
+    await verifyProxied(rentalNFT);
+  } else {
+    await verify("RentalNFT", rentalNFT.address, [rentalNFT.name, rentalNFT.symbol]);
+  }
+
+  for (const [library, address] of Object.entries(integratedEscrow.libraries || {})) {
+    await verify(library, address);
+  }
+  if (integratedEscrow.proxy) {
+    await verifyProxied(integratedEscrow, integratedEscrow.libraries);
+  } else {
+    await verify("IntegratedEscrow", integratedEscrow.address, [], integratedEscrow.libraries);
+  }
+
+  if (rentalReviews) {
+    await verify("RentalReviews", rentalReviews.address, [rentalReviews.escrow]);
+  }
+
+  if (commitRevealBeacon) {
+    await verify("CommitRevealBeacon", commitRevealBeacon.address, [
+      commitRevealBeacon.commitWindow,
+      commitRevealBeacon.revealWindow,
+      commitRevealBeacon.bond
+    ]);
+  }
+
+  if (protocolGovernor) {
+    await verify("ProtocolGovernor", protocolGovernor.address, [
+      protocolGovernor.approvers,
+      protocolGovernor.threshold,
+      protocolGovernor.minDelay
+    ]);
   }
 
   console.log("\nVerification process completed!");
@@ -0,0 +1,210 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("CommitRevealBeacon Contract", function () {
+  let beacon, escrow, rentalNFT;
+  let landlord, tenant, contributor1, contributor2, juror1, juror2, juror3;
+
+  const COMMIT_WINDOW = 60 * 60;
+  const REVEAL_WINDOW = 60 * 60;
+  const BOND = ethers.parseEther("0.01");
+
+  const RENT = ethers.parseEther("0.002");
+  const DEPOSIT = ethers.parseEther("0.004");
+  const DISPUTE_FEE = ethers.parseEther("0.001");
+
+  const SECRET_1 = ethers.id("secret-1");
+  const SECRET_2 = ethers.id("secret-2");
+
+  function commitmentFor(requestId, contributor, secret) {
+    return ethers.solidityPackedKeccak256(
+      ["uint256", "address", "bytes32"],
+      [requestId, contributor.address, secret]
+    );
+  }
+
+  beforeEach(async function () {
+    [, landlord, tenant, contributor1, contributor2, juror1, juror2, juror3] = await ethers.getSigners();
+
+    const CommitRevealBeacon = await ethers.getContractFactory("CommitRevealBeacon");
+    beacon = await CommitRevealBeacon.deploy(COMMIT_WINDOW, REVEAL_WINDOW, BOND);
+    await beacon.waitForDeployment();
+
+    const RentalNFT = await ethers.getContractFactory("RentalNFT");
+    rentalNFT = await RentalNFT.deploy("FairBNB Rental", "FBR");
+    await rentalNFT.waitForDeployment();
+
+    const JurorSelection = await ethers.getContractFactory("JurorSelection");
+    const jurorSelection = await JurorSelection.deploy();
+    await jurorSelection.waitForDeployment();
+
+    const DisputeRounds = await ethers.getContractFactory("DisputeRounds");
+    const disputeRounds = await DisputeRounds.deploy();
+    await disputeRounds.waitForDeployment();
+
+    const LandlordBonds = await ethers.getContractFactory("LandlordBonds");
+    const landlordBonds = await LandlordBonds.deploy();
+    await landlordBonds.waitForDeployment();
+
+    const IntegratedEscrow = await ethers.getContractFactory("IntegratedEscrow", {
+      libraries: {
+        JurorSelection: await jurorSelection.getAddress(),
+        DisputeRounds: await disputeRounds.getAddress(),
+        LandlordBonds: await landlordBonds.getAddress()
+      }
+    });
+    escrow = await IntegratedEscrow.deploy();
+    await escrow.waitForDeployment();
+
+    await escrow.setRentalNFT(await rentalNFT.getAddress());
+    await escrow.setRandomnessCoordinator(await beacon.getAddress());
+    await rentalNFT.setEscrowContract(await escrow.getAddress());
+    await rentalNFT.mint(landlord.address, "ipfs://property");
+
+    for (const juror of [juror1, juror2, juror3]) {
+      await escrow.connect(juror).stakeAsJuror({ value: ethers.parseEther("0.01") });
+    }
+
+    await escrow.connect(tenant).createAgreement({
+      landlord: landlord.address,
+      nftContract: await rentalNFT.getAddress(),
+      tokenId: 1,
+      rentAmount: RENT,
+      depositAmount: DEPOSIT,
+      disputeFee: DISPUTE_FEE,
+      durationMonths: 1,
+      prepaidMonths: 1,
+      paymentToken: ethers.ZeroAddress
+    }, { value: RENT + DEPOSIT + DISPUTE_FEE });
+    await escrow.connect(landlord).acceptAgreement(1);
+
+    // Raising a dispute opens beacon round 1 for the escrow
+    await escrow.connect(tenant).raiseDispute(1, "ipfs://evidence");
+  });
+
+  async function commit(contributor, secret) {
+    return beacon.connect(contributor).commit(1, commitmentFor(1, contributor, secret), { value: BOND });
+  }
+
+  it("Should reject invalid windows and bonds", async function () {
+    const CommitRevealBeacon = await ethers.getContractFactory("CommitRevealBeacon");
+    await expect(CommitRevealBeacon.deploy(0, REVEAL_WINDOW, BOND)).to.be.revertedWithCustomError(CommitRevealBeacon, "InvalidWindows");
+    await expect(CommitRevealBeacon.deploy(COMMIT_WINDOW, REVEAL_WINDOW, 0)).to.be.revertedWithCustomError(CommitRevealBeacon, "InvalidBond");
+  });
+
+  it("Should open a round for the requesting consumer", async function () {
+    const request = await beacon.requests(1);
+    expect(request.consumer).to.equal(await escrow.getAddress());
+    expect(request.revealDeadline - request.commitDeadline).to.equal(REVEAL_WINDOW);
+  });
+
+  it("Should draw jurors once contributors reveal and the round is fulfilled", async function () {
+    await expect(commit(contributor1, SECRET_1))
+      .to.emit(beacon, "EntropyCommitted")
+      .withArgs(1, contributor1.address);
+    await commit(contributor2, SECRET_2);
+
+    await time.increase(COMMIT_WINDOW + 1);
+    await expect(beacon.connect(contributor1).reveal(1, SECRET_1))
+      .to.emit(beacon, "EntropyRevealed")
+      .withArgs(1, contributor1.address);
+    await beacon.connect(contributor2).reveal(1, SECRET_2);
+
+    await expect(beacon.fulfill(1)).to.be.revertedWithCustomError(beacon, "RevealWindowOpen");
+
+    // The word depends on the revealed secrets only, not on the block it is fulfilled in
+    const seed = ethers.solidityPackedKeccak256(
+      ["bytes32", "bytes32"],
+      [ethers.solidityPackedKeccak256(["bytes32", "bytes32"], [ethers.ZeroHash, SECRET_1]), SECRET_2]
+    );
+    await time.increase(REVEAL_WINDOW);
+    await expect(beacon.fulfill(1))
+      .to.emit(beacon, "RandomnessFulfilled")
+      .withArgs(1, BigInt(seed))
+      .and.to.emit(escrow, "DisputeCreated");
+
+    expect((await escrow.getDispute(1)).status).to.equal(1); // Active
+    await expect(beacon.fulfill(1)).to.be.revertedWithCustomError(beacon, "AlreadyFulfilled");
+  });
+
+  it("Should enforce the commit and reveal windows", async function () {
+    await commit(contributor1, SECRET_1);
+
+    await expect(beacon.connect(contributor1).reveal(1, SECRET_1))
+      .to.be.revertedWithCustomError(beacon, "CommitWindowOpen");
+    await expect(commit(contributor1, SECRET_2))
+      .to.be.revertedWithCustomError(beacon, "AlreadyCommitted");
+
+    await time.increase(COMMIT_WINDOW + 1);
+    await expect(commit(contributor2, SECRET_2))
+      .to.be.revertedWithCustomError(beacon, "CommitWindowClosed");
+
+    await time.increase(REVEAL_WINDOW);
+    await expect(beacon.connect(contributor1).reveal(1, SECRET_1))
+      .to.be.revertedWithCustomError(beacon, "RevealWindowClosed");
+  });
+
+  it("Should reject reveals that do not match the commitment", async function () {
+    await commit(contributor1, SECRET_1);
+    await time.increase(COMMIT_WINDOW + 1);
+
+    await expect(beacon.connect(contributor1).reveal(1, SECRET_2))
+      .to.be.revertedWithCustomError(beacon, "CommitmentMismatch");
+    await expect(beacon.connect(contributor2).reveal(1, SECRET_2))
+      .to.be.revertedWithCustomError(beacon, "CommitmentMismatch");
+  });
+
+  it("Should not fulfill a round without revealed entropy", async function () {
+    await commit(contributor1, SECRET_1);
+    await time.increase(COMMIT_WINDOW + REVEAL_WINDOW + 1);
+
+    await expect(beacon.fulfill(1)).to.be.revertedWithCustomError(beacon, "NoEntropyRevealed");
+  });
+
+  it("Should not let a party replace a draw whose word is already determined", async function () {
+    await commit(contributor1, SECRET_1);
+    await time.increase(COMMIT_WINDOW + 1);
+    await beacon.connect(contributor1).reveal(1, SECRET_1);
+    await time.increase(24 * 60 * 60);
+
+    expect(await beacon.isPending(1)).to.equal(true);
+    await expect(escrow.connect(tenant).retryJurorDraw(1)).to.be.revertedWith("Draw still pending");
+
+    await expect(beacon.fulfill(1)).to.emit(escrow, "DisputeCreated");
+    expect(await beacon.isPending(1)).to.equal(false);
+  });
+
+  it("Should re-request a draw nobody revealed entropy for", async function () {
+    await commit(contributor1, SECRET_1);
+    await time.increase(24 * 60 * 60 + 1);
+
+    expect(await beacon.isPending(1)).to.equal(false);
+    await expect(escrow.connect(tenant).retryJurorDraw(1))
+      .to.emit(escrow, "JurorDrawRequested")
+      .withArgs(1, 2);
+  });
+
+  it("Should require the bond with each commitment", async function () {
+    await expect(beacon.connect(contributor1).commit(1, commitmentFor(1, contributor1, SECRET_1)))
+      .to.be.revertedWithCustomError(beacon, "IncorrectBond");
+    await expect(beacon.connect(contributor1).commit(1, commitmentFor(1, contributor1, SECRET_1), { value: BOND * 2n }))
+      .to.be.revertedWithCustomError(beacon, "IncorrectBond");
+  });
+
+  it("Should return revealed bonds with the bonds of contributors who withheld their secret", async function () {
+    await commit(contributor1, SECRET_1);
+    await commit(contributor2, SECRET_2);
+    await time.increase(COMMIT_WINDOW + 1);
+    await beacon.connect(contributor1).reveal(1, SECRET_1);
+
+    await expect(beacon.connect(contributor1).claimBond(1)).to.be.revertedWithCustomError(beacon, "RevealWindowOpen");
+
+    await time.increase(REVEAL_WINDOW);
+    await expect(beacon.connect(contributor2).claimBond(1)).to.be.revertedWithCustomError(beacon, "NotRevealed");
+    const tx = beacon.connect(contributor1).claimBond(1);
+    await expect(tx).to.emit(beacon, "BondClaimed").withArgs(1, contributor1.address, BOND * 2n);
+    await expect(tx).to.changeEtherBalance(contributor1, BOND * 2n);
+    await expect(beacon.connect(contributor1).claimBond(1)).to.be.revertedWithCustomError(beacon, "AlreadyClaimed");
+  });
+});
@@ -0,0 +1,1541 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+
+describe("IntegratedEscrow Contract", function () {
+  let escrow, rentalNFT, coordinator;
+  let owner, landlord, tenant, user1, juror1, juror2, juror3, juror4;
+
+  const PROPERTY_URI = "ipfs://QmXvKzB5VD8p3dH7xJ6hQkP4ZR5SmV9UjqWHm8QvYzB1x9";
+
+  const RENT = ethers.parseEther("0.002");
+  const DEPOSIT = ethers.parseEther("0.004");
+  const DISPUTE_FEE = ethers.parseEther("0.001");
+  const DURATION_MONTHS = 3;
+
+  const MONTH = 30 * 24 * 60 * 60;
+  const GRACE_PERIOD = 5 * 24 * 60 * 60;
+  const COMMIT_PERIOD = 2 * 24 * 60 * 60;
+  const VOTING_PERIOD = 3 * 24 * 60 * 60;
+
+  const JUROR_STAKE = ethers.parseEther("0.01");
+  const TENANT_WINS = 10000; // Whole award to the tenant, in basis points
+  const LANDLORD_WINS = 0;
+
+  // The tenant's terms, awaiting the landlord's acceptance
+  async function requestAgreement(prepaidMonths, durationMonths = DURATION_MONTHS) {
+    const value = RENT * BigInt(prepaidMonths) + DEPOSIT + DISPUTE_FEE;
+    return escrow.connect(tenant).createAgreement({
+      landlord: landlord.address,
+      nftContract: await rentalNFT.getAddress(),
+      tokenId: 1,
+      rentAmount: RENT,
+      depositAmount: DEPOSIT,
+      disputeFee: DISPUTE_FEE,
+      durationMonths,
+      prepaidMonths,
+      paymentToken: ethers.ZeroAddress
+    }, { value });
+  }
+
+  // A running agreement: the tenant's terms, accepted by the landlord
+  async function createAgreement(prepaidMonths, durationMonths = DURATION_MONTHS) {
+    const tx = await requestAgreement(prepaidMonths, durationMonths);
+    await escrow.connect(landlord).acceptAgreement(await escrow.getTotalAgreements());
+    return tx;
+  }
+
+  function commitmentFor(disputeId, juror, vote, salt) {
+    return ethers.solidityPackedKeccak256(
+      ["uint256", "address", "uint256", "bytes32"],
+      [disputeId, juror.address, vote, salt]
+    );
+  }
+
+  async function commitVote(juror, vote, salt) {
+    return escrow.connect(juror).commitVote(1, commitmentFor(1, juror, vote, salt));
+  }
+
+  async function deployEscrow() {
+    const JurorSelection = await ethers.getContractFactory("JurorSelection");
+    const jurorSelection = await JurorSelection.deploy();
+    await jurorSelection.waitForDeployment();
+
+    const DisputeRounds = await ethers.getContractFactory("DisputeRounds");
+    const disputeRounds = await DisputeRounds.deploy();
+    await disputeRounds.waitForDeployment();
+
+    const LandlordBonds = await ethers.getContractFactory("LandlordBonds");
+    const landlordBonds = await LandlordBonds.deploy();
+    await landlordBonds.waitForDeployment();
+
+    const IntegratedEscrow = await ethers.getContractFactory("IntegratedEscrow", {
+      libraries: {
+        JurorSelection: await jurorSelection.getAddress(),
+        DisputeRounds: await disputeRounds.getAddress(),
+        LandlordBonds: await landlordBonds.getAddress()
+      }
+    });
+    const deployed = await IntegratedEscrow.deploy();
+    await deployed.waitForDeployment();
+    return deployed;
+  }
+
+  function afterFee(amount) {
+    return amount - (amount * 100n) / 10000n;
+  }
+
+  async function pending(account, token = ethers.ZeroAddress) {
+    return escrow.getPendingBalance(account.address, token);
+  }
+
+  beforeEach(async function () {
+    [owner, landlord, tenant, user1, juror1, juror2, juror3, juror4] = await ethers.getSigners();
+
+    const RentalNFT = await ethers.getContractFactory("RentalNFT");
+    rentalNFT = await RentalNFT.deploy("FairBNB Rental", "FBR");
+    await rentalNFT.waitForDeployment();
+
+    escrow = await deployEscrow();
+
+    const MockRandomnessCoordinator = await ethers.getContractFactory("MockRandomnessCoordinator");
+    coordinator = await MockRandomnessCoordinator.deploy();
+    await coordinator.waitForDeployment();
+
+    await escrow.setRentalNFT(await rentalNFT.getAddress());
+    await escrow.setRandomnessCoordinator(await coordinator.getAddress());
+    await rentalNFT.setEscrowContract(await escrow.getAddress());
+    await rentalNFT.mint(landlord.address, PROPERTY_URI);
+  });
+
+  describe("Rent Schedule", function () {
+    it("Should lock the prepaid months on creation", async function () {
+      await expect(createAgreement(2))
+        .to.emit(escrow, "RentPaid")
+        .withArgs(1, tenant.address, 2, RENT * 2n);
+
+      const agreement = await escrow.getAgreementDetails(1);
+      expect(agreement.monthsPaid).to.equal(2);
+      expect(agreement.monthsReleased).to.equal(0);
+      expect(agreement.totalLocked).to.equal(RENT * 2n + DEPOSIT + DISPUTE_FEE);
+    });
+
+    it("Should reject prepaying more months than the agreement runs", async function () {
+      await expect(createAgreement(4)).to.be.revertedWith("Invalid prepaid months");
+    });
+
+    it("Should accept monthly installments from the tenant", async function () {
+      await createAgreement(1);
+
+      await expect(escrow.connect(tenant).payRent(1, 1, { value: RENT }))
+        .to.emit(escrow, "RentPaid")
+        .withArgs(1, tenant.address, 1, RENT);
+
+      const agreement = await escrow.getAgreementDetails(1);
+      expect(agreement.monthsPaid).to.equal(2);
+    });
+
+    it("Should reject installments with the wrong amount or beyond the duration", async function () {
+      await createAgreement(1);
+
+      await expect(escrow.connect(tenant).payRent(1, 1, { value: RENT - 1n }))
+        .to.be.revertedWith("Incorrect payment amount");
+      await expect(escrow.connect(tenant).payRent(1, 3, { value: RENT * 3n }))
+        .to.be.revertedWith("Exceeds agreement duration");
+      await expect(escrow.connect(user1).payRent(1, 1, { value: RENT }))
+        .to.be.revertedWith("Not tenant");
+    });
+
+    it("Should only release rent for months that have elapsed", async function () {
+      await createAgreement(3);
+
+      await expect(escrow.connect(landlord).releaseRentToLandlord(1))
+        .to.be.revertedWith("No rent releasable yet");
+
+      await time.increase(MONTH);
+      await expect(escrow.connect(landlord).releaseRentToLandlord(1))
+        .to.emit(escrow, "RentReleased")
+        .withArgs(1, landlord.address, afterFee(RENT));
+
+      // Same month cannot be claimed twice
+      await expect(escrow.connect(landlord).releaseRentToLandlord(1))
+        .to.be.revertedWith("No rent releasable yet");
+
+      // Two more months elapse and are claimed together
+      await time.increase(2 * MONTH);
+      await expect(escrow.connect(landlord).releaseRentToLandlord(1))
+        .to.emit(escrow, "RentReleased")
+        .withArgs(1, landlord.address, afterFee(RENT * 2n));
+
+      const agreement = await escrow.getAgreementDetails(1);
+      expect(agreement.monthsReleased).to.equal(3);
+      expect(agreement.landlordWithdrawn).to.be.true;
+    });
+
+    it("Should not release months the tenant has not paid for", async function () {
+      await createAgreement(1);
+      await time.increase(2 * MONTH);
+
+      await expect(escrow.connect(landlord).releaseRentToLandlord(1))
+        .to.emit(escrow, "RentReleased")
+        .withArgs(1, landlord.address, afterFee(RENT));
+      await expect(escrow.connect(landlord).releaseRentToLandlord(1))
+        .to.be.revertedWith("No rent releasable yet");
+    });
+
+    it("Should complete once all rent is released and the deposit returned", async function () {
+      await createAgreement(3);
+      await time.increase(3 * MONTH);
+
+      await escrow.connect(landlord).releaseRentToLandlord(1);
+      await expect(escrow.connect(tenant).returnDepositToTenant(1))
+        .to.emit(escrow, "AgreementCompleted")
+        .withArgs(1);
+    });
+
+    it("Should keep the deposit while rent is outstanding", async function () {
+      await createAgreement(1);
+      await time.increase(3 * MONTH);
+
+      await expect(escrow.connect(tenant).returnDepositToTenant(1))
+        .to.be.revertedWith("Rent outstanding");
+    });
+
+    it("Should report the schedule through getRentSchedule", async function () {
+      await createAgreement(1);
+      const start = (await escrow.getAgreementDetails(1)).startTimestamp;
+
+      await time.increase(MONTH);
+      const schedule = await escrow.getRentSchedule(1);
+      expect(schedule.monthsPaid).to.equal(1);
+      expect(schedule.monthsElapsed).to.equal(1);
+      expect(schedule.releasableMonths).to.equal(1);
+      expect(schedule.nextDueDate).to.equal(start + BigInt(MONTH));
+      expect(schedule.graceEndsAt).to.equal(start + BigInt(MONTH + GRACE_PERIOD));
+      expect(schedule.inDefault).to.be.false;
+    });
+  });
+
+  describe("Missed Payments", function () {
+    beforeEach(async function () {
+      await createAgreement(1);
+    });
+
+    it("Should accept a late installment during the grace period", async function () {
+      await time.increase(MONTH + GRACE_PERIOD - 60);
+
+      await expect(escrow.connect(tenant).payRent(1, 1, { value: RENT }))
+        .to.emit(escrow, "RentPaid");
+      await expect(escrow.connect(landlord).markDefault(1))
+        .to.be.revertedWith("Not in default");
+    });
+
+    it("Should not allow default before the grace period ends", async function () {
+      await time.increase(MONTH + 60);
+
+      await expect(escrow.connect(landlord).markDefault(1))
+        .to.be.revertedWith("Not in default");
+    });
+
+    it("Should let the landlord declare default after the grace period", async function () {
+      await time.increase(MONTH + GRACE_PERIOD + 1);
+      expect((await escrow.getRentSchedule(1)).inDefault).to.be.true;
+
+      const landlordAmount = afterFee(RENT) + DEPOSIT;
+      const tx = escrow.connect(landlord).markDefault(1);
+      await expect(tx)
+        .to.emit(escrow, "AgreementDefaulted")
+        .withArgs(1, landlordAmount, DISPUTE_FEE);
+      expect(await pending(landlord)).to.equal(landlordAmount);
+      expect(await pending(tenant)).to.equal(DISPUTE_FEE);
+
+      const agreement = await escrow.getAgreementDetails(1);
+      expect(agreement.status).to.equal(5); // Defaulted
+    });
+
+    it("Should only let the landlord declare default", async function () {
+      await time.increase(MONTH + GRACE_PERIOD + 1);
+
+      await expect(escrow.connect(tenant).markDefault(1))
+        .to.be.revertedWith("Not landlord");
+    });
+  });
+
+  describe("Extensions", function () {
+    beforeEach(async function () {
+      await createAgreement(3);
+    });
+
+    it("Should extend the agreement once the other party accepts", async function () {
+      await expect(escrow.connect(tenant).proposeExtension(1, 2))
+        .to.emit(escrow, "ExtensionProposed")
+        .withArgs(1, tenant.address, 2);
+
+      await expect(escrow.connect(landlord).acceptExtension(1))
+        .to.emit(escrow, "AgreementExtended")
+        .withArgs(1, 5);
+
+      const agreement = await escrow.getAgreementDetails(1);
+      expect(agreement.durationMonths).to.equal(5);
+
+      // The extended months can now be paid for
+      await expect(escrow.connect(tenant).payRent(1, 2, { value: RENT * 2n }))
+        .to.emit(escrow, "RentPaid");
+    });
+
+    it("Should not let the proposer accept their own extension", async function () {
+      await escrow.connect(tenant).proposeExtension(1, 2);
+
+      await expect(escrow.connect(tenant).acceptExtension(1))
+        .to.be.revertedWith("Cannot accept own proposal");
+    });
+
+    it("Should reject accepting when nothing is proposed", async function () {
+      await expect(escrow.connect(landlord).acceptExtension(1))
+        .to.be.revertedWith("No pending extension");
+    });
+
+    it("Should cap extensions at the maximum duration", async function () {
+      await expect(escrow.connect(landlord).proposeExtension(1, 58))
+        .to.be.revertedWith("Invalid duration");
+    });
+  });
+
+  describe("Rental User Rights", function () {
+    async function agreementEnd(months = DURATION_MONTHS) {
+      const agreement = await escrow.getAgreementDetails(1);
+      return agreement.startTimestamp + BigInt(months * MONTH);
+    }
+
+    it("Should give the tenant user rights while the landlord keeps the title", async function () {
+      await requestAgreement(1);
+      await expect(escrow.connect(landlord).acceptAgreement(1))
+        .to.emit(rentalNFT, "UpdateUser")
+        .withArgs(1, tenant.address, anyValue);
+
+      expect(await rentalNFT.ownerOf(1)).to.equal(landlord.address);
+      expect(await rentalNFT.userOf(1)).to.equal(tenant.address);
+      expect(await rentalNFT.userExpires(1)).to.equal(await agreementEnd());
+    });
+
+    it("Should expire the user rights at the end of the rental period", async function () {
+      await createAgreement(3);
+
+      await time.increase(DURATION_MONTHS * MONTH + 1);
+      expect(await rentalNFT.userOf(1)).to.equal(ethers.ZeroAddress);
+      expect(await rentalNFT.ownerOf(1)).to.equal(landlord.address);
+    });
+
+    it("Should not let a rented property be rented again", async function () {
+      await createAgreement(1);
+
+      await expect(escrow.connect(user1).createAgreement({
+        landlord: landlord.address,
+        nftContract: await rentalNFT.getAddress(),
+        tokenId: 1,
+        rentAmount: RENT,
+        depositAmount: DEPOSIT,
+        disputeFee: DISPUTE_FEE,
+        durationMonths: DURATION_MONTHS,
+        prepaidMonths: 1,
+        paymentToken: ethers.ZeroAddress
+      }, { value: RENT + DEPOSIT + DISPUTE_FEE })).to.be.revertedWith("Property already rented");
+    });
+
+    it("Should only let the escrow change an unexpired user", async function () {
+      await createAgreement(1);
+
+      await expect(rentalNFT.connect(landlord).setUser(1, ethers.ZeroAddress, 0))
+        .to.be.revertedWith("RentalNFT: Rental in progress");
+      await expect(rentalNFT.connect(tenant).setUser(1, tenant.address, 0))
+        .to.be.revertedWith("RentalNFT: Not owner nor approved");
+    });
+
+    it("Should not let an agreement the landlord has not accepted lock the title", async function () {
+      await requestAgreement(3);
+
+      expect(await rentalNFT.userOf(1)).to.equal(ethers.ZeroAddress);
+      await rentalNFT.connect(landlord).transferFrom(landlord.address, user1.address, 1);
+      expect(await rentalNFT.ownerOf(1)).to.equal(user1.address);
+      await expect(escrow.connect(landlord).acceptAgreement(1))
+        .to.be.revertedWith("Landlord doesn't own NFT");
+      await expect(escrow.connect(tenant).raiseDispute(1, "ipfs://evidence"))
+        .to.be.revertedWith("Not active");
+    });
+
+    it("Should refund everything when the tenant withdraws before acceptance", async function () {
+      await requestAgreement(3);
+      await time.increase(MONTH);
+
+      const before = await pending(tenant);
+      await expect(escrow.connect(tenant).cancelAgreement(1))
+        .to.emit(escrow, "AgreementCancelled")
+        .withArgs(1);
+      expect(await pending(tenant)).to.equal(before + RENT * 3n + DEPOSIT + DISPUTE_FEE);
+      expect(await pending(landlord)).to.equal(0);
+      await expect(escrow.connect(landlord).acceptAgreement(1)).to.be.revertedWith("Not pending");
+    });
+
+    it("Should start the rental period when the landlord accepts", async function () {
+      await requestAgreement(1);
+      await time.increase(MONTH);
+
+      await escrow.connect(landlord).acceptAgreement(1);
+      expect(await rentalNFT.userExpires(1)).to.equal(await agreementEnd());
+      expect(await agreementEnd()).to.equal(BigInt(await time.latest() + DURATION_MONTHS * MONTH));
+      await expect(escrow.connect(landlord).releaseRentToLandlord(1))
+        .to.be.revertedWith("No rent releasable yet");
+    });
+
+    it("Should revoke the user rights on cancellation", async function () {
+      await createAgreement(1);
+
+      await expect(escrow.connect(tenant).cancelAgreement(1))
+        .to.emit(rentalNFT, "UpdateUser")
+        .withArgs(1, ethers.ZeroAddress, 0);
+      expect(await rentalNFT.userOf(1)).to.equal(ethers.ZeroAddress);
+      expect(await rentalNFT.ownerOf(1)).to.equal(landlord.address);
+    });
+
+    it("Should revoke the user rights on default", async function () {
+      await createAgreement(1);
+      await time.increase(MONTH + GRACE_PERIOD + 1);
+
+      await escrow.connect(landlord).markDefault(1);
+      expect(await rentalNFT.userOf(1)).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should extend the user rights with the agreement", async function () {
+      await createAgreement(3);
+      await escrow.connect(tenant).proposeExtension(1, 2);
+
+      await escrow.connect(landlord).acceptExtension(1);
+      expect(await rentalNFT.userExpires(1)).to.equal(await agreementEnd(DURATION_MONTHS + 2));
+    });
+
+    it("Should keep the title with the landlord while the tenant's rights run", async function () {
+      await createAgreement(3);
+      await escrow.connect(tenant).proposeExtension(1, 2);
+
+      await expect(rentalNFT.connect(landlord).transferFrom(landlord.address, user1.address, 1))
+        .to.be.revertedWith("RentalNFT: Rental in progress");
+      await expect(rentalNFT.connect(landlord).burn(1))
+        .to.be.revertedWith("RentalNFT: Rental in progress");
+      expect(await rentalNFT.userOf(1)).to.equal(tenant.address);
+
+      await escrow.connect(landlord).acceptExtension(1);
+      expect(await rentalNFT.userExpires(1)).to.equal(await agreementEnd(DURATION_MONTHS + 2));
+    });
+
+    it("Should let the title move and clear the rights once they expire", async function () {
+      await createAgreement(3);
+      await time.increase(DURATION_MONTHS * MONTH + 1);
+
+      await expect(rentalNFT.connect(landlord).transferFrom(landlord.address, user1.address, 1))
+        .to.emit(rentalNFT, "UpdateUser")
+        .withArgs(1, ethers.ZeroAddress, 0);
+      expect(await rentalNFT.ownerOf(1)).to.equal(user1.address);
+      expect(await rentalNFT.userExpires(1)).to.equal(0);
+    });
+  });
+
+  describe("Commit-Reveal Voting", function () {
+    const SALT_1 = ethers.id("salt-1");
+    const SALT_2 = ethers.id("salt-2");
+    const SALT_3 = ethers.id("salt-3");
+
+    beforeEach(async function () {
+      for (const juror of [juror1, juror2, juror3]) {
+        await escrow.connect(juror).stakeAsJuror({ value: JUROR_STAKE });
+      }
+      await createAgreement(3);
+      await escrow.connect(tenant).raiseDispute(1, "ipfs://evidence");
+      await coordinator.fulfillRandomness(1, 42);
+    });
+
+    it("Should record a sealed commitment without revealing the vote", async function () {
+      await expect(commitVote(juror1, TENANT_WINS, SALT_1))
+        .to.emit(escrow, "VoteCommitted")
+        .withArgs(1, juror1.address);
+
+      expect(await escrow.getVoteCommitment(1, juror1.address))
+        .to.equal(commitmentFor(1, juror1, TENANT_WINS, SALT_1));
+      const vote = await escrow.getJurorVote(1, juror1.address);
+      expect(vote.revealed).to.be.false;
+
+      const schedule = await escrow.getVotingSchedule(1);
+      expect(schedule.commitCount).to.equal(1);
+      expect(schedule.revealCount).to.equal(0);
+      expect(schedule.votingEndTime - schedule.commitEndTime).to.equal(VOTING_PERIOD - COMMIT_PERIOD);
+    });
+
+    it("Should reject commits from unassigned accounts, repeats and late commits", async function () {
+      await expect(commitVote(user1, TENANT_WINS, SALT_1))
+        .to.be.revertedWithCustomError(escrow, "NotAssignedJuror");
+
+      await commitVote(juror1, TENANT_WINS, SALT_1);
+      await expect(commitVote(juror1, LANDLORD_WINS, SALT_1))
+        .to.be.revertedWithCustomError(escrow, "AlreadyCommitted");
+
+      await time.increase(COMMIT_PERIOD + 1);
+      await expect(commitVote(juror2, TENANT_WINS, SALT_2))
+        .to.be.revertedWithCustomError(escrow, "CommitPeriodEnded");
+    });
+
+    it("Should not allow reveals while jurors are still committing", async function () {
+      await commitVote(juror1, TENANT_WINS, SALT_1);
+
+      await expect(escrow.connect(juror1).revealVote(1, TENANT_WINS, SALT_1))
+        .to.be.revertedWithCustomError(escrow, "RevealPeriodNotStarted");
+    });
+
+    it("Should reject reveals that do not match the commitment", async function () {
+      await commitVote(juror1, TENANT_WINS, SALT_1);
+      await time.increase(COMMIT_PERIOD + 1);
+
+      await expect(escrow.connect(juror1).revealVote(1, LANDLORD_WINS, SALT_1))
+        .to.be.revertedWithCustomError(escrow, "CommitmentMismatch");
+      await expect(escrow.connect(juror1).revealVote(1, TENANT_WINS, SALT_2))
+        .to.be.revertedWithCustomError(escrow, "CommitmentMismatch");
+      await expect(escrow.connect(juror2).revealVote(1, TENANT_WINS, SALT_2))
+        .to.be.revertedWithCustomError(escrow, "NoCommitment");
+    });
+
+    it("Should open reveals early once every juror has committed and reach a verdict on the last reveal", async function () {
+      await commitVote(juror1, TENANT_WINS, SALT_1);
+      await commitVote(juror2, TENANT_WINS, SALT_2);
+      await commitVote(juror3, LANDLORD_WINS, SALT_3);
+
+      await expect(escrow.connect(juror1).revealVote(1, TENANT_WINS, SALT_1))
+        .to.emit(escrow, "JurorVoted")
+        .withArgs(1, juror1.address, TENANT_WINS);
+      await expect(escrow.connect(juror1).revealVote(1, TENANT_WINS, SALT_1))
+        .to.be.revertedWithCustomError(escrow, "AlreadyRevealed");
+
+      await escrow.connect(juror2).revealVote(1, TENANT_WINS, SALT_2);
+      // The dissenting juror's slashed stake is shared by the majority
+      const slashed = JUROR_STAKE / 10n;
+      await expect(escrow.connect(juror3).revealVote(1, LANDLORD_WINS, SALT_3))
+        .to.emit(escrow, "VerdictReached")
+        .withArgs(1, 1, TENANT_WINS, anyValue);
+
+      const dispute = await escrow.getDispute(1);
+      expect(dispute.status).to.equal(5); // Appealable
+      expect(dispute.tenantShare).to.equal(TENANT_WINS);
+
+      await time.increase(2 * 24 * 60 * 60 + 1);
+      await expect(escrow.finalizeDispute(1))
+        .to.emit(escrow, "DisputeResolved")
+        .withArgs(1, TENANT_WINS, RENT * 3n + DEPOSIT, 0, DISPUTE_FEE);
+    });
+
+    it("Should reject reveals after the voting period", async function () {
+      await commitVote(juror1, TENANT_WINS, SALT_1);
+      await time.increase(VOTING_PERIOD + 1);
+
+      await expect(escrow.connect(juror1).revealVote(1, TENANT_WINS, SALT_1))
+        .to.be.revertedWithCustomError(escrow, "VotingPeriodEnded");
+    });
+
+    it("Should penalize jurors who never reveal and pay the penalty to coherent jurors", async function () {
+      await commitVote(juror1, LANDLORD_WINS, SALT_1);
+      await commitVote(juror2, LANDLORD_WINS, SALT_2);
+      await commitVote(juror3, TENANT_WINS, SALT_3);
+
+      await escrow.connect(juror1).revealVote(1, LANDLORD_WINS, SALT_1);
+      await escrow.connect(juror2).revealVote(1, LANDLORD_WINS, SALT_2);
+      await time.increase(VOTING_PERIOD + 1);
+
+      const penalty = JUROR_STAKE / 10n;
+      const reward = (DISPUTE_FEE + penalty) / 2n;
+      const tx = escrow.resolveDispute(1);
+      await expect(tx)
+        .to.emit(escrow, "JurorSlashed")
+        .withArgs(juror3.address, 1, penalty);
+      await expect(tx)
+        .to.emit(escrow, "JurorRewarded")
+        .withArgs(juror1.address, 1, DISPUTE_FEE / 2n, penalty / 2n);
+      expect(await pending(juror1)).to.equal(reward);
+      expect(await pending(juror2)).to.equal(reward);
+
+      const stats = await escrow.getJurorStats(juror3.address);
+      expect(stats.stakedAmount).to.equal(JUROR_STAKE - penalty);
+      expect(await escrow.totalStaked()).to.equal(JUROR_STAKE * 3n - penalty);
+      expect(await escrow.getJurorActiveDisputes(juror3.address)).to.be.empty;
+    });
+
+    it("Should send penalties to the platform when no juror reveals", async function () {
+      await time.increase(VOTING_PERIOD + 1);
+      const feesBefore = await escrow.accumulatedFees(ethers.ZeroAddress);
+
+      await escrow.resolveDispute(1);
+
+      // With no votes the landlord wins, so the usual platform fee on held rent also applies
+      const penalty = JUROR_STAKE / 10n;
+      const rentFee = RENT * 3n - afterFee(RENT * 3n);
+      expect(await escrow.accumulatedFees(ethers.ZeroAddress) - feesBefore).to.equal(penalty * 3n + rentFee);
+    });
+  });
+
+  describe("Juror Selection", function () {
+    const DRAW_TIMEOUT = 24 * 60 * 60;
+
+    async function stake(juror, amount = JUROR_STAKE) {
+      await escrow.connect(juror).stakeAsJuror({ value: amount });
+    }
+
+    it("Should wait for randomness before drawing jurors", async function () {
+      for (const juror of [juror1, juror2, juror3]) {
+        await stake(juror);
+      }
+      await createAgreement(3);
+
+      await expect(escrow.connect(tenant).raiseDispute(1, "ipfs://evidence"))
+        .to.emit(escrow, "JurorDrawRequested")
+        .withArgs(1, 1);
+
+      const dispute = await escrow.getDispute(1);
+      expect(dispute.status).to.equal(4); // Drawing
+      expect(await escrow.getAssignedJurors(1)).to.be.empty;
+      await expect(commitVote(juror1, TENANT_WINS, ethers.id("salt")))
+        .to.be.revertedWith("Dispute not active");
+
+      await expect(coordinator.fulfillRandomness(1, 7))
+        .to.emit(escrow, "DisputeCreated");
+      expect((await escrow.getDispute(1)).status).to.equal(1); // Active
+    });
+
+    it("Should only accept randomness from the coordinator", async function () {
+      await expect(escrow.connect(user1).rawFulfillRandomness(1, 7))
+        .to.be.revertedWith("Only coordinator");
+    });
+
+    it("Should require a randomness source to raise disputes", async function () {
+      escrow = await deployEscrow();
+      await escrow.setRentalNFT(await rentalNFT.getAddress());
+      await rentalNFT.setEscrowContract(await escrow.getAddress());
+
+      for (const juror of [juror1, juror2, juror3]) {
+        await stake(juror);
+      }
+      await createAgreement(3);
+
+      await expect(escrow.connect(tenant).raiseDispute(1, "ipfs://evidence"))
+        .to.be.revertedWith("Randomness source not set");
+      await expect(escrow.connect(user1).setRandomnessCoordinator(user1.address))
+        .to.be.revertedWithCustomError(escrow, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should never draw the agreement's parties", async function () {
+      for (const juror of [landlord, tenant, juror1, juror2, juror3]) {
+        await stake(juror, ethers.parseEther("0.1"));
+      }
+      await createAgreement(3);
+      await escrow.connect(tenant).raiseDispute(1, "ipfs://evidence");
+      await coordinator.fulfillRandomness(1, 12345);
+
+      const assigned = await escrow.getAssignedJurors(1);
+      expect([...assigned]).to.have.members([juror1.address, juror2.address, juror3.address]);
+    });
+
+    it("Should not count parties towards the minimum jury size", async function () {
+      for (const juror of [landlord, juror1, juror2]) {
+        await stake(juror);
+      }
+      await createAgreement(3);
+
+      await expect(escrow.connect(tenant).raiseDispute(1, "ipfs://evidence"))
+        .to.be.revertedWith("Not enough jurors");
+    });
+
+    it("Should weight the draw by stake", async function () {
+      // juror1 holds ~97% of the stake, so any draw of three from four should include them
+      await stake(juror1, ethers.parseEther("0.1"));
+      for (const juror of [juror2, juror3, juror4]) {
+        await stake(juror, ethers.parseEther("0.001"));
+      }
+      await createAgreement(3);
+      await escrow.connect(tenant).raiseDispute(1, "ipfs://evidence");
+      await coordinator.fulfillRandomness(1, ethers.toBigInt(ethers.id("stake-weighted")));
+
+      const assigned = await escrow.getAssignedJurors(1);
+      expect(assigned).to.include(juror1.address);
+      expect(new Set(assigned).size).to.equal(3);
+    });
+
+    it("Should report a failed draw when eligible jurors leave before fulfillment", async function () {
+      for (const juror of [juror1, juror2, juror3]) {
+        await stake(juror);
+      }
+      await createAgreement(3);
+      await escrow.connect(tenant).raiseDispute(1, "ipfs://evidence");
+
+      await time.increase(7 * 24 * 60 * 60);
+      await escrow.connect(juror3).unstake();
+
+      await expect(coordinator.fulfillRandomness(1, 7))
+        .to.emit(escrow, "JurorDrawFailed")
+        .withArgs(1, 1);
+      expect((await escrow.getDispute(1)).status).to.equal(4); // Still drawing
+    });
+
+    it("Should allow a retry after the draw times out and ignore the stale request", async function () {
+      for (const juror of [juror1, juror2, juror3]) {
+        await stake(juror);
+      }
+      await createAgreement(3);
+      await escrow.connect(tenant).raiseDispute(1, "ipfs://evidence");
+
+      await expect(escrow.retryJurorDraw(1)).to.be.revertedWith("Draw still pending");
+
+      await time.increase(DRAW_TIMEOUT + 1);
+      await expect(escrow.retryJurorDraw(1))
+        .to.emit(escrow, "JurorDrawRequested")
+        .withArgs(1, 2);
+
+      await expect(coordinator.fulfillRandomness(1, 7)).to.not.emit(escrow, "DisputeCreated");
+      await expect(coordinator.fulfillRandomness(2, 7)).to.emit(escrow, "DisputeCreated");
+      await expect(escrow.retryJurorDraw(1)).to.be.revertedWith("Not awaiting jurors");
+    });
+  });
+
+  describe("Juror Accountability", function () {
+    const SLASH = JUROR_STAKE / 10n;
+
+    async function resolveWithVotes(votes) {
+      for (const [juror, vote] of votes) {
+        await commitVote(juror, vote, ethers.id(juror.address));
+      }
+      await time.increase(COMMIT_PERIOD + 1);
+      for (const [juror, vote] of votes) {
+        await escrow.connect(juror).revealVote(1, vote, ethers.id(juror.address));
+      }
+    }
+
+    beforeEach(async function () {
+      for (const juror of [juror1, juror2, juror3]) {
+        await escrow.connect(juror).stakeAsJuror({ value: JUROR_STAKE });
+      }
+      await createAgreement(3);
+      await escrow.connect(tenant).raiseDispute(1, "ipfs://evidence");
+      await coordinator.fulfillRandomness(1, 42);
+    });
+
+    it("Should start jurors at a neutral reputation", async function () {
+      const stats = await escrow.getJurorStats(juror1.address);
+      expect(stats.reputation).to.equal(5000);
+      expect(stats.disputesCompleted).to.equal(0);
+      expect(stats.totalSlashed).to.equal(0);
+    });
+
+    it("Should slash jurors who vote against the outcome", async function () {
+      await resolveWithVotes([
+        [juror1, TENANT_WINS],
+        [juror2, TENANT_WINS],
+        [juror3, LANDLORD_WINS]
+      ]);
+
+      const dissenter = await escrow.getJurorStats(juror3.address);
+      expect(dissenter.stakedAmount).to.equal(JUROR_STAKE - SLASH);
+      expect(dissenter.totalSlashed).to.equal(SLASH);
+      expect(dissenter.disputesCompleted).to.equal(1);
+      expect(dissenter.reputation).to.equal(3333);
+
+      const coherent = await escrow.getJurorStats(juror1.address);
+      expect(coherent.stakedAmount).to.equal(JUROR_STAKE);
+      expect(coherent.correctVotes).to.equal(1);
+      expect(coherent.totalEarned).to.equal((DISPUTE_FEE + SLASH) / 2n);
+      expect(coherent.reputation).to.equal(6666);
+    });
+
+    it("Should slash absent jurors in a decided dispute", async function () {
+      await commitVote(juror1, LANDLORD_WINS, ethers.id("1"));
+      await commitVote(juror2, LANDLORD_WINS, ethers.id("2"));
+      await time.increase(COMMIT_PERIOD + 1);
+      await escrow.connect(juror1).revealVote(1, LANDLORD_WINS, ethers.id("1"));
+      await escrow.connect(juror2).revealVote(1, LANDLORD_WINS, ethers.id("2"));
+      await time.increase(VOTING_PERIOD);
+
+      await expect(escrow.resolveDispute(1)).to.emit(escrow, "JurorSlashed").withArgs(juror3.address, 1, SLASH);
+      expect(await pending(juror1)).to.equal((DISPUTE_FEE + SLASH) / 2n);
+      expect(await pending(juror2)).to.equal((DISPUTE_FEE + SLASH) / 2n);
+    });
+
+    it("Should use the configured slash percentage", async function () {
+      await expect(escrow.setSlashPercent(2500))
+        .to.emit(escrow, "SlashPercentUpdated")
+        .withArgs(1000, 2500);
+
+      await resolveWithVotes([
+        [juror1, TENANT_WINS],
+        [juror2, TENANT_WINS],
+        [juror3, LANDLORD_WINS]
+      ]);
+
+      expect((await escrow.getJurorStats(juror3.address)).totalSlashed).to.equal(JUROR_STAKE / 4n);
+    });
+
+    it("Should not slash when the percentage is zero", async function () {
+      await escrow.setSlashPercent(0);
+      await commitVote(juror1, TENANT_WINS, ethers.id("1"));
+      await time.increase(VOTING_PERIOD + 1);
+
+      await expect(escrow.resolveDispute(1)).to.not.emit(escrow, "JurorSlashed");
+    });
+
+    it("Should restrict and cap the slash percentage", async function () {
+      await expect(escrow.connect(user1).setSlashPercent(500))
+        .to.be.revertedWithCustomError(escrow, "OwnableUnauthorizedAccount");
+      await expect(escrow.setSlashPercent(5001))
+        .to.be.revertedWith("Slash too high");
+    });
+  });
+
+  describe("Quorum and Escalation", function () {
+    let extraJurors;
+
+    async function reveal(juror, vote) {
+      await escrow.connect(juror).revealVote(1, vote, ethers.id(juror.address));
+    }
+
+    async function commit(juror, vote) {
+      await commitVote(juror, vote, ethers.id(juror.address));
+    }
+
+    async function assignedSigners() {
+      const assigned = await escrow.getAssignedJurors(1);
+      return extraJurors.filter(juror => assigned.includes(juror.address));
+    }
+
+    beforeEach(async function () {
+      // Eight pooled jurors: enough for a panel of 3 and then a fresh panel of 5
+      extraJurors = (await ethers.getSigners()).slice(4, 12);
+      for (const juror of extraJurors) {
+        await escrow.connect(juror).stakeAsJuror({ value: JUROR_STAKE });
+      }
+      await createAgreement(3);
+      await escrow.connect(tenant).raiseDispute(1, "ipfs://evidence");
+      await coordinator.fulfillRandomness(1, 42);
+    });
+
+    it("Should rule the midpoint when an evenly divided quorum disagrees", async function () {
+      const [first, second, absent] = await assignedSigners();
+      await commit(first, TENANT_WINS);
+      await commit(second, LANDLORD_WINS);
+      await time.increase(COMMIT_PERIOD + 1);
+      await reveal(first, TENANT_WINS);
+      await reveal(second, LANDLORD_WINS);
+      await time.increase(VOTING_PERIOD);
+
+      // Both votes are more than a bucket from 50%, so nobody earns the fee
+      const tx = escrow.resolveDispute(1);
+      await expect(tx).to.emit(escrow, "VerdictReached").withArgs(1, 1, 5000, anyValue);
+      for (const juror of [first, second, absent]) {
+        await expect(tx).to.emit(escrow, "JurorSlashed").withArgs(juror.address, 1, JUROR_STAKE / 10n);
+      }
+      await expect(tx).to.not.emit(escrow, "JurorRewarded");
+    });
+
+    it("Should split the held funds by the median award", async function () {
+      const panel = await assignedSigners();
+      await commit(panel[0], 7000);
+      await commit(panel[1], 7000);
+      await commit(panel[2], 6000);
+      await reveal(panel[0], 7000);
+      await reveal(panel[1], 7000);
+
+      // A vote one bucket off the ruling still counts as coherent
+      await expect(escrow.connect(panel[2]).revealVote(1, 6000, ethers.id(panel[2].address)))
+        .to.emit(escrow, "VerdictReached")
+        .withArgs(1, 1, 7000, anyValue);
+      expect((await escrow.getJurorVote(1, panel[2].address)).tenantShare).to.equal(6000);
+
+      await time.increase(2 * 24 * 60 * 60 + 1);
+      const tenantAmount = (RENT * 3n * 7n) / 10n + (DEPOSIT * 7n) / 10n;
+      const landlordAmount = afterFee(RENT * 3n - (RENT * 3n * 7n) / 10n) + DEPOSIT - (DEPOSIT * 7n) / 10n;
+      await expect(escrow.finalizeDispute(1))
+        .to.emit(escrow, "DisputeResolved")
+        .withArgs(1, 7000, tenantAmount, landlordAmount, (DISPUTE_FEE / 3n) * 3n);
+      expect(await pending(tenant)).to.equal(tenantAmount);
+      expect(await pending(landlord)).to.equal(landlordAmount);
+    });
+
+    it("Should reject awards outside the 10% buckets", async function () {
+      const [juror] = await assignedSigners();
+      await commit(juror, 2500);
+      await time.increase(COMMIT_PERIOD + 1);
+      const salt = ethers.id(juror.address);
+      await expect(escrow.connect(juror).revealVote(1, 2500, salt)).to.be.revertedWithCustomError(escrow, "InvalidAward");
+      await expect(escrow.connect(juror).revealVote(1, 11000, salt)).to.be.revertedWithCustomError(escrow, "InvalidAward");
+    });
+
+    it("Should escalate to a larger fresh panel when too few jurors reveal for quorum", async function () {
+      const [only, absent, alsoAbsent] = await assignedSigners();
+      await commit(only, TENANT_WINS);
+      await time.increase(COMMIT_PERIOD + 1);
+      await reveal(only, TENANT_WINS);
+      await time.increase(VOTING_PERIOD);
+
+      const tx = escrow.resolveDispute(1);
+      await expect(tx).to.emit(escrow, "DisputeEscalated").withArgs(1, 2, 5);
+      await expect(tx).to.emit(escrow, "JurorSlashed").withArgs(absent.address, 1, JUROR_STAKE / 10n);
+      await expect(tx).to.not.emit(escrow, "VerdictReached");
+
+      expect((await escrow.getDispute(1)).status).to.equal(4); // Drawing
+      const schedule = await escrow.getVotingSchedule(1);
+      expect(schedule.panelSize).to.equal(5);
+      expect(schedule.round).to.equal(2);
+
+      // The new panel excludes everyone from the first round
+      await expect(coordinator.fulfillRandomness(2, 99))
+        .to.emit(escrow, "JurorsDrawn");
+      const panel = await escrow.getAssignedJurors(1);
+      expect(panel.length).to.equal(5);
+      for (const juror of [only, absent, alsoAbsent]) {
+        expect(panel).to.not.include(juror.address);
+      }
+    });
+
+    it("Should resolve the escalated round on a quorate majority", async function () {
+      await time.increase(VOTING_PERIOD + 1);
+      await escrow.resolveDispute(1);
+      await coordinator.fulfillRandomness(2, 99);
+
+      const panel = await assignedSigners();
+      for (const juror of panel.slice(0, 3)) {
+        await commit(juror, TENANT_WINS);
+      }
+      await time.increase(COMMIT_PERIOD + 1);
+      await reveal(panel[0], TENANT_WINS);
+      await reveal(panel[1], TENANT_WINS);
+      await reveal(panel[2], TENANT_WINS);
+      await time.increase(VOTING_PERIOD);
+
+      await expect(escrow.resolveDispute(1))
+        .to.emit(escrow, "VerdictReached")
+        .withArgs(1, 2, TENANT_WINS, anyValue);
+    });
+
+    it("Should fall back to the undisputed split when the pool is exhausted", async function () {
+      // Round one (3 jurors) and round two (5 jurors) use all eight; a third panel of 7 cannot be seated
+      await time.increase(VOTING_PERIOD + 1);
+      await escrow.resolveDispute(1);
+      await coordinator.fulfillRandomness(2, 99);
+      await time.increase(VOTING_PERIOD + 1);
+
+      const landlordAmount = afterFee(RENT * 3n);
+      await expect(escrow.resolveDispute(1))
+        .to.emit(escrow, "DisputeFallback")
+        .withArgs(1, landlordAmount, DEPOSIT + DISPUTE_FEE);
+      expect(await pending(landlord)).to.equal(landlordAmount);
+      expect(await pending(tenant)).to.equal(DEPOSIT + DISPUTE_FEE);
+
+      expect((await escrow.getDispute(1)).status).to.equal(3); // Cancelled
+      expect((await escrow.getAgreementDetails(1)).status).to.equal(3); // Completed
+    });
+
+    it("Should fall back when a stalled draw can no longer seat the panel", async function () {
+      const firstPanel = new Set(await escrow.getAssignedJurors(1));
+      await time.increase(VOTING_PERIOD + 1);
+      await escrow.resolveDispute(1);
+
+      // Two of the five fresh jurors leave before the escalation draw arrives
+      await time.increase(7 * 24 * 60 * 60);
+      const leaving = extraJurors.filter(juror => !firstPanel.has(juror.address)).slice(0, 2);
+      for (const juror of leaving) {
+        await escrow.connect(juror).unstake();
+      }
+      await expect(escrow.retryJurorDraw(1)).to.emit(escrow, "DisputeFallback");
+    });
+  });
+
+  describe("Appeals", function () {
+    const APPEAL_PERIOD = 2 * 24 * 60 * 60;
+    const APPEAL_FEE = DISPUTE_FEE * 2n;
+    let poolJurors;
+
+    async function assignedSigners() {
+      const assigned = await escrow.getAssignedJurors(1);
+      return poolJurors.filter(juror => assigned.includes(juror.address));
+    }
+
+    // Seat the round's panel and have every juror vote the same way; resolves to the last reveal
+    async function decideRound(round, vote) {
+      await coordinator.fulfillRandomness(round, 42 + round);
+      const panel = await assignedSigners();
+      for (const juror of panel) {
+        await commitVote(juror, vote, ethers.id(juror.address));
+      }
+      for (const juror of panel.slice(0, -1)) {
+        await escrow.connect(juror).revealVote(1, vote, ethers.id(juror.address));
+      }
+      const last = panel[panel.length - 1];
+      return escrow.connect(last).revealVote(1, vote, ethers.id(last.address));
+    }
+
+    beforeEach(async function () {
+      // Fifteen pooled jurors: fresh panels of 3, 5 and 7
+      poolJurors = (await ethers.getSigners()).slice(4, 19);
+      for (const juror of poolJurors) {
+        await escrow.connect(juror).stakeAsJuror({ value: JUROR_STAKE });
+      }
+      await createAgreement(3);
+      await escrow.connect(tenant).raiseDispute(1, "ipfs://evidence");
+    });
+
+    it("Should hold party funds until the appeal period passes", async function () {
+      await expect(decideRound(1, LANDLORD_WINS))
+        .to.emit(escrow, "VerdictReached")
+        .withArgs(1, 1, LANDLORD_WINS, anyValue);
+      expect(await pending(landlord)).to.equal(0);
+      expect(await pending(tenant)).to.equal(0);
+
+      const dispute = await escrow.getDispute(1);
+      expect(dispute.status).to.equal(5); // Appealable
+      expect(dispute.appealDeadline).to.equal(BigInt(await time.latest()) + BigInt(APPEAL_PERIOD));
+      expect((await escrow.getAgreementDetails(1)).status).to.equal(2); // Still disputed
+      await expect(escrow.finalizeDispute(1)).to.be.revertedWith("Appeal period active");
+
+      await time.increase(APPEAL_PERIOD + 1);
+      await expect(escrow.finalizeDispute(1))
+        .to.emit(escrow, "DisputeResolved")
+        .withArgs(1, LANDLORD_WINS, 0, afterFee(RENT * 3n) + DEPOSIT, anyValue);
+      expect(await pending(landlord)).to.equal(afterFee(RENT * 3n) + DEPOSIT);
+      expect((await escrow.getDispute(1)).status).to.equal(2); // Resolved
+      expect(await rentalNFT.userOf(1)).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should only accept the appeal fee from the losing party within the window", async function () {
+      await decideRound(1, TENANT_WINS);
+      expect(await escrow.getAppealFee(1)).to.equal(APPEAL_FEE);
+
+      await expect(escrow.connect(tenant).appeal(1, { value: APPEAL_FEE }))
+        .to.be.revertedWith("Only losing party");
+      await expect(escrow.connect(landlord).appeal(1, { value: DISPUTE_FEE }))
+        .to.be.revertedWith("Incorrect payment amount");
+
+      await time.increase(APPEAL_PERIOD + 1);
+      await expect(escrow.connect(landlord).appeal(1, { value: APPEAL_FEE }))
+        .to.be.revertedWith("Appeal period ended");
+    });
+
+    it("Should rehear appeals with fresh panels of five and then seven", async function () {
+      await decideRound(1, TENANT_WINS);
+      await expect(escrow.connect(landlord).appeal(1, { value: APPEAL_FEE }))
+        .to.emit(escrow, "DisputeAppealed")
+        .withArgs(1, landlord.address, 2, APPEAL_FEE);
+      expect((await escrow.getDispute(1)).status).to.equal(4); // Drawing
+
+      await expect(decideRound(2, LANDLORD_WINS))
+        .to.emit(escrow, "VerdictReached")
+        .withArgs(1, 2, LANDLORD_WINS, anyValue);
+      await escrow.connect(tenant).appeal(1, { value: APPEAL_FEE });
+
+      // The seven-juror verdict is final and settles immediately
+      await expect(decideRound(3, TENANT_WINS))
+        .to.emit(escrow, "DisputeResolved")
+        .withArgs(1, TENANT_WINS, RENT * 3n + DEPOSIT, 0, anyValue);
+      expect(await pending(tenant)).to.equal(RENT * 3n + DEPOSIT);
+
+      const rounds = await escrow.getDisputeRounds(1);
+      expect(rounds.map(round => round.jurors.length)).to.deep.equal([3, 5, 7]);
+      expect(rounds.map(round => round.tenantShare)).to.deep.equal([10000n, 0n, 10000n]);
+      expect(rounds.map(round => round.appealedBy))
+        .to.deep.equal([landlord.address, tenant.address, ethers.ZeroAddress]);
+      expect(new Set(rounds.flatMap(round => [...round.jurors])).size).to.equal(15);
+    });
+
+    it("Should keep the earlier verdict and refund the fee when an appeal reaches none", async function () {
+      await decideRound(1, TENANT_WINS);
+      await escrow.connect(landlord).appeal(1, { value: APPEAL_FEE });
+
+      // Neither the appeal panel nor its escalation votes
+      await coordinator.fulfillRandomness(2, 7);
+      await time.increase(VOTING_PERIOD + 1);
+      await expect(escrow.resolveDispute(1)).to.emit(escrow, "DisputeEscalated").withArgs(1, 3, 7);
+      await coordinator.fulfillRandomness(3, 8);
+      await time.increase(VOTING_PERIOD + 1);
+
+      await expect(escrow.resolveDispute(1))
+        .to.emit(escrow, "DisputeResolved")
+        .withArgs(1, TENANT_WINS, RENT * 3n + DEPOSIT, 0, anyValue);
+      expect(await pending(landlord)).to.equal(APPEAL_FEE);
+      expect(await pending(tenant)).to.equal(RENT * 3n + DEPOSIT);
+
+      const rounds = await escrow.getDisputeRounds(1);
+      expect(rounds.map(round => round.verdictReached)).to.deep.equal([true, false, false]);
+    });
+  });
+
+  describe("Withdrawals", function () {
+    beforeEach(async function () {
+      await createAgreement(3);
+    });
+
+    it("Should credit released rent until the landlord withdraws", async function () {
+      await time.increase(MONTH);
+      await expect(escrow.connect(landlord).releaseRentToLandlord(1))
+        .to.emit(escrow, "PaymentCredited")
+        .withArgs(landlord.address, ethers.ZeroAddress, afterFee(RENT));
+      expect(await pending(landlord)).to.equal(afterFee(RENT));
+
+      const tx = escrow.connect(landlord).withdraw(ethers.ZeroAddress);
+      await expect(tx).to.emit(escrow, "Withdrawn").withArgs(landlord.address, ethers.ZeroAddress, afterFee(RENT));
+      await expect(tx).to.changeEtherBalance(landlord, afterFee(RENT));
+
+      expect(await pending(landlord)).to.equal(0);
+      await expect(escrow.connect(landlord).withdraw(ethers.ZeroAddress)).to.be.revertedWith("Nothing to withdraw");
+    });
+
+    it("Should settle a dispute even when a juror cannot receive BNB", async function () {
+      const RejectingWallet = await ethers.getContractFactory("RejectingWallet");
+      const wallet = await RejectingWallet.deploy();
+      await wallet.waitForDeployment();
+      const walletJuror = { address: await wallet.getAddress() };
+      const salt = ethers.id("wallet");
+
+      await escrow.connect(juror1).stakeAsJuror({ value: JUROR_STAKE });
+      await escrow.connect(juror2).stakeAsJuror({ value: JUROR_STAKE });
+      await wallet.execute(
+        await escrow.getAddress(),
+        escrow.interface.encodeFunctionData("stakeAsJuror"),
+        { value: JUROR_STAKE }
+      );
+      await escrow.connect(tenant).raiseDispute(1, "ipfs://evidence");
+      await coordinator.fulfillRandomness(1, 42);
+
+      await commitVote(juror1, TENANT_WINS, ethers.id("1"));
+      await commitVote(juror2, TENANT_WINS, ethers.id("2"));
+      await wallet.execute(
+        await escrow.getAddress(),
+        escrow.interface.encodeFunctionData("commitVote", [1, commitmentFor(1, walletJuror, TENANT_WINS, salt)])
+      );
+      await escrow.connect(juror1).revealVote(1, TENANT_WINS, ethers.id("1"));
+      await escrow.connect(juror2).revealVote(1, TENANT_WINS, ethers.id("2"));
+      await expect(wallet.execute(
+        await escrow.getAddress(),
+        escrow.interface.encodeFunctionData("revealVote", [1, TENANT_WINS, salt])
+      )).to.emit(escrow, "PaymentCredited").withArgs(walletJuror.address, ethers.ZeroAddress, DISPUTE_FEE / 3n);
+
+      await time.increase(2 * 24 * 60 * 60 + 1);
+      await expect(escrow.finalizeDispute(1)).to.emit(escrow, "DisputeResolved");
+
+      // Only the rejecting wallet's own withdrawal fails
+      await expect(wallet.execute(await escrow.getAddress(), escrow.interface.encodeFunctionData("withdraw", [ethers.ZeroAddress])))
+        .to.be.revertedWith("Transfer failed");
+      expect(await pending(walletJuror)).to.equal(DISPUTE_FEE / 3n);
+
+      await expect(escrow.connect(tenant).withdraw(ethers.ZeroAddress)).to.changeEtherBalance(tenant, RENT * 3n + DEPOSIT);
+      await expect(escrow.connect(juror1).withdraw(ethers.ZeroAddress)).to.changeEtherBalance(juror1, DISPUTE_FEE / 3n);
+    });
+  });
+
+  describe("Stablecoin Payments", function () {
+    const USD = (amount) => ethers.parseUnits(amount, 18);
+    const TOKEN_RENT = USD("500");
+    const TOKEN_DEPOSIT = USD("1000");
+    const TOKEN_FEE = USD("30");
+    let stablecoin;
+
+    async function createTokenAgreement(prepaidMonths) {
+      const total = TOKEN_RENT * BigInt(prepaidMonths) + TOKEN_DEPOSIT + TOKEN_FEE;
+      await stablecoin.connect(tenant).approve(await escrow.getAddress(), total);
+      const tx = await escrow.connect(tenant).createAgreement({
+        landlord: landlord.address,
+        nftContract: await rentalNFT.getAddress(),
+        tokenId: 1,
+        rentAmount: TOKEN_RENT,
+        depositAmount: TOKEN_DEPOSIT,
+        disputeFee: TOKEN_FEE,
+        durationMonths: DURATION_MONTHS,
+        prepaidMonths,
+        paymentToken: await stablecoin.getAddress()
+      });
+      await escrow.connect(landlord).acceptAgreement(await escrow.getTotalAgreements());
+      return tx;
+    }
+
+    beforeEach(async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      stablecoin = await MockERC20.deploy("Test USD", "TUSD", 18);
+      await stablecoin.waitForDeployment();
+
+      await stablecoin.mint(tenant.address, USD("10000"));
+      await stablecoin.mint(landlord.address, USD("10000"));
+      await escrow.setAllowedToken(await stablecoin.getAddress(), true);
+    });
+
+    it("Should only let the owner allow payment tokens", async function () {
+      const token = await stablecoin.getAddress();
+      await expect(escrow.connect(user1).setAllowedToken(token, false))
+        .to.be.revertedWithCustomError(escrow, "OwnableUnauthorizedAccount");
+      await expect(escrow.setAllowedToken(ethers.ZeroAddress, true)).to.be.revertedWith("Invalid address");
+
+      await expect(escrow.setAllowedToken(token, false))
+        .to.emit(escrow, "PaymentTokenUpdated")
+        .withArgs(token, false);
+      await expect(createTokenAgreement(1)).to.be.revertedWith("Token not allowed");
+    });
+
+    it("Should lock rent, deposit and fee in the agreement's token", async function () {
+      const total = TOKEN_RENT + TOKEN_DEPOSIT + TOKEN_FEE;
+      const tx = createTokenAgreement(1);
+      await expect(tx)
+        .to.emit(escrow, "AgreementCreated")
+        .withArgs(1, landlord.address, tenant.address, 1, total, await stablecoin.getAddress());
+      await expect(tx).to.changeTokenBalances(stablecoin, [tenant, escrow], [-total, total]);
+
+      const agreement = await escrow.getAgreementDetails(1);
+      expect(agreement.paymentToken).to.equal(await stablecoin.getAddress());
+      expect(agreement.totalLocked).to.equal(total);
+
+      // Installments are pulled with transferFrom, not paid in BNB
+      await expect(escrow.connect(tenant).payRent(1, 1, { value: TOKEN_RENT }))
+        .to.be.revertedWith("Incorrect payment amount");
+      await expect(escrow.connect(tenant).payRent(1, 1))
+        .to.be.revertedWithCustomError(stablecoin, "ERC20InsufficientAllowance");
+
+      await stablecoin.connect(tenant).approve(await escrow.getAddress(), TOKEN_RENT);
+      await expect(escrow.connect(tenant).payRent(1, 1))
+        .to.changeTokenBalances(stablecoin, [tenant, escrow], [-TOKEN_RENT, TOKEN_RENT]);
+    });
+
+    it("Should credit rent and platform fees per token", async function () {
+      await createTokenAgreement(3);
+      await time.increase(MONTH);
+      await escrow.connect(landlord).releaseRentToLandlord(1);
+
+      const token = await stablecoin.getAddress();
+      expect(await pending(landlord, token)).to.equal(afterFee(TOKEN_RENT));
+      expect(await pending(landlord)).to.equal(0);
+      expect(await escrow.accumulatedFees(token)).to.equal(TOKEN_RENT - afterFee(TOKEN_RENT));
+      expect(await escrow.accumulatedFees(ethers.ZeroAddress)).to.equal(0);
+
+      await expect(escrow.connect(landlord).withdraw(token))
+        .to.changeTokenBalance(stablecoin, landlord, afterFee(TOKEN_RENT));
+      await expect(escrow.withdrawFees(token, owner.address))
+        .to.emit(escrow, "FeesWithdrawn")
+        .withArgs(owner.address, token, TOKEN_RENT - afterFee(TOKEN_RENT));
+    });
+
+    it("Should pay juror fees in the token and penalties in BNB", async function () {
+      for (const juror of [juror1, juror2, juror3]) {
+        await escrow.connect(juror).stakeAsJuror({ value: JUROR_STAKE });
+      }
+      await createTokenAgreement(3);
+      await escrow.connect(tenant).raiseDispute(1, "ipfs://evidence");
+      await coordinator.fulfillRandomness(1, 42);
+
+      await commitVote(juror1, TENANT_WINS, ethers.id("1"));
+      await commitVote(juror2, TENANT_WINS, ethers.id("2"));
+      await time.increase(COMMIT_PERIOD + 1);
+      await escrow.connect(juror1).revealVote(1, TENANT_WINS, ethers.id("1"));
+      await escrow.connect(juror2).revealVote(1, TENANT_WINS, ethers.id("2"));
+      await time.increase(VOTING_PERIOD);
+
+      const penalty = JUROR_STAKE / 10n;
+      await expect(escrow.resolveDispute(1))
+        .to.emit(escrow, "JurorRewarded")
+        .withArgs(juror1.address, 1, TOKEN_FEE / 2n, penalty / 2n);
+
+      const token = await stablecoin.getAddress();
+      expect(await pending(juror1, token)).to.equal(TOKEN_FEE / 2n);
+      expect(await pending(juror1)).to.equal(penalty / 2n);
+      expect((await escrow.getJurorStats(juror1.address)).totalEarned).to.equal(penalty / 2n);
+
+      await time.increase(2 * 24 * 60 * 60 + 1);
+      await expect(escrow.finalizeDispute(1))
+        .to.emit(escrow, "DisputeResolved")
+        .withArgs(1, TENANT_WINS, TOKEN_RENT * 3n + TOKEN_DEPOSIT, 0, TOKEN_FEE);
+      expect(await pending(tenant, token)).to.equal(TOKEN_RENT * 3n + TOKEN_DEPOSIT);
+    });
+
+    it("Should take the appeal fee in the agreement's token", async function () {
+      for (const juror of (await ethers.getSigners()).slice(4, 12)) {
+        await escrow.connect(juror).stakeAsJuror({ value: JUROR_STAKE });
+      }
+      await createTokenAgreement(3);
+      await escrow.connect(tenant).raiseDispute(1, "ipfs://evidence");
+      await coordinator.fulfillRandomness(1, 42);
+
+      const assigned = await escrow.getAssignedJurors(1);
+      const panel = (await ethers.getSigners()).filter(signer => assigned.includes(signer.address));
+      for (const juror of panel) {
+        await commitVote(juror, TENANT_WINS, ethers.id(juror.address));
+      }
+      for (const juror of panel) {
+        await escrow.connect(juror).revealVote(1, TENANT_WINS, ethers.id(juror.address));
+      }
+
+      const appealFee = await escrow.getAppealFee(1);
+      expect(appealFee).to.equal(TOKEN_FEE * 2n);
+      await expect(escrow.connect(landlord).appeal(1, { value: appealFee }))
+        .to.be.revertedWith("Incorrect payment amount");
+
+      await stablecoin.connect(landlord).approve(await escrow.getAddress(), appealFee);
+      const tx = escrow.connect(landlord).appeal(1);
+      await expect(tx).to.emit(escrow, "DisputeAppealed").withArgs(1, landlord.address, 2, appealFee);
+      await expect(tx).to.changeTokenBalances(stablecoin, [landlord, escrow], [-appealFee, appealFee]);
+    });
+  });
+
+  describe("Protocol Parameters", function () {
+    const Parameter = { MinStake: 0, MaxStake: 1, VotingPeriod: 2, UnstakeDelay: 3, MinJurors: 4 };
+    const DAY = 24 * 60 * 60;
+
+    it("Should start from the default parameters", async function () {
+      expect(await escrow.minStake()).to.equal(ethers.parseEther("0.001"));
+      expect(await escrow.maxStake()).to.equal(ethers.parseEther("0.1"));
+      expect(await escrow.votingPeriod()).to.equal(VOTING_PERIOD);
+      expect(await escrow.unstakeDelay()).to.equal(7 * DAY);
+      expect(await escrow.minJurors()).to.equal(3);
+    });
+
+    it("Should only let the owner change parameters", async function () {
+      await expect(escrow.connect(user1).setParameter(Parameter.MinJurors, 5))
+        .to.be.revertedWithCustomError(escrow, "OwnableUnauthorizedAccount")
+        .withArgs(user1.address);
+
+      await expect(escrow.setParameter(Parameter.MinJurors, 5))
+        .to.emit(escrow, "ParameterUpdated")
+        .withArgs(Parameter.MinJurors, 3, 5);
+      expect(await escrow.minJurors()).to.equal(5);
+    });
+
+    it("Should reject out-of-range values", async function () {
+      const maxStake = await escrow.maxStake();
+      const minStake = await escrow.minStake();
+
+      await expect(escrow.setParameter(Parameter.MinStake, 0)).to.be.revertedWith("Invalid parameter value");
+      await expect(escrow.setParameter(Parameter.MinStake, maxStake + 1n)).to.be.revertedWith("Invalid parameter value");
+      await expect(escrow.setParameter(Parameter.MaxStake, minStake - 1n)).to.be.revertedWith("Invalid parameter value");
+      await expect(escrow.setParameter(Parameter.VotingPeriod, COMMIT_PERIOD)).to.be.revertedWith("Invalid parameter value");
+      await expect(escrow.setParameter(Parameter.UnstakeDelay, 31 * DAY)).to.be.revertedWith("Invalid parameter value");
+      await expect(escrow.setParameter(Parameter.MinJurors, 0)).to.be.revertedWith("Invalid parameter value");
+      await expect(escrow.setParameter(Parameter.MinJurors, 8)).to.be.revertedWith("Invalid parameter value");
+    });
+
+    it("Should apply stake limits and the unstake delay", async function () {
+      await escrow.setParameter(Parameter.MinStake, JUROR_STAKE * 2n);
+      await expect(escrow.connect(juror1).stakeAsJuror({ value: JUROR_STAKE }))
+        .to.be.revertedWith("Below minimum stake");
+
+      await escrow.setParameter(Parameter.MaxStake, JUROR_STAKE * 3n);
+      await expect(escrow.connect(juror1).stakeAsJuror({ value: JUROR_STAKE * 4n }))
+        .to.be.revertedWith("Above maximum stake");
+
+      await escrow.setParameter(Parameter.UnstakeDelay, DAY);
+      await escrow.connect(juror1).stakeAsJuror({ value: JUROR_STAKE * 2n });
+      await time.increase(DAY);
+      await expect(escrow.connect(juror1).unstake())
+        .to.emit(escrow, "JurorUnstaked")
+        .withArgs(juror1.address, JUROR_STAKE * 2n);
+    });
+
+    it("Should seat first panels and time rounds from the current parameters", async function () {
+      await escrow.setParameter(Parameter.MinJurors, 5);
+      await escrow.setParameter(Parameter.VotingPeriod, 4 * DAY);
+      for (const juror of [juror1, juror2, juror3, juror4]) {
+        await escrow.connect(juror).stakeAsJuror({ value: JUROR_STAKE });
+      }
+      await createAgreement(3);
+
+      await expect(escrow.connect(tenant).raiseDispute(1, "ipfs://evidence"))
+        .to.be.revertedWith("Not enough jurors");
+
+      await escrow.connect(user1).stakeAsJuror({ value: JUROR_STAKE });
+      await escrow.connect(tenant).raiseDispute(1, "ipfs://evidence");
+      await coordinator.fulfillRandomness(1, 7);
+
+      expect(await escrow.getAssignedJurors(1)).to.have.lengthOf(5);
+      const schedule = await escrow.getVotingSchedule(1);
+      expect(schedule.votingEndTime - schedule.commitEndTime).to.equal(4 * DAY - COMMIT_PERIOD);
+    });
+  });
+
+  describe("Landlord Bonds", function () {
+    const BOND = ethers.parseEther("0.05");
+    const APPEAL_PERIOD = 2 * 24 * 60 * 60;
+
+    async function postBond(amount = BOND) {
+      return escrow.connect(landlord).postBond(1, ethers.ZeroAddress, amount, { value: amount });
+    }
+
+    async function settleDispute(vote, agreementId = 1) {
+      for (const juror of [juror1, juror2, juror3]) {
+        await escrow.connect(juror).stakeAsJuror({ value: JUROR_STAKE });
+      }
+      await escrow.connect(tenant).raiseDispute(agreementId, "ipfs://evidence");
+      return resolveDispute(vote);
+    }
+
+    async function resolveDispute(vote) {
+      await coordinator.fulfillRandomness(1, 42);
+
+      for (const juror of [juror1, juror2, juror3]) {
+        await commitVote(juror, vote, ethers.id(juror.address));
+      }
+      for (const juror of [juror1, juror2, juror3]) {
+        await escrow.connect(juror).revealVote(1, vote, ethers.id(juror.address));
+      }
+      await time.increase(APPEAL_PERIOD + 1);
+      return escrow.finalizeDispute(1);
+    }
+
+    async function completeAgreement() {
+      await createAgreement(1, 1);
+      await time.increase(MONTH);
+      await escrow.connect(landlord).releaseRentToLandlord(1);
+      await escrow.connect(landlord).returnDepositToTenant(1);
+    }
+
+    it("Should let the property owner post and top up a bond", async function () {
+      await expect(postBond())
+        .to.emit(escrow, "BondPosted")
+        .withArgs(1, landlord.address, ethers.ZeroAddress, BOND);
+      await postBond();
+
+      const bond = await escrow.listingBonds(1);
+      expect(bond.landlord).to.equal(landlord.address);
+      expect(bond.token).to.equal(ethers.ZeroAddress);
+      expect(bond.amount).to.equal(BOND * 2n);
+    });
+
+    it("Should reject bonds from others, empty bonds and wrong payments", async function () {
+      await expect(escrow.connect(user1).postBond(1, ethers.ZeroAddress, BOND, { value: BOND }))
+        .to.be.revertedWithCustomError(escrow, "NotPropertyOwner");
+      await expect(postBond(0n))
+        .to.be.revertedWithCustomError(escrow, "InvalidBond");
+      await expect(escrow.connect(landlord).postBond(1, ethers.ZeroAddress, BOND, { value: BOND - 1n }))
+        .to.be.revertedWith("Incorrect payment amount");
+    });
+
+    it("Should only take allowed tokens and keep top-ups in the bond's token", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const stablecoin = await MockERC20.deploy("Test USD", "TUSD", 18);
+      const token = await stablecoin.getAddress();
+      await stablecoin.mint(landlord.address, BOND);
+      await stablecoin.connect(landlord).approve(await escrow.getAddress(), BOND);
+
+      await expect(escrow.connect(landlord).postBond(1, token, BOND))
+        .to.be.revertedWithCustomError(escrow, "BondTokenNotAllowed");
+
+      await postBond();
+      await escrow.setAllowedToken(token, true);
+      await expect(escrow.connect(landlord).postBond(1, token, BOND))
+        .to.be.revertedWithCustomError(escrow, "BondTokenMismatch");
+    });
+
+    it("Should only let the landlord accept a pending agreement", async function () {
+      await requestAgreement(1);
+
+      await expect(escrow.connect(tenant).acceptAgreement(1))
+        .to.be.revertedWith("Not landlord");
+      await expect(escrow.connect(landlord).acceptAgreement(1))
+        .to.emit(escrow, "AgreementAccepted")
+        .withArgs(1, landlord.address);
+      expect((await escrow.getAgreementDetails(1)).status).to.equal(1);
+      await expect(escrow.connect(landlord).acceptAgreement(1))
+        .to.be.revertedWith("Not pending");
+    });
+
+    it("Should lock the bond while it backs an agreement", async function () {
+      await postBond();
+      await createAgreement(1, 1);
+
+      await expect(escrow.connect(landlord).withdrawBond(1))
+        .to.be.revertedWithCustomError(escrow, "BondLocked");
+      await expect(escrow.connect(user1).withdrawBond(1))
+        .to.be.revertedWithCustomError(escrow, "NoBond");
+
+      await time.increase(MONTH);
+      await escrow.connect(landlord).releaseRentToLandlord(1);
+      await escrow.connect(landlord).returnDepositToTenant(1);
+
+      const before = await pending(landlord);
+      await expect(escrow.connect(landlord).withdrawBond(1))
+        .to.emit(escrow, "BondWithdrawn")
+        .withArgs(1, landlord.address, BOND);
+      expect(await pending(landlord)).to.equal(before + BOND);
+      expect((await escrow.listingBonds(1)).amount).to.equal(0);
+    });
+
+    it("Should keep the bond locked while an earlier agreement's dispute is open", async function () {
+      await postBond();
+      await createAgreement(1, 1);
+      await time.increase(MONTH + 1);
+
+      for (const juror of [juror1, juror2, juror3]) {
+        await escrow.connect(juror).stakeAsJuror({ value: JUROR_STAKE });
+      }
+      await escrow.connect(tenant).raiseDispute(1, "ipfs://evidence");
+
+      // A later rental the landlord has not accepted becomes the property's current agreement
+      await escrow.connect(user1).createAgreement({
+        landlord: landlord.address,
+        nftContract: await rentalNFT.getAddress(),
+        tokenId: 1,
+        rentAmount: RENT,
+        depositAmount: DEPOSIT,
+        disputeFee: DISPUTE_FEE,
+        durationMonths: 1,
+        prepaidMonths: 1,
+        paymentToken: ethers.ZeroAddress
+      }, { value: RENT + DEPOSIT + DISPUTE_FEE });
+      expect(await escrow.getAgreementByToken(1)).to.equal(2);
+
+      await expect(escrow.connect(landlord).withdrawBond(1))
+        .to.be.revertedWithCustomError(escrow, "BondLocked");
+
+      await resolveDispute(LANDLORD_WINS);
+      await expect(escrow.connect(landlord).withdrawBond(1)).to.emit(escrow, "BondWithdrawn");
+    });
+
+    it("Should not put the bond behind agreements the landlord never accepted", async function () {
+      await postBond();
+      await requestAgreement(3);
+
+      await expect(escrow.connect(landlord).withdrawBond(1)).to.emit(escrow, "BondWithdrawn");
+    });
+
+    it("Should award the tenant the verdict's share of the bond", async function () {
+      await postBond();
+      await createAgreement(3);
+
+      const tenantShare = 6000;
+      const awarded = (BOND * BigInt(tenantShare)) / 10000n;
+      const before = await pending(tenant);
+
+      await expect(settleDispute(tenantShare))
+        .to.emit(escrow, "BondAwarded")
+        .withArgs(1, 1, tenant.address, awarded);
+
+      const tenantAmount = ((RENT * 3n + DEPOSIT) * BigInt(tenantShare)) / 10000n;
+      expect(await pending(tenant)).to.equal(before + tenantAmount + awarded);
+      expect((await escrow.listingBonds(1)).amount).to.equal(BOND - awarded);
+    });
+
+    it("Should leave the bond with a landlord who wins the dispute", async function () {
+      await postBond();
+      await createAgreement(3);
+
+      await expect(settleDispute(LANDLORD_WINS)).to.not.emit(escrow, "BondAwarded");
+      expect((await escrow.listingBonds(1)).amount).to.equal(BOND);
+      await expect(escrow.connect(landlord).withdrawBond(1)).to.emit(escrow, "BondWithdrawn");
+    });
+
+    it("Should build the landlord's record from their agreements", async function () {
+      expect(await escrow.getLandlordReputation(landlord.address)).to.deep.equal([0n, 0n, 0n]);
+
+      await completeAgreement();
+      expect(await escrow.getLandlordReputation(landlord.address)).to.deep.equal([1n, 1n, 0n]);
+
+      // A second rental of the same property that the tenant wins in dispute
+      await createAgreement(3);
+      await settleDispute(TENANT_WINS, 2);
+      expect(await escrow.getLandlordReputation(landlord.address)).to.deep.equal([2n, 2n, 1n]);
+      expect(await escrow.getLandlordReputation(tenant.address)).to.deep.equal([0n, 0n, 0n]);
+    });
+  });
+});
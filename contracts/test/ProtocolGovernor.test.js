@@ -0,0 +1,280 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("ProtocolGovernor Contract", function () {
+  let governor, escrow, rentalNFT;
+  let deployer, approver1, approver2, approver3, landlord, tenant, treasury, outsider;
+
+  const DELAY = 2 * 24 * 60 * 60;
+  const THRESHOLD = 2;
+
+  const RENT = ethers.parseEther("0.002");
+  const DEPOSIT = ethers.parseEther("0.004");
+  const DISPUTE_FEE = ethers.parseEther("0.001");
+
+  const MIN_JURORS = 4; // IntegratedEscrow.Parameter.MinJurors
+
+  async function deployEscrow() {
+    const JurorSelection = await ethers.getContractFactory("JurorSelection");
+    const jurorSelection = await JurorSelection.deploy();
+    const DisputeRounds = await ethers.getContractFactory("DisputeRounds");
+    const disputeRounds = await DisputeRounds.deploy();
+    const LandlordBonds = await ethers.getContractFactory("LandlordBonds");
+    const landlordBonds = await LandlordBonds.deploy();
+
+    const IntegratedEscrow = await ethers.getContractFactory("IntegratedEscrow", {
+      libraries: {
+        JurorSelection: await jurorSelection.getAddress(),
+        DisputeRounds: await disputeRounds.getAddress(),
+        LandlordBonds: await landlordBonds.getAddress()
+      }
+    });
+    const deployed = await IntegratedEscrow.deploy();
+    await deployed.waitForDeployment();
+    return deployed;
+  }
+
+  /**
+   * Propose a call on the escrow and collect enough approvals to queue it
+   */
+  async function proposeAndApprove(functionName, args, description = functionName) {
+    const data = escrow.interface.encodeFunctionData(functionName, args);
+    await governor.connect(approver1).propose(await escrow.getAddress(), data, description);
+    const actionId = await governor.getActionCount();
+    await governor.connect(approver2).approve(actionId);
+    return actionId;
+  }
+
+  beforeEach(async function () {
+    [deployer, approver1, approver2, approver3, landlord, tenant, treasury, outsider] = await ethers.getSigners();
+
+    const ProtocolGovernor = await ethers.getContractFactory("ProtocolGovernor");
+    governor = await ProtocolGovernor.deploy(
+      [approver1.address, approver2.address, approver3.address],
+      THRESHOLD,
+      DELAY
+    );
+    await governor.waitForDeployment();
+
+    escrow = await deployEscrow();
+
+    const RentalNFT = await ethers.getContractFactory("RentalNFT");
+    rentalNFT = await RentalNFT.deploy("FairBNB Rental", "FBR");
+    await rentalNFT.waitForDeployment();
+
+    await escrow.setRentalNFT(await rentalNFT.getAddress());
+    await rentalNFT.setEscrowContract(await escrow.getAddress());
+    await rentalNFT.mint(landlord.address, "ipfs://property");
+    await escrow.transferOwnership(await governor.getAddress());
+  });
+
+  describe("Deployment", function () {
+    it("Should record approvers, threshold and delay", async function () {
+      expect(await governor.getApprovers()).to.deep.equal([approver1.address, approver2.address, approver3.address]);
+      expect(await governor.approvalThreshold()).to.equal(THRESHOLD);
+      expect(await governor.minDelay()).to.equal(DELAY);
+      expect(await governor.hasRole(await governor.DEFAULT_ADMIN_ROLE(), await governor.getAddress())).to.be.true;
+    });
+
+    it("Should reject an unreachable threshold or an overlong delay", async function () {
+      const ProtocolGovernor = await ethers.getContractFactory("ProtocolGovernor");
+      await expect(ProtocolGovernor.deploy([approver1.address], 2, DELAY))
+        .to.be.revertedWithCustomError(governor, "InvalidThreshold");
+      await expect(ProtocolGovernor.deploy([approver1.address], 0, DELAY))
+        .to.be.revertedWithCustomError(governor, "InvalidThreshold");
+      await expect(ProtocolGovernor.deploy([approver1.address], 1, 31 * 24 * 60 * 60))
+        .to.be.revertedWithCustomError(governor, "InvalidDelay");
+    });
+
+    it("Should leave no single key in charge of the escrow", async function () {
+      await expect(escrow.connect(deployer).updatePlatformFee(200))
+        .to.be.revertedWithCustomError(escrow, "OwnableUnauthorizedAccount");
+      await expect(escrow.connect(approver1).pause())
+        .to.be.revertedWithCustomError(escrow, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("Approvals", function () {
+    it("Should count the proposer's approval", async function () {
+      const data = escrow.interface.encodeFunctionData("updatePlatformFee", [200]);
+
+      await expect(governor.connect(approver1).propose(await escrow.getAddress(), data, "Raise fee to 2%"))
+        .to.emit(governor, "ActionProposed")
+        .withArgs(1, approver1.address, await escrow.getAddress(), data, "Raise fee to 2%")
+        .and.to.emit(governor, "ActionApproved")
+        .withArgs(1, approver1.address, 1);
+
+      const action = await governor.getAction(1);
+      expect(action.approvals).to.equal(1);
+      expect(action.readyAt).to.equal(0);
+      expect(await governor.hasApproved(1, approver1.address)).to.be.true;
+    });
+
+    it("Should queue an action behind the timelock once the threshold is met", async function () {
+      const data = escrow.interface.encodeFunctionData("updatePlatformFee", [200]);
+      await governor.connect(approver1).propose(await escrow.getAddress(), data, "Raise fee to 2%");
+
+      const tx = governor.connect(approver2).approve(1);
+      await expect(tx).to.emit(governor, "ActionQueued");
+
+      const action = await governor.getAction(1);
+      expect(action.readyAt).to.equal(BigInt(await time.latest()) + BigInt(DELAY));
+    });
+
+    it("Should reject duplicate approvals and outsiders", async function () {
+      const actionId = await proposeAndApprove("updatePlatformFee", [200]);
+
+      await expect(governor.connect(approver1).approve(actionId))
+        .to.be.revertedWithCustomError(governor, "AlreadyApproved");
+      await expect(governor.connect(outsider).approve(actionId))
+        .to.be.revertedWithCustomError(governor, "AccessControlUnauthorizedAccount");
+      await expect(governor.connect(outsider).propose(await escrow.getAddress(), "0x", ""))
+        .to.be.revertedWithCustomError(governor, "AccessControlUnauthorizedAccount");
+      await expect(governor.connect(approver3).approve(99))
+        .to.be.revertedWithCustomError(governor, "ActionNotFound");
+    });
+  });
+
+  describe("Execution", function () {
+    it("Should only run an action after its timelock", async function () {
+      const actionId = await proposeAndApprove("updatePlatformFee", [200], "Raise fee to 2%");
+
+      await expect(governor.connect(approver1).execute(actionId))
+        .to.be.revertedWithCustomError(governor, "TimelockActive");
+
+      await time.increase(DELAY);
+      await expect(governor.connect(approver3).execute(actionId))
+        .to.emit(escrow, "PlatformFeeUpdated")
+        .withArgs(100, 200)
+        .and.to.emit(governor, "ActionExecuted")
+        .withArgs(actionId, approver3.address);
+      expect(await escrow.platformFeePercent()).to.equal(200);
+
+      await expect(governor.connect(approver1).execute(actionId))
+        .to.be.revertedWithCustomError(governor, "ActionClosed");
+    });
+
+    it("Should not run an action short of approvals", async function () {
+      const data = escrow.interface.encodeFunctionData("updatePlatformFee", [200]);
+      await governor.connect(approver1).propose(await escrow.getAddress(), data, "");
+      await time.increase(DELAY);
+
+      await expect(governor.connect(approver1).execute(1))
+        .to.be.revertedWithCustomError(governor, "NotQueued");
+    });
+
+    it("Should change protocol parameters through the timelock", async function () {
+      const actionId = await proposeAndApprove("setParameter", [MIN_JURORS, 5], "Seat five jurors");
+      await time.increase(DELAY);
+
+      await expect(governor.connect(approver1).execute(actionId))
+        .to.emit(escrow, "ParameterUpdated")
+        .withArgs(MIN_JURORS, 3, 5);
+      expect(await escrow.minJurors()).to.equal(5);
+    });
+
+    it("Should withdraw platform fees to the approved recipient", async function () {
+      await escrow.connect(tenant).createAgreement({
+        landlord: landlord.address,
+        nftContract: await rentalNFT.getAddress(),
+        tokenId: 1,
+        rentAmount: RENT,
+        depositAmount: DEPOSIT,
+        disputeFee: DISPUTE_FEE,
+        durationMonths: 1,
+        prepaidMonths: 1,
+        paymentToken: ethers.ZeroAddress
+      }, { value: RENT + DEPOSIT + DISPUTE_FEE });
+      await escrow.connect(landlord).acceptAgreement(1);
+      await time.increase(30 * 24 * 60 * 60);
+      await escrow.connect(landlord).releaseRentToLandlord(1);
+
+      const fees = await escrow.accumulatedFees(ethers.ZeroAddress);
+      expect(fees).to.be.greaterThan(0);
+
+      const actionId = await proposeAndApprove("withdrawFees", [ethers.ZeroAddress, treasury.address]);
+      await time.increase(DELAY);
+
+      await expect(governor.connect(approver2).execute(actionId))
+        .to.changeEtherBalances([escrow, treasury], [-fees, fees]);
+    });
+
+    it("Should pause without waiting for the timelock", async function () {
+      const actionId = await proposeAndApprove("pause", []);
+      expect((await governor.getAction(actionId)).urgent).to.be.true;
+
+      await expect(governor.connect(approver1).execute(actionId))
+        .to.emit(escrow, "Paused");
+      expect(await escrow.paused()).to.be.true;
+
+      // Unpausing is announced like any other change
+      const unpauseId = await proposeAndApprove("unpause", []);
+      await expect(governor.connect(approver1).execute(unpauseId))
+        .to.be.revertedWithCustomError(governor, "TimelockActive");
+    });
+
+    it("Should surface the target's revert", async function () {
+      const actionId = await proposeAndApprove("updatePlatformFee", [5000]);
+      await time.increase(DELAY);
+
+      await expect(governor.connect(approver1).execute(actionId))
+        .to.be.revertedWithCustomError(governor, "ActionFailed");
+      expect((await governor.getAction(actionId)).executed).to.be.false;
+    });
+
+    it("Should let any approver cancel a queued action", async function () {
+      const actionId = await proposeAndApprove("updatePlatformFee", [200]);
+
+      await expect(governor.connect(approver3).cancel(actionId))
+        .to.emit(governor, "ActionCancelled")
+        .withArgs(actionId, approver3.address);
+
+      await time.increase(DELAY);
+      await expect(governor.connect(approver1).execute(actionId))
+        .to.be.revertedWithCustomError(governor, "ActionClosed");
+    });
+  });
+
+  describe("Self-Governance", function () {
+    async function governSelf(functionName, args) {
+      const data = governor.interface.encodeFunctionData(functionName, args);
+      await governor.connect(approver1).propose(await governor.getAddress(), data, functionName);
+      const actionId = await governor.getActionCount();
+      await governor.connect(approver2).approve(actionId);
+      await time.increase(DELAY);
+      return governor.connect(approver1).execute(actionId);
+    }
+
+    it("Should only change its settings through its own actions", async function () {
+      await expect(governor.connect(approver1).setApprovalThreshold(3))
+        .to.be.revertedWithCustomError(governor, "OnlyGovernor");
+      await expect(governor.connect(approver1).setMinDelay(0))
+        .to.be.revertedWithCustomError(governor, "OnlyGovernor");
+
+      await expect(governSelf("setApprovalThreshold", [3]))
+        .to.emit(governor, "ApprovalThresholdUpdated")
+        .withArgs(THRESHOLD, 3);
+      await expect(governSelf("setMinDelay", [DELAY * 2]))
+        .to.be.revertedWithCustomError(governor, "NotQueued"); // Now needs three approvals
+    });
+
+    it("Should add and remove approvers through its own actions", async function () {
+      const APPROVER_ROLE = await governor.APPROVER_ROLE();
+
+      await governSelf("grantRole", [APPROVER_ROLE, outsider.address]);
+      expect(await governor.hasRole(APPROVER_ROLE, outsider.address)).to.be.true;
+
+      await governSelf("revokeRole", [APPROVER_ROLE, approver3.address]);
+      expect(await governor.getApprovers()).to.deep.equal([approver1.address, approver2.address, outsider.address]);
+    });
+
+    it("Should keep enough approvers to reach the threshold", async function () {
+      const APPROVER_ROLE = await governor.APPROVER_ROLE();
+      await governSelf("revokeRole", [APPROVER_ROLE, approver3.address]);
+
+      await expect(governSelf("revokeRole", [APPROVER_ROLE, approver2.address]))
+        .to.be.revertedWithCustomError(governor, "ActionFailed");
+    });
+  });
+});
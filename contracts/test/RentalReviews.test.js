@@ -0,0 +1,185 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("RentalReviews Contract", function () {
+  let reviews, escrow, rentalNFT;
+  let owner, landlord, tenant, tenant2, outsider;
+
+  const RENT = ethers.parseEther("0.002");
+  const DEPOSIT = ethers.parseEther("0.004");
+  const DISPUTE_FEE = ethers.parseEther("0.001");
+
+  const MONTH = 30 * 24 * 60 * 60;
+
+  const TENANT_REVIEW = "ipfs://tenant-review";
+  const LANDLORD_REVIEW = "ipfs://landlord-review";
+
+  async function deployEscrow() {
+    const JurorSelection = await ethers.getContractFactory("JurorSelection");
+    const jurorSelection = await JurorSelection.deploy();
+    const DisputeRounds = await ethers.getContractFactory("DisputeRounds");
+    const disputeRounds = await DisputeRounds.deploy();
+    const LandlordBonds = await ethers.getContractFactory("LandlordBonds");
+    const landlordBonds = await LandlordBonds.deploy();
+
+    const IntegratedEscrow = await ethers.getContractFactory("IntegratedEscrow", {
+      libraries: {
+        JurorSelection: await jurorSelection.getAddress(),
+        DisputeRounds: await disputeRounds.getAddress(),
+        LandlordBonds: await landlordBonds.getAddress()
+      }
+    });
+    const deployed = await IntegratedEscrow.deploy();
+    await deployed.waitForDeployment();
+    return deployed;
+  }
+
+  /**
+   * Rent property 1 to a tenant for one month; returns the agreement ID
+   */
+  async function createAgreement(renter) {
+    await escrow.connect(renter).createAgreement({
+      landlord: landlord.address,
+      nftContract: await rentalNFT.getAddress(),
+      tokenId: 1,
+      rentAmount: RENT,
+      depositAmount: DEPOSIT,
+      disputeFee: DISPUTE_FEE,
+      durationMonths: 1,
+      prepaidMonths: 1,
+      paymentToken: ethers.ZeroAddress
+    }, { value: RENT + DEPOSIT + DISPUTE_FEE });
+    const agreementIds = await escrow.getTenantAgreements(renter.address);
+    const agreementId = agreementIds[agreementIds.length - 1];
+    await escrow.connect(landlord).acceptAgreement(agreementId);
+    return agreementId;
+  }
+
+  /**
+   * Run a one-month agreement to completion; returns the agreement ID
+   */
+  async function completeAgreement(renter = tenant) {
+    const agreementId = await createAgreement(renter);
+    await time.increase(MONTH);
+    await escrow.connect(landlord).releaseRentToLandlord(agreementId);
+    await escrow.connect(landlord).returnDepositToTenant(agreementId);
+    return agreementId;
+  }
+
+  beforeEach(async function () {
+    [owner, landlord, tenant, tenant2, outsider] = await ethers.getSigners();
+
+    escrow = await deployEscrow();
+
+    const RentalNFT = await ethers.getContractFactory("RentalNFT");
+    rentalNFT = await RentalNFT.deploy("FairBNB Rental", "FBR");
+    await rentalNFT.waitForDeployment();
+
+    await escrow.setRentalNFT(await rentalNFT.getAddress());
+    await rentalNFT.setEscrowContract(await escrow.getAddress());
+    await rentalNFT.mint(landlord.address, "ipfs://property");
+
+    const RentalReviews = await ethers.getContractFactory("RentalReviews");
+    reviews = await RentalReviews.deploy(await escrow.getAddress());
+    await reviews.waitForDeployment();
+  });
+
+  describe("Deployment", function () {
+    it("Should point at the escrow", async function () {
+      expect(await reviews.escrow()).to.equal(await escrow.getAddress());
+      expect(await reviews.getReviewCount()).to.equal(0);
+    });
+
+    it("Should reject a missing escrow", async function () {
+      const RentalReviews = await ethers.getContractFactory("RentalReviews");
+      await expect(RentalReviews.deploy(ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(reviews, "InvalidEscrow");
+    });
+  });
+
+  describe("Submitting Reviews", function () {
+    it("Should let both parties review a completed agreement", async function () {
+      const agreementId = await completeAgreement();
+
+      await expect(reviews.connect(tenant).submitReview(agreementId, 5, TENANT_REVIEW))
+        .to.emit(reviews, "ReviewSubmitted")
+        .withArgs(1, agreementId, tenant.address, landlord.address, 1, 5, TENANT_REVIEW);
+      await expect(reviews.connect(landlord).submitReview(agreementId, 4, LANDLORD_REVIEW))
+        .to.emit(reviews, "ReviewSubmitted")
+        .withArgs(2, agreementId, landlord.address, tenant.address, 1, 4, LANDLORD_REVIEW);
+
+      const review = await reviews.getReview(1);
+      expect(review.reviewer).to.equal(tenant.address);
+      expect(review.subject).to.equal(landlord.address);
+      expect(review.rating).to.equal(5);
+      expect(review.byTenant).to.be.true;
+      expect(review.uri).to.equal(TENANT_REVIEW);
+      expect(await reviews.reviewByParty(agreementId, landlord.address)).to.equal(2);
+    });
+
+    it("Should reject reviews before the agreement completes", async function () {
+      const agreementId = await createAgreement(tenant);
+
+      await expect(reviews.connect(tenant).submitReview(agreementId, 5, TENANT_REVIEW))
+        .to.be.revertedWithCustomError(reviews, "AgreementNotCompleted");
+      await expect(reviews.connect(tenant).submitReview(99, 5, TENANT_REVIEW))
+        .to.be.revertedWithCustomError(reviews, "AgreementNotCompleted");
+      expect(await reviews.canReview(agreementId, tenant.address)).to.be.false;
+    });
+
+    it("Should only take one review per side from the agreement's parties", async function () {
+      const agreementId = await completeAgreement();
+      expect(await reviews.canReview(agreementId, tenant.address)).to.be.true;
+
+      await expect(reviews.connect(outsider).submitReview(agreementId, 1, TENANT_REVIEW))
+        .to.be.revertedWithCustomError(reviews, "NotAParty");
+
+      await reviews.connect(tenant).submitReview(agreementId, 5, TENANT_REVIEW);
+      await expect(reviews.connect(tenant).submitReview(agreementId, 1, TENANT_REVIEW))
+        .to.be.revertedWithCustomError(reviews, "AlreadyReviewed");
+      expect(await reviews.canReview(agreementId, tenant.address)).to.be.false;
+    });
+
+    it("Should reject out-of-range ratings and missing text", async function () {
+      const agreementId = await completeAgreement();
+
+      await expect(reviews.connect(tenant).submitReview(agreementId, 0, TENANT_REVIEW))
+        .to.be.revertedWithCustomError(reviews, "InvalidRating");
+      await expect(reviews.connect(tenant).submitReview(agreementId, 6, TENANT_REVIEW))
+        .to.be.revertedWithCustomError(reviews, "InvalidRating");
+      await expect(reviews.connect(tenant).submitReview(agreementId, 5, ""))
+        .to.be.revertedWithCustomError(reviews, "MissingReviewURI");
+    });
+  });
+
+  describe("Aggregates", function () {
+    it("Should aggregate tenant ratings per property and every rating per user", async function () {
+      const first = await completeAgreement(tenant);
+      const second = await completeAgreement(tenant2);
+
+      await reviews.connect(tenant).submitReview(first, 5, TENANT_REVIEW);
+      await reviews.connect(landlord).submitReview(first, 4, LANDLORD_REVIEW);
+      await reviews.connect(tenant2).submitReview(second, 2, TENANT_REVIEW);
+
+      const propertyRating = await reviews.getPropertyRating(1);
+      expect(propertyRating.count).to.equal(2);
+      expect(propertyRating.total).to.equal(7);
+
+      const landlordRating = await reviews.getUserRating(landlord.address);
+      expect(landlordRating.count).to.equal(2);
+      expect(landlordRating.total).to.equal(7);
+
+      const tenantRating = await reviews.getUserRating(tenant.address);
+      expect(tenantRating.count).to.equal(1);
+      expect(tenantRating.total).to.equal(4);
+
+      // The landlord's review of the tenant says nothing about the property
+      const propertyReviews = await reviews.getPropertyReviews(1);
+      expect(propertyReviews.map(review => review.reviewer)).to.deep.equal([tenant.address, tenant2.address]);
+
+      const received = await reviews.getReviewsReceived(landlord.address);
+      expect(received.map(review => review.rating)).to.deep.equal([5n, 2n]);
+    });
+  });
+});
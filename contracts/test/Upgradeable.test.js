@@ -0,0 +1,266 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+
+describe("Upgradeable Contracts", function () {
+  let escrow, rentalNFT, coordinator;
+  let escrowFactory, libraries;
+  let owner, landlord, tenant, juror1, user1;
+
+  const PROPERTY_URI = "ipfs://QmXvKzB5VD8p3dH7xJ6hQkP4ZR5SmV9UjqWHm8QvYzB1x9";
+
+  const RENT = ethers.parseEther("0.002");
+  const DEPOSIT = ethers.parseEther("0.004");
+  const DISPUTE_FEE = ethers.parseEther("0.001");
+  const DURATION_MONTHS = 3;
+  const JUROR_STAKE = ethers.parseEther("0.01");
+
+  // Libraries are stateless and linked at deploy time, so they cannot break proxy storage
+  const ESCROW_OPTIONS = { kind: "transparent", unsafeAllow: ["external-library-linking"] };
+  const RENTAL_NFT_OPTIONS = { kind: "transparent" };
+
+  const PROXY_ADMIN_ABI = [
+    "function owner() view returns (address)",
+    "function upgradeAndCall(address proxy, address implementation, bytes data) payable",
+    "error OwnableUnauthorizedAccount(address account)"
+  ];
+
+  async function createAgreement(prepaidMonths = 1) {
+    const value = RENT * BigInt(prepaidMonths) + DEPOSIT + DISPUTE_FEE;
+    await escrow.connect(tenant).createAgreement({
+      landlord: landlord.address,
+      nftContract: await rentalNFT.getAddress(),
+      tokenId: 1,
+      rentAmount: RENT,
+      depositAmount: DEPOSIT,
+      disputeFee: DISPUTE_FEE,
+      durationMonths: DURATION_MONTHS,
+      prepaidMonths,
+      paymentToken: ethers.ZeroAddress
+    }, { value });
+    await escrow.connect(landlord).acceptAgreement(await escrow.getTotalAgreements());
+  }
+
+  async function deployLibraries() {
+    const JurorSelection = await ethers.getContractFactory("JurorSelection");
+    const jurorSelection = await JurorSelection.deploy();
+    await jurorSelection.waitForDeployment();
+
+    const DisputeRounds = await ethers.getContractFactory("DisputeRounds");
+    const disputeRounds = await DisputeRounds.deploy();
+    await disputeRounds.waitForDeployment();
+
+    const LandlordBonds = await ethers.getContractFactory("LandlordBonds");
+    const landlordBonds = await LandlordBonds.deploy();
+    await landlordBonds.waitForDeployment();
+
+    return {
+      JurorSelection: await jurorSelection.getAddress(),
+      DisputeRounds: await disputeRounds.getAddress(),
+      LandlordBonds: await landlordBonds.getAddress()
+    };
+  }
+
+  before(function () {
+    // Every escrow deployment would otherwise warn about the linked libraries
+    upgrades.silenceWarnings();
+  });
+
+  beforeEach(async function () {
+    [owner, landlord, tenant, juror1, user1] = await ethers.getSigners();
+
+    const RentalNFTUpgradeable = await ethers.getContractFactory("RentalNFTUpgradeable");
+    rentalNFT = await upgrades.deployProxy(
+      RentalNFTUpgradeable,
+      ["FairBNB Rental", "FBR", owner.address],
+      RENTAL_NFT_OPTIONS
+    );
+    await rentalNFT.waitForDeployment();
+
+    libraries = await deployLibraries();
+    escrowFactory = await ethers.getContractFactory("IntegratedEscrowUpgradeable", { libraries });
+    escrow = await upgrades.deployProxy(escrowFactory, [owner.address], ESCROW_OPTIONS);
+    await escrow.waitForDeployment();
+
+    const MockRandomnessCoordinator = await ethers.getContractFactory("MockRandomnessCoordinator");
+    coordinator = await MockRandomnessCoordinator.deploy();
+    await coordinator.waitForDeployment();
+
+    await escrow.setRentalNFT(await rentalNFT.getAddress());
+    await escrow.setRandomnessCoordinator(await coordinator.getAddress());
+    await rentalNFT.setEscrowContract(await escrow.getAddress());
+    await rentalNFT.mint(landlord.address, PROPERTY_URI);
+  });
+
+  describe("Initialization", function () {
+    it("Should initialize the escrow's state in the proxy", async function () {
+      expect(await escrow.owner()).to.equal(owner.address);
+      expect(await escrow.platformFeePercent()).to.equal(100);
+      expect(await escrow.slashPercent()).to.equal(1000);
+      expect(await escrow.getTotalAgreements()).to.equal(0);
+      expect(await escrow.getTotalDisputes()).to.equal(0);
+    });
+
+    it("Should initialize the RentalNFT's state in the proxy", async function () {
+      expect(await rentalNFT.name()).to.equal("FairBNB Rental");
+      expect(await rentalNFT.symbol()).to.equal("FBR");
+      expect(await rentalNFT.hasRole(await rentalNFT.DEFAULT_ADMIN_ROLE(), owner.address)).to.be.true;
+      expect(await rentalNFT.hasRole(await rentalNFT.MINTER_ROLE(), owner.address)).to.be.true;
+      expect(await rentalNFT.getCurrentTokenId()).to.equal(2);
+    });
+
+    it("Should reject a second initialization", async function () {
+      await expect(escrow.initialize(user1.address))
+        .to.be.revertedWithCustomError(escrow, "InvalidInitialization");
+      await expect(rentalNFT.initialize("Other", "OTH", user1.address))
+        .to.be.revertedWithCustomError(rentalNFT, "InvalidInitialization");
+    });
+
+    it("Should lock the implementations against initialization", async function () {
+      const escrowImplementation = escrowFactory.attach(
+        await upgrades.erc1967.getImplementationAddress(await escrow.getAddress())
+      );
+      const rentalNFTImplementation = (await ethers.getContractFactory("RentalNFTUpgradeable")).attach(
+        await upgrades.erc1967.getImplementationAddress(await rentalNFT.getAddress())
+      );
+
+      await expect(escrowImplementation.initialize(user1.address))
+        .to.be.revertedWithCustomError(escrow, "InvalidInitialization");
+      await expect(rentalNFTImplementation.initialize("Other", "OTH", user1.address))
+        .to.be.revertedWithCustomError(rentalNFT, "InvalidInitialization");
+    });
+
+    it("Should run agreements through the proxies", async function () {
+      await createAgreement();
+
+      const agreement = await escrow.getAgreementDetails(1);
+      expect(agreement.tenant).to.equal(tenant.address);
+      expect(agreement.status).to.equal(1); // Active
+      expect(await rentalNFT.userOf(1)).to.equal(tenant.address);
+      expect(await rentalNFT.ownerOf(1)).to.equal(landlord.address);
+    });
+  });
+
+  describe("Upgrades", function () {
+    it("Should keep agreements, stakes and funds across an escrow upgrade", async function () {
+      await createAgreement(2);
+      await escrow.connect(juror1).stakeAsJuror({ value: JUROR_STAKE });
+
+      const escrowAddress = await escrow.getAddress();
+      const before = await escrow.getAgreementDetails(1);
+      const balance = await ethers.provider.getBalance(escrowAddress);
+      const oldImplementation = await upgrades.erc1967.getImplementationAddress(escrowAddress);
+
+      const EscrowV2 = await ethers.getContractFactory("IntegratedEscrowV2Mock", { libraries });
+      const upgraded = await upgrades.upgradeProxy(escrowAddress, EscrowV2, {
+        ...ESCROW_OPTIONS,
+        call: { fn: "migrate" }
+      });
+
+      expect(await upgraded.getAddress()).to.equal(escrowAddress);
+      expect(await upgrades.erc1967.getImplementationAddress(escrowAddress)).to.not.equal(oldImplementation);
+      expect(await upgraded.migratedAt()).to.be.greaterThan(0);
+
+      const after = await upgraded.getAgreementDetails(1);
+      expect(after.tenant).to.equal(before.tenant);
+      expect(after.totalLocked).to.equal(before.totalLocked);
+      expect(after.monthsPaid).to.equal(2);
+      expect(after.status).to.equal(before.status);
+
+      expect(await upgraded.owner()).to.equal(owner.address);
+      expect(await upgraded.rentalNFT()).to.equal(await rentalNFT.getAddress());
+      expect(await upgraded.isActiveJuror(juror1.address)).to.be.true;
+      expect(await upgraded.totalStaked()).to.equal(JUROR_STAKE);
+      expect(await upgraded.getTotalAgreements()).to.equal(1);
+      expect(await ethers.provider.getBalance(escrowAddress)).to.equal(balance);
+      expect(await rentalNFT.userOf(1)).to.equal(tenant.address);
+    });
+
+    it("Should only run an upgrade's migration once", async function () {
+      const EscrowV2 = await ethers.getContractFactory("IntegratedEscrowV2Mock", { libraries });
+      const upgraded = await upgrades.upgradeProxy(await escrow.getAddress(), EscrowV2, {
+        ...ESCROW_OPTIONS,
+        call: { fn: "migrate" }
+      });
+
+      await expect(upgraded.migrate()).to.be.revertedWithCustomError(upgraded, "InvalidInitialization");
+    });
+
+    it("Should keep tokens, rental rights and roles across a RentalNFT upgrade", async function () {
+      await createAgreement();
+
+      const rentalNFTAddress = await rentalNFT.getAddress();
+      const oldImplementation = await upgrades.erc1967.getImplementationAddress(rentalNFTAddress);
+
+      const RentalNFTUpgradeable = await ethers.getContractFactory("RentalNFTUpgradeable");
+      const upgraded = await upgrades.upgradeProxy(rentalNFTAddress, RentalNFTUpgradeable, {
+        ...RENTAL_NFT_OPTIONS,
+        redeployImplementation: "always"
+      });
+
+      expect(await upgrades.erc1967.getImplementationAddress(rentalNFTAddress)).to.not.equal(oldImplementation);
+      expect(await upgraded.ownerOf(1)).to.equal(landlord.address);
+      expect(await upgraded.tokenURI(1)).to.equal(PROPERTY_URI);
+      expect(await upgraded.userOf(1)).to.equal(tenant.address);
+      expect(await upgraded.escrowContract()).to.equal(await escrow.getAddress());
+      expect(await upgraded.hasRole(await upgraded.DEFAULT_ADMIN_ROLE(), owner.address)).to.be.true;
+      expect(await upgraded.getCurrentTokenId()).to.equal(2);
+    });
+
+    it("Should only let the proxy admin's owner upgrade", async function () {
+      const escrowAddress = await escrow.getAddress();
+      const EscrowV2 = await ethers.getContractFactory("IntegratedEscrowV2Mock", { libraries });
+      const implementation = await upgrades.prepareUpgrade(escrowAddress, EscrowV2, ESCROW_OPTIONS);
+
+      const proxyAdmin = new ethers.Contract(
+        await upgrades.erc1967.getAdminAddress(escrowAddress),
+        PROXY_ADMIN_ABI,
+        user1
+      );
+      expect(await proxyAdmin.owner()).to.equal(owner.address);
+
+      await expect(proxyAdmin.upgradeAndCall(escrowAddress, implementation, "0x"))
+        .to.be.revertedWithCustomError(proxyAdmin, "OwnableUnauthorizedAccount")
+        .withArgs(user1.address);
+    });
+  });
+
+  describe("Storage Layout", function () {
+    it("Should pass the upgrade safety checks", async function () {
+      await upgrades.validateImplementation(escrowFactory, ESCROW_OPTIONS);
+      await upgrades.validateImplementation(
+        await ethers.getContractFactory("RentalNFTUpgradeable"),
+        RENTAL_NFT_OPTIONS
+      );
+    });
+
+    it("Should accept an upgrade that appends state", async function () {
+      const EscrowV2 = await ethers.getContractFactory("IntegratedEscrowV2Mock", { libraries });
+      await upgrades.validateUpgrade(await escrow.getAddress(), EscrowV2, ESCROW_OPTIONS);
+    });
+
+    it("Should reject an upgrade that shifts existing state", async function () {
+      const LayoutClash = await ethers.getContractFactory("RentalNFTLayoutClashMock");
+
+      await expect(
+        upgrades.validateUpgrade(await rentalNFT.getAddress(), LayoutClash, RENTAL_NFT_OPTIONS)
+      ).to.be.rejectedWith(/New storage layout is incompatible/);
+      await expect(
+        upgrades.upgradeProxy(await rentalNFT.getAddress(), LayoutClash, RENTAL_NFT_OPTIONS)
+      ).to.be.rejectedWith(/New storage layout is incompatible/);
+    });
+
+    it("Should keep the plain deployments working without a proxy", async function () {
+      const RentalNFT = await ethers.getContractFactory("RentalNFT");
+      const plainNFT = await RentalNFT.deploy("FairBNB Rental", "FBR");
+      const IntegratedEscrow = await ethers.getContractFactory("IntegratedEscrow", { libraries });
+      const plainEscrow = await IntegratedEscrow.deploy();
+
+      expect(await plainNFT.name()).to.equal("FairBNB Rental");
+      expect(await plainNFT.hasRole(await plainNFT.DEFAULT_ADMIN_ROLE(), owner.address)).to.be.true;
+      expect(await plainEscrow.owner()).to.equal(owner.address);
+      expect(await plainEscrow.platformFeePercent()).to.equal(100);
+      expect(plainEscrow.interface.getFunction("initialize")).to.be.null;
+      expect(plainNFT.interface.getFunction("initialize")).to.be.null;
+    });
+  });
+});
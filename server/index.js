@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Indexer server: replays FairBNB and IntegratedEscrow events into SQLite and serves them over REST,
+ * and proxies uploads to the storage backend
+ */
+
+const { JsonRpcProvider } = require('ethers');
+const config = require('./src/config');
+const { openDatabase } = require('./src/db');
+const { indexedContracts } = require('./src/events');
+const { Store } = require('./src/store');
+const { MetadataCache } = require('./src/metadata');
+const { Indexer } = require('./src/indexer');
+const { createApi } = require('./src/api');
+const { createStorage } = require('./src/storage');
+const { SessionStore } = require('./src/sessions');
+const { RoleResolver } = require('./src/roles');
+
+const db = openDatabase(config.databasePath);
+const provider = new JsonRpcProvider(config.rpcUrl, undefined, { staticNetwork: true });
+
+const indexer = new Indexer({
+  provider,
+  store: new Store(db),
+  contracts: indexedContracts(config.contracts),
+  metadata: new MetadataCache(
+    db,
+    config.ipfsGateway,
+    config.storage.backend === 'filesystem' ? `${config.storage.publicUrl.replace(/\/$/, '')}/uploads/` : null
+  ),
+  startBlock: config.startBlock,
+  confirmations: config.confirmations,
+  batchSize: config.batchSize,
+  pollInterval: config.pollInterval
+});
+
+const services = {
+  storage: createStorage(config.storage),
+  sessions: new SessionStore(db),
+  roles: new RoleResolver(provider, config.contracts, db),
+  provider
+};
+
+const server = createApi(db, indexer, services, config).listen(config.port, () => {
+  console.log(`FairBNB indexer API listening on port ${config.port}`);
+  console.log(`Storing uploads with the ${config.storage.backend} backend`);
+  for (const { name, address } of indexer.contracts) {
+    console.log(`Indexing ${name} at ${address} from ${config.rpcUrl}`);
+  }
+});
+
+indexer.start();
+
+const shutdown = () => {
+  indexer.stop();
+  server.close(() => {
+    db.close();
+    process.exit(0);
+  });
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,453 @@
+/**
+ * @fileoverview REST API over the indexed data, so the client can skip per-token chain calls.
+ * Amounts are decimal strings in the smallest unit, booking days count from the Unix epoch and
+ * timestamps are Unix seconds, as on-chain.
+ */
+
+const express = require('express');
+const { getAddress, isAddress } = require('ethers');
+const { BadRequestError, UnauthorizedError } = require('./errors');
+const { searchListings, stringParam } = require('./listings');
+const { BOOKING_STATUS } = require('./projections');
+const { uploadRouter } = require('./uploads');
+const { authRouter, requireSession } = require('./auth');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+/**
+ * Checksummed address, or null for empty columns
+ */
+const toAddress = (value) => (value ? getAddress(value) : null);
+
+/**
+ * Lowercased address query parameter, as stored, or undefined when absent
+ */
+function addressParam(value, name) {
+  if (value === undefined) return undefined;
+  if (!isAddress(value)) {
+    throw new BadRequestError(`Invalid ${name} address`);
+  }
+  return value.toLowerCase();
+}
+
+/**
+ * Boolean query parameter as 0/1, or undefined when absent
+ */
+function flagParam(value, name) {
+  if (value === undefined) return undefined;
+  if (value !== 'true' && value !== 'false') {
+    throw new BadRequestError(`${name} must be true or false`);
+  }
+  return value === 'true' ? 1 : 0;
+}
+
+/**
+ * limit and offset query parameters; limit must be positive and is capped at MAX_LIMIT
+ */
+function pageParams(query) {
+  let limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new BadRequestError('limit must be a positive integer');
+    }
+  }
+  const offset = Math.max(Number.parseInt(query.offset, 10) || 0, 0);
+  return { limit: Math.min(limit, MAX_LIMIT), offset };
+}
+
+/**
+ * WHERE clause from column conditions whose parameter is set
+ * @param {Object<string, *>} params - Named parameters
+ * @param {Object<string, string>} conditions - Parameter name to SQL condition
+ */
+function whereClause(params, conditions) {
+  const clauses = Object.entries(conditions)
+    .filter(([name]) => params[name] !== undefined)
+    .map(([, condition]) => condition);
+  return clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+}
+
+const formatProperty = (row) => ({
+  tokenId: row.token_id,
+  tokenURI: row.token_uri,
+  owner: toAddress(row.owner),
+  landlord: toAddress(row.landlord),
+  listing: {
+    rent: row.rent,
+    deposit: row.deposit,
+    disputeFee: row.dispute_fee,
+    isListed: Boolean(row.is_listed)
+  },
+  rental: {
+    landlord: toAddress(row.rental_landlord),
+    tenant: toAddress(row.tenant),
+    rent: row.rental_rent,
+    deposit: row.rental_deposit,
+    disputeFee: row.rental_dispute_fee,
+    isActive: Boolean(row.is_rented),
+    tenantHappy: Boolean(row.tenant_happy),
+    landlordHappy: Boolean(row.landlord_happy),
+    isDisputed: Boolean(row.is_disputed)
+  },
+  metadata: row.metadata ? JSON.parse(row.metadata) : null,
+  mintedBlock: row.minted_block,
+  updatedBlock: row.updated_block
+});
+
+const formatBooking = (row) => ({
+  tokenId: row.token_id,
+  tenant: toAddress(row.tenant),
+  checkIn: row.check_in,
+  checkOut: row.check_out,
+  rent: row.rent,
+  deposit: row.deposit,
+  disputeFee: row.dispute_fee,
+  totalPaid: row.total_paid,
+  respondBy: row.respond_by,
+  status: row.status,
+  updatedBlock: row.updated_block
+});
+
+const formatAgreement = (row) => ({
+  agreementId: row.agreement_id,
+  tokenId: row.token_id,
+  landlord: toAddress(row.landlord),
+  tenant: toAddress(row.tenant),
+  totalLocked: row.total_locked,
+  paymentToken: toAddress(row.payment_token),
+  rentPaid: row.rent_paid,
+  monthsPaid: row.months_paid,
+  landlordAccepted: Boolean(row.landlord_accepted),
+  status: row.status,
+  createdBlock: row.created_block,
+  updatedBlock: row.updated_block
+});
+
+const formatDispute = (row) => ({
+  disputeId: row.dispute_id,
+  agreementId: row.agreement_id,
+  tokenId: row.token_id,
+  landlord: toAddress(row.landlord),
+  tenant: toAddress(row.tenant),
+  raisedBy: toAddress(row.raised_by),
+  reason: row.reason,
+  status: row.status,
+  round: row.round,
+  jurors: JSON.parse(row.jurors).map(toAddress),
+  tenantShare: row.tenant_share,
+  appealDeadline: row.appeal_deadline,
+  amountToTenant: row.amount_to_tenant,
+  amountToLandlord: row.amount_to_landlord,
+  createdBlock: row.created_block,
+  updatedBlock: row.updated_block
+});
+
+const formatEvidence = (row) => ({
+  disputeId: row.dispute_id,
+  submitter: toAddress(row.submitter),
+  uri: row.uri,
+  txHash: row.tx_hash,
+  blockNumber: row.block_number
+});
+
+const formatRentalDispute = (row) => ({
+  tokenId: row.token_id,
+  raisedBlock: row.raised_block,
+  landlord: toAddress(row.landlord),
+  tenant: toAddress(row.tenant),
+  status: row.status,
+  tenantWins: row.tenant_wins === null ? null : Boolean(row.tenant_wins),
+  juryReward: row.jury_reward,
+  updatedBlock: row.updated_block
+});
+
+const formatRentalEvidence = (row) => ({
+  submitter: toAddress(row.submitter),
+  isLandlord: Boolean(row.is_landlord),
+  uri: row.uri,
+  txHash: row.tx_hash,
+  blockNumber: row.block_number
+});
+
+const formatEvent = (row) => ({
+  contract: row.contract,
+  name: row.name,
+  args: JSON.parse(row.args),
+  blockNumber: row.block_number,
+  blockHash: row.block_hash,
+  logIndex: row.log_index,
+  txHash: row.tx_hash
+});
+
+const PROPERTY_COLUMNS = `
+  SELECT p.*, m.json AS metadata
+  FROM properties p LEFT JOIN metadata m ON m.uri = p.token_uri`;
+
+// Escrow disputes with the property and parties of their agreement
+const DISPUTE_COLUMNS = `
+  SELECT d.*, a.token_id, a.landlord, a.tenant
+  FROM disputes d LEFT JOIN agreements a ON a.agreement_id = d.agreement_id`;
+
+/**
+ * Create the Express app
+ * @param {import('better-sqlite3').Database} db
+ * @param {import('./indexer').Indexer} indexer
+ * @param {Object} services
+ * @param {{ put: Function, serve?: Function }} services.storage - Upload backend from createStorage
+ * @param {import('./sessions').SessionStore} services.sessions
+ * @param {import('./roles').RoleResolver} services.roles
+ * @param {import('ethers').Provider} services.provider
+ * @param {{ corsOrigin: string, maxUploadBytes: number, siwe: { domains: string[], sessionTtl: number } }} options
+ */
+function createApi(db, indexer, { storage, sessions, roles, provider }, { corsOrigin, maxUploadBytes, siwe }) {
+  const app = express();
+
+  app.use((req, res, next) => {
+    res.set('Access-Control-Allow-Origin', corsOrigin);
+    if (req.method === 'OPTIONS') {
+      res.set('Access-Control-Allow-Methods', 'GET, POST');
+      res.set('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+      res.status(204).end();
+      return;
+    }
+    next();
+  });
+
+  app.use('/api/auth', authRouter({ sessions, roles, provider }, siwe));
+  app.use('/api/uploads', uploadRouter(storage, { maxUploadBytes, authenticate: requireSession(sessions) }));
+  if (storage.serve) {
+    app.use('/uploads', storage.serve());
+  }
+
+  app.get('/api/status', (req, res) => {
+    res.json({ success: true, ...indexer.status() });
+  });
+
+  app.get('/api/properties', (req, res) => {
+    const params = {
+      owner: addressParam(req.query.owner, 'owner'),
+      landlord: addressParam(req.query.landlord, 'landlord'),
+      listed: flagParam(req.query.listed, 'listed'),
+      rented: flagParam(req.query.rented, 'rented'),
+      ...pageParams(req.query)
+    };
+    const where = whereClause(params, {
+      owner: 'p.owner = @owner',
+      landlord: 'p.landlord = @landlord',
+      listed: 'p.is_listed = @listed',
+      rented: 'p.is_rented = @rented'
+    });
+
+    const rows = db.prepare(`${PROPERTY_COLUMNS} ${where}
+      ORDER BY CAST(p.token_id AS INTEGER) LIMIT @limit OFFSET @offset`).all(params);
+    res.json({ success: true, properties: rows.map(formatProperty) });
+  });
+
+  app.get('/api/listings', (req, res) => {
+    const { rows, bookings, gapDays, total, nextCursor, facets } = searchListings(db, req.query);
+    const listings = rows.map(row => ({
+      ...formatProperty(row),
+      bookedRanges: bookings
+        .filter(booking => booking.token_id === row.token_id)
+        .map(booking => ({
+          tenant: toAddress(booking.tenant),
+          checkIn: booking.check_in,
+          checkOut: booking.check_out,
+          blockedFrom: booking.check_in - gapDays,
+          blockedUntil: booking.check_out + gapDays,
+          isActive: booking.status === BOOKING_STATUS.Active
+        }))
+    }));
+    res.json({ success: true, listings, total, nextCursor, facets });
+  });
+
+  app.get('/api/properties/:tokenId', (req, res) => {
+    const row = db.prepare(`${PROPERTY_COLUMNS} WHERE p.token_id = ?`).get(req.params.tokenId);
+    if (!row) {
+      res.status(404).json({ success: false, error: 'Property not found' });
+      return;
+    }
+
+    const bookings = db.prepare('SELECT * FROM bookings WHERE token_id = ? ORDER BY check_in')
+      .all(req.params.tokenId);
+    res.json({ success: true, property: formatProperty(row), bookings: bookings.map(formatBooking) });
+  });
+
+  app.get('/api/bookings', (req, res) => {
+    const params = {
+      tokenId: stringParam(req.query.tokenId, 'tokenId'),
+      tenant: addressParam(req.query.tenant, 'tenant'),
+      status: stringParam(req.query.status, 'status'),
+      ...pageParams(req.query)
+    };
+    const where = whereClause(params, {
+      tokenId: 'token_id = @tokenId',
+      tenant: 'tenant = @tenant',
+      status: 'status = @status'
+    });
+
+    const rows = db.prepare(`SELECT * FROM bookings ${where}
+      ORDER BY check_in LIMIT @limit OFFSET @offset`).all(params);
+    res.json({ success: true, bookings: rows.map(formatBooking) });
+  });
+
+  app.get('/api/agreements', (req, res) => {
+    const params = {
+      landlord: addressParam(req.query.landlord, 'landlord'),
+      tenant: addressParam(req.query.tenant, 'tenant'),
+      status: stringParam(req.query.status, 'status'),
+      ...pageParams(req.query)
+    };
+    const where = whereClause(params, {
+      landlord: 'landlord = @landlord',
+      tenant: 'tenant = @tenant',
+      status: 'status = @status'
+    });
+
+    const rows = db.prepare(`SELECT * FROM agreements ${where}
+      ORDER BY CAST(agreement_id AS INTEGER) LIMIT @limit OFFSET @offset`).all(params);
+    res.json({ success: true, agreements: rows.map(formatAgreement) });
+  });
+
+  app.get('/api/agreements/:agreementId', (req, res) => {
+    const row = db.prepare('SELECT * FROM agreements WHERE agreement_id = ?').get(req.params.agreementId);
+    if (!row) {
+      res.status(404).json({ success: false, error: 'Agreement not found' });
+      return;
+    }
+
+    const disputes = db.prepare(`${DISPUTE_COLUMNS} WHERE d.agreement_id = ? ORDER BY CAST(d.dispute_id AS INTEGER)`)
+      .all(req.params.agreementId);
+    res.json({ success: true, agreement: formatAgreement(row), disputes: disputes.map(formatDispute) });
+  });
+
+  app.get('/api/disputes', (req, res) => {
+    const params = {
+      agreementId: stringParam(req.query.agreementId, 'agreementId'),
+      tokenId: stringParam(req.query.tokenId, 'tokenId'),
+      juror: addressParam(req.query.juror, 'juror'),
+      status: stringParam(req.query.status, 'status'),
+      ...pageParams(req.query)
+    };
+    const where = whereClause(params, {
+      agreementId: 'd.agreement_id = @agreementId',
+      tokenId: 'a.token_id = @tokenId',
+      juror: 'EXISTS (SELECT 1 FROM json_each(d.jurors) WHERE value = @juror)',
+      status: 'd.status = @status'
+    });
+
+    const rows = db.prepare(`${DISPUTE_COLUMNS} ${where}
+      ORDER BY CAST(d.dispute_id AS INTEGER) LIMIT @limit OFFSET @offset`).all(params);
+    const disputeIds = rows.map(row => row.dispute_id);
+    const evidence = disputeIds.length === 0 ? [] : db.prepare(`
+      SELECT * FROM evidence
+      WHERE dispute_id IN (${disputeIds.map(() => '?').join(', ')})
+      ORDER BY block_number, log_index`).all(disputeIds);
+    res.json({
+      success: true,
+      disputes: rows.map(row => ({
+        ...formatDispute(row),
+        evidence: evidence.filter(item => item.dispute_id === row.dispute_id).map(formatEvidence)
+      }))
+    });
+  });
+
+  app.get('/api/disputes/:disputeId', (req, res) => {
+    const row = db.prepare(`${DISPUTE_COLUMNS} WHERE d.dispute_id = ?`).get(req.params.disputeId);
+    if (!row) {
+      res.status(404).json({ success: false, error: 'Dispute not found' });
+      return;
+    }
+
+    const evidence = db.prepare('SELECT * FROM evidence WHERE dispute_id = ? ORDER BY block_number, log_index')
+      .all(req.params.disputeId);
+    res.json({ success: true, dispute: formatDispute(row), evidence: evidence.map(formatEvidence) });
+  });
+
+  app.get('/api/rental-disputes', (req, res) => {
+    const params = {
+      tokenId: stringParam(req.query.tokenId, 'tokenId'),
+      party: addressParam(req.query.party, 'party'),
+      status: stringParam(req.query.status, 'status'),
+      ...pageParams(req.query)
+    };
+    const where = whereClause(params, {
+      tokenId: 'token_id = @tokenId',
+      party: '(landlord = @party OR tenant = @party)',
+      status: 'status = @status'
+    });
+
+    const rows = db.prepare(`SELECT * FROM rental_disputes ${where}
+      ORDER BY raised_block DESC, CAST(token_id AS INTEGER) LIMIT @limit OFFSET @offset`).all(params);
+    const tokenIds = [...new Set(rows.map(row => row.token_id))];
+    const evidence = tokenIds.length === 0 ? [] : db.prepare(`
+      SELECT * FROM rental_evidence
+      WHERE token_id IN (${tokenIds.map(() => '?').join(', ')})
+      ORDER BY block_number, log_index`).all(tokenIds);
+    res.json({
+      success: true,
+      disputes: rows.map(row => ({
+        ...formatRentalDispute(row),
+        evidence: evidence
+          .filter(item => item.token_id === row.token_id && item.raised_block === row.raised_block)
+          .map(formatRentalEvidence)
+      }))
+    });
+  });
+
+  app.get('/api/events', (req, res) => {
+    const params = {
+      contract: stringParam(req.query.contract, 'contract'),
+      name: stringParam(req.query.name, 'name'),
+      tokenId: stringParam(req.query.tokenId, 'tokenId'),
+      agreementId: stringParam(req.query.agreementId, 'agreementId'),
+      disputeId: stringParam(req.query.disputeId, 'disputeId'),
+      fromBlock: req.query.fromBlock === undefined
+        ? undefined
+        : Number.parseInt(stringParam(req.query.fromBlock, 'fromBlock'), 10) || 0,
+      ...pageParams(req.query)
+    };
+    const where = whereClause(params, {
+      contract: 'contract = @contract',
+      name: 'name = @name',
+      tokenId: 'token_id = @tokenId',
+      agreementId: 'agreement_id = @agreementId',
+      disputeId: 'dispute_id = @disputeId',
+      fromBlock: 'block_number >= @fromBlock'
+    });
+
+    const rows = db.prepare(`SELECT * FROM events ${where}
+      ORDER BY block_number, log_index LIMIT @limit OFFSET @offset`).all(params);
+    res.json({ success: true, events: rows.map(formatEvent) });
+  });
+
+  app.use((req, res) => {
+    res.status(404).json({ success: false, error: 'Not found' });
+  });
+
+  app.use((error, req, res, next) => {
+    if (error instanceof BadRequestError) {
+      res.status(400).json({ success: false, error: error.message });
+      return;
+    }
+    if (error instanceof UnauthorizedError) {
+      res.status(401).json({ success: false, error: error.message });
+      return;
+    }
+    // Body parser rejections, e.g. 413 for uploads over the size limit
+    if (error.expose && error.status) {
+      res.status(error.status).json({ success: false, error: error.message });
+      return;
+    }
+    console.error('Failed to handle request:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  });
+
+  return app;
+}
+
+module.exports = {
+  createApi
+};
@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Sign-In With Ethereum (EIP-4361) for private endpoints: nonces, signature checks and
+ * bearer-token sessions, with the wallet's roles read from the contracts
+ */
+
+const express = require('express');
+const { getAddress, verifyMessage } = require('ethers');
+const { UnauthorizedError } = require('./errors');
+const { parseSiweMessage } = require('./siwe');
+
+// Allowed drift between the wallet's clock and the server's
+const CLOCK_SKEW = 5 * 60 * 1000;
+
+/**
+ * Token of an `Authorization: Bearer <token>` header, or null
+ */
+function bearerToken(req) {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+/**
+ * Middleware that rejects requests without a live session and sets req.wallet to the signed-in address
+ * @param {import('./sessions').SessionStore} sessions
+ */
+function requireSession(sessions) {
+  return (req, res, next) => {
+    const token = bearerToken(req);
+    const session = token && sessions.find(token);
+    if (!session) {
+      throw new UnauthorizedError('Sign in required');
+    }
+    req.wallet = getAddress(session.address);
+    req.session = { ...session, token };
+    next();
+  };
+}
+
+/**
+ * Routes mounted at /api/auth
+ * @param {{ sessions: import('./sessions').SessionStore, roles: import('./roles').RoleResolver,
+ *   provider: import('ethers').Provider }} services
+ * @param {{ domains: string[], sessionTtl: number }} options - Hosts sign-in messages may name, and the
+ *   longest session in milliseconds
+ */
+function authRouter({ sessions, roles, provider }, { domains, sessionTtl }) {
+  const router = express.Router();
+  const authenticate = requireSession(sessions);
+
+  // Sign-ins must name the chain the server reads roles from
+  let chainId = null;
+  const getChainId = async () => {
+    chainId ??= Number((await provider.getNetwork()).chainId);
+    return chainId;
+  };
+
+  router.get('/nonce', (req, res) => {
+    res.json({ success: true, nonce: sessions.createNonce() });
+  });
+
+  router.post('/verify', express.json(), async (req, res) => {
+    const { message, signature } = req.body || {};
+    const fields = parseSiweMessage(message);
+    const now = Date.now();
+
+    if (!domains.includes(fields.domain)) {
+      throw new UnauthorizedError(`Sign-in domain ${fields.domain} is not allowed`);
+    }
+    if (fields.chainId !== await getChainId()) {
+      throw new UnauthorizedError(`Sign in on chain ${await getChainId()}`);
+    }
+    if (fields.issuedAt > now + CLOCK_SKEW
+      || (fields.notBefore !== undefined && fields.notBefore > now + CLOCK_SKEW)
+      || (fields.expirationTime !== undefined && fields.expirationTime <= now)) {
+      throw new UnauthorizedError('Sign-in message is expired or not valid yet');
+    }
+
+    let signer = null;
+    try {
+      signer = verifyMessage(message, signature);
+    } catch {
+      // Malformed signature
+    }
+    if (signer !== fields.address) {
+      throw new UnauthorizedError('Invalid signature');
+    }
+    // Read before the nonce is used up, so the same message can be retried if the RPC fails
+    const walletRoles = await roles.rolesOf(fields.address);
+    // Checked after the signature, so a forged message cannot use up someone else's nonce
+    if (!sessions.consumeNonce(fields.nonce)) {
+      throw new UnauthorizedError('Unknown, used or expired nonce');
+    }
+
+    const expiresAt = Math.min(now + sessionTtl, fields.expirationTime ?? Infinity);
+    const token = sessions.create(fields.address, fields.chainId, expiresAt);
+    res.json({
+      success: true,
+      token,
+      address: fields.address,
+      roles: walletRoles,
+      expiresAt: Math.floor(expiresAt / 1000)
+    });
+  });
+
+  router.get('/session', authenticate, async (req, res) => {
+    res.json({
+      success: true,
+      address: req.wallet,
+      roles: await roles.rolesOf(req.wallet),
+      expiresAt: Math.floor(req.session.expiresAt / 1000)
+    });
+  });
+
+  router.post('/logout', authenticate, (req, res) => {
+    sessions.revoke(req.session.token);
+    res.json({ success: true });
+  });
+
+  return router;
+}
+
+module.exports = {
+  authRouter,
+  requireSession
+};
@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Indexer and API settings, read from the environment
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Written by contracts/scripts/deploy.js
+const DEPLOYMENT_PATH = path.join(__dirname, '..', '..', 'contracts', 'deployment.json');
+
+/**
+ * Contract addresses from the last deployment on this checkout, if there is one
+ */
+function readDeployment() {
+  try {
+    const { contracts } = JSON.parse(fs.readFileSync(process.env.DEPLOYMENT_FILE || DEPLOYMENT_PATH, 'utf8'));
+    return {
+      fairBNB: contracts.fairBNB?.address,
+      escrow: contracts.integratedEscrow?.address
+    };
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Read a whole number from the environment
+ */
+function intEnv(name, fallback) {
+  const value = process.env[name];
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  const parsed = Number.parseInt(value, 10);
+  if (Number.isNaN(parsed) || parsed < 0) {
+    throw new Error(`${name} must be a non-negative integer, got "${value}"`);
+  }
+  return parsed;
+}
+
+const deployment = readDeployment();
+const port = intEnv('PORT', 3001);
+
+module.exports = {
+  rpcUrl: process.env.RPC_URL || 'http://127.0.0.1:8545',
+  contracts: {
+    fairBNB: process.env.FAIRBNB_ADDRESS || deployment.fairBNB || null,
+    escrow: process.env.ESCROW_ADDRESS || deployment.escrow || null
+  },
+  // First block to index, usually the deployment block
+  startBlock: intEnv('START_BLOCK', 0),
+  // Blocks to stay behind the head; reorgs deeper than this are still rolled back when seen
+  confirmations: intEnv('CONFIRMATIONS', 0),
+  batchSize: intEnv('BATCH_SIZE', 2000),
+  pollInterval: intEnv('POLL_INTERVAL_MS', 4000),
+  databasePath: process.env.DATABASE_PATH || path.join(__dirname, '..', 'data', 'fairbnb.db'),
+  ipfsGateway: process.env.IPFS_GATEWAY || 'https://gateway.pinata.cloud/ipfs/',
+  corsOrigin: process.env.CORS_ORIGIN || '*',
+  port,
+  maxUploadBytes: intEnv('MAX_UPLOAD_BYTES', 10 * 1024 * 1024),
+  storage: {
+    // filesystem or pinata
+    backend: process.env.STORAGE_BACKEND || 'filesystem',
+    directory: process.env.UPLOAD_DIR || path.join(__dirname, '..', 'data', 'uploads'),
+    // Base URL filesystem uploads are served from
+    publicUrl: process.env.PUBLIC_URL || `http://localhost:${port}`,
+    pinataJwt: process.env.PINATA_JWT || ''
+  },
+  siwe: {
+    // Hosts the client is served from; sign-in messages naming any other domain are rejected
+    domains: (process.env.SIWE_DOMAINS || 'localhost:5173').split(',').map(domain => domain.trim()).filter(Boolean),
+    sessionTtl: intEnv('SESSION_TTL_HOURS', 24) * 60 * 60 * 1000
+  }
+};
@@ -0,0 +1,214 @@
+/**
+ * @fileoverview SQLite store: the raw event log, the blocks it was read from, and state derived from it
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// Derived tables are rebuilt from `events` after a reorg, so only `events`, `blocks`,
+// `checkpoint`, the `metadata` cache and the sign-in tables hold anything that cannot be replayed locally
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS checkpoint (
+    id INTEGER PRIMARY KEY CHECK (id = 1),
+    block_number INTEGER NOT NULL,
+    block_hash TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS events (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    tx_hash TEXT NOT NULL,
+    contract TEXT NOT NULL,
+    name TEXT NOT NULL,
+    token_id TEXT,
+    agreement_id TEXT,
+    dispute_id TEXT,
+    args TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS events_by_token ON events (contract, token_id);
+  CREATE INDEX IF NOT EXISTS events_by_agreement ON events (agreement_id);
+  CREATE INDEX IF NOT EXISTS events_by_dispute ON events (dispute_id);
+
+  CREATE TABLE IF NOT EXISTS properties (
+    token_id TEXT PRIMARY KEY,
+    owner TEXT NOT NULL,
+    landlord TEXT NOT NULL,
+    token_uri TEXT NOT NULL,
+    rent TEXT NOT NULL DEFAULT '0',
+    deposit TEXT NOT NULL DEFAULT '0',
+    dispute_fee TEXT NOT NULL DEFAULT '0',
+    is_listed INTEGER NOT NULL DEFAULT 0,
+    rental_landlord TEXT,
+    tenant TEXT,
+    rental_rent TEXT,
+    rental_deposit TEXT,
+    rental_dispute_fee TEXT,
+    is_rented INTEGER NOT NULL DEFAULT 0,
+    tenant_happy INTEGER NOT NULL DEFAULT 0,
+    landlord_happy INTEGER NOT NULL DEFAULT 0,
+    is_disputed INTEGER NOT NULL DEFAULT 0,
+    minted_block INTEGER NOT NULL,
+    updated_block INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS properties_by_owner ON properties (owner);
+
+  CREATE TABLE IF NOT EXISTS bookings (
+    token_id TEXT NOT NULL,
+    tenant TEXT NOT NULL,
+    check_in INTEGER NOT NULL,
+    check_out INTEGER NOT NULL,
+    rent TEXT NOT NULL,
+    deposit TEXT NOT NULL,
+    dispute_fee TEXT NOT NULL,
+    total_paid TEXT NOT NULL,
+    respond_by INTEGER NOT NULL,
+    status TEXT NOT NULL,
+    updated_block INTEGER NOT NULL,
+    PRIMARY KEY (token_id, tenant, check_in)
+  );
+  CREATE INDEX IF NOT EXISTS bookings_by_tenant ON bookings (tenant);
+
+  -- FairBNB's settings once changed from their defaults
+  CREATE TABLE IF NOT EXISTS rental_settings (
+    id INTEGER PRIMARY KEY CHECK (id = 1),
+    inspection_period INTEGER NOT NULL,
+    updated_block INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS agreements (
+    agreement_id TEXT PRIMARY KEY,
+    token_id TEXT NOT NULL,
+    landlord TEXT NOT NULL,
+    tenant TEXT NOT NULL,
+    total_locked TEXT NOT NULL,
+    payment_token TEXT NOT NULL,
+    rent_paid TEXT NOT NULL DEFAULT '0',
+    months_paid INTEGER NOT NULL DEFAULT 0,
+    -- Set once the landlord accepts the terms, which starts the rental and puts the listing's bond behind it
+    landlord_accepted INTEGER NOT NULL DEFAULT 0,
+    status TEXT NOT NULL,
+    created_block INTEGER NOT NULL,
+    updated_block INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS agreements_by_landlord ON agreements (landlord);
+  CREATE INDEX IF NOT EXISTS agreements_by_tenant ON agreements (tenant);
+
+  CREATE TABLE IF NOT EXISTS disputes (
+    dispute_id TEXT PRIMARY KEY,
+    agreement_id TEXT NOT NULL,
+    raised_by TEXT NOT NULL,
+    reason TEXT NOT NULL,
+    status TEXT NOT NULL,
+    round INTEGER NOT NULL DEFAULT 0,
+    jurors TEXT NOT NULL DEFAULT '[]',
+    tenant_share TEXT,
+    appeal_deadline INTEGER,
+    amount_to_tenant TEXT,
+    amount_to_landlord TEXT,
+    created_block INTEGER NOT NULL,
+    updated_block INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS disputes_by_agreement ON disputes (agreement_id);
+
+  CREATE TABLE IF NOT EXISTS evidence (
+    dispute_id TEXT NOT NULL,
+    submitter TEXT NOT NULL,
+    uri TEXT NOT NULL,
+    tx_hash TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS evidence_by_dispute ON evidence (dispute_id);
+
+  -- FairBNB disputes carry no ID on-chain: the token and the block the dispute was raised in name it
+  CREATE TABLE IF NOT EXISTS rental_disputes (
+    token_id TEXT NOT NULL,
+    raised_block INTEGER NOT NULL,
+    landlord TEXT,
+    tenant TEXT,
+    status TEXT NOT NULL,
+    tenant_wins INTEGER,
+    jury_reward TEXT,
+    updated_block INTEGER NOT NULL,
+    PRIMARY KEY (token_id, raised_block)
+  );
+
+  CREATE TABLE IF NOT EXISTS rental_evidence (
+    token_id TEXT NOT NULL,
+    raised_block INTEGER NOT NULL,
+    submitter TEXT NOT NULL,
+    is_landlord INTEGER NOT NULL,
+    uri TEXT NOT NULL,
+    tx_hash TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS rental_evidence_by_dispute ON rental_evidence (token_id, raised_block);
+
+  CREATE TABLE IF NOT EXISTS metadata (
+    uri TEXT PRIMARY KEY,
+    json TEXT,
+    error TEXT,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    fetched_at INTEGER NOT NULL
+  );
+
+  -- Full-text index over listing titles and descriptions, filled as metadata is cached
+  CREATE VIRTUAL TABLE IF NOT EXISTS metadata_text USING fts5 (uri UNINDEXED, title, description);
+
+  -- Sign-In With Ethereum nonces, each good for one sign-in
+  CREATE TABLE IF NOT EXISTS auth_nonces (
+    nonce TEXT PRIMARY KEY,
+    expires_at INTEGER NOT NULL
+  );
+
+  -- Sessions by the SHA-256 of their bearer token, so a copy of the database cannot be used to sign in
+  CREATE TABLE IF NOT EXISTS sessions (
+    token_hash TEXT PRIMARY KEY,
+    address TEXT NOT NULL,
+    chain_id INTEGER NOT NULL,
+    created_at INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL
+  );
+`;
+
+// Tables filled from the event log
+const DERIVED_TABLES = [
+  'properties', 'bookings', 'rental_settings', 'agreements', 'disputes', 'evidence', 'rental_disputes', 'rental_evidence'
+];
+
+/**
+ * Open (and create if needed) the indexer database
+ * @param {string} databasePath - File path, or ':memory:'
+ */
+function openDatabase(databasePath) {
+  if (databasePath !== ':memory:') {
+    fs.mkdirSync(path.dirname(databasePath), { recursive: true });
+  }
+
+  const db = new Database(databasePath);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+
+  // Index metadata cached before the full-text table existed
+  db.exec(`
+    INSERT INTO metadata_text (uri, title, description)
+    SELECT uri, json_extract(json, '$.name'), json_extract(json, '$.description') FROM metadata
+    WHERE json IS NOT NULL AND uri NOT IN (SELECT uri FROM metadata_text)`);
+  return db;
+}
+
+module.exports = {
+  DERIVED_TABLES,
+  openDatabase
+};
@@ -0,0 +1,14 @@
+/**
+ * @fileoverview Errors the API maps to HTTP responses
+ */
+
+// Invalid query parameters or request bodies, answered with 400
+class BadRequestError extends Error {}
+
+// Missing or invalid wallet credentials, answered with 401
+class UnauthorizedError extends Error {}
+
+module.exports = {
+  BadRequestError,
+  UnauthorizedError
+};
@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Events the indexer replays from FairBNB and IntegratedEscrow, and their decoding
+ */
+
+const { Interface } = require('ethers');
+
+const FAIRBNB_EVENTS = new Interface([
+  'event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)',
+  'event PropertyMinted(uint256 tokenId, address landlord, string uri)',
+  'event PropertyListed(uint256 tokenId, uint256 rent, uint256 deposit, uint256 disputeFee)',
+  'event PropertyRented(uint256 tokenId, address tenant, uint256 totalPaid)',
+  'event BookingRequested(uint256 indexed tokenId, address tenant, uint256 checkIn, uint256 checkOut, uint256 totalPaid, uint256 respondBy)',
+  'event BookingApproved(uint256 indexed tokenId, address tenant, uint256 checkIn)',
+  'event BookingDeclined(uint256 indexed tokenId, address tenant, uint256 checkIn, uint256 refund)',
+  'event BookingExpired(uint256 indexed tokenId, address tenant, uint256 checkIn, uint256 refund)',
+  'event BookingCancelled(uint256 indexed tokenId, address tenant, uint256 checkIn, uint256 refund)',
+  'event HappyConfirmed(uint256 tokenId, address party, bool isLandlord)',
+  'event RentalCompleted(uint256 tokenId, uint256 amountToLandlord)',
+  'event RentalCancelled(uint256 indexed tokenId, uint256 tenantRefund, uint256 landlordAmount)',
+  'event DisputeRaised(uint256 tokenId)',
+  'event EvidenceSubmitted(uint256 indexed tokenId, address indexed submitter, bool isLandlord, string evidenceURI)',
+  'event DisputeResolved(uint256 tokenId, bool tenantWins, uint256 juryReward)',
+  'event InspectionPeriodChanged(uint256 oldPeriod, uint256 newPeriod)'
+]);
+
+const ESCROW_EVENTS = new Interface([
+  'event AgreementCreated(uint256 indexed agreementId, address indexed landlord, address indexed tenant, uint256 tokenId, uint256 totalLocked, address paymentToken)',
+  'event RentPaid(uint256 indexed agreementId, address indexed tenant, uint256 months, uint256 amount)',
+  'event RentReleased(uint256 indexed agreementId, address indexed landlord, uint256 amount)',
+  'event DepositReturned(uint256 indexed agreementId, address indexed tenant, uint256 amount)',
+  'event AgreementCompleted(uint256 indexed agreementId)',
+  'event AgreementCancelled(uint256 indexed agreementId)',
+  'event AgreementDefaulted(uint256 indexed agreementId, uint256 amountToLandlord, uint256 amountToTenant)',
+  'event AgreementExtended(uint256 indexed agreementId, uint256 newDurationMonths)',
+  'event AgreementAccepted(uint256 indexed agreementId, address indexed landlord)',
+  'event DisputeRaised(uint256 indexed agreementId, uint256 indexed disputeId, address raisedBy, string reason)',
+  'event DisputeCreated(uint256 indexed disputeId, uint256 indexed agreementId, address indexed raisedBy, address[] assignedJurors)',
+  'event JurorsDrawn(uint256 indexed disputeId, uint256 round, address[] jurors)',
+  'event DisputeEscalated(uint256 indexed disputeId, uint256 round, uint256 panelSize)',
+  'event DisputeFallback(uint256 indexed disputeId, uint256 amountToLandlord, uint256 amountToTenant)',
+  'event DisputeResolved(uint256 indexed disputeId, uint256 tenantShare, uint256 amountToTenant, uint256 amountToLandlord, uint256 jurorRewards)',
+  'event VerdictReached(uint256 indexed disputeId, uint256 round, uint256 tenantShare, uint256 appealDeadline)',
+  'event DisputeAppealed(uint256 indexed disputeId, address indexed appellant, uint256 round, uint256 fee)',
+  'event EvidenceSubmitted(uint256 indexed disputeId, address indexed submitter, string evidenceURI)',
+  'event BondPosted(uint256 indexed tokenId, address indexed landlord, address token, uint256 amount)',
+  'event BondWithdrawn(uint256 indexed tokenId, address indexed landlord, uint256 amount)',
+  'event BondAwarded(uint256 indexed tokenId, uint256 indexed disputeId, address indexed tenant, uint256 amount)'
+]);
+
+/**
+ * Convert decoded values to JSON-safe ones; uint256 values become decimal strings
+ */
+const toPlain = (value) => {
+  if (typeof value === 'bigint') return value.toString();
+  if (Array.isArray(value)) return Array.from(value, toPlain);
+  return value;
+};
+
+/**
+ * Build the contracts to index from the configured addresses, skipping any left unset
+ * @param {{ fairBNB: string|null, escrow: string|null }} addresses
+ * @returns {{ name: string, address: string, iface: Interface }[]}
+ */
+function indexedContracts(addresses) {
+  return [
+    { name: 'fairBNB', address: addresses.fairBNB, iface: FAIRBNB_EVENTS },
+    { name: 'escrow', address: addresses.escrow, iface: ESCROW_EVENTS }
+  ]
+    .filter(contract => contract.address)
+    .map(contract => ({ ...contract, address: contract.address.toLowerCase() }));
+}
+
+/**
+ * Decode a raw log from one of the indexed contracts. Returns null for events the indexer does not track.
+ * @param {{ name: string, address: string, iface: Interface }[]} contracts
+ * @param {import('ethers').Log} log
+ */
+function decodeLog(contracts, log) {
+  const contract = contracts.find(candidate => candidate.address === log.address.toLowerCase());
+  const parsed = contract?.iface.parseLog({ topics: log.topics, data: log.data });
+  if (!parsed) {
+    return null;
+  }
+
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    args[input.name] = toPlain(parsed.args[i]);
+  });
+
+  return {
+    blockNumber: log.blockNumber,
+    blockHash: log.blockHash,
+    logIndex: log.index,
+    txHash: log.transactionHash,
+    contract: contract.name,
+    name: parsed.name,
+    args
+  };
+}
+
+module.exports = {
+  indexedContracts,
+  decodeLog
+};
@@ -0,0 +1,149 @@
+/**
+ * @fileoverview Removes location data from uploaded images: the EXIF GPS directory and XMP packets,
+ * which may repeat the coordinates. Other metadata such as orientation is kept.
+ */
+
+// EXIF tag in the first image directory that points at the GPS directory
+const GPS_IFD_TAG = 0x8825;
+
+// Bytes per value of each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+const EXIF_HEADER = 'Exif\0\0';
+const XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+const PNG_XMP_KEYWORD = 'XML:com.adobe.xmp\0';
+
+/**
+ * Blank the GPS directory of a TIFF structure in place, leaving an empty directory behind the pointer
+ * @param {Buffer} tiff - TIFF header and directories, as found in an EXIF block
+ */
+function scrubTiff(tiff) {
+  if (tiff.length < 8) return;
+  const order = tiff.toString('latin1', 0, 2);
+  if (order !== 'II' && order !== 'MM') return;
+
+  const littleEndian = order === 'II';
+  const u16 = (offset) => (littleEndian ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+  const u32 = (offset) => (littleEndian ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+  const entries = (ifd) => {
+    if (ifd + 2 > tiff.length) return [];
+    const count = u16(ifd);
+    return Array.from({ length: count }, (_, i) => ifd + 2 + i * 12).filter(entry => entry + 12 <= tiff.length);
+  };
+
+  const pointer = entries(u32(4)).find(entry => u16(entry) === GPS_IFD_TAG);
+  if (pointer === undefined) return;
+  const gpsIfd = u32(pointer + 8);
+  const gpsEntries = entries(gpsIfd);
+  if (gpsEntries.length === 0) return;
+
+  // Values over four bytes live outside the directory entries
+  for (const entry of gpsEntries) {
+    const size = (TYPE_SIZES[u16(entry + 2)] || 1) * u32(entry + 4);
+    if (size > 4) {
+      const valueOffset = u32(entry + 8);
+      tiff.fill(0, Math.min(valueOffset, tiff.length), Math.min(valueOffset + size, tiff.length));
+    }
+  }
+  // Entries and the next-directory pointer, then an entry count of zero
+  tiff.fill(0, gpsIfd, Math.min(gpsIfd + 2 + gpsEntries.length * 12 + 4, tiff.length));
+}
+
+/**
+ * JPEG without XMP segments and with the GPS directory of its EXIF segment blanked
+ */
+function scrubJpeg(image) {
+  const kept = [image.subarray(0, 2)];
+  let offset = 2;
+
+  while (offset + 4 <= image.length && image[offset] === 0xff) {
+    const marker = image[offset + 1];
+    // Metadata segments all come before the start of scan
+    if (marker === 0xda || marker === 0xd9) break;
+
+    const end = offset + 2 + image.readUInt16BE(offset + 2);
+    const segment = Buffer.from(image.subarray(offset, end));
+    if (marker === 0xe1 && segment.toString('latin1', 4, 4 + XMP_HEADER.length) === XMP_HEADER) {
+      offset = end;
+      continue;
+    }
+    if (marker === 0xe1 && segment.toString('latin1', 4, 4 + EXIF_HEADER.length) === EXIF_HEADER) {
+      scrubTiff(segment.subarray(4 + EXIF_HEADER.length));
+    }
+    kept.push(segment);
+    offset = end;
+  }
+
+  kept.push(image.subarray(offset));
+  return Buffer.concat(kept);
+}
+
+/**
+ * PNG without its eXIf chunk and XMP text chunk
+ */
+function scrubPng(image) {
+  const kept = [image.subarray(0, 8)];
+  let offset = 8;
+
+  while (offset + 12 <= image.length) {
+    const end = offset + 12 + image.readUInt32BE(offset);
+    const type = image.toString('latin1', offset + 4, offset + 8);
+    const isXmp = type === 'iTXt'
+      && image.toString('latin1', offset + 8, offset + 8 + PNG_XMP_KEYWORD.length) === PNG_XMP_KEYWORD;
+    if (type !== 'eXIf' && !isXmp) {
+      kept.push(image.subarray(offset, end));
+    }
+    offset = end;
+    if (type === 'IEND') break;
+  }
+
+  return Buffer.concat(kept);
+}
+
+/**
+ * WebP without its EXIF and XMP chunks, with the VP8X flags and RIFF size updated to match
+ */
+function scrubWebp(image) {
+  const kept = [];
+  let offset = 12;
+
+  while (offset + 8 <= image.length) {
+    const type = image.toString('latin1', offset, offset + 4);
+    // Chunks are padded to an even length
+    const size = image.readUInt32LE(offset + 4);
+    const end = offset + 8 + size + (size % 2);
+    if (type !== 'EXIF' && type !== 'XMP ') {
+      const chunk = Buffer.from(image.subarray(offset, end));
+      if (type === 'VP8X') {
+        chunk[8] &= ~0x0c;
+      }
+      kept.push(chunk);
+    }
+    offset = end;
+  }
+
+  const header = Buffer.from(image.subarray(0, 12));
+  const body = Buffer.concat(kept);
+  header.writeUInt32LE(body.length + 4, 4);
+  return Buffer.concat([header, body]);
+}
+
+const SCRUBBERS = {
+  'image/jpeg': scrubJpeg,
+  'image/png': scrubPng,
+  'image/webp': scrubWebp
+};
+
+/**
+ * Copy of an upload with its location metadata removed; formats without any are returned as is
+ * @param {Buffer} data - File contents, already checked to be of the given type
+ * @param {string} type - MIME type
+ */
+function stripGps(data, type) {
+  const scrub = SCRUBBERS[type];
+  return scrub ? scrub(data) : data;
+}
+
+module.exports = {
+  stripGps
+};
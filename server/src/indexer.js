@@ -0,0 +1,183 @@
+/**
+ * @fileoverview Poll loop that replays contract events into the store, checkpointing each batch
+ * and rolling back to the last common block when the chain reorganises
+ */
+
+const { decodeLog } = require('./events');
+
+class Indexer {
+  /**
+   * @param {Object} options
+   * @param {import('ethers').JsonRpcProvider} options.provider
+   * @param {import('./store').Store} options.store
+   * @param {{ name: string, address: string }[]} options.contracts - From indexedContracts
+   * @param {import('./metadata').MetadataCache} [options.metadata]
+   * @param {number} [options.startBlock]
+   * @param {number} [options.confirmations]
+   * @param {number} [options.batchSize]
+   * @param {number} [options.pollInterval] - Milliseconds between polls
+   */
+  constructor({ provider, store, contracts, metadata, startBlock = 0, confirmations = 0, batchSize = 2000, pollInterval = 4000 }) {
+    if (contracts.length === 0) {
+      throw new Error('No contracts to index: set FAIRBNB_ADDRESS or ESCROW_ADDRESS');
+    }
+
+    this.provider = provider;
+    this.store = store;
+    this.contracts = contracts;
+    this.metadata = metadata;
+    this.startBlock = startBlock;
+    this.confirmations = confirmations;
+    this.batchSize = batchSize;
+    this.pollInterval = pollInterval;
+
+    this.head = null;
+    this.lastError = null;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Whether a stored block is still on the canonical chain
+   */
+  async isCanonical(block) {
+    const current = await this.provider.getBlock(block.number);
+    return current !== null && current.hash === block.hash;
+  }
+
+  /**
+   * Walk back through stored blocks to the newest one still on the chain and roll back to it
+   * @param {{ number: number, hash: string }} checkpoint - The block found to be orphaned
+   */
+  async rollbackToAncestor(checkpoint) {
+    let ancestor = null;
+    for (const block of this.store.getBlocksBelow(checkpoint.number)) {
+      if (await this.isCanonical(block)) {
+        ancestor = block;
+        break;
+      }
+    }
+
+    console.log(`Reorg detected at block ${checkpoint.number}, rolling back to ${ancestor ? ancestor.number : 'the start block'}`);
+    this.store.rollback(ancestor);
+  }
+
+  /**
+   * Read one batch of logs. Returns null when the chain changed under the batch, so the caller
+   * can check the checkpoint again before retrying.
+   * @param {number} from
+   * @param {number} to
+   * @param {{ number: number, hash: string } | null} checkpoint - Block the batch must build on
+   */
+  async fetchBatch(from, to, checkpoint) {
+    const toBlock = await this.provider.getBlock(to);
+    const logs = await this.provider.getLogs({
+      address: this.contracts.map(contract => contract.address),
+      fromBlock: from,
+      toBlock: to
+    });
+
+    // Unchanged ends on both sides of getLogs mean the logs came from this chain
+    const [toAfter, parentStillCanonical] = await Promise.all([
+      this.provider.getBlock(to),
+      checkpoint ? this.isCanonical(checkpoint) : true
+    ]);
+    if (!toBlock || !toAfter || toAfter.hash !== toBlock.hash || !parentStillCanonical) {
+      return null;
+    }
+
+    const events = logs
+      .filter(log => !log.removed)
+      .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index)
+      .map(log => decodeLog(this.contracts, log))
+      .filter(Boolean);
+
+    return { events, toBlock: { number: toBlock.number, hash: toBlock.hash } };
+  }
+
+  /**
+   * Index from the checkpoint up to the head minus the confirmation depth
+   */
+  async sync() {
+    this.head = await this.provider.getBlockNumber();
+    const target = this.head - this.confirmations;
+
+    let checkpoint = this.store.getCheckpoint();
+    if (checkpoint && !(await this.isCanonical(checkpoint))) {
+      await this.rollbackToAncestor(checkpoint);
+      checkpoint = this.store.getCheckpoint();
+    }
+
+    let from = checkpoint ? checkpoint.number + 1 : this.startBlock;
+    while (from <= target) {
+      const to = Math.min(from + this.batchSize - 1, target);
+      const batch = await this.fetchBatch(from, to, checkpoint);
+
+      if (batch) {
+        this.store.commitBatch(batch.events, batch.toBlock);
+        if (batch.events.length > 0) {
+          console.log(`Indexed ${batch.events.length} events from blocks ${from}-${to}`);
+        }
+      } else if (checkpoint && !(await this.isCanonical(checkpoint))) {
+        await this.rollbackToAncestor(checkpoint);
+      }
+
+      checkpoint = this.store.getCheckpoint();
+      from = checkpoint ? checkpoint.number + 1 : this.startBlock;
+    }
+  }
+
+  /**
+   * Sync, then refresh metadata, then wait for the next poll
+   */
+  async poll() {
+    try {
+      await this.sync();
+      this.lastError = null;
+    } catch (error) {
+      this.lastError = error.message;
+      console.error('Failed to sync indexer:', error.message);
+    }
+
+    if (this.metadata) {
+      try {
+        await this.metadata.fetchPending();
+      } catch (error) {
+        console.error('Failed to refresh metadata:', error.message);
+      }
+    }
+
+    if (this.running) {
+      this.timer = setTimeout(() => this.poll(), this.pollInterval);
+    }
+  }
+
+  start() {
+    this.running = true;
+    return this.poll();
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+  }
+
+  /**
+   * Progress summary for the status endpoint
+   */
+  status() {
+    const checkpoint = this.store.getCheckpoint();
+    return {
+      head: this.head,
+      checkpoint,
+      behind: checkpoint && this.head !== null ? this.head - checkpoint.number : null,
+      confirmations: this.confirmations,
+      contracts: this.contracts.map(({ name, address }) => ({ name, address })),
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = {
+  Indexer
+};
@@ -0,0 +1,299 @@
+/**
+ * @fileoverview Listing search: full-text, facets, rent and deposit ranges, availability and cursor pagination
+ */
+
+const { BadRequestError } = require('./errors');
+const { BOOKING_STATUS, DEFAULT_INSPECTION_PERIOD } = require('./projections');
+
+const DEFAULT_LIMIT = 24;
+const MAX_LIMIT = 100;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Bookings that hold their dates; pending requests do not
+const BLOCKING_STATUSES = `'${BOOKING_STATUS.Approved}', '${BOOKING_STATUS.Active}'`;
+
+// Amounts are uint256 decimal strings, at most 78 digits. Zero-padded to that width they compare
+// as text in numeric order, exactly, where REAL would round anything above 2^53.
+const AMOUNT_DIGITS = 78;
+const padded = (column) => `substr('${'0'.repeat(AMOUNT_DIGITS)}' || ${column}, -${AMOUNT_DIGITS})`;
+const isPaddedAmount = (value) => typeof value === 'string' && value.length === AMOUNT_DIGITS && /^\d+$/.test(value);
+
+// Sort orders, with the type of their cursor values; relevance needs a text query and falls back to newest without one
+const SORTS = {
+  relevance: { expression: 'text.score', descending: false, isValue: Number.isFinite },
+  newest: { expression: 'p.minted_block', descending: true, isValue: Number.isInteger },
+  'price-low': { expression: padded('p.rent'), descending: false, isValue: isPaddedAmount },
+  'price-high': { expression: padded('p.rent'), descending: true, isValue: isPaddedAmount }
+};
+
+/**
+ * Epoch day of a 'YYYY-MM-DD' query parameter
+ */
+function dayParam(value, name) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(`${value}T00:00:00Z`))) {
+    throw new BadRequestError(`${name} must be a YYYY-MM-DD date`);
+  }
+  return Math.floor(Date.parse(`${value}T00:00:00Z`) / DAY);
+}
+
+/**
+ * Text query parameter, or undefined when absent. A key repeated in the query string arrives as an
+ * array, which would not bind as a SQL parameter.
+ */
+function stringParam(value, name) {
+  if (value === undefined) return undefined;
+  if (typeof value !== 'string') {
+    throw new BadRequestError(`${name} must be given once`);
+  }
+  return value;
+}
+
+/**
+ * Non-negative number query parameter, or undefined when absent
+ */
+function numberParam(value, name) {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new BadRequestError(`${name} must be a non-negative number`);
+  }
+  return number;
+}
+
+/**
+ * Whole amount in the smallest unit, zero-padded like the compared columns, or undefined when absent
+ */
+function amountParam(value, name) {
+  if (value === undefined || value === '') return undefined;
+  const digits = String(value).replace(/^0+(?=\d)/, '');
+  if (!/^\d+$/.test(digits) || digits.length > AMOUNT_DIGITS) {
+    throw new BadRequestError(`${name} must be a whole amount in the smallest unit`);
+  }
+  return digits.padStart(AMOUNT_DIGITS, '0');
+}
+
+/**
+ * FTS5 query matching every word of the search text as a prefix
+ */
+function textMatch(text) {
+  const words = text.match(/[\p{L}\p{N}]+/gu) || [];
+  return words.length > 0 ? words.map(word => `"${word}"*`).join(' ') : undefined;
+}
+
+/**
+ * Cursor for the page after a row, tied to the sort it was issued for. Its value must have the
+ * sort's type, since a missing or mistyped one would not bind or would compare out of order.
+ */
+const encodeCursor = (sort, row) => Buffer.from(JSON.stringify({
+  sort,
+  value: row.sort_value,
+  token: row.token_number
+})).toString('base64url');
+
+function decodeCursor(cursor, sort) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (decoded.sort === sort && SORTS[sort].isValue(decoded.value) && Number.isInteger(decoded.token)) {
+      return decoded;
+    }
+  } catch {
+    // Fall through to the error below
+  }
+  throw new BadRequestError('Invalid cursor for this sort');
+}
+
+/**
+ * Read the search parameters from a request query
+ */
+function parseSearch(query) {
+  const params = {
+    match: query.q ? textMatch(stringParam(query.q, 'q')) : undefined,
+    city: stringParam(query.city, 'city') || undefined,
+    propertyType: stringParam(query.propertyType, 'propertyType') || undefined,
+    minRent: amountParam(query.minRent, 'minRent'),
+    maxRent: amountParam(query.maxRent, 'maxRent'),
+    minDeposit: amountParam(query.minDeposit, 'minDeposit'),
+    maxDeposit: amountParam(query.maxDeposit, 'maxDeposit'),
+    minDuration: numberParam(query.minDuration, 'minDuration')
+  };
+
+  // Amenities repeat (?amenity=Wi-Fi&amenity=AC) or come comma-separated; listings need all of them
+  const amenities = [query.amenity, query.amenities].flat().filter(Boolean)
+    .flatMap(value => String(value).split(','))
+    .map(value => value.trim())
+    .filter(Boolean);
+  amenities.forEach((amenity, i) => {
+    params[`amenity${i}`] = amenity;
+  });
+
+  // A check-in alone asks for one night
+  if (query.checkIn || query.checkOut) {
+    const today = Math.floor(Date.now() / DAY);
+    params.checkIn = query.checkIn ? dayParam(stringParam(query.checkIn, 'checkIn'), 'checkIn') : today;
+    params.checkOut = query.checkOut ? dayParam(stringParam(query.checkOut, 'checkOut'), 'checkOut') : params.checkIn + 1;
+    if (params.checkOut <= params.checkIn) {
+      throw new BadRequestError('checkOut must be after checkIn');
+    }
+    params.checkInDate = new Date(params.checkIn * DAY).toISOString().slice(0, 10);
+  }
+
+  const sort = stringParam(query.sort, 'sort') || 'relevance';
+  if (!SORTS[sort]) {
+    throw new BadRequestError(`sort must be one of ${Object.keys(SORTS).join(', ')}`);
+  }
+  // Without a text query there is no score to rank by
+  params.sort = sort === 'relevance' && !params.match ? 'newest' : sort;
+  params.limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    params.limit = Number(query.limit);
+    if (!Number.isInteger(params.limit) || params.limit < 1) {
+      throw new BadRequestError('limit must be a positive integer');
+    }
+  }
+  params.limit = Math.min(params.limit, MAX_LIMIT);
+  if (query.cursor) {
+    const cursor = decodeCursor(stringParam(query.cursor, 'cursor'), params.sort);
+    params.cursorValue = cursor.value;
+    params.cursorToken = cursor.token;
+  }
+
+  return { params, amenityCount: amenities.length };
+}
+
+/**
+ * Days from a stay's check-out to the first check-in after it: FairBNB holds the property until
+ * the stay's inspection window closes, so the next stay can start the day after
+ * @param {import('better-sqlite3').Database} db
+ * @returns {number}
+ */
+function stayGapDays(db) {
+  const settings = db.prepare('SELECT inspection_period FROM rental_settings WHERE id = 1').get();
+  return Math.floor((settings?.inspection_period ?? DEFAULT_INSPECTION_PERIOD) / (DAY / 1000)) + 1;
+}
+
+/**
+ * Conditions for the set parameters, keyed so facets can leave out their own
+ */
+function conditions(params, amenityCount) {
+  const where = {
+    listed: 'p.is_listed = 1'
+  };
+  if (params.city !== undefined) where.city = "json_extract(m.json, '$.city') = @city COLLATE NOCASE";
+  if (params.propertyType !== undefined) where.propertyType = "json_extract(m.json, '$.propertyType') = @propertyType";
+  if (params.minRent !== undefined) where.minRent = `${padded('p.rent')} >= @minRent`;
+  if (params.maxRent !== undefined) where.maxRent = `${padded('p.rent')} <= @maxRent`;
+  if (params.minDeposit !== undefined) where.minDeposit = `${padded('p.deposit')} >= @minDeposit`;
+  if (params.maxDeposit !== undefined) where.maxDeposit = `${padded('p.deposit')} <= @maxDeposit`;
+  if (params.minDuration !== undefined) {
+    where.minDuration = "json_extract(m.json, '$.maxDurationMonths') >= @minDuration";
+  }
+  for (let i = 0; i < amenityCount; i++) {
+    where[`amenity${i}`] = `EXISTS (SELECT 1 FROM json_each(m.json, '$.amenities') WHERE value = @amenity${i})`;
+  }
+  if (params.checkIn !== undefined) {
+    where.availableFrom = "COALESCE(substr(json_extract(m.json, '$.availableFrom'), 1, 10), '') <= @checkInDate";
+    where.unbooked = `NOT EXISTS (
+      SELECT 1 FROM bookings b
+      WHERE b.token_id = p.token_id AND b.status IN (${BLOCKING_STATUSES})
+        AND b.check_in < @checkOut + @gapDays AND b.check_out + @gapDays > @checkIn
+    )`;
+  }
+  return where;
+}
+
+/**
+ * FROM clause; a text query joins its matches and their scores
+ */
+const fromClause = (params) => `
+  FROM properties p
+  LEFT JOIN metadata m ON m.uri = p.token_uri
+  ${params.match ? `JOIN (
+    SELECT uri, bm25(metadata_text) AS score FROM metadata_text WHERE metadata_text MATCH @match
+  ) text ON text.uri = p.token_uri` : ''}`;
+
+const whereSql = (where, without = []) => {
+  const clauses = Object.entries(where)
+    .filter(([key]) => !without.includes(key))
+    .map(([, clause]) => clause);
+  return `WHERE ${clauses.join(' AND ')}`;
+};
+
+/**
+ * Count matching listings per value of a metadata field
+ */
+function facet(db, params, where, field, without) {
+  return db.prepare(`
+    SELECT json_extract(m.json, '$.${field}') AS value, COUNT(*) AS count
+    ${fromClause(params)}
+    ${whereSql(where, without)} AND json_extract(m.json, '$.${field}') IS NOT NULL
+    GROUP BY value ORDER BY count DESC, value`).all(params);
+}
+
+/**
+ * Search listed properties
+ * @param {import('better-sqlite3').Database} db
+ * @param {Object} query - Request query: q, city, propertyType, amenity, minRent, maxRent, minDeposit,
+ *   maxDeposit, minDuration, checkIn, checkOut, sort, limit, cursor
+ * @returns {{ rows: Object[], bookings: Object[], gapDays: number, total: number, nextCursor: string|null,
+ *   facets: Object }}
+ */
+function searchListings(db, query) {
+  const { params, amenityCount } = parseSearch(query);
+  if (params.checkIn !== undefined) params.gapDays = stayGapDays(db);
+  const where = conditions(params, amenityCount);
+  const sort = SORTS[params.sort];
+
+  let page = '';
+  if (params.cursorToken !== undefined) {
+    page = sort.descending
+      ? 'WHERE sort_value < @cursorValue OR (sort_value = @cursorValue AND token_number > @cursorToken)'
+      : 'WHERE sort_value > @cursorValue OR (sort_value = @cursorValue AND token_number > @cursorToken)';
+  }
+
+  const rows = db.prepare(`
+    SELECT * FROM (
+      SELECT p.*, m.json AS metadata, ${sort.expression} AS sort_value, CAST(p.token_id AS INTEGER) AS token_number
+      ${fromClause(params)}
+      ${whereSql(where)}
+    )
+    ${page}
+    ORDER BY sort_value ${sort.descending ? 'DESC' : 'ASC'}, token_number
+    LIMIT @limitPlusOne`).all({ ...params, limitPlusOne: params.limit + 1 });
+
+  const hasMore = rows.length > params.limit;
+  const pageRows = rows.slice(0, params.limit);
+
+  const { total } = db.prepare(`SELECT COUNT(*) AS total ${fromClause(params)} ${whereSql(where)}`).get(params);
+
+  const tokenIds = pageRows.map(row => row.token_id);
+  const bookings = tokenIds.length === 0 ? [] : db.prepare(`
+    SELECT * FROM bookings
+    WHERE token_id IN (${tokenIds.map(() => '?').join(', ')}) AND status IN (${BLOCKING_STATUSES})
+    ORDER BY check_in`).all(tokenIds);
+
+  // Each facet counts listings matching every other filter, so its options stay visible once picked
+  const amenityKeys = Array.from({ length: amenityCount }, (_, i) => `amenity${i}`);
+  const facets = {
+    cities: facet(db, params, where, 'city', ['city']),
+    propertyTypes: facet(db, params, where, 'propertyType', ['propertyType']),
+    amenities: db.prepare(`
+      SELECT amenity.value AS value, COUNT(*) AS count
+      ${fromClause(params)}, json_each(m.json, '$.amenities') amenity
+      ${whereSql(where, amenityKeys)}
+      GROUP BY amenity.value ORDER BY count DESC, amenity.value`).all(params)
+  };
+
+  return {
+    rows: pageRows,
+    bookings,
+    gapDays: stayGapDays(db),
+    total,
+    nextCursor: hasMore ? encodeCursor(params.sort, pageRows[pageRows.length - 1]) : null,
+    facets
+  };
+}
+
+module.exports = {
+  searchListings,
+  stringParam
+};
@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Cache of property metadata JSON fetched from the token URIs the indexer has seen
+ */
+
+// Failed fetches are retried a few times, spaced out, before the URI is given up on
+const MAX_ATTEMPTS = 5;
+const RETRY_AFTER = 5 * 60 * 1000;
+const FETCH_TIMEOUT = 10 * 1000;
+
+/**
+ * A URL's normalized form if it lies under the base URL, null otherwise
+ */
+function within(base, url) {
+  try {
+    const root = new URL(base);
+    const target = new URL(url);
+    return target.origin === root.origin && target.pathname.startsWith(root.pathname) && !target.username
+      ? target.href
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+class MetadataCache {
+  /**
+   * @param {import('better-sqlite3').Database} db
+   * @param {string} gateway - IPFS gateway prefix, e.g. https://gateway.pinata.cloud/ipfs/
+   * @param {string|null} [uploadsUrl] - Prefix of this server's own upload links. Token URIs are set by
+   *   anyone who mints, so no other http(s) URL is fetched: it could point at hosts only the server reaches.
+   */
+  constructor(db, gateway, uploadsUrl = null) {
+    this.db = db;
+    this.gateway = gateway;
+    this.uploadsUrl = uploadsUrl;
+    this.sql = {
+      pending: db.prepare(`
+        SELECT DISTINCT p.token_uri AS uri, COALESCE(m.attempts, 0) AS attempts
+        FROM properties p LEFT JOIN metadata m ON m.uri = p.token_uri
+        WHERE p.token_uri <> ''
+          AND (m.uri IS NULL OR (m.json IS NULL AND m.attempts < @maxAttempts AND m.fetched_at < @retryBefore))
+        LIMIT @limit`),
+      save: db.prepare(`
+        INSERT OR REPLACE INTO metadata (uri, json, error, attempts, fetched_at)
+        VALUES (@uri, @json, @error, @attempts, @fetchedAt)`),
+      dropText: db.prepare('DELETE FROM metadata_text WHERE uri = ?'),
+      addText: db.prepare('INSERT INTO metadata_text (uri, title, description) VALUES (@uri, @title, @description)')
+    };
+  }
+
+  /**
+   * Cache fetched metadata and index its title and description for search
+   */
+  store(uri, metadata, attempts) {
+    this.db.transaction(() => {
+      this.sql.save.run({ uri, json: JSON.stringify(metadata), error: null, attempts, fetchedAt: Date.now() });
+      this.sql.dropText.run(uri);
+      this.sql.addText.run({
+        uri,
+        title: typeof metadata.name === 'string' ? metadata.name : '',
+        description: typeof metadata.description === 'string' ? metadata.description : ''
+      });
+    })();
+  }
+
+  /**
+   * HTTP URL for a token URI, or null for URIs the server does not fetch: anything outside the IPFS
+   * gateway and its own uploads
+   */
+  resolve(uri) {
+    if (uri.startsWith('ipfs://')) return within(this.gateway, this.gateway + uri.slice('ipfs://'.length));
+    if (uri.startsWith('Qm') || uri.startsWith('bafy')) return within(this.gateway, this.gateway + uri);
+    if (this.uploadsUrl && (uri.startsWith('https://') || uri.startsWith('http://'))) return within(this.uploadsUrl, uri);
+    return null;
+  }
+
+  /**
+   * Fetch metadata for token URIs not cached yet, plus failed ones that are due for a retry
+   * @param {number} [limit] - Most URIs to fetch in one pass
+   */
+  async fetchPending(limit = 20) {
+    const pending = this.sql.pending.all({
+      maxAttempts: MAX_ATTEMPTS,
+      retryBefore: Date.now() - RETRY_AFTER,
+      limit
+    });
+
+    for (const { uri, attempts } of pending) {
+      const url = this.resolve(uri);
+      if (!url) {
+        this.sql.save.run({ uri, json: null, error: 'Unsupported URI', attempts: MAX_ATTEMPTS, fetchedAt: Date.now() });
+        continue;
+      }
+
+      try {
+        // A redirect could lead anywhere, so only the allowed host's own answer counts
+        const response = await fetch(url, { redirect: 'error', signal: AbortSignal.timeout(FETCH_TIMEOUT) });
+        if (!response.ok) {
+          throw new Error(`Failed to fetch metadata: ${response.statusText}`);
+        }
+        this.store(uri, await response.json(), attempts + 1);
+      } catch (error) {
+        console.error(`Failed to fetch metadata for ${uri}:`, error.message);
+        this.sql.save.run({ uri, json: null, error: error.message, attempts: attempts + 1, fetchedAt: Date.now() });
+      }
+    }
+  }
+}
+
+module.exports = {
+  MetadataCache
+};
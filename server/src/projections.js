@@ -0,0 +1,333 @@
+/**
+ * @fileoverview Derived tables built by applying indexed events in chain order
+ */
+
+const { DERIVED_TABLES } = require('./db');
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Booking statuses: requests wait for the landlord, approved stays hold their dates until they start
+const BOOKING_STATUS = {
+  Requested: 'requested',
+  Approved: 'approved',
+  Active: 'active',
+  Completed: 'completed',
+  Cancelled: 'cancelled',
+  Declined: 'declined',
+  Expired: 'expired'
+};
+
+// FairBNB's inspection period until the owner changes it, in seconds
+const DEFAULT_INSPECTION_PERIOD = 3 * 24 * 60 * 60;
+
+/**
+ * Create the projector for a database. `apply` folds one decoded event into the derived tables,
+ * `rebuild` clears them and replays the whole stored event log.
+ * @param {import('better-sqlite3').Database} db
+ */
+function createProjector(db) {
+  const sql = {
+    mintProperty: db.prepare(`
+      INSERT INTO properties (token_id, owner, landlord, token_uri, minted_block, updated_block)
+      VALUES (@tokenId, @owner, @owner, '', @block, @block)
+      ON CONFLICT (token_id) DO NOTHING`),
+    setOwner: db.prepare('UPDATE properties SET owner = @owner, updated_block = @block WHERE token_id = @tokenId'),
+    setTokenURI: db.prepare(`
+      UPDATE properties SET token_uri = @uri, landlord = @landlord, updated_block = @block
+      WHERE token_id = @tokenId`),
+    setListing: db.prepare(`
+      UPDATE properties
+      SET rent = @rent, deposit = @deposit, dispute_fee = @disputeFee, is_listed = 1, updated_block = @block
+      WHERE token_id = @tokenId`),
+    // The stay's terms are those of the tenant's earliest approved booking, which is the one starting
+    startRental: db.prepare(`
+      WITH started AS (
+        SELECT rent, deposit, dispute_fee FROM bookings
+        WHERE token_id = @tokenId AND tenant = @tenant AND status = '${BOOKING_STATUS.Approved}'
+        ORDER BY check_in LIMIT 1
+      )
+      UPDATE properties
+      SET rental_landlord = owner, tenant = @tenant,
+          rental_rent = (SELECT rent FROM started),
+          rental_deposit = (SELECT deposit FROM started),
+          rental_dispute_fee = (SELECT dispute_fee FROM started),
+          is_rented = 1, tenant_happy = 0, landlord_happy = 0, is_disputed = 0, updated_block = @block
+      WHERE token_id = @tokenId`),
+    confirmHappy: db.prepare(`
+      UPDATE properties
+      SET tenant_happy = tenant_happy OR NOT @isLandlord, landlord_happy = landlord_happy OR @isLandlord,
+          updated_block = @block
+      WHERE token_id = @tokenId`),
+    endRental: db.prepare(`
+      UPDATE properties SET is_rented = 0, is_disputed = 0, updated_block = @block WHERE token_id = @tokenId`),
+    setDisputed: db.prepare('UPDATE properties SET is_disputed = 1, updated_block = @block WHERE token_id = @tokenId'),
+    raiseRentalDispute: db.prepare(`
+      INSERT OR REPLACE INTO rental_disputes (token_id, raised_block, landlord, tenant, status, updated_block)
+      SELECT token_id, @block, rental_landlord, tenant, 'open', @block FROM properties WHERE token_id = @tokenId`),
+    resolveRentalDispute: db.prepare(`
+      UPDATE rental_disputes
+      SET status = 'resolved', tenant_wins = @tenantWins, jury_reward = @juryReward, updated_block = @block
+      WHERE token_id = @tokenId AND status = 'open'`),
+    // Evidence belongs to the property's open dispute, the only time the contract takes it
+    addRentalEvidence: db.prepare(`
+      INSERT INTO rental_evidence (token_id, raised_block, submitter, is_landlord, uri, tx_hash, block_number, log_index)
+      SELECT token_id, raised_block, @submitter, @isLandlord, @uri, @txHash, @blockNumber, @logIndex
+      FROM rental_disputes WHERE token_id = @tokenId AND status = 'open'
+      ORDER BY raised_block DESC LIMIT 1`),
+
+    getListing: db.prepare('SELECT deposit, dispute_fee FROM properties WHERE token_id = ?'),
+    // Requests pay the listing terms in force when they were made; the rent covers every night
+    requestBooking: db.prepare(`
+      INSERT OR REPLACE INTO bookings
+        (token_id, tenant, check_in, check_out, rent, deposit, dispute_fee, total_paid, respond_by, status, updated_block)
+      SELECT @tokenId, @tenant, @checkIn, @checkOut, @rent, deposit, dispute_fee, @totalPaid, @respondBy,
+             '${BOOKING_STATUS.Requested}', @block
+      FROM properties WHERE token_id = @tokenId`),
+    setBookingStatus: db.prepare(`
+      UPDATE bookings SET status = @status, updated_block = @block
+      WHERE token_id = @tokenId AND tenant = @tenant AND check_in = @checkIn`),
+    // A started stay was the tenant's earliest approved booking on the property
+    startBooking: db.prepare(`
+      UPDATE bookings SET status = '${BOOKING_STATUS.Active}', updated_block = @block
+      WHERE rowid = (
+        SELECT rowid FROM bookings
+        WHERE token_id = @tokenId AND tenant = @tenant AND status = '${BOOKING_STATUS.Approved}'
+        ORDER BY check_in LIMIT 1
+      )`),
+    endBooking: db.prepare(`
+      UPDATE bookings SET status = @status, updated_block = @block
+      WHERE token_id = @tokenId AND status = '${BOOKING_STATUS.Active}'`),
+    setInspectionPeriod: db.prepare(`
+      INSERT OR REPLACE INTO rental_settings (id, inspection_period, updated_block) VALUES (1, @period, @block)`),
+
+    createAgreement: db.prepare(`
+      INSERT INTO agreements
+        (agreement_id, token_id, landlord, tenant, total_locked, payment_token, status, created_block, updated_block)
+      VALUES (@agreementId, @tokenId, @landlord, @tenant, @totalLocked, @paymentToken, 'pending', @block, @block)`),
+    getAgreement: db.prepare('SELECT rent_paid FROM agreements WHERE agreement_id = ?'),
+    payRent: db.prepare(`
+      UPDATE agreements
+      SET rent_paid = @rentPaid, months_paid = months_paid + @months, updated_block = @block
+      WHERE agreement_id = @agreementId`),
+    setAgreementStatus: db.prepare(`
+      UPDATE agreements SET status = @status, updated_block = @block WHERE agreement_id = @agreementId`),
+    acceptAgreement: db.prepare(`
+      UPDATE agreements SET landlord_accepted = 1, status = 'active', updated_block = @block
+      WHERE agreement_id = @agreementId`),
+
+    raiseDispute: db.prepare(`
+      INSERT INTO disputes
+        (dispute_id, agreement_id, raised_by, reason, status, created_block, updated_block)
+      VALUES (@disputeId, @agreementId, @raisedBy, @reason, 'drawing', @block, @block)`),
+    drawJurors: db.prepare(`
+      UPDATE disputes SET status = 'voting', round = @round, jurors = @jurors, updated_block = @block
+      WHERE dispute_id = @disputeId`),
+    escalateDispute: db.prepare(`
+      UPDATE disputes SET status = 'drawing', round = @round, updated_block = @block WHERE dispute_id = @disputeId`),
+    reachVerdict: db.prepare(`
+      UPDATE disputes
+      SET status = 'appealable', round = @round, tenant_share = @tenantShare, appeal_deadline = @appealDeadline,
+          updated_block = @block
+      WHERE dispute_id = @disputeId`),
+    setDisputeStatus: db.prepare(`
+      UPDATE disputes SET status = @status, updated_block = @block WHERE dispute_id = @disputeId`),
+    settleDispute: db.prepare(`
+      UPDATE disputes
+      SET status = @status, tenant_share = COALESCE(@tenantShare, tenant_share),
+          amount_to_tenant = @amountToTenant, amount_to_landlord = @amountToLandlord, updated_block = @block
+      WHERE dispute_id = @disputeId`),
+    addEvidence: db.prepare(`
+      INSERT INTO evidence (dispute_id, submitter, uri, tx_hash, block_number, log_index)
+      VALUES (@disputeId, @submitter, @uri, @txHash, @blockNumber, @logIndex)`),
+
+    allEvents: db.prepare('SELECT * FROM events ORDER BY block_number, log_index')
+  };
+
+  const fairBNB = {
+    Transfer({ from, to, tokenId }, block) {
+      if (from === ZERO_ADDRESS) {
+        sql.mintProperty.run({ tokenId, owner: to.toLowerCase(), block });
+      } else {
+        sql.setOwner.run({ tokenId, owner: to.toLowerCase(), block });
+      }
+    },
+    PropertyMinted({ tokenId, landlord, uri }, block) {
+      sql.setTokenURI.run({ tokenId, landlord: landlord.toLowerCase(), uri, block });
+    },
+    PropertyListed({ tokenId, rent, deposit, disputeFee }, block) {
+      sql.setListing.run({ tokenId, rent, deposit, disputeFee, block });
+    },
+    PropertyRented({ tokenId, tenant }, block) {
+      sql.startRental.run({ tokenId, tenant: tenant.toLowerCase(), block });
+      sql.startBooking.run({ tokenId, tenant: tenant.toLowerCase(), block });
+    },
+    BookingRequested({ tokenId, tenant, checkIn, checkOut, totalPaid, respondBy }, block) {
+      const listing = sql.getListing.get(tokenId);
+      if (!listing) return;
+      sql.requestBooking.run({
+        tokenId,
+        tenant: tenant.toLowerCase(),
+        checkIn: Number(checkIn),
+        checkOut: Number(checkOut),
+        rent: (BigInt(totalPaid) - BigInt(listing.deposit) - BigInt(listing.dispute_fee)).toString(),
+        totalPaid,
+        respondBy: Number(respondBy),
+        block
+      });
+    },
+    BookingApproved: (args, block) => setBookingStatus(args, BOOKING_STATUS.Approved, block),
+    BookingDeclined: (args, block) => setBookingStatus(args, BOOKING_STATUS.Declined, block),
+    BookingExpired: (args, block) => setBookingStatus(args, BOOKING_STATUS.Expired, block),
+    BookingCancelled: (args, block) => setBookingStatus(args, BOOKING_STATUS.Cancelled, block),
+    HappyConfirmed({ tokenId, isLandlord }, block) {
+      sql.confirmHappy.run({ tokenId, isLandlord: isLandlord ? 1 : 0, block });
+    },
+    RentalCompleted: ({ tokenId }, block) => endRental(tokenId, BOOKING_STATUS.Completed, block),
+    RentalCancelled: ({ tokenId }, block) => endRental(tokenId, BOOKING_STATUS.Cancelled, block),
+    DisputeRaised({ tokenId }, block) {
+      sql.setDisputed.run({ tokenId, block });
+      sql.raiseRentalDispute.run({ tokenId, block });
+    },
+    EvidenceSubmitted({ tokenId, submitter, isLandlord, evidenceURI }, block, event) {
+      sql.addRentalEvidence.run({
+        tokenId,
+        submitter: submitter.toLowerCase(),
+        isLandlord: isLandlord ? 1 : 0,
+        uri: evidenceURI,
+        txHash: event.txHash,
+        blockNumber: block,
+        logIndex: event.logIndex
+      });
+    },
+    DisputeResolved({ tokenId, tenantWins, juryReward }, block) {
+      sql.resolveRentalDispute.run({ tokenId, tenantWins: tenantWins ? 1 : 0, juryReward, block });
+      endRental(tokenId, BOOKING_STATUS.Completed, block);
+    },
+    InspectionPeriodChanged({ newPeriod }, block) {
+      sql.setInspectionPeriod.run({ period: Number(newPeriod), block });
+    }
+  };
+
+  const escrow = {
+    AgreementCreated({ agreementId, landlord, tenant, tokenId, totalLocked, paymentToken }, block) {
+      sql.createAgreement.run({
+        agreementId,
+        tokenId,
+        landlord: landlord.toLowerCase(),
+        tenant: tenant.toLowerCase(),
+        totalLocked,
+        paymentToken: paymentToken.toLowerCase(),
+        block
+      });
+    },
+    RentPaid({ agreementId, months, amount }, block) {
+      const agreement = sql.getAgreement.get(agreementId);
+      if (!agreement) return;
+      const rentPaid = (BigInt(agreement.rent_paid) + BigInt(amount)).toString();
+      sql.payRent.run({ agreementId, rentPaid, months: Number(months), block });
+    },
+    AgreementAccepted: ({ agreementId }, block) => sql.acceptAgreement.run({ agreementId, block }),
+    AgreementCompleted: ({ agreementId }, block) => setAgreementStatus(agreementId, 'completed', block),
+    AgreementCancelled: ({ agreementId }, block) => setAgreementStatus(agreementId, 'cancelled', block),
+    AgreementDefaulted: ({ agreementId }, block) => setAgreementStatus(agreementId, 'defaulted', block),
+    DisputeRaised({ agreementId, disputeId, raisedBy, reason }, block) {
+      setAgreementStatus(agreementId, 'disputed', block);
+      sql.raiseDispute.run({ disputeId, agreementId, raisedBy: raisedBy.toLowerCase(), reason, block });
+    },
+    JurorsDrawn({ disputeId, round, jurors }, block) {
+      const panel = JSON.stringify(jurors.map(juror => juror.toLowerCase()));
+      sql.drawJurors.run({ disputeId, round: Number(round), jurors: panel, block });
+    },
+    DisputeEscalated({ disputeId, round }, block) {
+      sql.escalateDispute.run({ disputeId, round: Number(round), block });
+    },
+    VerdictReached({ disputeId, round, tenantShare, appealDeadline }, block) {
+      sql.reachVerdict.run({
+        disputeId,
+        round: Number(round),
+        tenantShare,
+        appealDeadline: Number(appealDeadline),
+        block
+      });
+    },
+    DisputeAppealed({ disputeId }, block) {
+      sql.setDisputeStatus.run({ disputeId, status: 'appealed', block });
+    },
+    DisputeResolved({ disputeId, tenantShare, amountToTenant, amountToLandlord }, block) {
+      sql.settleDispute.run({ disputeId, status: 'resolved', tenantShare, amountToTenant, amountToLandlord, block });
+    },
+    DisputeFallback({ disputeId, amountToTenant, amountToLandlord }, block) {
+      sql.settleDispute.run({
+        disputeId,
+        status: 'fallback',
+        tenantShare: null,
+        amountToTenant,
+        amountToLandlord,
+        block
+      });
+    },
+    EvidenceSubmitted({ disputeId, submitter, evidenceURI }, block, event) {
+      sql.addEvidence.run({
+        disputeId,
+        submitter: submitter.toLowerCase(),
+        uri: evidenceURI,
+        txHash: event.txHash,
+        blockNumber: block,
+        logIndex: event.logIndex
+      });
+    }
+  };
+
+  const handlers = { fairBNB, escrow };
+
+  function setBookingStatus({ tokenId, tenant, checkIn }, status, block) {
+    sql.setBookingStatus.run({ tokenId, tenant: tenant.toLowerCase(), checkIn: Number(checkIn), status, block });
+  }
+
+  function endRental(tokenId, bookingStatus, block) {
+    sql.endRental.run({ tokenId, block });
+    sql.endBooking.run({ tokenId, status: bookingStatus, block });
+  }
+
+  function setAgreementStatus(agreementId, status, block) {
+    sql.setAgreementStatus.run({ agreementId, status, block });
+  }
+
+  /**
+   * Fold one decoded event into the derived tables. Events without a handler only live in the event log.
+   * @param {{ contract: string, name: string, args: Object, blockNumber: number, logIndex: number, txHash: string }} event
+   */
+  function apply(event) {
+    const handler = handlers[event.contract]?.[event.name];
+    if (handler) {
+      handler(event.args, event.blockNumber, event);
+    }
+  }
+
+  /**
+   * Clear the derived tables and replay every stored event. Run inside a transaction.
+   */
+  function rebuild() {
+    for (const table of DERIVED_TABLES) {
+      db.prepare(`DELETE FROM ${table}`).run();
+    }
+    for (const row of sql.allEvents.all()) {
+      apply({
+        contract: row.contract,
+        name: row.name,
+        args: JSON.parse(row.args),
+        blockNumber: row.block_number,
+        logIndex: row.log_index,
+        txHash: row.tx_hash
+      });
+    }
+  }
+
+  return { apply, rebuild };
+}
+
+module.exports = {
+  BOOKING_STATUS,
+  DEFAULT_INSPECTION_PERIOD,
+  createProjector
+};
@@ -0,0 +1,68 @@
+/**
+ * @fileoverview Roles a wallet holds, read from the contracts: landlords own property tokens or let them
+ * through escrow, tenants rent, jurors are the FairBNB jury or in the escrow juror pool
+ */
+
+const { Contract } = require('ethers');
+
+const FAIRBNB_ROLES_ABI = [
+  'function jury() view returns (address)',
+  'function getUserTokenCount(address user) view returns (uint256)'
+];
+
+const ESCROW_ROLES_ABI = [
+  'function getLandlordAgreements(address landlord) view returns (uint256[])',
+  'function getTenantAgreements(address tenant) view returns (uint256[])',
+  'function isActiveJuror(address account) view returns (bool)'
+];
+
+class RoleResolver {
+  /**
+   * @param {import('ethers').Provider} provider
+   * @param {{ fairBNB: string|null, escrow: string|null }} addresses - Deployed contracts, null when absent
+   * @param {import('better-sqlite3').Database} db - Indexer database, for FairBNB rentals which have no tenant getter
+   */
+  constructor(provider, addresses, db) {
+    this.fairBNB = addresses.fairBNB && new Contract(addresses.fairBNB, FAIRBNB_ROLES_ABI, provider);
+    this.escrow = addresses.escrow && new Contract(addresses.escrow, ESCROW_ROLES_ABI, provider);
+    this.sql = {
+      rentedFairBNB: db.prepare(`
+        SELECT 1 FROM properties WHERE tenant = @address
+        UNION ALL SELECT 1 FROM bookings WHERE tenant = @address
+        LIMIT 1`)
+    };
+  }
+
+  /**
+   * Roles of an address, in the order landlord, tenant, juror
+   * @param {string} address - Checksummed address
+   * @returns {Promise<('landlord'|'tenant'|'juror')[]>}
+   */
+  async rolesOf(address) {
+    const [fairBNB, escrow] = await Promise.all([
+      this.fairBNB && Promise.all([
+        this.fairBNB.getUserTokenCount(address),
+        this.fairBNB.jury()
+      ]),
+      this.escrow && Promise.all([
+        this.escrow.getLandlordAgreements(address),
+        this.escrow.getTenantAgreements(address),
+        this.escrow.isActiveJuror(address)
+      ])
+    ]);
+
+    const [tokenCount, jury] = fairBNB || [0n, null];
+    const [landlordAgreements, tenantAgreements, isActiveJuror] = escrow || [[], [], false];
+    const rentedFairBNB = Boolean(this.sql.rentedFairBNB.get({ address: address.toLowerCase() }));
+
+    const roles = [];
+    if (tokenCount > 0n || landlordAgreements.length > 0) roles.push('landlord');
+    if (rentedFairBNB || tenantAgreements.length > 0) roles.push('tenant');
+    if (jury === address || isActiveJuror) roles.push('juror');
+    return roles;
+  }
+}
+
+module.exports = {
+  RoleResolver
+};
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Sign-in nonces and wallet sessions, kept in SQLite so they survive restarts
+ */
+
+const { createHash, randomBytes } = require('crypto');
+
+// Time a wallet has to sign the message a nonce was issued for
+const NONCE_TTL = 10 * 60 * 1000;
+
+/**
+ * Stored form of a bearer token
+ */
+const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+
+class SessionStore {
+  /**
+   * @param {import('better-sqlite3').Database} db
+   */
+  constructor(db) {
+    this.db = db;
+    this.sql = {
+      addNonce: db.prepare('INSERT INTO auth_nonces (nonce, expires_at) VALUES (?, ?)'),
+      takeNonce: db.prepare('DELETE FROM auth_nonces WHERE nonce = ? AND expires_at > ?'),
+      pruneNonces: db.prepare('DELETE FROM auth_nonces WHERE expires_at <= ?'),
+      addSession: db.prepare(`
+        INSERT INTO sessions (token_hash, address, chain_id, created_at, expires_at)
+        VALUES (@tokenHash, @address, @chainId, @createdAt, @expiresAt)`),
+      findSession: db.prepare('SELECT * FROM sessions WHERE token_hash = ? AND expires_at > ?'),
+      dropSession: db.prepare('DELETE FROM sessions WHERE token_hash = ?'),
+      pruneSessions: db.prepare('DELETE FROM sessions WHERE expires_at <= ?')
+    };
+  }
+
+  /**
+   * Issue a nonce for a sign-in message, clearing out expired nonces and sessions on the way
+   */
+  createNonce() {
+    const now = Date.now();
+    this.sql.pruneNonces.run(now);
+    this.sql.pruneSessions.run(now);
+
+    const nonce = randomBytes(16).toString('hex');
+    this.sql.addNonce.run(nonce, now + NONCE_TTL);
+    return nonce;
+  }
+
+  /**
+   * Use up a nonce; false when it was never issued, already used or expired
+   */
+  consumeNonce(nonce) {
+    return this.sql.takeNonce.run(nonce, Date.now()).changes === 1;
+  }
+
+  /**
+   * Start a session and return its bearer token
+   * @param {string} address - Wallet that signed in
+   * @param {number} chainId - Chain the sign-in message named
+   * @param {number} expiresAt - Milliseconds since the epoch
+   */
+  create(address, chainId, expiresAt) {
+    const token = randomBytes(32).toString('hex');
+    this.sql.addSession.run({
+      tokenHash: hashToken(token),
+      address: address.toLowerCase(),
+      chainId,
+      createdAt: Date.now(),
+      expiresAt
+    });
+    return token;
+  }
+
+  /**
+   * Live session for a bearer token, or null
+   * @returns {{ address: string, chainId: number, expiresAt: number }|null}
+   */
+  find(token) {
+    const row = this.sql.findSession.get(hashToken(token), Date.now());
+    return row ? { address: row.address, chainId: row.chain_id, expiresAt: row.expires_at } : null;
+  }
+
+  /**
+   * End a session
+   */
+  revoke(token) {
+    this.sql.dropSession.run(hashToken(token));
+  }
+}
+
+module.exports = {
+  SessionStore
+};
@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Parser for Sign-In With Ethereum (EIP-4361) messages
+ */
+
+const { getAddress } = require('ethers');
+const { BadRequestError } = require('./errors');
+
+const HEADER = / wants you to sign in with your Ethereum account:$/;
+
+// Field lines after the statement, by their EIP-4361 label
+const FIELDS = {
+  'URI': 'uri',
+  'Version': 'version',
+  'Chain ID': 'chainId',
+  'Nonce': 'nonce',
+  'Issued At': 'issuedAt',
+  'Expiration Time': 'expirationTime',
+  'Not Before': 'notBefore',
+  'Request ID': 'requestId'
+};
+
+/**
+ * Milliseconds since the epoch of an RFC 3339 timestamp field, or undefined when absent
+ */
+function timeField(value, label) {
+  if (value === undefined) return undefined;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new BadRequestError(`Invalid ${label} in sign-in message`);
+  }
+  return time;
+}
+
+/**
+ * Split a sign-in message into its fields
+ * @param {string} message - The text the wallet signed
+ * @returns {{ domain: string, address: string, statement: string|null, uri: string, version: string,
+ *   chainId: number, nonce: string, issuedAt: number, expirationTime?: number, notBefore?: number,
+ *   requestId?: string, resources: string[] }}
+ */
+function parseSiweMessage(message) {
+  if (typeof message !== 'string') {
+    throw new BadRequestError('message must be a string');
+  }
+  const lines = message.split('\n');
+  if (lines.length < 4 || !HEADER.test(lines[0])) {
+    throw new BadRequestError('Not a sign-in message');
+  }
+
+  const domain = lines[0].replace(HEADER, '');
+  let address;
+  try {
+    address = getAddress(lines[1]);
+  } catch {
+    throw new BadRequestError('Invalid address in sign-in message');
+  }
+  // EIP-4361 requires the checksummed form
+  if (address !== lines[1]) {
+    throw new BadRequestError('Sign-in address must be checksummed');
+  }
+
+  // An optional statement sits between blank lines before the first field
+  if (lines[2] !== '') {
+    throw new BadRequestError('Expected a blank line after the sign-in address');
+  }
+  let index = 3;
+  let statement = null;
+  if (lines[index] !== '' && !lines[index].startsWith('URI: ')) {
+    statement = lines[index];
+    index++;
+  }
+  if (lines[index] === '') {
+    index++;
+  }
+
+  const fields = {};
+  const resources = [];
+  for (; index < lines.length; index++) {
+    const line = lines[index];
+    if (line === 'Resources:') {
+      for (const resource of lines.slice(index + 1)) {
+        if (!resource.startsWith('- ')) {
+          throw new BadRequestError('Invalid resource in sign-in message');
+        }
+        resources.push(resource.slice(2));
+      }
+      break;
+    }
+    const separator = line.indexOf(': ');
+    const key = FIELDS[line.slice(0, separator)];
+    if (separator < 0 || !key || fields[key] !== undefined) {
+      throw new BadRequestError(`Unexpected line in sign-in message: ${line}`);
+    }
+    fields[key] = line.slice(separator + 2);
+  }
+
+  if (!fields.uri || fields.version !== '1' || !/^\d+$/.test(fields.chainId || '')) {
+    throw new BadRequestError('Sign-in message needs a URI, version 1 and a chain ID');
+  }
+  if (!/^[A-Za-z0-9]{8,}$/.test(fields.nonce || '')) {
+    throw new BadRequestError('Invalid nonce in sign-in message');
+  }
+  if (fields.issuedAt === undefined) {
+    throw new BadRequestError('Sign-in message needs an Issued At time');
+  }
+
+  return {
+    domain,
+    address,
+    statement,
+    uri: fields.uri,
+    version: fields.version,
+    chainId: Number(fields.chainId),
+    nonce: fields.nonce,
+    issuedAt: timeField(fields.issuedAt, 'Issued At'),
+    expirationTime: timeField(fields.expirationTime, 'Expiration Time'),
+    notBefore: timeField(fields.notBefore, 'Not Before'),
+    requestId: fields.requestId,
+    resources
+  };
+}
+
+module.exports = {
+  parseSiweMessage
+};
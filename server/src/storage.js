@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Storage backends for uploads. Each one stores a validated file and returns the URI the
+ * client records: the local filesystem for development, or Pinata for IPFS.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createHash } = require('crypto');
+const express = require('express');
+
+const UPLOAD_TIMEOUT = 60 * 1000;
+
+/**
+ * @typedef {Object} StoredFile
+ * @property {Buffer} data - Validated contents
+ * @property {string} type - MIME type
+ * @property {string} extension - File extension for the type, with the dot
+ * @property {string} name - Original file name, for labels only
+ * @property {string} folder - Folder grouping uploads of one kind, e.g. disputes
+ * @property {string} uploader - Checksummed address of the wallet that uploaded it
+ */
+
+/**
+ * Object name derived from the contents, so re-uploads of a file land on the same object
+ */
+const contentName = ({ data, extension }) => createHash('sha256').update(data).digest('hex') + extension;
+
+/**
+ * Files written under a local directory and served by the API at /uploads
+ */
+class FilesystemStorage {
+  /**
+   * @param {string} directory - Where files are written
+   * @param {string} publicUrl - Base URL clients reach the API at
+   */
+  constructor(directory, publicUrl) {
+    this.directory = directory;
+    this.publicUrl = publicUrl.replace(/\/$/, '');
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  /**
+   * @param {StoredFile} file
+   */
+  async put(file) {
+    const fileName = contentName(file);
+    await fs.promises.writeFile(path.join(this.directory, fileName), file.data);
+    return `${this.publicUrl}/uploads/${fileName}`;
+  }
+
+  /**
+   * Middleware serving the stored files
+   */
+  serve() {
+    return express.static(this.directory, {
+      immutable: true,
+      maxAge: '1y',
+      setHeaders: (res) => res.set('X-Content-Type-Options', 'nosniff')
+    });
+  }
+}
+
+/**
+ * Files pinned to IPFS through Pinata
+ */
+class PinataStorage {
+  /**
+   * @param {string} jwt - Pinata API token
+   */
+  constructor(jwt) {
+    this.jwt = jwt;
+  }
+
+  /**
+   * @param {StoredFile} file
+   */
+  async put(file) {
+    const formData = new FormData();
+    formData.append('file', new Blob([file.data], { type: file.type }), file.name);
+    formData.append('pinataMetadata', JSON.stringify({
+      name: `${file.folder}/${file.name}`,
+      keyvalues: {
+        folder: file.folder,
+        uploader: file.uploader
+      }
+    }));
+
+    const response = await fetch('https://api.pinata.cloud/pinning/pinFileToIPFS', {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${this.jwt}` },
+      body: formData,
+      signal: AbortSignal.timeout(UPLOAD_TIMEOUT)
+    });
+    if (!response.ok) {
+      throw new Error(`Failed to pin to IPFS: ${response.statusText}`);
+    }
+
+    const { IpfsHash } = await response.json();
+    return `ipfs://${IpfsHash}`;
+  }
+}
+
+/**
+ * Storage backend picked by the configuration
+ * @param {Object} options - The storage section of the config
+ */
+function createStorage(options) {
+  switch (options.backend) {
+    case 'filesystem':
+      return new FilesystemStorage(options.directory, options.publicUrl);
+    case 'pinata':
+      if (!options.pinataJwt) {
+        throw new Error('PINATA_JWT is required for the pinata storage backend');
+      }
+      return new PinataStorage(options.pinataJwt);
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${options.backend}", expected filesystem or pinata`);
+  }
+}
+
+module.exports = {
+  FilesystemStorage,
+  PinataStorage,
+  createStorage
+};
@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Writes to the indexer database: checkpointed batches of events and reorg rollbacks
+ */
+
+const { createProjector } = require('./projections');
+
+// Event arguments copied into their own columns so the API can filter on them
+const KEY_COLUMNS = {
+  tokenId: 'token_id',
+  agreementId: 'agreement_id',
+  disputeId: 'dispute_id'
+};
+
+class Store {
+  /**
+   * @param {import('better-sqlite3').Database} db
+   */
+  constructor(db) {
+    this.db = db;
+    this.projector = createProjector(db);
+    this.sql = {
+      getCheckpoint: db.prepare('SELECT block_number AS number, block_hash AS hash FROM checkpoint WHERE id = 1'),
+      setCheckpoint: db.prepare(`
+        INSERT INTO checkpoint (id, block_number, block_hash) VALUES (1, @number, @hash)
+        ON CONFLICT (id) DO UPDATE SET block_number = @number, block_hash = @hash`),
+      clearCheckpoint: db.prepare('DELETE FROM checkpoint'),
+      addBlock: db.prepare('INSERT OR REPLACE INTO blocks (number, hash) VALUES (@number, @hash)'),
+      blocksBelow: db.prepare('SELECT number, hash FROM blocks WHERE number < ? ORDER BY number DESC'),
+      addEvent: db.prepare(`
+        INSERT INTO events
+          (block_number, log_index, block_hash, tx_hash, contract, name, token_id, agreement_id, dispute_id, args)
+        VALUES
+          (@blockNumber, @logIndex, @blockHash, @txHash, @contract, @name, @token_id, @agreement_id, @dispute_id, @args)`),
+      dropEvents: db.prepare('DELETE FROM events WHERE block_number > ?'),
+      dropBlocks: db.prepare('DELETE FROM blocks WHERE number > ?')
+    };
+  }
+
+  /**
+   * Last block whose events are fully stored, or null before the first batch
+   * @returns {{ number: number, hash: string } | null}
+   */
+  getCheckpoint() {
+    return this.sql.getCheckpoint.get() || null;
+  }
+
+  /**
+   * Stored block hashes below a height, newest first, for finding where a reorg forked
+   */
+  getBlocksBelow(number) {
+    return this.sql.blocksBelow.all(number);
+  }
+
+  /**
+   * Store a batch of decoded events, apply them, and move the checkpoint to the batch's last block.
+   * All or nothing, so a crash never leaves events without their derived state.
+   * @param {Object[]} events - Decoded events in chain order
+   * @param {{ number: number, hash: string }} toBlock - Last block of the batch
+   */
+  commitBatch(events, toBlock) {
+    this.db.transaction(() => {
+      for (const event of events) {
+        const keys = {};
+        for (const [arg, column] of Object.entries(KEY_COLUMNS)) {
+          keys[column] = event.args[arg] ?? null;
+        }
+        this.sql.addEvent.run({ ...event, ...keys, args: JSON.stringify(event.args) });
+        this.sql.addBlock.run({ number: event.blockNumber, hash: event.blockHash });
+        this.projector.apply(event);
+      }
+      this.sql.addBlock.run(toBlock);
+      this.sql.setCheckpoint.run(toBlock);
+    })();
+  }
+
+  /**
+   * Drop everything above a common ancestor after a reorg and rebuild derived state from what is left
+   * @param {{ number: number, hash: string } | null} ancestor - Last block still on the chain, or null to start over
+   */
+  rollback(ancestor) {
+    const keepUpTo = ancestor ? ancestor.number : -1;
+    this.db.transaction(() => {
+      this.sql.dropEvents.run(keepUpTo);
+      this.sql.dropBlocks.run(keepUpTo);
+      if (ancestor) {
+        this.sql.setCheckpoint.run(ancestor);
+      } else {
+        this.sql.clearCheckpoint.run();
+      }
+      this.projector.rebuild();
+    })();
+  }
+}
+
+module.exports = {
+  Store
+};
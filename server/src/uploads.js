@@ -0,0 +1,113 @@
+/**
+ * @fileoverview Upload endpoints: signed-in requests, checked against an allow-list of types by their
+ * contents, stripped of image location data and handed to the configured storage backend
+ */
+
+const express = require('express');
+const { BadRequestError } = require('./errors');
+const { stripGps } = require('./exif');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Valid UTF-8 without NUL bytes
+ */
+function isText(data) {
+  try {
+    return !new TextDecoder('utf-8', { fatal: true }).decode(data).includes('\0');
+  } catch {
+    return false;
+  }
+}
+
+// Accepted upload types, each with the check its contents must pass
+const FORMATS = {
+  'image/jpeg': { extension: '.jpg', matches: (data) => data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff },
+  'image/png': { extension: '.png', matches: (data) => data.subarray(0, 8).equals(PNG_SIGNATURE) },
+  'image/gif': { extension: '.gif', matches: (data) => ['GIF87a', 'GIF89a'].includes(data.toString('latin1', 0, 6)) },
+  'image/webp': {
+    extension: '.webp',
+    matches: (data) => data.toString('latin1', 0, 4) === 'RIFF' && data.toString('latin1', 8, 12) === 'WEBP'
+  },
+  'application/pdf': { extension: '.pdf', matches: (data) => data.toString('latin1', 0, 5) === '%PDF-' },
+  'text/plain': { extension: '.txt', matches: isText }
+};
+
+/**
+ * Folder query parameter: lowercase letters, digits and dashes
+ */
+function folderParam(value) {
+  if (value === undefined) return 'uploads';
+  if (typeof value !== 'string' || !/^[a-z0-9-]{1,32}$/.test(value)) {
+    throw new BadRequestError('folder must be 1-32 lowercase letters, digits or dashes');
+  }
+  return value;
+}
+
+/**
+ * File name query parameter, reduced to characters safe in storage labels
+ */
+function nameParam(value, fallback) {
+  if (typeof value !== 'string' || value === '') return fallback;
+  return value.replace(/[^\w.-]/g, '_').slice(0, 100);
+}
+
+/**
+ * Routes mounted at /api/uploads
+ * @param {{ put: Function }} storage - Backend from createStorage
+ * @param {{ maxUploadBytes: number, authenticate: Function }} options - Size limit, and the middleware
+ *   that sets req.wallet for signed-in callers
+ */
+function uploadRouter(storage, { maxUploadBytes, authenticate }) {
+  const router = express.Router();
+
+  // Raw file body; the declared Content-Type must be an accepted type and match the contents
+  router.post('/', authenticate, express.raw({ type: () => true, limit: maxUploadBytes }), async (req, res) => {
+    const type = (req.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+    const format = FORMATS[type];
+    if (!format) {
+      throw new BadRequestError(`Unsupported file type "${type}", expected one of ${Object.keys(FORMATS).join(', ')}`);
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      throw new BadRequestError('Empty upload');
+    }
+    if (!format.matches(req.body)) {
+      throw new BadRequestError(`File contents are not ${type}`);
+    }
+
+    const data = stripGps(req.body, type);
+    const uri = await storage.put({
+      data,
+      type,
+      extension: format.extension,
+      name: nameParam(req.query.name, `file${format.extension}`),
+      folder: folderParam(req.query.folder),
+      uploader: req.wallet
+    });
+    res.json({ success: true, uri, type, size: data.length });
+  });
+
+  // JSON documents such as token metadata and dispute cases
+  router.post('/json', authenticate, express.json({ limit: maxUploadBytes }), async (req, res) => {
+    if (req.body === null || typeof req.body !== 'object') {
+      throw new BadRequestError('Expected a JSON object or array');
+    }
+
+    const data = Buffer.from(JSON.stringify(req.body, null, 2));
+    const uri = await storage.put({
+      data,
+      type: 'application/json',
+      extension: '.json',
+      name: nameParam(req.query.name, 'metadata.json'),
+      folder: folderParam(req.query.folder),
+      uploader: req.wallet
+    });
+    res.json({ success: true, uri, type: 'application/json', size: data.length });
+  });
+
+  return router;
+}
+
+module.exports = {
+  uploadRouter
+};
@@ -0,0 +1,182 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ZeroAddress, getAddress } = require('ethers');
+const { openDatabase } = require('../src/db');
+const { Store } = require('../src/store');
+const { Indexer } = require('../src/indexer');
+const { CONTRACTS, FakeChain, eventLog, startApi } = require('./helpers');
+
+const LANDLORD = '0x1000000000000000000000000000000000000001';
+const TENANT = '0x2000000000000000000000000000000000000002';
+const OTHER_LANDLORD = '0x3000000000000000000000000000000000000003';
+
+describe('REST API', function () {
+  let db, indexer, api;
+
+  const get = async (path, init) => {
+    const response = await fetch(api.url + path, init);
+    return { status: response.status, body: response.status === 204 ? null : await response.json() };
+  };
+
+  before(async function () {
+    const chain = new FakeChain();
+    chain.mine([
+      eventLog('fairBNB', 'Transfer', [ZeroAddress, LANDLORD, 1n]),
+      eventLog('fairBNB', 'PropertyMinted', [1n, LANDLORD, 'ipfs://property-1']),
+      eventLog('fairBNB', 'PropertyListed', [1n, 100n, 50n, 10n]),
+      eventLog('fairBNB', 'Transfer', [ZeroAddress, OTHER_LANDLORD, 2n]),
+      eventLog('fairBNB', 'PropertyMinted', [2n, OTHER_LANDLORD, 'ipfs://property-2'])
+    ]);
+    chain.mine([
+      eventLog('fairBNB', 'BookingRequested', [1n, TENANT, 20000n, 20002n, 260n, 1700000000n]),
+      eventLog('fairBNB', 'BookingApproved', [1n, TENANT, 20000n])
+    ]);
+    chain.mine([
+      eventLog('escrow', 'AgreementCreated', [7n, LANDLORD, TENANT, 1n, 1000n, ZeroAddress]),
+      eventLog('escrow', 'AgreementAccepted', [7n, LANDLORD]),
+      eventLog('escrow', 'AgreementCreated', [8n, OTHER_LANDLORD, TENANT, 2n, 1000n, ZeroAddress])
+    ]);
+
+    db = openDatabase(':memory:');
+    indexer = new Indexer({ provider: chain, store: new Store(db), contracts: CONTRACTS });
+    await indexer.sync();
+    api = await startApi(db, { indexer });
+  });
+
+  after(async function () {
+    await api.close();
+    db.close();
+  });
+
+  it('reports indexer progress', async function () {
+    const { status, body } = await get('/api/status');
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    assert.equal(body.head, 3);
+    assert.equal(body.checkpoint.number, 3);
+    assert.equal(body.behind, 0);
+  });
+
+  it('lists properties with their listing and rental state', async function () {
+    const { body } = await get('/api/properties');
+    assert.deepEqual(body.properties.map(property => property.tokenId), ['1', '2']);
+
+    const [first] = body.properties;
+    assert.equal(first.owner, getAddress(LANDLORD));
+    assert.deepEqual(first.listing, { rent: '100', deposit: '50', disputeFee: '10', isListed: true });
+    assert.equal(first.rental.isActive, false);
+  });
+
+  it('filters properties by owner and flags', async function () {
+    const byOwner = await get(`/api/properties?owner=${OTHER_LANDLORD}`);
+    assert.deepEqual(byOwner.body.properties.map(property => property.tokenId), ['2']);
+
+    const listed = await get('/api/properties?listed=true');
+    assert.deepEqual(listed.body.properties.map(property => property.tokenId), ['1']);
+  });
+
+  it('rejects malformed filters with 400', async function () {
+    const badAddress = await get('/api/properties?owner=0x123');
+    assert.equal(badAddress.status, 400);
+    assert.equal(badAddress.body.error, 'Invalid owner address');
+
+    const badFlag = await get('/api/properties?listed=yes');
+    assert.equal(badFlag.status, 400);
+  });
+
+  it('rejects repeated filters with 400', async function () {
+    for (const path of [
+      '/api/bookings?status=approved&status=requested',
+      '/api/agreements?status=active&status=pending',
+      '/api/disputes?tokenId=1&tokenId=2',
+      '/api/rental-disputes?tokenId=1&tokenId=2',
+      '/api/events?contract=escrow&contract=fairBNB',
+      '/api/events?fromBlock=1&fromBlock=2',
+      '/api/listings?city=Mumbai&city=Delhi',
+      '/api/listings?checkIn=2024-10-04&checkIn=2024-10-05'
+    ]) {
+      const { status, body } = await get(path);
+      assert.equal(status, 400, path);
+      assert.match(body.error, /must be given once$/, path);
+    }
+    assert.equal((await get('/api/bookings?status=approved')).status, 200);
+  });
+
+  it('pages with limit and offset', async function () {
+    const first = await get('/api/properties?limit=1');
+    assert.deepEqual(first.body.properties.map(property => property.tokenId), ['1']);
+
+    const second = await get('/api/properties?limit=1&offset=1');
+    assert.deepEqual(second.body.properties.map(property => property.tokenId), ['2']);
+
+    // Past the cap is served at the cap
+    const large = await get('/api/properties?limit=100000');
+    assert.equal(large.status, 200);
+    assert.equal(large.body.properties.length, 2);
+  });
+
+  it('rejects a limit that is not a positive integer', async function () {
+    for (const limit of ['-1', '0', '1.5', 'abc', '']) {
+      const { status, body } = await get(`/api/properties?limit=${limit}`);
+      assert.equal(status, 400, `limit=${limit}`);
+      assert.equal(body.error, 'limit must be a positive integer');
+    }
+  });
+
+  it('returns a property with its bookings', async function () {
+    const { body } = await get('/api/properties/1');
+    assert.equal(body.property.tokenId, '1');
+    assert.deepEqual(body.bookings.map(({ tenant, checkIn, checkOut, rent, status }) => ({ tenant, checkIn, checkOut, rent, status })), [
+      { tenant: getAddress(TENANT), checkIn: 20000, checkOut: 20002, rent: '200', status: 'approved' }
+    ]);
+  });
+
+  it('answers 404 for unknown records and routes', async function () {
+    assert.equal((await get('/api/properties/99')).status, 404);
+    assert.equal((await get('/api/agreements/99')).status, 404);
+    assert.equal((await get('/api/disputes/99')).status, 404);
+    assert.equal((await get('/api/nothing-here')).status, 404);
+  });
+
+  it('filters bookings by tenant and status', async function () {
+    const byTenant = await get(`/api/bookings?tenant=${TENANT}&status=approved`);
+    assert.equal(byTenant.body.bookings.length, 1);
+
+    const none = await get('/api/bookings?status=requested');
+    assert.deepEqual(none.body.bookings, []);
+  });
+
+  it('serves escrow agreements', async function () {
+    const { body } = await get(`/api/agreements?landlord=${LANDLORD}`);
+    assert.equal(body.agreements.length, 1);
+    assert.equal(body.agreements[0].agreementId, '7');
+    assert.equal(body.agreements[0].landlordAccepted, true);
+    assert.equal(body.agreements[0].status, 'active');
+
+    const detail = await get('/api/agreements/7');
+    assert.equal(detail.body.agreement.tenant, getAddress(TENANT));
+    assert.deepEqual(detail.body.disputes, []);
+  });
+
+  it('keeps agreements pending until the landlord accepts them', async function () {
+    const { body } = await get('/api/agreements?status=pending');
+    assert.deepEqual(body.agreements.map(({ agreementId, landlordAccepted }) => ({ agreementId, landlordAccepted })), [
+      { agreementId: '8', landlordAccepted: false }
+    ]);
+  });
+
+  it('serves the raw event log in chain order', async function () {
+    const { body } = await get('/api/events?contract=fairBNB&tokenId=1');
+    assert.deepEqual(body.events.map(event => event.name), [
+      'Transfer', 'PropertyMinted', 'PropertyListed', 'BookingRequested', 'BookingApproved'
+    ]);
+
+    const fromBlock = await get('/api/events?fromBlock=3');
+    assert.deepEqual(fromBlock.body.events.map(event => event.name), ['AgreementCreated', 'AgreementAccepted', 'AgreementCreated']);
+  });
+
+  it('answers CORS preflights', async function () {
+    const { status } = await get('/api/properties', { method: 'OPTIONS' });
+    assert.equal(status, 204);
+  });
+});
@@ -0,0 +1,359 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Interface, Wallet, ZeroAddress, id } = require('ethers');
+const { openDatabase } = require('../src/db');
+const { Store } = require('../src/store');
+const { Indexer } = require('../src/indexer');
+const { SessionStore } = require('../src/sessions');
+const { RoleResolver } = require('../src/roles');
+const { parseSiweMessage } = require('../src/siwe');
+const { BadRequestError } = require('../src/errors');
+const { ADDRESSES, CONTRACTS, FakeChain, eventLog, startApi } = require('./helpers');
+
+const DOMAIN = 'localhost:5173';
+const CHAIN_ID = 31337;
+const HOUR = 60 * 60 * 1000;
+
+const landlord = new Wallet(id('landlord'));
+const tenant = new Wallet(id('tenant'));
+
+/**
+ * EIP-4361 message as the client builds it
+ */
+function siweMessage(address, nonce, { domain = DOMAIN, chainId = CHAIN_ID, issuedAt = new Date(), expirationTime } = {}) {
+  return [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    address,
+    '',
+    'Sign in to FairBNB',
+    '',
+    `URI: http://${domain}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt.toISOString()}`,
+    ...(expirationTime ? [`Expiration Time: ${expirationTime.toISOString()}`] : [])
+  ].join('\n');
+}
+
+/**
+ * Contract runner answering the role getters from the given functions, by function name
+ */
+function fakeContracts(answers) {
+  const iface = new Interface([
+    'function jury() view returns (address)',
+    'function getUserTokenCount(address user) view returns (uint256)',
+    'function getLandlordAgreements(address landlord) view returns (uint256[])',
+    'function getTenantAgreements(address tenant) view returns (uint256[])',
+    'function isActiveJuror(address account) view returns (bool)'
+  ]);
+  return {
+    call: async ({ data }) => {
+      const { name, args } = iface.parseTransaction({ data });
+      return iface.encodeFunctionResult(name, [answers[name](...args)]);
+    }
+  };
+}
+
+describe('Sign-in message parsing', function () {
+  const message = siweMessage(landlord.address, 'abcdef0123456789', { issuedAt: new Date('2025-01-01T00:00:00Z') });
+
+  it('reads the fields of a message', function () {
+    const fields = parseSiweMessage(`${message}\nRequest ID: 42\nResources:\n- ipfs://policy\n- https://fairbnb.test/terms`);
+    assert.equal(fields.domain, DOMAIN);
+    assert.equal(fields.address, landlord.address);
+    assert.equal(fields.statement, 'Sign in to FairBNB');
+    assert.equal(fields.chainId, CHAIN_ID);
+    assert.equal(fields.nonce, 'abcdef0123456789');
+    assert.equal(fields.issuedAt, Date.parse('2025-01-01T00:00:00Z'));
+    assert.equal(fields.expirationTime, undefined);
+    assert.equal(fields.requestId, '42');
+    assert.deepEqual(fields.resources, ['ipfs://policy', 'https://fairbnb.test/terms']);
+  });
+
+  it('reads a message without a statement', function () {
+    const fields = parseSiweMessage(message.replace('\nSign in to FairBNB\n', ''));
+    assert.equal(fields.statement, null);
+    assert.equal(fields.uri, `http://${DOMAIN}`);
+  });
+
+  it('rejects malformed messages', function () {
+    const invalid = [
+      undefined,
+      'hello',
+      message.replace(landlord.address, landlord.address.toLowerCase()),
+      message.replace(landlord.address, '0x1234'),
+      message.replace('Version: 1', 'Version: 2'),
+      message.replace('Chain ID: 31337', 'Chain ID: main'),
+      message.replace('Nonce: abcdef0123456789', 'Nonce: short'),
+      message.replace(/\nIssued At: .*/, ''),
+      message.replace(/Issued At: .*/, 'Issued At: yesterday'),
+      `${message}\nNonce: abcdef0123456789`,
+      `${message}\nColour: blue`,
+      `${message}\nResources:\nipfs://policy`
+    ];
+    for (const value of invalid) {
+      assert.throws(() => parseSiweMessage(value), BadRequestError, String(value));
+    }
+  });
+});
+
+describe('Session store', function () {
+  let db, sessions;
+
+  beforeEach(function () {
+    db = openDatabase(':memory:');
+    sessions = new SessionStore(db);
+  });
+
+  afterEach(function () {
+    db.close();
+  });
+
+  it('uses up a nonce once', function () {
+    const nonce = sessions.createNonce();
+    assert.equal(sessions.consumeNonce(nonce), true);
+    assert.equal(sessions.consumeNonce(nonce), false);
+    assert.equal(sessions.consumeNonce('0123456789abcdef'), false);
+  });
+
+  it('expires nonces after ten minutes', function (t) {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2025-01-01T00:00:00Z') });
+    const nonce = sessions.createNonce();
+    t.mock.timers.tick(10 * 60 * 1000);
+    assert.equal(sessions.consumeNonce(nonce), false);
+  });
+
+  it('finds live sessions by token only', function () {
+    const token = sessions.create(landlord.address, CHAIN_ID, Date.now() + HOUR);
+    assert.deepEqual(sessions.find(token), {
+      address: landlord.address.toLowerCase(),
+      chainId: CHAIN_ID,
+      expiresAt: sessions.find(token).expiresAt
+    });
+    assert.equal(sessions.find(token.replace(/.$/, c => (c === '0' ? '1' : '0'))), null);
+
+    const expired = sessions.create(landlord.address, CHAIN_ID, Date.now() - 1);
+    assert.equal(sessions.find(expired), null);
+
+    sessions.revoke(token);
+    assert.equal(sessions.find(token), null);
+  });
+
+  it('stores token hashes rather than tokens', function () {
+    const token = sessions.create(landlord.address, CHAIN_ID, Date.now() + HOUR);
+    const [row] = db.prepare('SELECT token_hash FROM sessions').all();
+    assert.notEqual(row.token_hash, token);
+  });
+});
+
+describe('Sign-in', function () {
+  let db, api, roles;
+
+  const request = async (path, { body, token } = {}) => {
+    const response = await fetch(`${api.url}/api/auth${path}`, {
+      method: body ? 'POST' : 'GET',
+      headers: {
+        ...(body && { 'Content-Type': 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` })
+      },
+      body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const nonce = async () => (await request('/nonce')).body.nonce;
+
+  /**
+   * Sign a fresh message for the wallet and post it
+   */
+  const signIn = async (wallet, options) => {
+    const message = siweMessage(wallet.address, await nonce(), options);
+    return request('/verify', { body: { message, signature: await wallet.signMessage(message) } });
+  };
+
+  before(async function () {
+    db = openDatabase(':memory:');
+    roles = { rolesOf: async (address) => (address === landlord.address ? ['landlord'] : []) };
+    api = await startApi(db, { services: { roles } });
+  });
+
+  after(async function () {
+    await api.close();
+    db.close();
+  });
+
+  it('signs a wallet in and serves its session', async function () {
+    const { status, body } = await signIn(landlord);
+    assert.equal(status, 200);
+    assert.equal(body.address, landlord.address);
+    assert.deepEqual(body.roles, ['landlord']);
+    assert.match(body.token, /^[0-9a-f]{64}$/);
+    assert.ok(Math.abs(body.expiresAt - (Date.now() + HOUR) / 1000) < 60);
+
+    const session = await request('/session', { token: body.token });
+    assert.equal(session.status, 200);
+    assert.equal(session.body.address, landlord.address);
+    assert.deepEqual(session.body.roles, ['landlord']);
+  });
+
+  it('ends a session on logout', async function () {
+    const { body } = await signIn(tenant);
+    assert.equal((await request('/logout', { body: {}, token: body.token })).status, 200);
+    assert.equal((await request('/session', { token: body.token })).status, 401);
+  });
+
+  it('rejects a replayed message', async function () {
+    const message = siweMessage(tenant.address, await nonce());
+    const signature = await tenant.signMessage(message);
+    assert.equal((await request('/verify', { body: { message, signature } })).status, 200);
+
+    const replay = await request('/verify', { body: { message, signature } });
+    assert.equal(replay.status, 401);
+    assert.equal(replay.body.error, 'Unknown, used or expired nonce');
+  });
+
+  it('keeps the nonce when the roles cannot be read', async function (t) {
+    const message = siweMessage(landlord.address, await nonce());
+    const signature = await landlord.signMessage(message);
+    const rolesOf = roles.rolesOf;
+    roles.rolesOf = async () => {
+      throw new Error('RPC unavailable');
+    };
+    t.mock.method(console, 'error', () => {});
+    try {
+      assert.equal((await request('/verify', { body: { message, signature } })).status, 500);
+    } finally {
+      roles.rolesOf = rolesOf;
+    }
+
+    const retry = await request('/verify', { body: { message, signature } });
+    assert.equal(retry.status, 200);
+    assert.deepEqual(retry.body.roles, ['landlord']);
+  });
+
+  it('rejects a nonce the server never issued', async function () {
+    const message = siweMessage(tenant.address, 'feedfacefeedface');
+    const { status } = await request('/verify', { body: { message, signature: await tenant.signMessage(message) } });
+    assert.equal(status, 401);
+  });
+
+  it('rejects messages for another domain or chain', async function () {
+    const domain = await signIn(tenant, { domain: 'evil.example' });
+    assert.equal(domain.status, 401);
+    assert.equal(domain.body.error, 'Sign-in domain evil.example is not allowed');
+
+    const chain = await signIn(tenant, { chainId: 1 });
+    assert.equal(chain.status, 401);
+    assert.equal(chain.body.error, `Sign in on chain ${CHAIN_ID}`);
+  });
+
+  it('rejects expired messages and messages issued in the future', async function () {
+    const expired = await signIn(tenant, { issuedAt: new Date(Date.now() - 2 * HOUR), expirationTime: new Date(Date.now() - HOUR) });
+    assert.equal(expired.status, 401);
+    assert.equal(expired.body.error, 'Sign-in message is expired or not valid yet');
+
+    const future = await signIn(tenant, { issuedAt: new Date(Date.now() + HOUR) });
+    assert.equal(future.status, 401);
+  });
+
+  it('ends the session when the message expires', async function () {
+    const expirationTime = new Date(Date.now() + 10 * 60 * 1000);
+    const { status, body } = await signIn(tenant, { expirationTime });
+    assert.equal(status, 200);
+    assert.equal(body.expiresAt, Math.floor(expirationTime.getTime() / 1000));
+  });
+
+  it('rejects tampered messages and signatures without using up the nonce', async function () {
+    const message = siweMessage(tenant.address, await nonce());
+    const signature = await tenant.signMessage(message);
+
+    const cases = [
+      { message: message.replace('Sign in to FairBNB', 'Sign in to FairBNB as admin'), signature },
+      { message, signature: await landlord.signMessage(message) },
+      { message, signature: signature.slice(0, 10) + (signature[10] === 'f' ? '0' : 'f') + signature.slice(11) },
+      { message, signature: '0x1234' },
+      { message }
+    ];
+    for (const body of cases) {
+      const response = await request('/verify', { body });
+      assert.equal(response.status, 401);
+      assert.equal(response.body.error, 'Invalid signature');
+    }
+
+    // Someone else's message cannot be claimed by signing it with another key
+    const claimed = siweMessage(landlord.address, await nonce());
+    const forged = await request('/verify', { body: { message: claimed, signature: await tenant.signMessage(claimed) } });
+    assert.equal(forged.status, 401);
+
+    assert.equal((await request('/verify', { body: { message, signature } })).status, 200);
+  });
+
+  it('answers malformed messages with 400', async function () {
+    const { status } = await request('/verify', { body: { message: 'hello', signature: '0x' } });
+    assert.equal(status, 400);
+  });
+
+  it('requires a bearer token for the session endpoints', async function () {
+    assert.equal((await request('/session')).status, 401);
+    assert.equal((await request('/session', { token: 'f'.repeat(64) })).status, 401);
+    assert.equal((await request('/logout', { body: {} })).status, 401);
+
+    const response = await fetch(`${api.url}/api/auth/session`, { headers: { Authorization: 'Basic abc' } });
+    assert.equal(response.status, 401);
+    await response.json();
+  });
+});
+
+describe('Roles', function () {
+  const JUROR = new Wallet(id('juror')).address;
+  const STRANGER = new Wallet(id('stranger')).address;
+  let db;
+
+  before(async function () {
+    const chain = new FakeChain();
+    chain.mine([
+      eventLog('fairBNB', 'Transfer', [ZeroAddress, landlord.address, 1n]),
+      eventLog('fairBNB', 'PropertyMinted', [1n, landlord.address, 'ipfs://property-1']),
+      eventLog('fairBNB', 'PropertyListed', [1n, 100n, 50n, 10n])
+    ]);
+    chain.mine([eventLog('fairBNB', 'BookingRequested', [1n, tenant.address, 20000n, 20002n, 260n, 1700000000n])]);
+
+    db = openDatabase(':memory:');
+    await new Indexer({ provider: chain, store: new Store(db), contracts: CONTRACTS }).sync();
+  });
+
+  after(function () {
+    db.close();
+  });
+
+  it('derives roles from FairBNB tokens, bookings and the jury', async function () {
+    const runner = fakeContracts({
+      jury: () => JUROR,
+      getUserTokenCount: (user) => (user === landlord.address ? 1n : 0n),
+      getLandlordAgreements: () => [],
+      getTenantAgreements: () => [],
+      isActiveJuror: () => false
+    });
+    const resolver = new RoleResolver(runner, ADDRESSES, db);
+
+    assert.deepEqual(await resolver.rolesOf(landlord.address), ['landlord']);
+    assert.deepEqual(await resolver.rolesOf(tenant.address), ['tenant']);
+    assert.deepEqual(await resolver.rolesOf(JUROR), ['juror']);
+    assert.deepEqual(await resolver.rolesOf(STRANGER), []);
+  });
+
+  it('derives roles from escrow agreements and the juror pool', async function () {
+    const runner = fakeContracts({
+      getLandlordAgreements: (address) => (address === STRANGER ? [7n] : []),
+      getTenantAgreements: (address) => (address === STRANGER ? [8n] : []),
+      isActiveJuror: (address) => address === STRANGER
+    });
+    const resolver = new RoleResolver(runner, { fairBNB: null, escrow: ADDRESSES.escrow }, db);
+
+    assert.deepEqual(await resolver.rolesOf(STRANGER), ['landlord', 'tenant', 'juror']);
+    // FairBNB bookings still count without the contract
+    assert.deepEqual(await resolver.rolesOf(tenant.address), ['tenant']);
+    assert.deepEqual(await resolver.rolesOf(landlord.address), []);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Test doubles: an in-memory chain the indexer can poll, event logs encoded with the
+ * indexed contracts' ABIs, and the API served on an ephemeral port
+ */
+
+const { id } = require('ethers');
+const { indexedContracts } = require('../src/events');
+const { SessionStore } = require('../src/sessions');
+const { createApi } = require('../src/api');
+
+const ADDRESSES = {
+  fairBNB: '0x00000000000000000000000000000000000000f1',
+  escrow: '0x00000000000000000000000000000000000000e5'
+};
+
+const CONTRACTS = indexedContracts(ADDRESSES);
+
+/**
+ * Chain of blocks with logs, answering the provider calls the indexer makes. Blocks replaced by
+ * reorg() get new hashes, like blocks on a fork.
+ */
+class FakeChain {
+  constructor() {
+    this.blocks = [];
+    this.fork = 0;
+    this.logRequests = [];
+    this.mine();
+  }
+
+  /**
+   * Append a block holding the given logs
+   * @param {{ address: string, topics: string[], data: string }[]} [logs]
+   */
+  mine(logs = []) {
+    const number = this.blocks.length;
+    const hash = id(`block ${number} on fork ${this.fork}`);
+    this.blocks.push({
+      number,
+      hash,
+      logs: logs.map((log, index) => ({
+        ...log,
+        blockNumber: number,
+        blockHash: hash,
+        index,
+        transactionHash: id(`tx ${number}-${index} on fork ${this.fork}`),
+        removed: false
+      }))
+    });
+    return number;
+  }
+
+  /**
+   * Drop every block from a height up, so the blocks mined next fork off below it
+   */
+  reorg(fromNumber) {
+    this.fork++;
+    this.blocks.length = fromNumber;
+  }
+
+  async getBlockNumber() {
+    return this.blocks.length - 1;
+  }
+
+  async getBlock(number) {
+    const block = this.blocks[number];
+    return block ? { number: block.number, hash: block.hash } : null;
+  }
+
+  async getLogs({ address, fromBlock, toBlock }) {
+    this.logRequests.push({ fromBlock, toBlock });
+    return this.blocks
+      .slice(fromBlock, toBlock + 1)
+      .flatMap(block => block.logs)
+      .filter(log => address.includes(log.address));
+  }
+
+  async getNetwork() {
+    return { chainId: 31337n };
+  }
+}
+
+/**
+ * Raw log of an indexed contract's event
+ * @param {'fairBNB'|'escrow'} contract
+ * @param {string} name - Event name
+ * @param {Array} args - Event arguments in ABI order
+ */
+function eventLog(contract, name, args) {
+  const { address, iface } = CONTRACTS.find(candidate => candidate.name === contract);
+  return { address, ...iface.encodeEventLog(name, args) };
+}
+
+/**
+ * Serve the API on an ephemeral port
+ * @param {import('better-sqlite3').Database} db
+ * @param {Object} [overrides] - Indexer, services and options to use instead of the defaults
+ * @returns {Promise<{ url: string, close: () => Promise<void> }>}
+ */
+async function startApi(db, overrides = {}) {
+  const indexer = overrides.indexer || { status: () => ({ head: null, checkpoint: null }) };
+  const services = {
+    storage: { put: async () => 'ipfs://unused' },
+    sessions: new SessionStore(db),
+    roles: { rolesOf: async () => [] },
+    provider: new FakeChain(),
+    ...overrides.services
+  };
+  const options = {
+    corsOrigin: '*',
+    maxUploadBytes: 1024 * 1024,
+    siwe: { domains: ['localhost:5173'], sessionTtl: 60 * 60 * 1000 },
+    ...overrides.options
+  };
+
+  const server = createApi(db, indexer, services, options).listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = {
+  ADDRESSES,
+  CONTRACTS,
+  FakeChain,
+  eventLog,
+  startApi
+};
@@ -0,0 +1,187 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ZeroAddress } = require('ethers');
+const { openDatabase } = require('../src/db');
+const { Store } = require('../src/store');
+const { Indexer } = require('../src/indexer');
+const { CONTRACTS, FakeChain, eventLog } = require('./helpers');
+
+const LANDLORD = '0x1000000000000000000000000000000000000001';
+const TENANT = '0x2000000000000000000000000000000000000002';
+
+/**
+ * Logs for minting and listing a property
+ */
+const mintAndList = (tokenId, rent = 100n) => [
+  eventLog('fairBNB', 'Transfer', [ZeroAddress, LANDLORD, tokenId]),
+  eventLog('fairBNB', 'PropertyMinted', [tokenId, LANDLORD, `ipfs://property-${tokenId}`]),
+  eventLog('fairBNB', 'PropertyListed', [tokenId, rent, 50n, 10n])
+];
+
+describe('Indexer', function () {
+  let chain, db, store;
+
+  const createIndexer = (options = {}) => new Indexer({
+    provider: chain,
+    store,
+    contracts: CONTRACTS,
+    pollInterval: 0,
+    ...options
+  });
+
+  const property = (tokenId) => db.prepare('SELECT * FROM properties WHERE token_id = ?').get(String(tokenId));
+
+  beforeEach(function () {
+    chain = new FakeChain();
+    db = openDatabase(':memory:');
+    store = new Store(db);
+  });
+
+  afterEach(function () {
+    db.close();
+  });
+
+  it('replays events into the derived tables and checkpoints the head', async function () {
+    chain.mine(mintAndList(1n));
+    chain.mine([eventLog('fairBNB', 'BookingRequested', [1n, TENANT, 20000n, 20003n, 360n, 1700000000n])]);
+
+    await createIndexer().sync();
+
+    const row = property(1);
+    assert.equal(row.owner, LANDLORD);
+    assert.equal(row.token_uri, 'ipfs://property-1');
+    assert.equal(row.rent, '100');
+    assert.equal(row.is_listed, 1);
+
+    const booking = db.prepare('SELECT * FROM bookings WHERE token_id = ?').get('1');
+    assert.equal(booking.tenant, TENANT);
+    assert.equal(booking.status, 'requested');
+    // Rent for three nights: what was paid less the deposit and dispute fee
+    assert.equal(booking.rent, '300');
+
+    assert.deepEqual(store.getCheckpoint(), await chain.getBlock(2));
+    assert.equal(db.prepare('SELECT COUNT(*) AS count FROM events').get().count, 4);
+  });
+
+  it('ignores logs from other contracts and events it does not track', async function () {
+    const stranger = { ...eventLog('fairBNB', 'PropertyListed', [1n, 1n, 1n, 1n]), address: '0x00000000000000000000000000000000000000aa' };
+    chain.mine([stranger, ...mintAndList(1n)]);
+
+    await createIndexer().sync();
+
+    assert.equal(db.prepare('SELECT COUNT(*) AS count FROM events').get().count, 3);
+  });
+
+  it('stays the confirmation depth behind the head', async function () {
+    chain.mine(mintAndList(1n));
+    chain.mine(mintAndList(2n));
+    chain.mine();
+
+    await createIndexer({ confirmations: 2 }).sync();
+
+    assert.equal(store.getCheckpoint().number, 1);
+    assert.ok(property(1));
+    assert.equal(property(2), undefined);
+  });
+
+  it('reads the chain in batches', async function () {
+    for (let tokenId = 1n; tokenId <= 5n; tokenId++) {
+      chain.mine(mintAndList(tokenId));
+    }
+
+    await createIndexer({ batchSize: 2 }).sync();
+
+    assert.deepEqual(chain.logRequests, [
+      { fromBlock: 0, toBlock: 1 },
+      { fromBlock: 2, toBlock: 3 },
+      { fromBlock: 4, toBlock: 5 }
+    ]);
+    assert.equal(db.prepare('SELECT COUNT(*) AS count FROM properties').get().count, 5);
+  });
+
+  it('rolls back to the common ancestor after a reorg and replays the new fork', async function () {
+    chain.mine(mintAndList(1n));
+    chain.mine([eventLog('fairBNB', 'PropertyListed', [1n, 200n, 50n, 10n])]);
+    chain.mine(mintAndList(2n));
+    const indexer = createIndexer();
+    await indexer.sync();
+    assert.equal(property(1).rent, '200');
+
+    chain.reorg(2);
+    chain.mine([eventLog('fairBNB', 'PropertyListed', [1n, 300n, 50n, 10n])]);
+    chain.mine();
+    chain.mine();
+    await indexer.sync();
+
+    assert.equal(property(1).rent, '300');
+    assert.equal(property(2), undefined);
+    assert.deepEqual(store.getCheckpoint(), await chain.getBlock(4));
+    const blocks = db.prepare('SELECT DISTINCT block_hash FROM events ORDER BY block_number').all();
+    assert.deepEqual(blocks.map(block => block.block_hash), [(await chain.getBlock(1)).hash, (await chain.getBlock(2)).hash]);
+  });
+
+  it('starts over from the start block when every stored block was orphaned', async function () {
+    chain.mine(mintAndList(1n));
+    const indexer = createIndexer();
+    await indexer.sync();
+
+    chain.reorg(1);
+    chain.mine(mintAndList(2n));
+    await indexer.sync();
+
+    assert.equal(property(1), undefined);
+    assert.ok(property(2));
+    assert.deepEqual(store.getCheckpoint(), await chain.getBlock(1));
+  });
+
+  it('records sync failures in its status and keeps polling', async function (t) {
+    chain.getLogs = async () => {
+      throw new Error('rate limited');
+    };
+    t.mock.method(console, 'error', () => {});
+    const indexer = createIndexer();
+
+    await indexer.poll();
+
+    assert.equal(indexer.status().lastError, 'rate limited');
+    assert.equal(indexer.status().checkpoint, null);
+  });
+
+  describe('after a restart', function () {
+    let directory;
+
+    beforeEach(function () {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'fairbnb-indexer-'));
+    });
+
+    afterEach(function () {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('resumes from the saved checkpoint', async function () {
+      const databasePath = path.join(directory, 'fairbnb.db');
+      db.close();
+      db = openDatabase(databasePath);
+      store = new Store(db);
+
+      chain.mine(mintAndList(1n));
+      chain.mine();
+      await createIndexer().sync();
+      db.close();
+
+      db = openDatabase(databasePath);
+      store = new Store(db);
+      chain.logRequests = [];
+      chain.mine(mintAndList(2n));
+      await createIndexer().sync();
+
+      assert.deepEqual(chain.logRequests, [{ fromBlock: 3, toBlock: 3 }]);
+      assert.ok(property(1));
+      assert.ok(property(2));
+      assert.equal(db.prepare('SELECT COUNT(*) AS count FROM events').get().count, 6);
+    });
+  });
+});
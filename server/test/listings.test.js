@@ -0,0 +1,205 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ZeroAddress } = require('ethers');
+const { openDatabase } = require('../src/db');
+const { Store } = require('../src/store');
+const { Indexer } = require('../src/indexer');
+const { MetadataCache } = require('../src/metadata');
+const { searchListings } = require('../src/listings');
+const { createProjector } = require('../src/projections');
+const { BadRequestError } = require('../src/errors');
+const { CONTRACTS, FakeChain, eventLog, startApi } = require('./helpers');
+
+const LANDLORD = '0x1000000000000000000000000000000000000001';
+const TENANT = '0x2000000000000000000000000000000000000002';
+const ETHER = 10n ** 18n;
+
+// Two rents above 2^53 that differ only in the last wei
+const LISTINGS = [
+  { rent: 100n * ETHER, metadata: { name: 'Sea view flat', city: 'Mumbai', propertyType: 'Apartment', amenities: ['Wi-Fi', 'AC'] } },
+  { rent: 100n * ETHER + 1n, metadata: { name: 'Quiet villa', city: 'Mumbai', propertyType: 'Villa', amenities: ['Wi-Fi'] } },
+  { rent: 5n * ETHER, metadata: { name: 'Sea breeze studio', city: 'Delhi', propertyType: 'Apartment', amenities: ['AC'] } },
+  { rent: 7n * ETHER, metadata: { name: 'Garden flat', city: 'Delhi', propertyType: 'Apartment', amenities: ['Wi-Fi', 'AC'] } }
+];
+
+// Epoch day 20000 is 2024-10-04
+const BOOKED = { tokenId: 4n, checkIn: 20000n, checkOut: 20005n };
+
+describe('Listing search', function () {
+  let db;
+
+  const tokenIds = (query) => searchListings(db, query).rows.map(row => row.token_id);
+  const cursor = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+  before(async function () {
+    const chain = new FakeChain();
+    LISTINGS.forEach(({ rent }, i) => {
+      const tokenId = BigInt(i + 1);
+      chain.mine([
+        eventLog('fairBNB', 'Transfer', [ZeroAddress, LANDLORD, tokenId]),
+        eventLog('fairBNB', 'PropertyMinted', [tokenId, LANDLORD, `ipfs://property-${tokenId}`]),
+        eventLog('fairBNB', 'PropertyListed', [tokenId, rent, ETHER, 0n])
+      ]);
+    });
+    // Minted but never listed
+    chain.mine([
+      eventLog('fairBNB', 'Transfer', [ZeroAddress, LANDLORD, 5n]),
+      eventLog('fairBNB', 'PropertyMinted', [5n, LANDLORD, 'ipfs://property-5'])
+    ]);
+    chain.mine([
+      eventLog('fairBNB', 'BookingRequested', [BOOKED.tokenId, TENANT, BOOKED.checkIn, BOOKED.checkOut, 36n * ETHER, 0n]),
+      eventLog('fairBNB', 'BookingApproved', [BOOKED.tokenId, TENANT, BOOKED.checkIn])
+    ]);
+
+    db = openDatabase(':memory:');
+    await new Indexer({ provider: chain, store: new Store(db), contracts: CONTRACTS }).sync();
+
+    const metadata = new MetadataCache(db, 'https://gateway.invalid/ipfs/');
+    LISTINGS.forEach((listing, i) => metadata.store(`ipfs://property-${i + 1}`, listing.metadata, 1));
+    metadata.store('ipfs://property-5', { name: 'Sea view loft', city: 'Mumbai' }, 1);
+  });
+
+  after(function () {
+    db.close();
+  });
+
+  it('returns listed properties, newest first without a query', function () {
+    const result = searchListings(db, {});
+    assert.deepEqual(result.rows.map(row => row.token_id), ['4', '3', '2', '1']);
+    assert.equal(result.total, 4);
+    assert.equal(result.nextCursor, null);
+  });
+
+  it('matches every word of the query as a prefix', function () {
+    assert.deepEqual(tokenIds({ q: 'sea' }).sort(), ['1', '3']);
+    assert.deepEqual(tokenIds({ q: 'sea vi' }), ['1']);
+    assert.deepEqual(tokenIds({ q: '"*' }), ['4', '3', '2', '1']);
+  });
+
+  it('filters by city, property type and amenities', function () {
+    assert.deepEqual(tokenIds({ city: 'mumbai' }), ['2', '1']);
+    assert.deepEqual(tokenIds({ city: 'Delhi', propertyType: 'Apartment' }), ['4', '3']);
+    assert.deepEqual(tokenIds({ amenity: ['Wi-Fi', 'AC'] }), ['4', '1']);
+    assert.deepEqual(tokenIds({ amenities: 'Wi-Fi,AC' }), ['4', '1']);
+  });
+
+  it('compares rents exactly above 2^53', function () {
+    assert.deepEqual(tokenIds({ minRent: String(100n * ETHER + 1n) }), ['2']);
+    assert.deepEqual(tokenIds({ maxRent: String(100n * ETHER) }), ['4', '3', '1']);
+    assert.deepEqual(tokenIds({ minRent: String(6n * ETHER), maxRent: String(100n * ETHER) }), ['4', '1']);
+    assert.deepEqual(tokenIds({ minDeposit: String(ETHER), maxDeposit: `000${ETHER}` }), ['4', '3', '2', '1']);
+  });
+
+  it('rejects amounts that are not whole numbers', function () {
+    for (const minRent of ['-1', '1.5', '1e18', 'abc', '1'.repeat(79)]) {
+      assert.throws(() => searchListings(db, { minRent }), BadRequestError, minRent);
+    }
+  });
+
+  it('leaves out listings booked on the requested dates or their inspection windows', function () {
+    assert.deepEqual(tokenIds({ checkIn: '2024-10-05', checkOut: '2024-10-07' }), ['3', '2', '1']);
+    // The stay checking out on the 9th is inspected for three days, so the property is free from the 13th
+    assert.deepEqual(tokenIds({ checkIn: '2024-10-12' }), ['3', '2', '1']);
+    assert.deepEqual(tokenIds({ checkIn: '2024-10-13' }), ['4', '3', '2', '1']);
+    assert.deepEqual(tokenIds({ checkIn: '2024-09-30', checkOut: '2024-10-01' }), ['3', '2', '1']);
+    assert.deepEqual(tokenIds({ checkIn: '2024-09-29', checkOut: '2024-09-30' }), ['4', '3', '2', '1']);
+    assert.throws(() => searchListings(db, { checkIn: '2024-10-07', checkOut: '2024-10-07' }), BadRequestError);
+    assert.throws(() => searchListings(db, { checkIn: '10/07/2024' }), BadRequestError);
+  });
+
+  it('follows inspection period changes', function () {
+    const projector = createProjector(db);
+    projector.apply({ contract: 'fairBNB', name: 'InspectionPeriodChanged', args: { oldPeriod: '259200', newPeriod: '86400' }, blockNumber: 100 });
+    try {
+      assert.deepEqual(tokenIds({ checkIn: '2024-10-10' }), ['3', '2', '1']);
+      assert.deepEqual(tokenIds({ checkIn: '2024-10-11' }), ['4', '3', '2', '1']);
+      assert.equal(searchListings(db, {}).gapDays, 2);
+    } finally {
+      db.prepare('DELETE FROM rental_settings').run();
+    }
+  });
+
+  it('returns the booked ranges of the listings on the page', function () {
+    const { bookings } = searchListings(db, { city: 'Delhi' });
+    assert.deepEqual(bookings.map(({ token_id, check_in, check_out }) => [token_id, check_in, check_out]), [['4', 20000, 20005]]);
+  });
+
+  it('counts facets over every other filter', function () {
+    const { facets } = searchListings(db, { city: 'Mumbai', amenities: 'Wi-Fi' });
+    // Cities ignore the city filter but keep the amenity one
+    assert.deepEqual(facets.cities, [{ value: 'Mumbai', count: 2 }, { value: 'Delhi', count: 1 }]);
+    assert.deepEqual(facets.propertyTypes, [{ value: 'Apartment', count: 1 }, { value: 'Villa', count: 1 }]);
+    // Amenities ignore the amenity filter but keep the city one
+    assert.deepEqual(facets.amenities, [{ value: 'Wi-Fi', count: 2 }, { value: 'AC', count: 1 }]);
+  });
+
+  for (const [sort, order] of [
+    ['price-low', ['3', '4', '1', '2']],
+    ['price-high', ['2', '1', '4', '3']],
+    ['newest', ['4', '3', '2', '1']],
+    ['relevance', ['4', '3', '2', '1']]
+  ]) {
+    it(`pages through ${sort} results with cursors`, function () {
+      const seen = [];
+      let next;
+      do {
+        const page = searchListings(db, { sort, limit: '3', cursor: next });
+        assert.ok(page.rows.length <= 3);
+        seen.push(...page.rows.map(row => row.token_id));
+        next = page.nextCursor ?? undefined;
+      } while (next);
+      assert.deepEqual(seen, order);
+    });
+  }
+
+  it('pages through relevance results for a query', function () {
+    const first = searchListings(db, { q: 'flat', limit: '1' });
+    const second = searchListings(db, { q: 'flat', limit: '1', cursor: first.nextCursor });
+    assert.deepEqual([...first.rows, ...second.rows].map(row => row.token_id).sort(), ['1', '4']);
+    assert.equal(second.nextCursor, null);
+  });
+
+  it('rejects cursors that do not fit the sort', function () {
+    const { nextCursor } = searchListings(db, { sort: 'price-low', limit: '1' });
+    const invalid = [
+      'not-a-cursor',
+      nextCursor.slice(0, -2),
+      cursor({ sort: 'newest', token: 1 }),
+      cursor({ sort: 'newest', value: '5', token: 1 }),
+      cursor({ sort: 'newest', value: 5.5, token: 1 }),
+      cursor({ sort: 'price-low', value: 5, token: 1 }),
+      cursor({ sort: 'price-low', value: '5', token: 1 }),
+      cursor({ sort: 'price-low', value: null, token: 1 })
+    ];
+    for (const value of invalid) {
+      assert.throws(() => searchListings(db, { sort: 'price-low', cursor: value }), BadRequestError, value);
+      assert.throws(() => searchListings(db, { sort: 'newest', cursor: value }), BadRequestError, value);
+    }
+  });
+
+  it('rejects unknown sorts and non-positive limits', function () {
+    assert.throws(() => searchListings(db, { sort: 'cheapest' }), BadRequestError);
+    for (const limit of ['0', '-1', 'abc']) {
+      assert.throws(() => searchListings(db, { limit }), BadRequestError, limit);
+    }
+    assert.equal(searchListings(db, { limit: '1000' }).rows.length, 4);
+  });
+
+  it('answers bad search parameters with 400 over HTTP', async function () {
+    const api = await startApi(db);
+    try {
+      const response = await fetch(`${api.url}/api/listings?sort=newest&cursor=${cursor({ sort: 'newest', token: 1 })}`);
+      assert.equal(response.status, 400);
+      assert.deepEqual(await response.json(), { success: false, error: 'Invalid cursor for this sort' });
+
+      const ok = await fetch(`${api.url}/api/listings?city=Delhi`);
+      const body = await ok.json();
+      assert.deepEqual(body.listings.map(listing => listing.tokenId), ['4', '3']);
+      assert.deepEqual(body.listings[0].bookedRanges, [{
+        tenant: '0x2000000000000000000000000000000000000002', checkIn: 20000, checkOut: 20005, blockedFrom: 19996, blockedUntil: 20009, isActive: false
+      }]);
+    } finally {
+      await api.close();
+    }
+  });
+});
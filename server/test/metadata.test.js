@@ -0,0 +1,85 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ZeroAddress } = require('ethers');
+const { openDatabase } = require('../src/db');
+const { Store } = require('../src/store');
+const { Indexer } = require('../src/indexer');
+const { MetadataCache } = require('../src/metadata');
+const { CONTRACTS, FakeChain, eventLog } = require('./helpers');
+
+const LANDLORD = '0x1000000000000000000000000000000000000001';
+const GATEWAY = 'https://gateway.invalid/ipfs/';
+const UPLOADS = 'https://api.invalid/uploads/';
+
+const ALLOWED = {
+  'ipfs://QmProperty': 'https://gateway.invalid/ipfs/QmProperty',
+  'bafyProperty': 'https://gateway.invalid/ipfs/bafyProperty',
+  'https://api.invalid/uploads/property.json': 'https://api.invalid/uploads/property.json'
+};
+
+const REJECTED = [
+  'http://169.254.169.254/latest/meta-data/',
+  'http://localhost:3001/api/status',
+  'https://api.invalid/api/status',
+  'https://api.invalid/uploads/../api/status',
+  'https://user@api.invalid/uploads/property.json',
+  'ipfs://../../admin',
+  'greenfield://bucket/property.json'
+];
+
+describe('Metadata cache', function () {
+  let db;
+  let cache;
+  const realFetch = global.fetch;
+  const fetched = [];
+
+  before(async function () {
+    const chain = new FakeChain();
+    [...Object.keys(ALLOWED), ...REJECTED].forEach((uri, i) => {
+      const tokenId = BigInt(i + 1);
+      chain.mine([
+        eventLog('fairBNB', 'Transfer', [ZeroAddress, LANDLORD, tokenId]),
+        eventLog('fairBNB', 'PropertyMinted', [tokenId, LANDLORD, uri])
+      ]);
+    });
+
+    db = openDatabase(':memory:');
+    await new Indexer({ provider: chain, store: new Store(db), contracts: CONTRACTS }).sync();
+    cache = new MetadataCache(db, GATEWAY, UPLOADS);
+
+    global.fetch = async (url, options) => {
+      fetched.push({ url, redirect: options.redirect });
+      return new Response(JSON.stringify({ name: `Listing at ${url}` }));
+    };
+  });
+
+  after(function () {
+    global.fetch = realFetch;
+    db.close();
+  });
+
+  it('only resolves URIs under the IPFS gateway and its own uploads', function () {
+    for (const [uri, url] of Object.entries(ALLOWED)) {
+      assert.equal(cache.resolve(uri), url, uri);
+    }
+    for (const uri of REJECTED) {
+      assert.equal(cache.resolve(uri), null, uri);
+    }
+    assert.equal(new MetadataCache(db, GATEWAY).resolve('https://api.invalid/uploads/property.json'), null);
+  });
+
+  it('never fetches other hosts and gives up on their URIs', async function () {
+    await cache.fetchPending(100);
+
+    assert.deepEqual(fetched.map(request => request.url).sort(), Object.values(ALLOWED).sort());
+    assert.ok(fetched.every(request => request.redirect === 'error'));
+
+    const rows = db.prepare('SELECT uri, json, error FROM metadata').all();
+    for (const uri of REJECTED) {
+      const row = rows.find(candidate => candidate.uri === uri);
+      assert.equal(row.json, null, uri);
+      assert.equal(row.error, 'Unsupported URI', uri);
+    }
+    assert.equal(rows.filter(row => row.json !== null).length, Object.keys(ALLOWED).length);
+  });
+});
@@ -0,0 +1,245 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openDatabase } = require('../src/db');
+const { SessionStore } = require('../src/sessions');
+const { FilesystemStorage } = require('../src/storage');
+const { stripGps } = require('../src/exif');
+const { startApi } = require('./helpers');
+
+const UPLOADER = '0x1000000000000000000000000000000000000001';
+const MAX_UPLOAD_BYTES = 4096;
+
+const XMP = 'http://ns.adobe.com/xap/1.0/\0<x:xmpmeta><exif:GPSLatitude>19,4.3920N</exif:GPSLatitude></x:xmpmeta>';
+
+// Offsets within the fixture's TIFF structure
+const GPS_IFD = 38;
+const GPS_VALUES = 68;
+const TIFF_LENGTH = 92;
+
+/**
+ * JPEG segment with a marker and a length covering the payload
+ */
+function segment(marker, payload) {
+  const header = Buffer.from([0xff, marker, 0, 0]);
+  header.writeUInt16BE(payload.length + 2, 2);
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Little-endian TIFF with an orientation tag and a GPS directory holding a latitude
+ */
+function gpsTiff() {
+  const tiff = Buffer.alloc(TIFF_LENGTH);
+  tiff.write('II', 0, 'latin1');
+  tiff.writeUInt16LE(42, 2);
+  tiff.writeUInt32LE(8, 4);
+
+  const entry = (offset, tag, type, count, value) => {
+    tiff.writeUInt16LE(tag, offset);
+    tiff.writeUInt16LE(type, offset + 2);
+    tiff.writeUInt32LE(count, offset + 4);
+    tiff.writeUInt32LE(value, offset + 8);
+  };
+  // First directory: orientation, and the pointer to the GPS directory
+  tiff.writeUInt16LE(2, 8);
+  entry(10, 0x0112, 3, 1, 6);
+  entry(22, 0x8825, 4, 1, GPS_IFD);
+  // GPS directory: latitude reference inline, latitude as three rationals after it
+  tiff.writeUInt16LE(2, GPS_IFD);
+  entry(GPS_IFD + 2, 0x0001, 2, 2, 'N'.charCodeAt(0));
+  entry(GPS_IFD + 14, 0x0002, 5, 3, GPS_VALUES);
+  [19, 1, 4, 1, 3920, 1000].forEach((value, i) => tiff.writeUInt32LE(value, GPS_VALUES + i * 4));
+  return tiff;
+}
+
+/**
+ * JPEG with an EXIF segment carrying GPS tags, an XMP packet repeating them, and a scan
+ */
+function gpsJpeg() {
+  return Buffer.concat([
+    Buffer.from([0xff, 0xd8]),
+    segment(0xe1, Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), gpsTiff()])),
+    segment(0xe1, Buffer.from(XMP, 'latin1')),
+    segment(0xdb, Buffer.alloc(65, 1)),
+    segment(0xda, Buffer.from([1, 2, 3])),
+    Buffer.from([0xaa, 0xbb, 0xcc, 0xff, 0xd9])
+  ]);
+}
+
+/**
+ * TIFF structure of a JPEG's EXIF segment
+ */
+const exifTiff = (jpeg) => {
+  const start = jpeg.indexOf('Exif\0\0', 0, 'latin1') + 6;
+  return jpeg.subarray(start, start + TIFF_LENGTH);
+};
+
+describe('Image location stripping', function () {
+  it('blanks the GPS directory of a JPEG and keeps the other tags', function () {
+    const original = gpsJpeg();
+    const stripped = stripGps(original, 'image/jpeg');
+    const tiff = exifTiff(stripped);
+
+    assert.equal(tiff.readUInt16LE(GPS_IFD), 0);
+    assert.ok(tiff.subarray(GPS_IFD, TIFF_LENGTH).every(byte => byte === 0));
+    // Orientation and the pointer to the now empty directory survive
+    assert.deepEqual(tiff.subarray(0, GPS_IFD), gpsTiff().subarray(0, GPS_IFD));
+    assert.ok(stripped.subarray(-8).equals(original.subarray(-8)));
+  });
+
+  it('drops XMP packets from a JPEG', function () {
+    const stripped = stripGps(gpsJpeg(), 'image/jpeg');
+    assert.equal(stripped.indexOf('GPSLatitude', 0, 'latin1'), -1);
+    assert.equal(stripped.length, gpsJpeg().length - 4 - XMP.length);
+  });
+
+  it('leaves the upload untouched', function () {
+    const original = gpsJpeg();
+    stripGps(original, 'image/jpeg');
+    assert.ok(original.equals(gpsJpeg()));
+  });
+
+  it('passes formats without location metadata through', function () {
+    const gif = Buffer.from('GIF89a\x01\x00\x01\x00', 'latin1');
+    assert.equal(stripGps(gif, 'image/gif'), gif);
+  });
+});
+
+describe('Uploads', function () {
+  let db, sessions, directory, stored, api, token;
+
+  const upload = async (body, { type, query = '', auth = token } = {}) => {
+    const headers = {};
+    if (type) headers['Content-Type'] = type;
+    if (auth) headers.Authorization = `Bearer ${auth}`;
+    const response = await fetch(`${api.url}/api/uploads${query}`, { method: 'POST', headers, body });
+    return { status: response.status, body: await response.json() };
+  };
+
+  before(async function () {
+    db = openDatabase(':memory:');
+    sessions = new SessionStore(db);
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'fairbnb-uploads-'));
+
+    // Records what reached the backend
+    const storage = new FilesystemStorage(directory, 'http://uploads.test/');
+    stored = [];
+    const put = storage.put.bind(storage);
+    storage.put = (file) => {
+      stored.push(file);
+      return put(file);
+    };
+
+    api = await startApi(db, { services: { storage, sessions }, options: { maxUploadBytes: MAX_UPLOAD_BYTES } });
+    token = sessions.create(UPLOADER, 31337, Date.now() + 60 * 60 * 1000);
+  });
+
+  after(async function () {
+    await api.close();
+    db.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('stores a JPEG without its location under a name derived from the contents', async function () {
+    stored.length = 0;
+    const { status, body } = await upload(gpsJpeg(), { type: 'image/jpeg', query: '?folder=properties&name=beach.html' });
+
+    assert.equal(status, 200);
+    assert.equal(body.type, 'image/jpeg');
+    assert.match(body.uri, /^http:\/\/uploads\.test\/uploads\/[0-9a-f]{64}\.jpg$/);
+
+    const file = fs.readFileSync(path.join(directory, path.basename(body.uri)));
+    assert.equal(body.size, file.length);
+    assert.ok(file.equals(stripGps(gpsJpeg(), 'image/jpeg')));
+    assert.ok(exifTiff(file).subarray(GPS_IFD).every(byte => byte === 0));
+
+    assert.equal(stored[0].folder, 'properties');
+    assert.equal(stored[0].name, 'beach.html');
+    assert.equal(stored[0].extension, '.jpg');
+    assert.equal(stored[0].uploader, '0x1000000000000000000000000000000000000001');
+  });
+
+  it('serves stored files with their own type and no sniffing', async function () {
+    const { body } = await upload(gpsJpeg(), { type: 'image/jpeg' });
+    const response = await fetch(`${api.url}/uploads/${path.basename(body.uri)}`);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'image/jpeg');
+    assert.equal(response.headers.get('x-content-type-options'), 'nosniff');
+    await response.arrayBuffer();
+  });
+
+  it('rejects contents that do not match the declared type', async function () {
+    stored.length = 0;
+    const html = Buffer.from('<html><script>alert(1)</script></html>');
+    const cases = [
+      [html, 'image/jpeg', 'File contents are not image/jpeg'],
+      [gpsJpeg(), 'image/png', 'File contents are not image/png'],
+      [Buffer.from([0x25, 0x50, 0x44, 0x00, 0xff]), 'text/plain', 'File contents are not text/plain']
+    ];
+    for (const [data, type, error] of cases) {
+      const response = await upload(data, { type, query: '?name=photo.jpg' });
+      assert.equal(response.status, 400, type);
+      assert.equal(response.body.error, error);
+    }
+    assert.equal(stored.length, 0);
+  });
+
+  it('rejects types outside the allow-list, whatever the file name says', async function () {
+    stored.length = 0;
+    for (const type of ['text/html', 'image/svg+xml', 'application/octet-stream']) {
+      const response = await upload(gpsJpeg(), { type, query: '?name=photo.jpg' });
+      assert.equal(response.status, 400, type);
+      assert.match(response.body.error, /^Unsupported file type/);
+    }
+    const untyped = await upload(gpsJpeg());
+    assert.equal(untyped.status, 400);
+    assert.equal(stored.length, 0);
+  });
+
+  it('rejects empty uploads and invalid folders', async function () {
+    assert.equal((await upload(Buffer.alloc(0), { type: 'image/jpeg' })).status, 400);
+    assert.equal((await upload(gpsJpeg(), { type: 'image/jpeg', query: '?folder=../etc' })).status, 400);
+  });
+
+  it('rejects uploads over the size limit with 413', async function () {
+    stored.length = 0;
+    const oversize = Buffer.concat([gpsJpeg(), Buffer.alloc(MAX_UPLOAD_BYTES)]);
+    const { status, body } = await upload(oversize, { type: 'image/jpeg' });
+    assert.equal(status, 413);
+    assert.equal(body.success, false);
+
+    const response = await fetch(`${api.url}/api/uploads/json`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify({ description: 'x'.repeat(MAX_UPLOAD_BYTES) })
+    });
+    assert.equal(response.status, 413);
+    await response.json();
+    assert.equal(stored.length, 0);
+  });
+
+  it('stores JSON documents', async function () {
+    const response = await fetch(`${api.url}/api/uploads/json?folder=metadata`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify({ name: 'Sea view flat' })
+    });
+    const body = await response.json();
+    assert.equal(response.status, 200);
+    assert.match(body.uri, /\.json$/);
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(directory, path.basename(body.uri)))), { name: 'Sea view flat' });
+  });
+
+  it('requires a session', async function () {
+    stored.length = 0;
+    const anonymous = await upload(gpsJpeg(), { type: 'image/jpeg', auth: null });
+    assert.equal(anonymous.status, 401);
+    const forged = await upload(gpsJpeg(), { type: 'image/jpeg', auth: 'f'.repeat(64) });
+    assert.equal(forged.status, 401);
+    assert.equal(stored.length, 0);
+  });
+});